@@ -99,6 +99,26 @@ public class AdminController : ControllerBase
         });
     }
 
+    /// <summary>
+    /// Gets the simulations that are currently running.
+    /// </summary>
+    /// <remarks>
+    /// The dashboard uses this after a page reload to rebuild its Active Simulations
+    /// list with the real start times, since the hub only announces starts and completions.
+    /// </remarks>
+    /// <returns>ID, type, start time and parameters of each active simulation, oldest first.</returns>
+    /// <response code="200">Returns the active simulations.</response>
+    [HttpGet("simulations")]
+    [ProducesResponseType(typeof(IReadOnlyList<ActiveSimulationInfo>), StatusCodes.Status200OK)]
+    public IActionResult GetActiveSimulations()
+    {
+        var simulations = _simulationTracker.GetActiveSimulations()
+            .OrderBy(s => s.StartedAt)
+            .ToList();
+
+        return Ok(simulations);
+    }
+
     /// <summary>
     /// Tests Application Insights telemetry by sending a test event and trace.
     /// Use this endpoint to verify Application Insights is configured correctly.
@@ -21,6 +21,7 @@ namespace PerfProblemSimulator.Controllers;
 /// <list type="bullet">
 /// <item>Return the app title (customizable per deployment)</item>
 /// <item>Return optional page footer HTML (for branding/legal notices)</item>
+/// <item>Return the languages the dashboard can switch to at runtime</item>
 /// <item>All values should have sensible defaults if not configured</item>
 /// </list>
 /// </para>
@@ -45,10 +46,14 @@ namespace PerfProblemSimulator.Controllers;
 /// </remarks>
 [ApiController]
 [Route("api/[controller]")]
-public class ConfigController(IOptions<ProblemSimulatorOptions> options, IIdleStateService idleStateService) : ControllerBase
+public class ConfigController(
+    IOptions<ProblemSimulatorOptions> options,
+    IIdleStateService idleStateService,
+    IWebHostEnvironment environment) : ControllerBase
 {
     private readonly ProblemSimulatorOptions _options = options.Value;
     private readonly IIdleStateService _idleStateService = idleStateService;
+    private readonly IWebHostEnvironment _environment = environment;
 
     /// <summary>
     /// Gets client-side configuration settings.
@@ -75,9 +80,35 @@ public class ConfigController(IOptions<ProblemSimulatorOptions> options, IIdleSt
             GitHubRepoUrl = githubRepoUrl,
             LatencyProbeIntervalMs = _options.LatencyProbeIntervalMs,
             IdleTimeoutMinutes = _idleStateService.IdleTimeoutMinutes,
-            UiLanguage = _options.UiLanguage
+            UiLanguage = _options.UiLanguage,
+            AvailableLanguages = GetAvailableLanguages()
         });
     }
+
+    /// <summary>
+    /// Lists the languages that have a locale file in wwwroot/locales.
+    /// English is always first; other files (e.g. no-translate.json) are skipped.
+    /// </summary>
+    /// <remarks>
+    /// Translated locale files are generated at startup for UI_LANGUAGE and cached,
+    /// so every language a deployment has ever been configured with stays available.
+    /// </remarks>
+    private string[] GetAvailableLanguages()
+    {
+        var localesPath = Path.Combine(_environment.WebRootPath ?? "", "locales");
+        if (!Directory.Exists(localesPath))
+        {
+            return ["en"];
+        }
+
+        var translated = Directory.GetFiles(localesPath, "*.json")
+            .Select(Path.GetFileNameWithoutExtension)
+            .OfType<string>()
+            .Where(code => code.Length is >= 2 and <= 3 && code.All(char.IsAsciiLetterLower) && code != "en")
+            .Order(StringComparer.Ordinal);
+
+        return ["en", .. translated];
+    }
 }
 
 /// <summary>
@@ -110,4 +141,9 @@ public class ClientConfig
     /// Active UI language (ISO 639-1 code). The client uses this to load the correct locale file.
     /// </summary>
     public string UiLanguage { get; init; } = "en";
+
+    /// <summary>
+    /// Languages (ISO 639-1 codes) with a locale file, offered by the dashboard's language picker.
+    /// </summary>
+    public string[] AvailableLanguages { get; init; } = ["en"];
 }
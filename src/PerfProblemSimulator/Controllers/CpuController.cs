@@ -155,4 +155,30 @@ public class CpuController : ControllerBase
             cancelledCount = cancelled
         });
     }
+
+    /// <summary>
+    /// Stops a single CPU stress simulation, leaving any others running.
+    /// </summary>
+    /// <param name="simulationId">ID of the simulation, as returned when it was started.</param>
+    /// <returns>Confirmation that the simulation was stopped.</returns>
+    /// <response code="200">The simulation was stopped.</response>
+    /// <response code="404">No active CPU stress simulation has that ID.</response>
+    [HttpPost("stop/{simulationId:guid}")]
+    [ProducesResponseType(typeof(object), StatusCodes.Status200OK)]
+    [ProducesResponseType(typeof(ErrorResponse), StatusCodes.Status404NotFound)]
+    public IActionResult StopSimulation(Guid simulationId)
+    {
+        if (!_simulationTracker.CancelSimulation(simulationId, SimulationType.Cpu))
+        {
+            return NotFound(ErrorResponse.SimulationNotFound(simulationId));
+        }
+
+        _logger.LogInformation("Stopped CPU stress simulation {SimulationId}", simulationId);
+
+        return Ok(new
+        {
+            message = $"Stopped CPU stress simulation {simulationId}",
+            cancelledCount = 1
+        });
+    }
 }
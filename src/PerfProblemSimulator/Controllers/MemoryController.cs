@@ -181,6 +181,50 @@ public class MemoryController : ControllerBase
         }
     }
 
+    /// <summary>
+    /// Releases a single allocated memory block, keeping the others.
+    /// </summary>
+    /// <param name="simulationId">ID of the block, as returned by allocate-memory.</param>
+    /// <param name="request">
+    /// Optional request body specifying whether to force garbage collection.
+    /// </param>
+    /// <returns>
+    /// Details about the released memory.
+    /// </returns>
+    /// <response code="200">Memory block released successfully.</response>
+    /// <response code="403">Problem endpoints are disabled via environment variable.</response>
+    /// <response code="404">No allocated memory block has that ID.</response>
+    [HttpPost("release-memory/{simulationId:guid}")]
+    [ProducesResponseType(typeof(MemoryReleaseResult), StatusCodes.Status200OK)]
+    [ProducesResponseType(typeof(ErrorResponse), StatusCodes.Status403Forbidden)]
+    [ProducesResponseType(typeof(ErrorResponse), StatusCodes.Status404NotFound)]
+    public IActionResult ReleaseMemoryBlock(Guid simulationId, [FromBody] ReleaseMemoryRequest? request)
+    {
+        var forceGc = request?.ForceGarbageCollection ?? true;
+
+        _logger.LogInformation(
+            "Received memory block release request: BlockId={BlockId}, ForceGC={ForceGC}, ClientIP={ClientIP}",
+            simulationId,
+            forceGc,
+            HttpContext.Connection.RemoteIpAddress);
+
+        try
+        {
+            var result = _memoryPressureService.ReleaseMemoryBlock(simulationId, forceGc);
+
+            return result is null
+                ? NotFound(ErrorResponse.SimulationNotFound(simulationId))
+                : Ok(result);
+        }
+        catch (Exception ex)
+        {
+            _logger.LogError(ex, "Failed to release memory block {BlockId}", simulationId);
+            return StatusCode(
+                StatusCodes.Status500InternalServerError,
+                ErrorResponse.SimulationError("Failed to release memory. See server logs for details."));
+        }
+    }
+
     /// <summary>
     /// Gets the current memory allocation status.
     /// </summary>
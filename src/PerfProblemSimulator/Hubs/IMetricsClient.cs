@@ -20,6 +20,7 @@ namespace PerfProblemSimulator.Hubs;
 /// <item><term>ReceiveLatency</term><description>Health probe latency measurement - every 1 second</description></item>
 /// <item><term>SimulationStarted/Completed</term><description>Simulation lifecycle events (fire-and-forget)</description></item>
 /// <item><term>ReceiveSlowRequestLatency</term><description>Slow request completion with queue time breakdown</description></item>
+/// <item><term>ReceiveSlowRequestProgress/ReceiveFailedRequestProgress</term><description>Request counts of the slow/failed request simulators - on every change</description></item>
 /// <item><term>ReceiveLoadTestStats</term><description>Load test statistics summary - every 60 seconds during load</description></item>
 /// </list>
 /// </para>
@@ -89,6 +90,30 @@ public interface IMetricsClient
     /// </remarks>
     Task ReceiveSlowRequestLatency(SlowRequestLatencyData data);
 
+    /// <summary>
+    /// Receives the progress of the slow request simulation.
+    /// </summary>
+    /// <param name="status">The same status GET /api/slowrequest/status returns.</param>
+    /// <remarks>
+    /// <para>
+    /// Sent when the simulation starts and stops and whenever a request is sent or
+    /// completes, so the dashboard doesn't need to poll the status endpoint.
+    /// </para>
+    /// </remarks>
+    Task ReceiveSlowRequestProgress(SlowRequestStatus status);
+
+    /// <summary>
+    /// Receives the progress of the failed request simulation.
+    /// </summary>
+    /// <param name="status">The same status GET /api/failedrequest/status returns.</param>
+    /// <remarks>
+    /// <para>
+    /// Sent when the simulation starts and stops and whenever a request is sent or
+    /// completes, so the dashboard doesn't need to poll the status endpoint.
+    /// </para>
+    /// </remarks>
+    Task ReceiveFailedRequestProgress(FailedRequestStatus status);
+
     /// <summary>
     /// Receives load test statistics update for event log display.
     /// </summary>
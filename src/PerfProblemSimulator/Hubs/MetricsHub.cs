@@ -166,4 +166,15 @@ public class MetricsHub : Hub<IMetricsClient>
             Timestamp = DateTimeOffset.UtcNow
         };
     }
+
+    /// <summary>
+    /// Returns the server time. The dashboard times this call to measure the
+    /// hub round trip, separately from the server's own latency probe.
+    /// </summary>
+    /// <remarks>
+    /// Deliberately does no other work and doesn't record activity, so the
+    /// measurement neither skews the result nor keeps the server from going idle.
+    /// </remarks>
+    [UsedImplicitly]
+    public DateTimeOffset Ping() => DateTimeOffset.UtcNow;
 }
@@ -22,6 +22,7 @@ public class ErrorResponse
     /// <item><term>VALIDATION_ERROR</term><description>Request parameters failed validation</description></item>
     /// <item><term>SIMULATION_ERROR</term><description>Simulation failed to execute</description></item>
     /// <item><term>LIMIT_EXCEEDED</term><description>Resource limit would be exceeded</description></item>
+    /// <item><term>SIMULATION_NOT_FOUND</term><description>No active simulation has the given ID</description></item>
     /// <item><term>ENDPOINT_DISABLED</term><description>Problem endpoints are disabled via environment variable</description></item>
     /// <item><term>INTERNAL_ERROR</term><description>Unexpected server error</description></item>
     /// </list>
@@ -106,4 +107,18 @@ public class ErrorResponse
             Message = message
         };
     }
+
+    /// <summary>
+    /// Creates a simulation not found error response.
+    /// </summary>
+    /// <param name="simulationId">The simulation ID that was requested.</param>
+    /// <returns>An ErrorResponse indicating no active simulation has that ID.</returns>
+    public static ErrorResponse SimulationNotFound(Guid simulationId)
+    {
+        return new ErrorResponse
+        {
+            Error = "SIMULATION_NOT_FOUND",
+            Message = $"No active simulation {simulationId} of this type. It may already have completed."
+        };
+    }
 }
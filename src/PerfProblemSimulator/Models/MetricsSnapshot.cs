@@ -66,4 +66,22 @@ public readonly record struct MetricsSnapshot
     /// was restarted (e.g., due to OOM, StackOverflow, or Azure auto-restart).
     /// </remarks>
     public int ProcessId { get; init; }
+
+    /// <summary>
+    /// Identifier of the App Service instance that produced this snapshot.
+    /// </summary>
+    /// <remarks>
+    /// Taken from <c>WEBSITE_INSTANCE_ID</c> when running in Azure App Service, otherwise
+    /// the machine name. When a plan is scaled out, the dashboard uses this to keep
+    /// metrics from different instances apart and to detect restarts per instance
+    /// (a process ID change on the same instance), instead of treating every switch
+    /// between instances as a crash.
+    /// </remarks>
+    public string? InstanceId { get; init; }
+
+    /// <summary>
+    /// The computer/worker name of the instance (from the COMPUTERNAME environment variable,
+    /// falling back to the machine name). Shown in the dashboard's instance selector.
+    /// </summary>
+    public string? ComputerName { get; init; }
 }
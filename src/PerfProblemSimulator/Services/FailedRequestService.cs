@@ -56,6 +56,7 @@ public class FailedRequestService : IFailedRequestService, IDisposable
     private int _requestsSent;
     private int _requestsCompleted;
     private int _requestsInProgress;
+    private int _requestsFailed;
     private int _targetCount;
     private DateTimeOffset? _startedAt;
     private Guid _simulationId;
@@ -97,6 +98,7 @@ public class FailedRequestService : IFailedRequestService, IDisposable
         _requestsSent = 0;
         _requestsCompleted = 0;
         _requestsInProgress = 0;
+        _requestsFailed = 0;
         _targetCount = Math.Max(1, requestCount);
         _startedAt = DateTimeOffset.UtcNow;
         _isRunning = true;
@@ -124,6 +126,8 @@ public class FailedRequestService : IFailedRequestService, IDisposable
             "Generating {Count} HTTP 500 errors at {BaseUrl}/api/loadtest",
             _simulationId, _targetCount, _baseUrl);
 
+        BroadcastProgress();
+
         return new SimulationResult
         {
             SimulationId = _simulationId,
@@ -159,6 +163,8 @@ public class FailedRequestService : IFailedRequestService, IDisposable
             "Sent={Sent}, Completed={Completed}, InProgress={InProgress}",
             _simulationId, _requestsSent, _requestsCompleted, _requestsInProgress);
 
+        BroadcastProgress();
+
         return new SimulationResult
         {
             SimulationId = _simulationId,
@@ -179,10 +185,12 @@ public class FailedRequestService : IFailedRequestService, IDisposable
     {
         return new FailedRequestStatus
         {
+            SimulationId = _startedAt.HasValue ? _simulationId : null,
             IsRunning = _isRunning,
             RequestsSent = _requestsSent,
             RequestsCompleted = _requestsCompleted,
             RequestsInProgress = _requestsInProgress,
+            RequestsFailed = _requestsFailed,
             TargetCount = _targetCount,
             StartedAt = _startedAt
         };
@@ -230,6 +238,7 @@ public class FailedRequestService : IFailedRequestService, IDisposable
                 
                 Interlocked.Increment(ref _requestsSent);
                 Interlocked.Increment(ref _requestsInProgress);
+                BroadcastProgress();
 
                 // Small delay between requests to spread them out
                 // This makes them more visible as individual data points
@@ -260,6 +269,7 @@ public class FailedRequestService : IFailedRequestService, IDisposable
         {
             _isRunning = false;
             _simulationTracker.UnregisterSimulation(_simulationId);
+            BroadcastProgress();
 
             _logger.LogInformation(
                 "Failed request simulation {SimulationId} completed. Generated {Count} HTTP 500 errors.",
@@ -303,6 +313,7 @@ public class FailedRequestService : IFailedRequestService, IDisposable
             string? errorType = null;
             if ((int)response.StatusCode >= 500)
             {
+                Interlocked.Increment(ref _requestsFailed);
                 try
                 {
                     var responseBody = await response.Content.ReadAsStringAsync(cancellationToken);
@@ -339,6 +350,7 @@ public class FailedRequestService : IFailedRequestService, IDisposable
         catch (HttpRequestException ex)
         {
             stopwatch.Stop();
+            Interlocked.Increment(ref _requestsFailed);
             // HTTP errors (like 500) that throw exceptions - this is expected!
             _logger.LogInformation(
                 "✓ Failed request {RequestId} threw expected exception in {Elapsed}ms: {Message}",
@@ -360,6 +372,23 @@ public class FailedRequestService : IFailedRequestService, IDisposable
         {
             Interlocked.Increment(ref _requestsCompleted);
             Interlocked.Decrement(ref _requestsInProgress);
+            BroadcastProgress();
+        }
+    }
+
+    /// <summary>
+    /// Pushes the simulation's status to connected dashboard clients, so they don't poll for it.
+    /// Fire-and-forget: the requests don't wait for SignalR.
+    /// </summary>
+    private void BroadcastProgress()
+    {
+        try
+        {
+            _ = _hubContext.Clients.All.ReceiveFailedRequestProgress(GetStatus());
+        }
+        catch (Exception ex)
+        {
+            _logger.LogDebug(ex, "Failed to broadcast failed request progress");
         }
     }
 
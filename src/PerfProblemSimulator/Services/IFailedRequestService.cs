@@ -62,6 +62,11 @@ public interface IFailedRequestService
 /// </summary>
 public class FailedRequestStatus
 {
+    /// <summary>
+    /// ID of the current or most recent simulation, or null if none has run.
+    /// </summary>
+    public Guid? SimulationId { get; set; }
+
     /// <summary>
     /// Whether the simulation is currently running.
     /// </summary>
@@ -82,6 +87,11 @@ public class FailedRequestStatus
     /// </summary>
     public int RequestsInProgress { get; set; }
 
+    /// <summary>
+    /// Number of completed requests that ended in an HTTP 5xx response or a request error.
+    /// </summary>
+    public int RequestsFailed { get; set; }
+
     /// <summary>
     /// Target number of failed requests to generate.
     /// </summary>
@@ -47,6 +47,20 @@ public interface IMemoryPressureService
     /// </returns>
     MemoryReleaseResult ReleaseAllMemory(bool forceGc);
 
+    /// <summary>
+    /// Releases a single allocated memory block, keeping the others.
+    /// </summary>
+    /// <param name="blockId">
+    /// ID of the block, as returned by <see cref="AllocateMemory"/> as the simulation ID.
+    /// </param>
+    /// <param name="forceGc">
+    /// If true, forces a garbage collection after releasing the reference.
+    /// </param>
+    /// <returns>
+    /// Details about the released memory, or null if no block has that ID.
+    /// </returns>
+    MemoryReleaseResult? ReleaseMemoryBlock(Guid blockId, bool forceGc);
+
     /// <summary>
     /// Gets the current status of memory allocations.
     /// </summary>
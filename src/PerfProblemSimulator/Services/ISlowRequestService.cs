@@ -77,10 +77,13 @@ public interface ISlowRequestService
 /// </summary>
 public class SlowRequestStatus
 {
+    public Guid? SimulationId { get; set; }
     public bool IsRunning { get; set; }
     public int RequestsSent { get; set; }
     public int RequestsCompleted { get; set; }
     public int RequestsInProgress { get; set; }
+    public int RequestsFailed { get; set; }
+    public int MaxRequests { get; set; }
     public int IntervalSeconds { get; set; }
     public int RequestDurationSeconds { get; set; }
     public DateTimeOffset? StartedAt { get; set; }
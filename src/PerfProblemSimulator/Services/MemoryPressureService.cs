@@ -290,25 +290,7 @@ public class MemoryPressureService : IMemoryPressureService
 
         if (forceGc)
         {
-            _logger.LogInformation("Forcing garbage collection with LOH compaction...");
-
-            // Request LOH compaction on the next blocking GC
-            // This helps reduce fragmentation and allows more memory to be returned to the OS
-            System.Runtime.GCSettings.LargeObjectHeapCompactionMode = System.Runtime.GCLargeObjectHeapCompactionMode.CompactOnce;
-
-            // Collect all generations with compacting mode
-            GC.Collect(GC.MaxGeneration, GCCollectionMode.Aggressive, blocking: true, compacting: true);
-            GC.WaitForPendingFinalizers();
-            GC.Collect(GC.MaxGeneration, GCCollectionMode.Aggressive, blocking: true, compacting: true);
-
-            // Trim the working set - this tells the OS to release physical pages
-            // back to the system, reducing the process's working set immediately
-            if (OperatingSystem.IsWindows())
-            {
-                TrimWorkingSet();
-            }
-
-            _logger.LogInformation("Garbage collection and working set trim completed");
+            CollectReleasedMemory();
         }
 
         return new MemoryReleaseResult
@@ -325,6 +307,73 @@ public class MemoryPressureService : IMemoryPressureService
         };
     }
 
+    /// <inheritdoc />
+    public MemoryReleaseResult? ReleaseMemoryBlock(Guid blockId, bool forceGc)
+    {
+        long releasedBytes;
+
+        lock (_lock)
+        {
+            var block = _allocatedBlocks.Find(b => b.Id == blockId);
+            if (block is null)
+            {
+                return null;
+            }
+
+            releasedBytes = block.SizeBytes;
+            _simulationTracker.UnregisterSimulation(block.Id);
+            _allocatedBlocks.Remove(block);
+        }
+
+        _logger.LogInformation(
+            "Released memory block {BlockId} ({Size} MB). ForceGC: {ForceGC}",
+            blockId,
+            releasedBytes / (1024.0 * 1024.0),
+            forceGc);
+
+        if (forceGc)
+        {
+            CollectReleasedMemory();
+        }
+
+        return new MemoryReleaseResult
+        {
+            ReleasedBlockCount = 1,
+            ReleasedBytes = releasedBytes,
+            ForcedGarbageCollection = forceGc,
+            Message = $"Released memory block {blockId} ({releasedBytes / (1024.0 * 1024.0):F1} MB). " +
+                      (forceGc
+                          ? "Forced GC to reclaim memory. Working Set should decrease shortly."
+                          : "Memory is now eligible for garbage collection but timing is non-deterministic.")
+        };
+    }
+
+    /// <summary>
+    /// Forces a compacting garbage collection so released blocks leave the working set.
+    /// </summary>
+    private void CollectReleasedMemory()
+    {
+        _logger.LogInformation("Forcing garbage collection with LOH compaction...");
+
+        // Request LOH compaction on the next blocking GC
+        // This helps reduce fragmentation and allows more memory to be returned to the OS
+        System.Runtime.GCSettings.LargeObjectHeapCompactionMode = System.Runtime.GCLargeObjectHeapCompactionMode.CompactOnce;
+
+        // Collect all generations with compacting mode
+        GC.Collect(GC.MaxGeneration, GCCollectionMode.Aggressive, blocking: true, compacting: true);
+        GC.WaitForPendingFinalizers();
+        GC.Collect(GC.MaxGeneration, GCCollectionMode.Aggressive, blocking: true, compacting: true);
+
+        // Trim the working set - this tells the OS to release physical pages
+        // back to the system, reducing the process's working set immediately
+        if (OperatingSystem.IsWindows())
+        {
+            TrimWorkingSet();
+        }
+
+        _logger.LogInformation("Garbage collection and working set trim completed");
+    }
+
     /// <inheritdoc />
     public MemoryStatus GetMemoryStatus()
     {
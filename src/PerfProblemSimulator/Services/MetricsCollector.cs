@@ -58,6 +58,10 @@ public class MetricsCollector : IMetricsCollector
     private MetricsSnapshot _latestSnapshot;
     private readonly object _snapshotLock = new();
 
+    // Instance identity (constant for the lifetime of the process)
+    private readonly string _instanceId;
+    private readonly string _computerName;
+
     // CPU measurement
     private readonly Process _currentProcess;
     private TimeSpan _lastCpuTime;
@@ -95,6 +99,9 @@ public class MetricsCollector : IMetricsCollector
         _currentProcess = Process.GetCurrentProcess();
         _lastCpuTime = _currentProcess.TotalProcessorTime;
         _lastCpuMeasurement = DateTime.UtcNow;
+
+        _computerName = Environment.GetEnvironmentVariable("COMPUTERNAME") ?? Environment.MachineName;
+        _instanceId = Environment.GetEnvironmentVariable("WEBSITE_INSTANCE_ID") ?? _computerName;
     }
 
     /// <inheritdoc />
@@ -266,7 +273,9 @@ public class MetricsCollector : IMetricsCollector
             ThreadPoolThreads = threadPoolThreads,
             ThreadPoolQueueLength = queueLength,
             ActiveSimulationCount = activeCount,
-            ProcessId = _currentProcess.Id
+            ProcessId = _currentProcess.Id,
+            InstanceId = _instanceId,
+            ComputerName = _computerName
         };
     }
 
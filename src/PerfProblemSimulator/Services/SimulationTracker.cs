@@ -69,6 +69,14 @@ public interface ISimulationTracker
     /// <returns>Number of simulations that were cancelled.</returns>
     int CancelByType(SimulationType type);
 
+    /// <summary>
+    /// Cancels a single active simulation.
+    /// </summary>
+    /// <param name="simulationId">The simulation to cancel.</param>
+    /// <param name="type">The type the simulation must have; a simulation of another type is left running.</param>
+    /// <returns>True if the simulation was found and cancelled, false otherwise.</returns>
+    bool CancelSimulation(Guid simulationId, SimulationType type);
+
     /// <summary>
     /// Tries to get information about a specific simulation.
     /// </summary>
@@ -158,7 +166,7 @@ public class ActiveSimulationInfo
 /// <list type="number">
 /// <item>When simulation starts: RegisterSimulation() stores ID, type, parameters, and cancellation token</item>
 /// <item>When simulation ends: UnregisterSimulation() removes entry and fires completion event</item>
-/// <item>When admin cancels: CancelByType() or CancelAll() triggers cancellation tokens</item>
+/// <item>When admin cancels: CancelSimulation(), CancelByType() or CancelAll() triggers cancellation tokens</item>
 /// <item>Dashboard periodically queries GetActiveSimulations() for status display</item>
 /// </list>
 /// </para>
@@ -344,6 +352,36 @@ public class SimulationTracker : ISimulationTracker
         return cancelled;
     }
 
+    /// <inheritdoc />
+    public bool CancelSimulation(Guid simulationId, SimulationType type)
+    {
+        if (!_simulations.TryGetValue(simulationId, out var tracked) || tracked.Info.Type != type)
+        {
+            return false;
+        }
+
+        // Like CancelByType, remove without firing SimulationCompleted. Removing first
+        // means a simulation that completes at the same moment is neither cancelled
+        // nor reported as cancelled.
+        if (!_simulations.TryRemove(KeyValuePair.Create(simulationId, tracked)))
+        {
+            return false;
+        }
+
+        try
+        {
+            tracked.CancellationSource.Cancel();
+        }
+        catch (ObjectDisposedException)
+        {
+            // Cancellation source was already disposed, the simulation has ended
+        }
+
+        _logger.LogInformation("Cancelled {Type} simulation {SimulationId}", type, simulationId);
+
+        return true;
+    }
+
     /// <inheritdoc />
     public bool TryGetSimulation(Guid simulationId, out ActiveSimulationInfo? info)
     {
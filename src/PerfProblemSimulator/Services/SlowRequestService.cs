@@ -52,7 +52,7 @@ namespace PerfProblemSimulator.Services;
 /// <list type="bullet">
 /// <item>Controllers/SlowRequestController.cs - The /execute-slow endpoint that blocks</item>
 /// <item>Services/LatencyProbeService.cs - Health probe that shows starvation symptoms</item>
-/// <item>Hubs/IMetricsClient.cs - ReceiveSlowRequestLatency for dashboard updates</item>
+/// <item>Hubs/IMetricsClient.cs - ReceiveSlowRequestLatency and ReceiveSlowRequestProgress for dashboard updates</item>
 /// </list>
 /// </para>
 /// </remarks>
@@ -72,6 +72,7 @@ public class SlowRequestService : ISlowRequestService, IDisposable
     private int _requestsSent;
     private int _requestsCompleted;
     private int _requestsInProgress;
+    private int _requestsFailed;
     private int _intervalSeconds;
     private int _requestDurationSeconds;
     private int _maxRequests;
@@ -117,6 +118,7 @@ public class SlowRequestService : ISlowRequestService, IDisposable
         _requestsSent = 0;
         _requestsCompleted = 0;
         _requestsInProgress = 0;
+        _requestsFailed = 0;
         _intervalSeconds = Math.Max(1, request.IntervalSeconds);  // Allow 1 second minimum
         _requestDurationSeconds = Math.Max(5, request.RequestDurationSeconds);  // Allow 5 second minimum
         _maxRequests = request.MaxRequests;
@@ -150,6 +152,8 @@ public class SlowRequestService : ISlowRequestService, IDisposable
             "Making HTTP calls to {BaseUrl}/api/slowrequest/execute-slow",
             _simulationId, _requestDurationSeconds, _intervalSeconds, _baseUrl);
 
+        BroadcastProgress();
+
         return new SimulationResult
         {
             SimulationId = _simulationId,
@@ -185,6 +189,8 @@ public class SlowRequestService : ISlowRequestService, IDisposable
             "Sent={Sent}, Completed={Completed}, InProgress={InProgress}",
             _simulationId, _requestsSent, _requestsCompleted, _requestsInProgress);
 
+        BroadcastProgress();
+
         return new SimulationResult
         {
             SimulationId = _simulationId,
@@ -207,10 +213,13 @@ public class SlowRequestService : ISlowRequestService, IDisposable
         {
             return new SlowRequestStatus
             {
+                SimulationId = _startedAt.HasValue ? _simulationId : null,
                 IsRunning = _isRunning,
                 RequestsSent = _requestsSent,
                 RequestsCompleted = _requestsCompleted,
                 RequestsInProgress = _requestsInProgress,
+                RequestsFailed = _requestsFailed,
+                MaxRequests = _maxRequests,
                 IntervalSeconds = _intervalSeconds,
                 RequestDurationSeconds = _requestDurationSeconds,
                 StartedAt = _startedAt,
@@ -264,6 +273,7 @@ public class SlowRequestService : ISlowRequestService, IDisposable
                 IsBackground = true
             };
             requestThread.Start();
+            BroadcastProgress();
 
             // Wait for interval before next request
             try
@@ -321,6 +331,7 @@ public class SlowRequestService : ISlowRequestService, IDisposable
 
             if (!response.IsSuccessStatusCode)
             {
+                Interlocked.Increment(ref _requestsFailed);
                 _logger.LogError(
                     "🐌 Slow HTTP request #{Number} failed with status {StatusCode} after {Latency:F0}ms", 
                     requestNumber, response.StatusCode, latencyMs);
@@ -339,6 +350,7 @@ public class SlowRequestService : ISlowRequestService, IDisposable
         {
             sw.Stop();
             var latencyMs = sw.Elapsed.TotalMilliseconds;
+            Interlocked.Increment(ref _requestsFailed);
             _logger.LogWarning("Slow request #{Number} timed out after {Latency:F0}ms", requestNumber, latencyMs);
             
             BroadcastSlowRequestLatency(requestNumber, scenario, latencyMs, durationSeconds * 1000, 
@@ -349,6 +361,7 @@ public class SlowRequestService : ISlowRequestService, IDisposable
         {
             sw.Stop();
             var latencyMs = sw.Elapsed.TotalMilliseconds;
+            Interlocked.Increment(ref _requestsFailed);
             _logger.LogError(ex, "Slow HTTP request #{Number} failed after {Elapsed}ms", requestNumber, latencyMs);
             
             BroadcastSlowRequestLatency(requestNumber, scenario, latencyMs, durationSeconds * 1000, 
@@ -362,6 +375,23 @@ public class SlowRequestService : ISlowRequestService, IDisposable
             
             // Check if simulation is naturally complete (all requests done)
             CheckAndCompleteSimulation();
+            BroadcastProgress();
+        }
+    }
+
+    /// <summary>
+    /// Pushes the simulation's status to connected dashboard clients, so they don't poll for it.
+    /// Uses fire-and-forget to avoid deadlocking during thread pool starvation.
+    /// </summary>
+    private void BroadcastProgress()
+    {
+        try
+        {
+            _ = _hubContext.Clients.All.ReceiveSlowRequestProgress(GetStatus());
+        }
+        catch (Exception ex)
+        {
+            _logger.LogDebug(ex, "Failed to broadcast slow request progress");
         }
     }
     
@@ -313,8 +313,10 @@ public partial class TranslationService(
     /// <summary>
     /// Wraps no-translate terms and {placeholder} tokens in notranslate spans.
     /// Terms are processed longest-first to avoid partial matches.
-    /// Placeholders like {probeRate} are wrapped so the translator treats them as
+    /// Placeholders like {probeRate} or {rate, percent} are wrapped so the translator treats them as
     /// opaque tokens and translates the surrounding natural-language text.
+    /// In plural messages ({count, plural, one {# request} other {# requests}}) the header,
+    /// branch selectors, '#' and closing braces are protected too; only the branch text is translated.
     /// </summary>
     private static string WrapNoTranslateTerms(string text, List<string> terms)
     {
@@ -322,7 +324,8 @@ public partial class TranslationService(
         // translatable content. Without this, strings like "Dashboard initialized
         // (probe rate: {probeRate}ms, idle timeout: {idleTimeout}m)" are treated as
         // code/template content and returned untranslated.
-        text = PlaceholderRegex.Replace(text, "<span class=\"notranslate\">$0</span>");
+        var syntaxRegex = PluralHeaderRegex.IsMatch(text) ? PluralSyntaxRegex : PlaceholderRegex;
+        text = syntaxRegex.Replace(text, "<span class=\"notranslate\">$0</span>");
 
         if (terms.Count == 0) return text;
 
@@ -337,9 +340,25 @@ public partial class TranslationService(
         return text;
     }
 
-    /// <summary>Matches {placeholder} tokens used by the i18n system.</summary>
+    /// <summary>Matches {placeholder} and {placeholder, format[, style]} tokens used by the i18n system.</summary>
     private static readonly Regex PlaceholderRegex = new(
-        @"\{[a-zA-Z_][a-zA-Z0-9_]*\}",
+        @"\{[a-zA-Z_][a-zA-Z0-9_]*(?:\s*,\s*[a-z]+(?:\s*,\s*[\w.]+)?)?\}",
+        RegexOptions.Compiled);
+
+    /// <summary>Matches the start of a plural message: {count, plural,</summary>
+    private static readonly Regex PluralHeaderRegex = new(
+        @"\{[a-zA-Z_][a-zA-Z0-9_]*\s*,\s*plural\s*,",
+        RegexOptions.Compiled);
+
+    /// <summary>
+    /// Matches every syntax token of a plural message: the header, placeholders,
+    /// branch selectors with their opening brace (one {, =0 {), closing braces and '#'.
+    /// </summary>
+    private static readonly Regex PluralSyntaxRegex = new(
+        @"\{[a-zA-Z_][a-zA-Z0-9_]*\s*,\s*plural\s*,"
+        + @"|\{[a-zA-Z_][a-zA-Z0-9_]*(?:\s*,\s*[a-z]+(?:\s*,\s*[\w.]+)?)?\}"
+        + @"|(?:=\d+|\b(?:zero|one|two|few|many|other))\s*\{"
+        + @"|\}|#",
         RegexOptions.Compiled);
 
     /// <summary>
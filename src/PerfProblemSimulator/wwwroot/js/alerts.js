@@ -0,0 +1,314 @@
+/**
+ * Client-side Alert Rules
+ *
+ * Evaluates simple threshold rules ("CPU > 85% for 10s", "queue length > 50",
+ * "p95 latency > 1s") against the same data the dashboard already receives:
+ * metrics snapshots from handleMetricsUpdate and probe results from
+ * handleLatencyUpdate. When a rule has been breached for its duration it fires:
+ *
+ *   - a banner at the top of the dashboard (until the value recovers or it is dismissed)
+ *   - a browser Notification (if the user granted permission)
+ *   - an optional beep
+ *   - an 'alert' entry in the event log
+ *
+ * A firing rule does not fire again until its value has recovered, which is
+ * logged as well. Rules are edited in the sidebar and saved in localStorage.
+ * Rules are not evaluated during session replay; the recorded log already
+ * contains the alerts that fired at the time.
+ */
+
+import { i18n } from './i18n.js';
+import { formatEventLogMessage, logEvent } from './event-log.js';
+import { formatLatency } from './latency-monitor.js';
+import { LATENCY_STATS } from './latency-stats.js';
+import { SESSION } from './session-recorder.js';
+
+const ALERTS_STORAGE_KEY = 'perfsim.alertRules';
+
+/**
+ * Values a rule can watch. 'source' tells which update feeds the value;
+ * 'read' extracts it from that update.
+ */
+const ALERT_METRICS = {
+    cpu:     { source: 'metrics', labelKey: 'alerts.metric.cpu',     unit: '%',  read: s => s.cpuPercent },
+    memory:  { source: 'metrics', labelKey: 'alerts.metric.memory',  unit: 'MB', read: s => s.workingSetMb },
+    threads: { source: 'metrics', labelKey: 'alerts.metric.threads', unit: '',   read: s => s.threadPoolThreads },
+    queue:   { source: 'metrics', labelKey: 'alerts.metric.queue',   unit: '',   read: s => s.threadPoolQueueLength },
+    latency: { source: 'latency', labelKey: 'alerts.metric.latency', unit: 'ms', read: m => m.latencyMs },
+    p95:     { source: 'latency', labelKey: 'alerts.metric.p95',     unit: 'ms', read: () => LATENCY_STATS.percentile(95) },
+    p99:     { source: 'latency', labelKey: 'alerts.metric.p99',     unit: 'ms', read: () => LATENCY_STATS.percentile(99) }
+};
+
+const ALERT_DEFAULT_RULES = [
+    { metric: 'cpu', operator: '>', threshold: 85, durationSeconds: 10, sound: false },
+    { metric: 'queue', operator: '>', threshold: 50, durationSeconds: 0, sound: false },
+    { metric: 'p95', operator: '>', threshold: 1000, durationSeconds: 0, sound: true }
+];
+
+export const ALERTS = {
+    rules: [],      // { id, metric, operator, threshold, durationSeconds, sound, breachSince, firing, dismissed, value }
+    nextId: 1,
+
+    /**
+     * Loads the saved rules and wires up the rule editor.
+     * Called from the dashboard's DOMContentLoaded handler.
+     */
+    initialize() {
+        let saved = null;
+        try {
+            saved = JSON.parse(localStorage.getItem(ALERTS_STORAGE_KEY));
+        } catch {
+            // Corrupt entry: fall back to the defaults
+        }
+        (Array.isArray(saved) ? saved : ALERT_DEFAULT_RULES)
+            .filter(rule => ALERT_METRICS[rule.metric])
+            .forEach(rule => this.addRule(rule, false));
+
+        document.getElementById('btnAddAlertRule').addEventListener('click', () => {
+            this.addRule({ metric: 'cpu', operator: '>', threshold: 80, durationSeconds: 0, sound: false });
+        });
+        document.getElementById('btnEnableNotifications').addEventListener('click', async () => {
+            if ('Notification' in window) await Notification.requestPermission();
+            this.renderNotificationButton();
+        });
+        document.getElementById('alertBanner').addEventListener('click', e => {
+            const button = e.target.closest('[data-dismiss-rule]');
+            if (!button) return;
+            const rule = this.rules.find(r => r.id === Number(button.dataset.dismissRule));
+            if (rule) rule.dismissed = true;
+            this.renderBanner();
+        });
+
+        this.renderRules();
+        this.renderBanner();
+        this.renderNotificationButton();
+    },
+
+    addRule(definition, save = true) {
+        this.rules.push({
+            id: this.nextId++,
+            metric: definition.metric,
+            operator: definition.operator === '<' ? '<' : '>',
+            threshold: Number(definition.threshold) || 0,
+            durationSeconds: Math.max(0, Number(definition.durationSeconds) || 0),
+            sound: definition.sound === true,
+            breachSince: null,
+            firing: false,
+            dismissed: false,
+            value: null
+        });
+        if (save) {
+            this.save();
+            this.renderRules();
+        }
+    },
+
+    save() {
+        const definitions = this.rules.map(({ metric, operator, threshold, durationSeconds, sound }) =>
+            ({ metric, operator, threshold, durationSeconds, sound }));
+        localStorage.setItem(ALERTS_STORAGE_KEY, JSON.stringify(definitions));
+    },
+
+    /**
+     * Evaluates the rules fed by one update.
+     * @param {'metrics'|'latency'} source - Which handler the data came from
+     * @param {Object} data - The metrics snapshot or latency measurement
+     */
+    evaluate(source, data) {
+        if (SESSION.isReplaying()) return;
+        const now = Date.now();
+
+        for (const rule of this.rules) {
+            const metric = ALERT_METRICS[rule.metric];
+            if (metric.source !== source) continue;
+
+            const value = metric.read(data);
+            if (typeof value !== 'number') continue;
+
+            const breached = rule.operator === '>' ? value > rule.threshold : value < rule.threshold;
+            if (!breached) {
+                if (rule.firing) {
+                    logEvent('alert', 'log.alert.resolved', { rule: this.describeKey(rule), value: this.formatValue(rule, value) }, { icon: '✅' });
+                }
+                rule.breachSince = null;
+                rule.firing = false;
+                rule.dismissed = false;
+                continue;
+            }
+
+            rule.breachSince ??= now;
+            if (!rule.firing && now - rule.breachSince >= rule.durationSeconds * 1000) {
+                rule.firing = true;
+                this.fire(rule, value);
+            }
+            if (rule.firing) rule.value = value;
+        }
+
+        this.renderBanner();
+    },
+
+    fire(rule, value) {
+        const params = { rule: this.describeKey(rule), value: this.formatValue(rule, value) };
+        logEvent('alert', 'log.alert.fired', params);
+
+        if ('Notification' in window && Notification.permission === 'granted') {
+            new Notification(i18n('alerts.notificationTitle'), { body: formatEventLogMessage('log.alert.fired', params), tag: `perfsim-alert-${rule.id}` });
+        }
+        if (rule.sound) this.beep();
+    },
+
+    /**
+     * Short two-tone beep using Web Audio (no sound file needed).
+     * Browsers only allow audio after the user has interacted with the page.
+     */
+    beep() {
+        try {
+            this.audioContext ??= new AudioContext();
+            const ctx = this.audioContext;
+            [880, 660].forEach((frequency, i) => {
+                const oscillator = ctx.createOscillator();
+                const gain = ctx.createGain();
+                oscillator.frequency.value = frequency;
+                gain.gain.value = 0.1;
+                oscillator.connect(gain).connect(ctx.destination);
+                oscillator.start(ctx.currentTime + i * 0.2);
+                oscillator.stop(ctx.currentTime + i * 0.2 + 0.15);
+            });
+        } catch (err) {
+            console.warn('Alert sound unavailable', err);
+        }
+    },
+
+    /**
+     * Human-readable rule, e.g. "CPU > 85% for 10s".
+     */
+    describe(rule) {
+        const { key, params } = this.describeKey(rule);
+        return formatEventLogMessage(key, params);
+    },
+
+    /**
+     * describe() as a { key, params } descriptor, for event log params, so
+     * logged alerts follow later language changes.
+     */
+    describeKey(rule) {
+        const condition = {
+            key: 'alerts.condition',
+            params: { metric: { key: ALERT_METRICS[rule.metric].labelKey }, operator: rule.operator, threshold: this.formatValue(rule, rule.threshold) }
+        };
+        return rule.durationSeconds > 0
+            ? { key: 'alerts.forDuration', params: { rule: condition, seconds: rule.durationSeconds } }
+            : condition;
+    },
+
+    formatValue(rule, value) {
+        const unit = ALERT_METRICS[rule.metric].unit;
+        if (unit === 'ms') return formatLatency(value);
+        const rounded = Math.round(value * 10) / 10;
+        return unit ? `${rounded}${unit === '%' ? '' : ' '}${unit}` : String(rounded);
+    },
+
+    /**
+     * Renders the rule editor rows in the sidebar.
+     */
+    renderRules() {
+        const list = document.getElementById('alertRulesList');
+        list.replaceChildren();
+
+        for (const rule of this.rules) {
+            const row = document.createElement('div');
+            row.className = 'alert-rule';
+
+            const metricSelect = document.createElement('select');
+            for (const [key, metric] of Object.entries(ALERT_METRICS)) {
+                metricSelect.add(new Option(i18n(metric.labelKey), key, false, key === rule.metric));
+            }
+
+            const operatorSelect = document.createElement('select');
+            ['>', '<'].forEach(op => operatorSelect.add(new Option(op, op, false, op === rule.operator)));
+
+            const threshold = document.createElement('input');
+            threshold.type = 'number';
+            threshold.value = rule.threshold;
+            threshold.title = i18n('alerts.threshold');
+
+            const duration = document.createElement('input');
+            duration.type = 'number';
+            duration.min = '0';
+            duration.value = rule.durationSeconds;
+            duration.title = i18n('alerts.duration');
+
+            const sound = document.createElement('input');
+            sound.type = 'checkbox';
+            sound.checked = rule.sound;
+            sound.title = i18n('alerts.sound');
+
+            const remove = document.createElement('button');
+            remove.className = 'btn-alert-remove';
+            remove.textContent = '✕';
+            remove.title = i18n('alerts.remove');
+
+            const update = () => {
+                rule.metric = metricSelect.value;
+                rule.operator = operatorSelect.value;
+                rule.threshold = Number(threshold.value) || 0;
+                rule.durationSeconds = Math.max(0, Number(duration.value) || 0);
+                rule.sound = sound.checked;
+                rule.breachSince = null;
+                rule.firing = false;
+                rule.dismissed = false;
+                this.save();
+                this.renderBanner();
+            };
+            [metricSelect, operatorSelect, threshold, duration, sound].forEach(el => el.addEventListener('change', update));
+            remove.addEventListener('click', () => {
+                this.rules = this.rules.filter(r => r !== rule);
+                this.save();
+                this.renderRules();
+                this.renderBanner();
+            });
+
+            const forLabel = document.createElement('span');
+            forLabel.textContent = i18n('alerts.for');
+            const secondsLabel = document.createElement('span');
+            secondsLabel.textContent = 's';
+            const soundLabel = document.createElement('label');
+            soundLabel.append(sound, '🔔');
+
+            row.append(metricSelect, operatorSelect, threshold, forLabel, duration, secondsLabel, soundLabel, remove);
+            list.appendChild(row);
+        }
+    },
+
+    /**
+     * Shows the rules that are currently firing (and not dismissed).
+     */
+    renderBanner() {
+        const banner = document.getElementById('alertBanner');
+        const firing = this.rules.filter(r => r.firing && !r.dismissed);
+        banner.classList.toggle('hidden', firing.length === 0);
+        banner.replaceChildren(...firing.map(rule => {
+            const item = document.createElement('div');
+            item.className = 'alert-banner-item';
+            const text = document.createElement('span');
+            text.textContent = `🚨 ${i18n('alerts.banner', { rule: this.describe(rule), value: this.formatValue(rule, rule.value) })}`;
+            const dismiss = document.createElement('button');
+            dismiss.className = 'btn-alert-dismiss';
+            dismiss.dataset.dismissRule = rule.id;
+            dismiss.textContent = i18n('alerts.dismiss');
+            item.append(text, dismiss);
+            return item;
+        }));
+    },
+
+    renderNotificationButton() {
+        const button = document.getElementById('btnEnableNotifications');
+        const supported = 'Notification' in window;
+        button.disabled = !supported || Notification.permission !== 'default';
+        button.textContent = !supported || Notification.permission === 'denied'
+            ? i18n('alerts.notificationsBlocked')
+            : Notification.permission === 'granted'
+                ? i18n('alerts.notificationsEnabled')
+                : i18n('alerts.enableNotifications');
+    }
+};
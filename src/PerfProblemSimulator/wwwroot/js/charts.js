@@ -0,0 +1,800 @@
+/**
+ * Charts
+ *
+ * The CPU/memory, thread pool and latency charts (Chart.js), the chart window,
+ * freeze and zoom toolbar, and the simulation bands drawn on the time axes.
+ * The latency chart is driven by a fixed 100ms timer that repeats the last
+ * probe between probes (sample-and-hold), independent of the probe rate.
+ */
+
+import { i18n } from './i18n.js';
+import {
+    addLatencyToHistory,
+    CONFIG,
+    formatUtcTime,
+    getDisplayedLatencyHistory,
+    getDisplayedMetricsHistory,
+    latencyInterpolation,
+    snapshotHistory,
+    state
+} from './metrics-store.js';
+import { formatEventLogMessage, highlightSimulationLogEntries } from './event-log.js';
+import { SIMULATION_CATEGORY_MAP } from './simulations.js';
+import { SESSION } from './session-recorder.js';
+
+// ==========================================================================
+// Latency Color Thresholds & Gradients
+// ==========================================================================
+
+// RGB values for smooth color interpolation on latency chart
+const LATENCY_RGB = {
+    good:     { r: 16,  g: 124, b: 16  }, // Green - good (<150ms)
+    degraded: { r: 255, g: 185, b: 0   }, // Yellow - degraded (150ms-1s)
+    severe:   { r: 255, g: 140, b: 0   }, // Orange - severe (1s+)
+    critical: { r: 209, g: 52,  b: 56  }  // Red - critical (30s+)
+};
+
+/**
+ * Interpolates between two RGB colors.
+ * @param {Object} color1 - Start color {r, g, b}
+ * @param {Object} color2 - End color {r, g, b}
+ * @param {number} t - Interpolation factor (0-1)
+ * @returns {string} - RGB color string
+ */
+function lerpColor(color1, color2, t) {
+    t = Math.max(0, Math.min(1, t)); // Clamp to 0-1
+    const r = Math.round(color1.r + (color2.r - color1.r) * t);
+    const g = Math.round(color1.g + (color2.g - color1.g) * t);
+    const b = Math.round(color1.b + (color2.b - color1.b) * t);
+    return `rgb(${r}, ${g}, ${b})`;
+}
+
+/**
+ * Gets a smoothly interpolated color for a latency value.
+ * Blends between threshold colors based on where the value falls.
+ * @param {number} latencyMs - Latency value in milliseconds
+ * @returns {string} - RGB color string
+ */
+export function getInterpolatedLatencyColor(latencyMs) {
+    if (latencyMs <= 0) return lerpColor(LATENCY_RGB.good, LATENCY_RGB.good, 0);
+    
+    // 0-150ms: green → yellow
+    if (latencyMs <= 150) {
+        const t = latencyMs / 150;
+        return lerpColor(LATENCY_RGB.good, LATENCY_RGB.degraded, t);
+    }
+    
+    // 150-1000ms: yellow → orange
+    if (latencyMs <= 1000) {
+        const t = (latencyMs - 150) / (1000 - 150);
+        return lerpColor(LATENCY_RGB.degraded, LATENCY_RGB.severe, t);
+    }
+    
+    // 1000-30000ms: orange → red
+    if (latencyMs <= 30000) {
+        const t = (latencyMs - 1000) / (30000 - 1000);
+        return lerpColor(LATENCY_RGB.severe, LATENCY_RGB.critical, t);
+    }
+    
+    // >30000ms: solid red
+    return lerpColor(LATENCY_RGB.critical, LATENCY_RGB.critical, 1);
+}
+
+/**
+ * Gets a smoothly interpolated RGBA color for a latency value (for gradient fills).
+ * @param {number} latencyMs - Latency value in milliseconds
+ * @param {number} alpha - Alpha value (0-1)
+ * @returns {string} - RGBA color string
+ */
+function getInterpolatedLatencyColorRGBA(latencyMs, alpha) {
+    let r, g, b;
+    
+    if (latencyMs <= 0) {
+        r = LATENCY_RGB.good.r; g = LATENCY_RGB.good.g; b = LATENCY_RGB.good.b;
+    } else if (latencyMs <= 150) {
+        const t = latencyMs / 150;
+        r = Math.round(LATENCY_RGB.good.r + (LATENCY_RGB.degraded.r - LATENCY_RGB.good.r) * t);
+        g = Math.round(LATENCY_RGB.good.g + (LATENCY_RGB.degraded.g - LATENCY_RGB.good.g) * t);
+        b = Math.round(LATENCY_RGB.good.b + (LATENCY_RGB.degraded.b - LATENCY_RGB.good.b) * t);
+    } else if (latencyMs <= 1000) {
+        const t = (latencyMs - 150) / (1000 - 150);
+        r = Math.round(LATENCY_RGB.degraded.r + (LATENCY_RGB.severe.r - LATENCY_RGB.degraded.r) * t);
+        g = Math.round(LATENCY_RGB.degraded.g + (LATENCY_RGB.severe.g - LATENCY_RGB.degraded.g) * t);
+        b = Math.round(LATENCY_RGB.degraded.b + (LATENCY_RGB.severe.b - LATENCY_RGB.degraded.b) * t);
+    } else if (latencyMs <= 30000) {
+        const t = (latencyMs - 1000) / (30000 - 1000);
+        r = Math.round(LATENCY_RGB.severe.r + (LATENCY_RGB.critical.r - LATENCY_RGB.severe.r) * t);
+        g = Math.round(LATENCY_RGB.severe.g + (LATENCY_RGB.critical.g - LATENCY_RGB.severe.g) * t);
+        b = Math.round(LATENCY_RGB.severe.b + (LATENCY_RGB.critical.b - LATENCY_RGB.severe.b) * t);
+    } else {
+        r = LATENCY_RGB.critical.r; g = LATENCY_RGB.critical.g; b = LATENCY_RGB.critical.b;
+    }
+    
+    return `rgba(${r}, ${g}, ${b}, ${alpha})`;
+}
+
+/**
+ * Creates a vertical gradient for the latency chart with smooth color blending.
+ * Adds many intermediate color stops for seamless transitions between thresholds.
+ * @param {CanvasRenderingContext2D} ctx - Canvas context
+ * @param {Object} chartArea - Chart area dimensions
+ * @param {Object} scales - Chart scales
+ * @returns {CanvasGradient} - The gradient fill
+ */
+function createLatencyGradient(ctx, chartArea, scales) {
+    if (!chartArea || !scales.y) return 'rgba(16, 124, 16, 0.2)';
+    
+    const gradient = ctx.createLinearGradient(0, chartArea.bottom, 0, chartArea.top);
+    const yMax = scales.y.max || 200;
+    
+    // Add many color stops for smooth blending (20 stops from bottom to top)
+    const numStops = 20;
+    for (let i = 0; i <= numStops; i++) {
+        const position = i / numStops; // 0 = bottom, 1 = top
+        const latencyAtPosition = position * yMax;
+        
+        // Alpha increases slightly with latency for better visual distinction
+        const alpha = 0.25 + (position * 0.25); // 0.25 at bottom to 0.50 at top
+        
+        const color = getInterpolatedLatencyColorRGBA(latencyAtPosition, alpha);
+        gradient.addColorStop(position, color);
+    }
+    
+    return gradient;
+}
+
+// ==========================================================================
+// Charts
+// ==========================================================================
+
+// Translation keys of the legends (by dataset index) and axis titles (by scale ID)
+const CHART_LABEL_KEYS = {
+    resource: { datasets: ['chart.cpu', 'chart.memory'], axes: { y: 'chart.cpu', y1: 'chart.memory' } },
+    threads: { datasets: ['chart.activeThreads', 'chart.queueLength'], axes: { y: 'chart.threads', y1: 'chart.queue' } },
+    latency: { datasets: ['chart.latency'], axes: { y: 'chart.latency' } }
+};
+
+export function initializeCharts() {
+    // Resource chart (CPU + Memory)
+    const resourceCtx = document.getElementById('resourceChart').getContext('2d');
+    state.charts.resource = new Chart(resourceCtx, {
+        type: 'line',
+        plugins: [SIMULATION_ANNOTATION_PLUGIN],
+        data: {
+            labels: [],
+            datasets: [
+                {
+                    data: [],
+                    borderColor: '#0078d4',
+                    backgroundColor: 'rgba(0, 120, 212, 0.1)',
+                    tension: 0.3,
+                    fill: 'origin',
+                    yAxisID: 'y',
+                    pointRadius: 0,
+                    pointHoverRadius: 0,
+                    borderWidth: 1
+                },
+                {
+                    data: [],
+                    borderColor: '#107c10',
+                    backgroundColor: 'rgba(16, 124, 16, 0.2)',
+                    tension: 0.3,
+                    fill: 'origin',
+                    yAxisID: 'y1',
+                    pointRadius: 0,
+                    pointHoverRadius: 0,
+                    borderWidth: 1
+                }
+            ]
+        },
+        options: {
+            responsive: true,
+            maintainAspectRatio: false,
+            onClick: handleAnnotationClick,
+            onHover: handleAnnotationHover,
+            interaction: {
+                mode: 'index',
+                intersect: false
+            },
+            scales: {
+                x: {
+                    display: true,
+                    ticks: {
+                        maxTicksLimit: 10,
+                        callback: (value, index) => {
+                            const date = state.chartSnapshot.metrics?.timestamps[index];
+                            return date ? formatUtcTime(date) : '';
+                        }
+                    }
+                },
+                y: {
+                    type: 'linear',
+                    display: true,
+                    position: 'left',
+                    min: 0,
+                    max: 100,
+                    title: { display: true }
+                },
+                y1: {
+                    type: 'linear',
+                    display: true,
+                    position: 'right',
+                    min: 0,
+                    title: { display: true },
+                    grid: { drawOnChartArea: false }
+                }
+            },
+            plugins: {
+                legend: { position: 'top' },
+                zoom: createZoomOptions(),
+                simulationAnnotations: { series: 'metrics' }
+            }
+        }
+    });
+
+    // Thread chart (Threads + Queue)
+    const threadCtx = document.getElementById('threadChart').getContext('2d');
+    state.charts.threads = new Chart(threadCtx, {
+        type: 'line',
+        plugins: [SIMULATION_ANNOTATION_PLUGIN],
+        data: {
+            labels: [],
+            datasets: [
+                {
+                    data: [],
+                    borderColor: '#8764b8',
+                    backgroundColor: 'rgba(135, 100, 184, 0.3)',
+                    tension: 0.3,
+                    fill: 'origin',
+                    yAxisID: 'y',
+                    pointRadius: 0,
+                    pointHoverRadius: 0,
+                    borderWidth: 1
+                },
+                {
+                    data: [],
+                    borderColor: '#ffb900',
+                    backgroundColor: 'rgba(255, 185, 0, 0.3)',
+                    tension: 0.3,
+                    fill: 'origin',
+                    yAxisID: 'y1',
+                    pointRadius: 0,
+                    pointHoverRadius: 0,
+                    borderWidth: 1
+                }
+            ]
+        },
+        options: {
+            responsive: true,
+            maintainAspectRatio: false,
+            onClick: handleAnnotationClick,
+            onHover: handleAnnotationHover,
+            interaction: {
+                mode: 'index',
+                intersect: false
+            },
+            scales: {
+                x: {
+                    display: true,
+                    ticks: {
+                        maxTicksLimit: 10,
+                        callback: (value, index) => {
+                            const date = state.chartSnapshot.metrics?.timestamps[index];
+                            return date ? formatUtcTime(date) : '';
+                        }
+                    }
+                },
+                y: {
+                    type: 'linear',
+                    display: true,
+                    position: 'left',
+                    min: 0,
+                    title: { display: true }
+                },
+                y1: {
+                    type: 'linear',
+                    display: true,
+                    position: 'right',
+                    min: 0,
+                    title: { display: true },
+                    grid: { drawOnChartArea: false }
+                }
+            },
+            plugins: {
+                legend: { position: 'top' },
+                zoom: createZoomOptions(),
+                simulationAnnotations: { series: 'metrics' }
+            }
+        }
+    });
+
+    // Latency chart
+    const latencyCtx = document.getElementById('latencyChart').getContext('2d');
+    state.charts.latency = new Chart(latencyCtx, {
+        type: 'line',
+        plugins: [SIMULATION_ANNOTATION_PLUGIN],
+        data: {
+            labels: [],
+            datasets: [
+                {
+                    data: [],
+                    // Segment-based border color - smooth gradient based on data value
+                    segment: {
+                        borderColor: (ctx) => {
+                            const p0 = ctx.p0.parsed?.y;
+                            const p1 = ctx.p1.parsed?.y;
+                            if (p0 == null || p1 == null) return 'rgba(0,0,0,0)';
+                            const value = Math.max(p0, p1);
+                            return getInterpolatedLatencyColor(value);
+                        },
+                    },
+                    borderColor: '#107c10', // Default/fallback (green)
+                    // Dynamic gradient fill based on latency thresholds
+                    backgroundColor: (context) => {
+                        const chart = context.chart;
+                        const { ctx, chartArea, scales } = chart;
+                        if (!chartArea) return 'rgba(16, 124, 16, 0.2)';
+                        return createLatencyGradient(ctx, chartArea, scales);
+                    },
+                    tension: 0.3,
+                    fill: true,
+                    pointRadius: 0, // Hide points for performance with many data points
+                    pointHoverRadius: 0, // Disable hover circles to prevent visual artifacts
+                    borderWidth: 1
+                }
+            ]
+        },
+        options: {
+            responsive: true,
+            maintainAspectRatio: false,
+            onClick: handleAnnotationClick,
+            onHover: handleAnnotationHover,
+            animation: false, // Disable animation for better performance
+            interaction: {
+                mode: 'index',
+                intersect: false
+            },
+            scales: {
+                x: {
+                    display: true,
+                    ticks: {
+                        maxTicksLimit: 6,
+                        maxRotation: 0,
+                        minRotation: 0,
+                        font: { size: 10 },
+                        callback: (value, index) => {
+                            const date = state.chartSnapshot.latency?.timestamps[index];
+                            return date ? formatUtcTime(date) : '';
+                        }
+                    }
+                },
+                y: {
+                    display: true,
+                    position: 'left',
+                    beginAtZero: true,
+                    grace: '5%',
+                    title: { display: true, font: { size: 10 } },
+                    ticks: {
+                        font: { size: 10 },
+                        callback: (value) => {
+                            if (value >= 1000) {
+                                return (value / 1000).toFixed(1) + 's';
+                            }
+                            return value + 'ms';
+                        }
+                    }
+                }
+            },
+            plugins: {
+                legend: { display: false },
+                zoom: createZoomOptions(),
+                simulationAnnotations: { series: 'latency' },
+                tooltip: {
+                    callbacks: {
+                        label: (context) => {
+                            const index = context.dataIndex;
+                            const latency = context.raw;
+                            const isTimeout = state.chartSnapshot.latency?.isTimeout[index];
+                            const isError = state.chartSnapshot.latency?.isError[index];
+                            
+                            if (isTimeout) return i18n('chart.tooltip.critical', { latency });
+                            if (isError) return i18n('chart.tooltip.error', { latency });
+                            return i18n('chart.tooltip.latency', { latency });
+                        }
+                    }
+                }
+            }
+        }
+    });
+}
+
+/**
+ * Sets the legends and axis titles in the current language.
+ * Called once i18n is loaded and again after a language switch.
+ */
+export function renderChartLabels() {
+    for (const [name, keys] of Object.entries(CHART_LABEL_KEYS)) {
+        const chart = state.charts[name];
+        keys.datasets.forEach((key, i) => { chart.data.datasets[i].label = i18n(key); });
+        Object.entries(keys.axes).forEach(([axis, key]) => { chart.options.scales[axis].title.text = i18n(key); });
+        chart.update('none');
+    }
+}
+
+/**
+ * Redraws the CPU/memory and thread pool charts from the selected chart window.
+ * @param {boolean} [force] - Redraw even while the charts are frozen
+ */
+export function updateCharts(force = false) {
+    if (state.deferChartUpdates || (state.chartsFrozen && !force)) return;
+    const history = snapshotHistory(getDisplayedMetricsHistory());
+    state.chartSnapshot.metrics = history;
+    const labels = history.timestamps.map(t => formatUtcTime(t));
+    
+    // Update resource chart
+    state.charts.resource.data.labels = labels;
+    state.charts.resource.data.datasets[0].data = history.cpu;
+    state.charts.resource.data.datasets[1].data = history.memory;
+    state.charts.resource.update('none'); // 'none' prevents animation on updates
+    
+    // Update thread chart
+    state.charts.threads.data.labels = labels;
+    state.charts.threads.data.datasets[0].data = history.threads;
+    state.charts.threads.data.datasets[1].data = history.queue;
+    state.charts.threads.update('none');
+}
+
+// ==========================================================================
+// Chart Window, Freeze & Zoom
+// ==========================================================================
+
+/**
+ * Zoom/pan options for chartjs-plugin-zoom. Drag selects a time range,
+ * Shift+drag pans. Either one freezes the charts so new data doesn't move the view.
+ */
+function createZoomOptions() {
+    const freezeIfZoomed = ({ chart }) => {
+        if (chart.isZoomedOrPanned()) setChartsFrozen(true);
+    };
+    return {
+        zoom: {
+            drag: { enabled: true, backgroundColor: 'rgba(0, 120, 212, 0.15)' },
+            mode: 'x',
+            onZoomComplete: freezeIfZoomed
+        },
+        pan: {
+            enabled: true,
+            mode: 'x',
+            modifierKey: 'shift',
+            onPanComplete: freezeIfZoomed
+        }
+    };
+}
+
+/**
+ * Freezes or resumes chart scrolling. Data keeps buffering while frozen;
+ * resuming resets any zoom and redraws with everything received meanwhile.
+ * @param {boolean} frozen
+ */
+export function setChartsFrozen(frozen) {
+    if (state.chartsFrozen === frozen) return;
+    state.chartsFrozen = frozen;
+
+    if (!frozen) {
+        Object.values(state.charts).forEach(chart => chart.resetZoom?.('none'));
+        updateCharts();
+        updateLatencyChart();
+    }
+
+    renderFreezeButton();
+}
+
+export function renderFreezeButton() {
+    const button = document.getElementById('btnFreezeCharts');
+    button.textContent = state.chartsFrozen ? i18n('charts.resume') : i18n('charts.freeze');
+    button.classList.toggle('active', state.chartsFrozen);
+    document.getElementById('chartToolbar').classList.toggle('frozen', state.chartsFrozen);
+}
+
+/**
+ * Switches the chart window (1, 5, 15 or 60 minutes).
+ * @param {number} minutes - Key of CONFIG.chartWindows
+ */
+function setChartWindow(minutes) {
+    if (!(minutes in CONFIG.chartWindows)) return;
+    state.chartWindowMinutes = minutes;
+    Object.values(state.charts).forEach(chart => chart.resetZoom?.('none'));
+    updateCharts(true);
+    updateLatencyChart(true);
+}
+
+export function initializeChartToolbar() {
+    document.getElementById('chartWindow').addEventListener('change', e => setChartWindow(Number(e.target.value)));
+    document.getElementById('btnFreezeCharts').addEventListener('click', () => setChartsFrozen(!state.chartsFrozen));
+    document.getElementById('btnResetZoom').addEventListener('click', () => {
+        Object.values(state.charts).forEach(chart => chart.resetZoom?.('none'));
+    });
+}
+
+// ==========================================================================
+// Simulation Annotations
+// ==========================================================================
+
+// Band colors (RGB) per log category, matching the chart series colors
+const ANNOTATION_RGB = {
+    cpu: '0, 120, 212',
+    memory: '16, 124, 16',
+    threads: '135, 100, 184',
+    slowrequest: '184, 134, 11',
+    failedrequests: '139, 69, 19',
+    crash: '209, 52, 56',
+    connection: '138, 136, 134'
+};
+
+/**
+ * Opens an annotation band when a simulation becomes active.
+ * The API response and the hub's SimulationStarted both report the same
+ * simulation, so only the first call creates the band; later calls only
+ * update its label.
+ * @param {Date} [start] - Start of the band, for simulations that started before the page loaded
+ */
+export function startSimulationAnnotation(id, type, label, start = SESSION.now()) {
+    if (!id) return;
+    const existing = state.simulationAnnotations.find(a => a.id === id);
+    if (existing) {
+        if (!existing.end) existing.label = label;
+        return;
+    }
+
+    state.simulationAnnotations.push({
+        id,
+        label,
+        category: SIMULATION_CATEGORY_MAP[type] || 'system',
+        start,
+        end: null
+    });
+    pruneAnnotations();
+}
+
+/**
+ * Opens a band on the latency chart while the hub connection is down
+ * (connection-diagnostics.js). Closed with endConnectionAnnotation().
+ * @param {string} id - Band ID, unique per reconnect episode
+ */
+export function startConnectionAnnotation(id, start = SESSION.now()) {
+    state.simulationAnnotations.push({
+        id,
+        label: { key: 'diagnostics.band' },
+        category: 'connection',
+        series: 'latency',
+        start,
+        end: null
+    });
+    pruneAnnotations();
+}
+
+/**
+ * Forgets bands that ended before the longest chart window.
+ */
+function pruneAnnotations() {
+    const maxWindowMs = Math.max(...Object.keys(CONFIG.chartWindows)) * 60000;
+    const cutoff = SESSION.now().getTime() - maxWindowMs;
+    state.simulationAnnotations = state.simulationAnnotations.filter(a => !a.end || a.end.getTime() >= cutoff);
+}
+
+export function endSimulationAnnotation(id) {
+    const annotation = state.simulationAnnotations.find(a => a.id === id && !a.series);
+    if (annotation && !annotation.end) {
+        annotation.end = SESSION.now();
+    }
+}
+
+/**
+ * Closes the band opened by startConnectionAnnotation().
+ */
+export function endConnectionAnnotation(id) {
+    const annotation = state.simulationAnnotations.find(a => a.id === id && a.series);
+    if (annotation && !annotation.end) {
+        annotation.end = SESSION.now();
+    }
+}
+
+/**
+ * Index of the first timestamp at or after the given time (binary search).
+ * @returns {number} timestamps.length when every timestamp is earlier
+ */
+function findTimestampIndex(timestamps, time) {
+    let low = 0;
+    let high = timestamps.length;
+    while (low < high) {
+        const mid = (low + high) >> 1;
+        if (timestamps[mid].getTime() < time) low = mid + 1;
+        else high = mid;
+    }
+    return low;
+}
+
+/**
+ * Chart.js plugin that draws start/end markers and a shaded band for every
+ * simulation on the chart's time axis. Options: { series: 'metrics' | 'latency' }
+ * selects which chart snapshot the x axis indices refer to; bands with their
+ * own series (reconnect episodes) are only drawn on that series' chart.
+ * The drawn bands are kept on the chart for click hit-testing.
+ */
+const SIMULATION_ANNOTATION_PLUGIN = {
+    id: 'simulationAnnotations',
+
+    afterDatasetsDraw(chart, args, options) {
+        chart.$simulationBands = [];
+        const timestamps = state.chartSnapshot[options.series]?.timestamps;
+        if (!timestamps || timestamps.length === 0) return;
+
+        const { ctx, chartArea, scales } = chart;
+        const last = timestamps.length - 1;
+
+        ctx.save();
+        ctx.beginPath();
+        ctx.rect(chartArea.left, chartArea.top, chartArea.right - chartArea.left, chartArea.bottom - chartArea.top);
+        ctx.clip();
+        ctx.font = '10px "Segoe UI", sans-serif';
+        ctx.textBaseline = 'top';
+
+        for (const annotation of state.simulationAnnotations) {
+            if (annotation.series && annotation.series !== options.series) continue;
+            const startTime = annotation.start.getTime();
+            const endTime = annotation.end ? annotation.end.getTime() : Infinity;
+            if (startTime > timestamps[last].getTime() || endTime < timestamps[0].getTime()) continue;
+
+            const startIndex = findTimestampIndex(timestamps, startTime);
+            const endIndex = annotation.end
+                ? Math.max(startIndex, findTimestampIndex(timestamps, endTime + 1) - 1)
+                : last;
+            const startsInView = startTime >= timestamps[0].getTime();
+            const left = scales.x.getPixelForValue(startIndex);
+            const right = scales.x.getPixelForValue(Math.min(endIndex, last));
+            const rgb = ANNOTATION_RGB[annotation.category] || '96, 94, 92';
+
+            ctx.fillStyle = `rgba(${rgb}, 0.08)`;
+            ctx.fillRect(left, chartArea.top, Math.max(right - left, 2), chartArea.bottom - chartArea.top);
+
+            ctx.strokeStyle = `rgba(${rgb}, 0.8)`;
+            ctx.lineWidth = 1;
+            if (startsInView) {
+                ctx.setLineDash([]);
+                ctx.beginPath();
+                ctx.moveTo(left, chartArea.top);
+                ctx.lineTo(left, chartArea.bottom);
+                ctx.stroke();
+            }
+            if (annotation.end) {
+                ctx.setLineDash([4, 3]);
+                ctx.beginPath();
+                ctx.moveTo(right, chartArea.top);
+                ctx.lineTo(right, chartArea.bottom);
+                ctx.stroke();
+            }
+
+            ctx.fillStyle = `rgb(${rgb})`;
+            const label = formatEventLogMessage(annotation.label.key, annotation.label.params);
+            // Only simulation bands have an ID worth showing
+            const text = annotation.series ? label : `${label} · ${annotation.id.substring(0, 8)}`;
+            ctx.fillText(text, Math.max(left, chartArea.left) + 3, chartArea.top + 2);
+
+            chart.$simulationBands.push({ id: annotation.id, series: annotation.series, left, right: Math.max(right, left + 2) });
+        }
+
+        ctx.restore();
+    }
+};
+
+/**
+ * Finds the simulation band under a chart event (most recent band wins).
+ * Reconnect bands have no log entries to highlight, so clicks pass through them.
+ */
+function findAnnotationBand(event, chart) {
+    const { chartArea } = chart;
+    if (event.y < chartArea.top || event.y > chartArea.bottom) return null;
+    const bands = chart.$simulationBands || [];
+    for (let i = bands.length - 1; i >= 0; i--) {
+        if (bands[i].series) continue;
+        if (event.x >= bands[i].left && event.x <= bands[i].right) return bands[i];
+    }
+    return null;
+}
+
+/**
+ * Chart click handler: highlights the event log entries of the clicked simulation band.
+ */
+function handleAnnotationClick(event, elements, chart) {
+    highlightSimulationLogEntries(findAnnotationBand(event, chart)?.id || null);
+}
+
+function handleAnnotationHover(event, elements, chart) {
+    chart.canvas.style.cursor = findAnnotationBand(event, chart) ? 'pointer' : '';
+}
+
+// ==========================================================================
+// Latency Chart
+// ==========================================================================
+
+// Latency chart update interval (always 100ms, independent of probe rate)
+const LATENCY_CHART_UPDATE_INTERVAL_MS = 100;
+
+/**
+ * Update the latency chart.
+ * @param {boolean} [force] - Redraw even while the charts are frozen
+ */
+export function updateLatencyChart(force = false) {
+    if (!state.charts.latency || state.deferChartUpdates || (state.chartsFrozen && !force)) return;
+    
+    const history = snapshotHistory(getDisplayedLatencyHistory());
+    state.chartSnapshot.latency = history;
+    
+    // Create gradient based on chart's actual dimensions
+    const ctx = state.charts.latency.ctx;
+    const chartArea = state.charts.latency.chartArea;
+    const gradientHeight = chartArea ? (chartArea.bottom - chartArea.top) : 200;
+    const gradient = ctx.createLinearGradient(0, 0, 0, gradientHeight);
+    gradient.addColorStop(0, 'rgba(209, 52, 56, 0.3)');   // Red at top (high latency)
+    gradient.addColorStop(0.5, 'rgba(255, 185, 0, 0.2)'); // Yellow in middle
+    gradient.addColorStop(1, 'rgba(16, 124, 16, 0.2)');   // Green at bottom (low latency)
+    
+    // Map data points to colors based on latency
+    const pointColors = history.values.map((v, i) => {
+        if (history.isTimeout[i]) return '#d13438';
+        if (v > 1000) return '#d13438';
+        if (v > 150) return '#ffb900';
+        return '#107c10';
+    });
+    
+    state.charts.latency.data.labels = history.timestamps.map(t => formatUtcTime(t));
+    state.charts.latency.data.datasets[0].data = history.values;
+    state.charts.latency.data.datasets[0].backgroundColor = gradient;
+    state.charts.latency.data.datasets[0].borderColor = pointColors;
+    state.charts.latency.data.datasets[0].segment = {
+        borderColor: ctx => {
+            const index = ctx.p0DataIndex;
+            const latency = history.values[index];
+            const isTimeout = history.isTimeout[index];
+            if (isTimeout) return '#d13438';
+            if (latency > 1000) return '#d13438';
+            if (latency > 150) return '#ffb900';
+            return '#107c10';
+        }
+    };
+    state.charts.latency.update('none');
+}
+
+/**
+ * Starts the fixed 100ms latency chart update timer.
+ * 
+ * This timer is completely independent of the server's probe rate (HEALTH_PROBE_RATE).
+ * The probe rate controls how often the server measures latency; this timer controls
+ * how often the chart renders. Between probes, the last known value is repeated
+ * (sample-and-hold interpolation) to keep the chart scrolling smoothly at 10fps.
+ * 
+ * 600 data points at 100ms = 60 second chart window.
+ */
+export function startLatencyChartUpdates() {
+    // Replay drives the latency chart from recorded probe times instead
+    if (SESSION.isReplaying()) return;
+
+    // Clear any existing timer
+    if (latencyInterpolation.chartUpdateTimer) {
+        clearInterval(latencyInterpolation.chartUpdateTimer);
+    }
+
+    latencyInterpolation.chartUpdateTimer = setInterval(() => {
+        // Skip if charts aren't ready or no probe data received yet
+        if (!state.charts.latency || latencyInterpolation.lastProbeValue === null) return;
+
+        // Push the latest probe value (sample-and-hold between probes)
+        addLatencyToHistory(
+            new Date(),
+            latencyInterpolation.lastProbeValue,
+            latencyInterpolation.lastProbeIsTimeout,
+            latencyInterpolation.lastProbeIsError
+        );
+        updateLatencyChart();
+    }, LATENCY_CHART_UPDATE_INTERVAL_MS);
+}
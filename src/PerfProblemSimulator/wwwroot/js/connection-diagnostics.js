@@ -0,0 +1,228 @@
+/**
+ * Connection Diagnostics
+ *
+ * Shows the health of the dashboard's own hub connection, to tell whether
+ * slowness is the app or the connection: the negotiated transport, the
+ * connection ID, the reconnect count and time spent disconnected, the hub
+ * round-trip time and the message rate per hub method. connection.js reports
+ * the connection lifecycle (onreconnecting/onreconnected/onclose) here; every
+ * episode without a connection is drawn as a band on the latency chart.
+ *
+ * Educational Note:
+ * The latency probe is timed on the server, from the server to itself, so it
+ * measures request queueing in the app. The hub round trip is timed in the
+ * browser (invoke('Ping')), so it also includes the network and the hub. A
+ * slow round trip with a normal probe latency points at the connection.
+ */
+
+import { i18n } from './i18n.js';
+import { state } from './metrics-store.js';
+import { endConnectionAnnotation, startConnectionAnnotation } from './charts.js';
+import { formatLatency } from './latency-monitor.js';
+import { formatClock } from './simulations.js';
+
+// How often the hub round trip is measured
+const PING_INTERVAL_MS = 5000;
+// Window the message rates are averaged over
+const RATE_WINDOW_MS = 10000;
+// Transport class names of the unminified client (the minified one renames them)
+const TRANSPORT_CLASS_NAMES = {
+    WebSocketTransport: 'WebSockets',
+    ServerSentEventsTransport: 'ServerSentEvents',
+    LongPollingTransport: 'LongPolling'
+};
+
+export const CONNECTION_DIAGNOSTICS = {
+    loggedTransport: null,     // Transport named in the client's log, if the transport object can't tell
+    reconnectCount: 0,         // Times the connection came back after an outage
+    outageCount: 0,            // Outages so far, numbers the chart bands
+    disconnectedMs: 0,         // Total length of the outages that have ended
+    outageStart: null,         // Start of the current outage (Date.now() ms), or null
+    outageBandId: null,        // Latency chart band of the current outage
+    roundTripMs: null,         // Last measured hub round trip
+    pingStartedAt: null,       // Start of the round trip in flight, or null
+    messages: new Map(),       // Hub method → { total, times: receive times within RATE_WINDOW_MS }
+
+    /**
+     * Starts the round-trip measurements and the once-a-second refresh.
+     * Called from the dashboard's DOMContentLoaded handler.
+     */
+    initialize() {
+        setInterval(() => this.ping(), PING_INTERVAL_MS);
+        setInterval(() => this.render(), 1000);
+        this.render();
+    },
+
+    /**
+     * A SignalR logger that writes messages from minLevel up to the console,
+     * like the client's default logger. It also notes the transport the client
+     * says it selected (logged at Debug, so whatever minLevel is), for when
+     * getTransport() can't read it from the connection. Passed to configureLogging().
+     * @param {number} minLevel - signalR.LogLevel to write to the console
+     */
+    createLogger(minLevel) {
+        return {
+            log: (level, message) => {
+                const selected = /Selecting transport '(\w+)'/.exec(message);
+                if (selected) this.loggedTransport = selected[1];
+                if (level < minLevel) return;
+                const text = `[${new Date().toISOString()}] SignalR: ${message}`;
+                if (level >= signalR.LogLevel.Error) console.error(text);
+                else if (level === signalR.LogLevel.Warning) console.warn(text);
+                else console.info(text);
+            }
+        };
+    },
+
+    /**
+     * The transport the hub connection is using, read from the client's
+     * transport object: its class name, or in the minified client the socket
+     * it holds. Falls back to the one named in the client's log.
+     * @returns {string|null} e.g. 'WebSockets'
+     */
+    getTransport() {
+        const transport = state.connection?.connection?.transport;
+        if (transport) {
+            const byName = TRANSPORT_CLASS_NAMES[transport.constructor?.name];
+            if (byName) return byName;
+            if ('pollAborted' in transport) return 'LongPolling';
+            const held = Object.values(transport);
+            if (typeof WebSocket !== 'undefined' && held.some(value => value instanceof WebSocket)) return 'WebSockets';
+            if (typeof EventSource !== 'undefined' && held.some(value => value instanceof EventSource)) return 'ServerSentEvents';
+        }
+        return this.loggedTransport;
+    },
+
+    /**
+     * Counts a hub message for the message rates.
+     * @param {string} method - Hub method name, e.g. 'ReceiveMetrics'
+     */
+    recordMessage(method) {
+        if (!this.messages.has(method)) this.messages.set(method, { total: 0, times: [] });
+        const counts = this.messages.get(method);
+        counts.total++;
+        counts.times.push(Date.now());
+    },
+
+    /**
+     * The connection was lost (reconnecting, closed, or a start failed).
+     * Opens an outage, unless one is already open.
+     */
+    connectionLost() {
+        this.pingStartedAt = null;
+        if (this.outageStart !== null) return;
+        this.outageStart = Date.now();
+        this.outageCount++;
+        this.outageBandId = `reconnect-${this.outageCount}`;
+        startConnectionAnnotation(this.outageBandId);
+        this.render();
+    },
+
+    /**
+     * The connection is up (started or reconnected). Ends the open outage, if any.
+     */
+    connected() {
+        if (this.outageStart !== null) {
+            this.disconnectedMs += Date.now() - this.outageStart;
+            this.reconnectCount++;
+            endConnectionAnnotation(this.outageBandId);
+            this.outageStart = null;
+            this.outageBandId = null;
+        }
+        this.render();
+    },
+
+    /**
+     * Times a hub round trip. Skipped while disconnected or while the
+     * previous one is still waiting for the server.
+     */
+    async ping() {
+        const connection = state.connection;
+        if (!connection || connection.state !== signalR.HubConnectionState.Connected || this.pingStartedAt !== null) return;
+        const startedAt = Date.now();
+        this.pingStartedAt = startedAt;
+        try {
+            await connection.invoke('Ping');
+            if (this.pingStartedAt === startedAt) this.roundTripMs = Date.now() - startedAt;
+        } catch (err) {
+            // Connection lost mid-call, or a server without Ping: the next ping retries
+        } finally {
+            if (this.pingStartedAt === startedAt) this.pingStartedAt = null;
+        }
+        this.render();
+    },
+
+    /**
+     * Total time spent disconnected, including the current outage.
+     */
+    getDisconnectedMs() {
+        return this.disconnectedMs + (this.outageStart !== null ? Date.now() - this.outageStart : 0);
+    },
+
+    render() {
+        const connection = state.connection;
+        const isConnected = connection?.state === signalR.HubConnectionState.Connected;
+        document.getElementById('diagTransport').textContent = (isConnected && this.getTransport()) || '--';
+        document.getElementById('diagConnectionId').textContent = (isConnected && connection.connectionId) || '--';
+        document.getElementById('diagReconnects').textContent = this.reconnectCount;
+
+        const disconnected = document.getElementById('diagDisconnected');
+        disconnected.textContent = this.outageStart !== null
+            ? i18n('diagnostics.disconnectedNow', { total: formatClock(this.getDisconnectedMs()), current: formatClock(Date.now() - this.outageStart) })
+            : formatClock(this.disconnectedMs);
+        disconnected.classList.toggle('warning', this.outageStart !== null);
+
+        // A round trip still waiting longer than the last one is the better estimate
+        const waitingMs = this.pingStartedAt !== null ? Date.now() - this.pingStartedAt : 0;
+        const roundTrip = document.getElementById('diagRoundTrip');
+        if (this.roundTripMs === null && waitingMs === 0) roundTrip.textContent = '--';
+        else if (waitingMs > (this.roundTripMs ?? 0)) roundTrip.textContent = i18n('diagnostics.waiting', { latency: formatLatency(waitingMs) });
+        else roundTrip.textContent = formatLatency(this.roundTripMs);
+
+        this.renderMessageRates();
+    },
+
+    renderMessageRates() {
+        const container = document.getElementById('diagMessageRates');
+        const cutoff = Date.now() - RATE_WINDOW_MS;
+        const methods = [...this.messages.keys()].sort();
+        if (methods.length === 0) {
+            const empty = document.createElement('p');
+            empty.className = 'diagnostics-empty';
+            empty.textContent = i18n('diagnostics.noMessages');
+            container.replaceChildren(empty);
+            return;
+        }
+
+        container.replaceChildren(...methods.map(method => {
+            const counts = this.messages.get(method);
+            counts.times = counts.times.filter(time => time > cutoff);
+            const row = document.createElement('div');
+            row.className = 'diagnostics-rate';
+            row.dataset.method = method;
+            const name = document.createElement('span');
+            name.className = 'diagnostics-rate-method';
+            name.textContent = method;
+            const rate = document.createElement('span');
+            rate.className = 'diagnostics-rate-value';
+            rate.textContent = i18n('diagnostics.rate', { rate: counts.times.length / (RATE_WINDOW_MS / 1000), total: counts.total });
+            row.append(name, rate);
+            return row;
+        }));
+    },
+
+    /**
+     * Forgets the counters, keeping the state of the current connection.
+     */
+    reset() {
+        this.reconnectCount = 0;
+        this.outageCount = 0;
+        this.disconnectedMs = 0;
+        this.outageStart = null;
+        this.outageBandId = null;
+        this.roundTripMs = null;
+        this.pingStartedAt = null;
+        this.messages.clear();
+        this.render();
+    }
+};
@@ -0,0 +1,314 @@
+/**
+ * Hub Connection
+ *
+ * Owns the SignalR connection to /hubs/metrics and turns every hub message into
+ * an event on the dashboard's event bus (event-bus.js), so the panels never
+ * register hub handlers themselves. Session replay feeds recorded messages
+ * through the same path (dispatchHubMessage), and so does the HTTP polling
+ * fallback that keeps the charts going while the hub can't connect.
+ *
+ * Educational Note:
+ * SignalR provides WebSocket communication with automatic fallback
+ * to Server-Sent Events or Long Polling if WebSockets aren't available.
+ */
+
+import { EVENT_BUS } from './event-bus.js';
+import { i18n } from './i18n.js';
+import { API_CLIENT, CONFIG, state } from './metrics-store.js';
+import { logEvent } from './event-log.js';
+import { SIMULATOR_ERROR_CODES } from './simulator-client.js';
+import { CONNECTION_DIAGNOSTICS } from './connection-diagnostics.js';
+import { startLatencyChartUpdates } from './charts.js';
+import { SESSION } from './session-recorder.js';
+
+// ==========================================================================
+// SignalR Connection
+// ==========================================================================
+
+/**
+ * Initialize SignalR connection to the metrics hub.
+ * 
+ * Educational Note:
+ * SignalR automatically negotiates the best transport (WebSocket, SSE, Long Polling).
+ * We use withAutomaticReconnect() to handle temporary disconnections gracefully.
+ */
+export async function initializeSignalR() {
+    state.connection = new signalR.HubConnectionBuilder()
+        .withUrl('/hubs/metrics')
+        .withAutomaticReconnect([0, 2000, 5000, 10000, 30000]) // Retry with backoff
+        // Also notes the selected transport, for when the diagnostics panel can't read it
+        .configureLogging(CONNECTION_DIAGNOSTICS.createLogger(signalR.LogLevel.Information))
+        .build();
+
+    // Configure timeouts to detect server unresponsiveness faster
+    // serverTimeoutInMilliseconds: How long client waits for server response before disconnecting
+    // Must be at least 2x the server's KeepAliveInterval (15s), so we use 45s
+    state.connection.serverTimeoutInMilliseconds = 45000;
+    
+    // keepAliveIntervalInMilliseconds: How often client sends ping to server
+    state.connection.keepAliveIntervalInMilliseconds = 15000;
+
+    // Handle connection state changes
+    state.connection.onreconnecting(error => {
+        // If we intentionally disconnected for idle, suppress reconnect UI
+        if (state.intentionalDisconnect) return;
+        CONNECTION_DIAGNOSTICS.connectionLost();
+        updateConnectionStatus('connecting', 'status.reconnecting');
+        logEvent('system', 'log.connection.lost');
+        // Automatic reconnect can take a minute (backoff plus the server timeout)
+        startHttpFallback();
+    });
+
+    state.connection.onreconnected(async connectionId => {
+        state.intentionalDisconnect = false;
+        logEvent('system', 'log.connection.reconnected');
+        CONNECTION_DIAGNOSTICS.connected();
+        stopHttpFallback();
+
+        // After auto-reconnect, check if the server is idle.
+        // The server does NOT send idle state on connect (to avoid a race
+        // with WakeUp on initial page load), so we must query it explicitly.
+        try {
+            const idleData = await state.connection.invoke('GetIdleState');
+            if (idleData.isIdle) {
+                // Server is idle — re-enter idle mode and disconnect (idle.js)
+                EVENT_BUS.publish('idleState', idleData);
+            } else {
+                // Server is active — show connected and resume chart
+                state.isIdle = false;
+                updateConnectionStatus('connected', 'status.connected');
+                startLatencyChartUpdates();
+            }
+        } catch (err) {
+            // Query failed — assume connected
+            updateConnectionStatus('connected', 'status.connected');
+        }
+    });
+
+    state.connection.onclose(error => {
+        // If we intentionally closed the WS (idle), don't update status or reconnect
+        if (state.intentionalDisconnect) {
+            return;
+        }
+        CONNECTION_DIAGNOSTICS.connectionLost();
+        updateConnectionStatus('disconnected', 'status.disconnected');
+        logEvent('system', 'log.connection.closed');
+        startHttpFallback();
+        // Auto-reconnect after close (handles cases where withAutomaticReconnect gives up)
+        setTimeout(initializeSignalR, CONFIG.reconnectDelayMs);
+    });
+
+    // Register message handlers
+    // Note: SignalR uses camelCase for method names by default
+    for (const method of Object.keys(HUB_MESSAGES)) {
+        // One wrapper per method so the session recorder sees each message once
+        const wrapped = (...args) => {
+            CONNECTION_DIAGNOSTICS.recordMessage(method);
+            receiveLiveMessage(method, args);
+        };
+        state.connection.on(method, wrapped);
+        state.connection.on(method.charAt(0).toLowerCase() + method.slice(1), wrapped);
+    }
+
+    // Start connection
+    try {
+        updateConnectionStatus('connecting', 'status.connecting');
+        await state.connection.start();
+        state.intentionalDisconnect = false;
+        updateConnectionStatus('connected', 'status.connected');
+        logEvent('system', 'log.connection.connected');
+        CONNECTION_DIAGNOSTICS.connected();
+        stopHttpFallback();
+        
+        // Wake up the server on initial page load (not on auto-reconnects)
+        // This is the ONLY place that should wake the app from idle state
+        try {
+            await state.connection.invoke('WakeUp');
+        } catch (err) {
+            console.warn('Failed to invoke WakeUp on initial connect:', err);
+        }
+    } catch (err) {
+        CONNECTION_DIAGNOSTICS.connectionLost();
+        updateConnectionStatus('disconnected', 'status.connectionFailed');
+        logEvent('system', 'log.connection.failed', { error: err.message }, { severity: 'error' });
+        startHttpFallback();
+        // Try again after delay
+        setTimeout(initializeSignalR, CONFIG.reconnectDelayMs);
+    }
+}
+
+/**
+ * Hub methods the dashboard listens to, mapped to the event bus event they
+ * publish and a function building the event payload from the method arguments.
+ */
+const HUB_MESSAGES = {
+    ReceiveMetrics:               { event: 'metrics', payload: snapshot => snapshot },
+    ReceiveLatency:               { event: 'latency', payload: measurement => measurement },
+    ReceiveSlowRequestLatency:    { event: 'slowRequestLatency', payload: data => data },
+    ReceiveSlowRequestProgress:   { event: 'slowRequestProgress', payload: status => status },
+    ReceiveFailedRequestProgress: { event: 'failedRequestProgress', payload: status => status },
+    ReceiveLoadTestStats:         { event: 'loadTestStats', payload: stats => stats },
+    ReceiveIdleState:             { event: 'idleState', payload: data => data },
+    SimulationStarted: {
+        event: 'simulation',
+        payload: (simulationType, simulationId) => ({ phase: 'started', simulationType, simulationId })
+    },
+    SimulationCompleted: {
+        event: 'simulation',
+        payload: (simulationType, simulationId) => ({ phase: 'completed', simulationType, simulationId })
+    }
+};
+
+/**
+ * Handles a live message, from the hub or the HTTP polling fallback. Live
+ * messages are ignored while a recorded session is being replayed.
+ * @param {string} method - Hub method name, e.g. 'ReceiveMetrics'
+ * @param {Array} args - Method arguments
+ */
+function receiveLiveMessage(method, args) {
+    if (SESSION.isReplaying()) return;
+    SESSION.capture(method, args);
+    dispatchHubMessage(method, args);
+}
+
+/**
+ * Publishes a hub message on the event bus. Used for live messages and for
+ * messages replayed from a session file.
+ * @param {string} method - Hub method name, e.g. 'ReceiveMetrics'
+ * @param {Array} args - Method arguments
+ */
+export function dispatchHubMessage(method, args) {
+    const message = HUB_MESSAGES[method];
+    if (!message) return;
+    EVENT_BUS.publish(message.event, message.payload(...args));
+}
+
+/**
+ * Shows the connection state in the header.
+ * @param {string} status - 'connected', 'connecting', 'disconnected' or 'idle'
+ * @param {string} key - i18n key of the status text
+ */
+export function updateConnectionStatus(status, key) {
+    // Also called to re-translate the text, which isn't a state change
+    const changed = state.connectionStatus.status !== status || state.connectionStatus.key !== key;
+    state.connectionStatus = { status, key };
+    const indicator = document.getElementById('connectionIndicator');
+    const textEl = document.getElementById('connectionText');
+    
+    indicator.className = `indicator ${status}`;
+    textEl.textContent = i18n(key);
+
+    if (changed) EVENT_BUS.publish('connection', { status, key });
+}
+
+/**
+ * Ensures the SignalR WebSocket connection is active.
+ * If the connection was intentionally closed (idle) or is otherwise disconnected,
+ * re-initializes SignalR. Called at the top of every simulation trigger so that
+ * clicking a button automatically reconnects before making the API call.
+ */
+export function ensureWebSocket() {
+    if (!state.connection ||
+        state.connection.state === signalR.HubConnectionState.Disconnected ||
+        state.connection.state === signalR.HubConnectionState.Disconnecting) {
+        state.intentionalDisconnect = false;
+        state.isIdle = false;
+        // Restart latency chart updates (stopped when going idle)
+        startLatencyChartUpdates();
+        initializeSignalR();
+    }
+}
+
+// ==========================================================================
+// HTTP Polling Fallback
+// ==========================================================================
+
+/**
+ * Degraded mode for when the hub is reconnecting or can't connect (a proxy
+ * blocking WebSockets, or the server too starved to complete the handshake): polls
+ * /api/metrics/current and /api/health/probe over plain HTTP and feeds the
+ * results through the hub message path, so the charts keep moving. The
+ * hub keeps retrying meanwhile; the first successful connect ends it.
+ *
+ * Educational Note:
+ * The fallback latency is timed in the browser, so unlike the server's own
+ * probe it includes the network round trip. Each poll waits for the previous
+ * one, so a starved server isn't sent a growing queue of requests.
+ */
+const HTTP_FALLBACK = {
+    active: false,
+    run: 0,  // Incremented on every start, so polls still in flight from an earlier run stop
+    metricsTimer: null,
+    probeTimer: null,
+    lastSnapshotTimestamp: null
+};
+
+function startHttpFallback() {
+    if (HTTP_FALLBACK.active || state.intentionalDisconnect) return;
+    HTTP_FALLBACK.active = true;
+    HTTP_FALLBACK.run++;
+    HTTP_FALLBACK.lastSnapshotTimestamp = null;
+    state.httpFallback = true;
+    document.getElementById('httpFallbackBadge').classList.remove('hidden');
+    logEvent('system', 'log.connection.fallbackStarted', {}, { severity: 'warning' });
+    pollFallbackMetrics(HTTP_FALLBACK.run);
+    pollFallbackProbe(HTTP_FALLBACK.run);
+}
+
+function stopHttpFallback() {
+    if (!HTTP_FALLBACK.active) return;
+    HTTP_FALLBACK.active = false;
+    clearTimeout(HTTP_FALLBACK.metricsTimer);
+    clearTimeout(HTTP_FALLBACK.probeTimer);
+    HTTP_FALLBACK.metricsTimer = null;
+    HTTP_FALLBACK.probeTimer = null;
+    state.httpFallback = false;
+    document.getElementById('httpFallbackBadge').classList.add('hidden');
+    logEvent('system', 'log.connection.fallbackStopped');
+}
+
+function isCurrentFallbackRun(run) {
+    return HTTP_FALLBACK.active && HTTP_FALLBACK.run === run;
+}
+
+async function pollFallbackMetrics(run) {
+    try {
+        const snapshot = await API_CLIENT.getCurrentMetrics();
+        // The endpoint returns the collector's cached snapshot; skip repeats
+        if (isCurrentFallbackRun(run) && snapshot && snapshot.timestamp !== HTTP_FALLBACK.lastSnapshotTimestamp) {
+            HTTP_FALLBACK.lastSnapshotTimestamp = snapshot.timestamp;
+            receiveLiveMessage('ReceiveMetrics', [snapshot]);
+        }
+    } catch (err) {
+        // Server unreachable - the next poll retries
+    }
+    if (isCurrentFallbackRun(run)) {
+        HTTP_FALLBACK.metricsTimer = setTimeout(() => pollFallbackMetrics(run), CONFIG.fallbackPollIntervalMs);
+    }
+}
+
+async function pollFallbackProbe(run) {
+    const startedAt = Date.now();
+    let measurement;
+    try {
+        await API_CLIENT.probeHealth({ timeoutMs: CONFIG.latencyTimeoutMs });
+        measurement = { latencyMs: Date.now() - startedAt, isTimeout: false, isError: false };
+    } catch (err) {
+        if (err.code === SIMULATOR_ERROR_CODES.timeout) {
+            measurement = { latencyMs: CONFIG.latencyTimeoutMs, isTimeout: true, isError: false };
+        } else if (err.status > 0) {
+            measurement = { latencyMs: Date.now() - startedAt, isTimeout: false, isError: true, errorMessage: err.message };
+        }
+        // No measurement while the server is unreachable: the connection status already says so
+    }
+    if (isCurrentFallbackRun(run) && measurement) {
+        receiveLiveMessage('ReceiveLatency', [{
+            timestamp: new Date(startedAt).toISOString(),
+            ...measurement,
+            source: 'HttpFallback'
+        }]);
+    }
+    if (isCurrentFallbackRun(run)) {
+        HTTP_FALLBACK.probeTimer = setTimeout(() => pollFallbackProbe(run), CONFIG.fallbackPollIntervalMs);
+    }
+}
@@ -1,1825 +1,243 @@
 /**
- * Performance Problem Simulator - Dashboard JavaScript
- * 
- * Educational Note:
- * This file handles real-time metrics visualization using SignalR.
- * SignalR provides WebSocket communication with automatic fallback
- * to Server-Sent Events or Long Polling if WebSockets aren't available.
- */
-
-// ==========================================================================
-// Configuration & State
-// ==========================================================================
-
-const CONFIG = {
-    maxDataPoints: 240,  // 1 minute of data at 250ms intervals
-    maxLatencyDataPoints: 600, // 60 seconds of probe data
-    // latencyProbeIntervalMs is loaded from server config (default 200ms).
-    // Server probes at this interval and broadcasts results via SignalR.
-    latencyProbeIntervalMs: 200,
-    idleTimeoutMinutes: 20,
-    latencyTimeoutMs: 30000,
-    reconnectDelayMs: 2000,
-    apiBaseUrl: '/api'
-};
+ * Performance Problem Simulator - Dashboard
+ *
+ * Entry module of the dashboard page (the only <script type="module"> in
+ * index.html): initializes the modules in order from one DOMContentLoaded
+ * handler, and owns the page-level pieces (header, side panel, language
+ * switcher, translation diagnostics, chart data export).
+ *
+ * The panels don't register hub handlers themselves: connection.js publishes
+ * every hub message on the event bus (event-bus.js) and each panel subscribes
+ * to the events it shows:
+ *
+ *   metrics.js          Metric cards ('metrics')
+ *   latency-monitor.js  Latency display ('latency', 'slowRequestLatency')
+ *   simulations.js      Simulation controls and Active Simulations ('simulation', 'loadTestStats',
+ *                       'slowRequestProgress', 'failedRequestProgress', 'connection')
+ *   idle.js             Idle handling ('idleState')
+ *
+ * Chart buffers and shared state live in metrics-store.js, the charts in charts.js.
+ */
+
+import { I18N, i18n } from './i18n.js';
+import {
+    API_CLIENT,
+    buildHistoryCsv,
+    buildHistoryExport,
+    CONFIG,
+    latencyInterpolation,
+    state
+} from './metrics-store.js';
+import { copyEventLog, EVENT_LOG, initSimulationIdCopyHandlers, logEvent } from './event-log.js';
+import {
+    initializeCharts,
+    initializeChartToolbar,
+    renderChartLabels,
+    renderFreezeButton,
+    setChartsFrozen,
+    startLatencyChartUpdates,
+    updateCharts,
+    updateLatencyChart
+} from './charts.js';
+import { initializeSignalR, updateConnectionStatus } from './connection.js';
+import { initializeMetricCards } from './metrics.js';
+import { initializeLatencyMonitor, probeHistory, renderSlowRequestLatency } from './latency-monitor.js';
+import { LATENCY_STATS } from './latency-stats.js';
+import {
+    clearAllActiveSimulations,
+    initializeSimulations,
+    restoreSimulationState,
+    updateActiveSimulationsUI
+} from './simulations.js';
+import { initializeIdleHandling } from './idle.js';
+import { ALERTS } from './alerts.js';
+import { INSTANCES } from './instances.js';
+import { CONNECTION_DIAGNOSTICS } from './connection-diagnostics.js';
+import { PLAYBOOK } from './playbook.js';
+import { SESSION } from './session-recorder.js';
+import { ROUTER } from './router.js';
 
 // ==========================================================================
-// Latency Color Thresholds & Gradients
+// Data Export
 // ==========================================================================
 
-// RGB values for smooth color interpolation on latency chart
-const LATENCY_RGB = {
-    good:     { r: 16,  g: 124, b: 16  }, // Green - good (<150ms)
-    degraded: { r: 255, g: 185, b: 0   }, // Yellow - degraded (150ms-1s)
-    severe:   { r: 255, g: 140, b: 0   }, // Orange - severe (1s+)
-    critical: { r: 209, g: 52,  b: 56  }  // Red - critical (30s+)
-};
-
 /**
- * Interpolates between two RGB colors.
- * @param {Object} color1 - Start color {r, g, b}
- * @param {Object} color2 - End color {r, g, b}
- * @param {number} t - Interpolation factor (0-1)
- * @returns {string} - RGB color string
+ * Saves text content as a file download.
+ * @param {string} fileName - Suggested file name
+ * @param {string} content - File content
+ * @param {string} mimeType - MIME type of the content
  */
-function lerpColor(color1, color2, t) {
-    t = Math.max(0, Math.min(1, t)); // Clamp to 0-1
-    const r = Math.round(color1.r + (color2.r - color1.r) * t);
-    const g = Math.round(color1.g + (color2.g - color1.g) * t);
-    const b = Math.round(color1.b + (color2.b - color1.b) * t);
-    return `rgb(${r}, ${g}, ${b})`;
-}
-
-/**
- * Gets a smoothly interpolated color for a latency value.
- * Blends between threshold colors based on where the value falls.
- * @param {number} latencyMs - Latency value in milliseconds
- * @returns {string} - RGB color string
- */
-function getInterpolatedLatencyColor(latencyMs) {
-    if (latencyMs <= 0) return lerpColor(LATENCY_RGB.good, LATENCY_RGB.good, 0);
-    
-    // 0-150ms: green → yellow
-    if (latencyMs <= 150) {
-        const t = latencyMs / 150;
-        return lerpColor(LATENCY_RGB.good, LATENCY_RGB.degraded, t);
-    }
-    
-    // 150-1000ms: yellow → orange
-    if (latencyMs <= 1000) {
-        const t = (latencyMs - 150) / (1000 - 150);
-        return lerpColor(LATENCY_RGB.degraded, LATENCY_RGB.severe, t);
-    }
-    
-    // 1000-30000ms: orange → red
-    if (latencyMs <= 30000) {
-        const t = (latencyMs - 1000) / (30000 - 1000);
-        return lerpColor(LATENCY_RGB.severe, LATENCY_RGB.critical, t);
-    }
-    
-    // >30000ms: solid red
-    return lerpColor(LATENCY_RGB.critical, LATENCY_RGB.critical, 1);
+export function downloadFile(fileName, content, mimeType) {
+    const blob = new Blob([content], { type: mimeType });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = fileName;
+    link.click();
+    URL.revokeObjectURL(url);
 }
 
 /**
- * Gets a smoothly interpolated RGBA color for a latency value (for gradient fills).
- * @param {number} latencyMs - Latency value in milliseconds
- * @param {number} alpha - Alpha value (0-1)
- * @returns {string} - RGBA color string
+ * Downloads the chart history in the given format.
+ * @param {'csv'|'json'} format - Export format
  */
-function getInterpolatedLatencyColorRGBA(latencyMs, alpha) {
-    let r, g, b;
-    
-    if (latencyMs <= 0) {
-        r = LATENCY_RGB.good.r; g = LATENCY_RGB.good.g; b = LATENCY_RGB.good.b;
-    } else if (latencyMs <= 150) {
-        const t = latencyMs / 150;
-        r = Math.round(LATENCY_RGB.good.r + (LATENCY_RGB.degraded.r - LATENCY_RGB.good.r) * t);
-        g = Math.round(LATENCY_RGB.good.g + (LATENCY_RGB.degraded.g - LATENCY_RGB.good.g) * t);
-        b = Math.round(LATENCY_RGB.good.b + (LATENCY_RGB.degraded.b - LATENCY_RGB.good.b) * t);
-    } else if (latencyMs <= 1000) {
-        const t = (latencyMs - 150) / (1000 - 150);
-        r = Math.round(LATENCY_RGB.degraded.r + (LATENCY_RGB.severe.r - LATENCY_RGB.degraded.r) * t);
-        g = Math.round(LATENCY_RGB.degraded.g + (LATENCY_RGB.severe.g - LATENCY_RGB.degraded.g) * t);
-        b = Math.round(LATENCY_RGB.degraded.b + (LATENCY_RGB.severe.b - LATENCY_RGB.degraded.b) * t);
-    } else if (latencyMs <= 30000) {
-        const t = (latencyMs - 1000) / (30000 - 1000);
-        r = Math.round(LATENCY_RGB.severe.r + (LATENCY_RGB.critical.r - LATENCY_RGB.severe.r) * t);
-        g = Math.round(LATENCY_RGB.severe.g + (LATENCY_RGB.critical.g - LATENCY_RGB.severe.g) * t);
-        b = Math.round(LATENCY_RGB.severe.b + (LATENCY_RGB.critical.b - LATENCY_RGB.severe.b) * t);
+function exportChartHistory(format) {
+    const stamp = new Date().toISOString().replace(/[:.]/g, '-');
+    if (format === 'csv') {
+        downloadFile(`perfsim-history-${stamp}.csv`, buildHistoryCsv(), 'text/csv');
     } else {
-        r = LATENCY_RGB.critical.r; g = LATENCY_RGB.critical.g; b = LATENCY_RGB.critical.b;
+        downloadFile(`perfsim-history-${stamp}.json`, JSON.stringify(buildHistoryExport(), null, 2), 'application/json');
     }
-    
-    return `rgba(${r}, ${g}, ${b}, ${alpha})`;
-}
-
-/**
- * Creates a vertical gradient for the latency chart with smooth color blending.
- * Adds many intermediate color stops for seamless transitions between thresholds.
- * @param {CanvasRenderingContext2D} ctx - Canvas context
- * @param {Object} chartArea - Chart area dimensions
- * @param {Object} scales - Chart scales
- * @returns {CanvasGradient} - The gradient fill
- */
-function createLatencyGradient(ctx, chartArea, scales) {
-    if (!chartArea || !scales.y) return 'rgba(16, 124, 16, 0.2)';
-    
-    const gradient = ctx.createLinearGradient(0, chartArea.bottom, 0, chartArea.top);
-    const yMax = scales.y.max || 200;
-    
-    // Add many color stops for smooth blending (20 stops from bottom to top)
-    const numStops = 20;
-    for (let i = 0; i <= numStops; i++) {
-        const position = i / numStops; // 0 = bottom, 1 = top
-        const latencyAtPosition = position * yMax;
-        
-        // Alpha increases slightly with latency for better visual distinction
-        const alpha = 0.25 + (position * 0.25); // 0.25 at bottom to 0.50 at top
-        
-        const color = getInterpolatedLatencyColorRGBA(latencyAtPosition, alpha);
-        gradient.addColorStop(position, color);
-    }
-    
-    return gradient;
-}
-
-// Probe visualization history (24-dot indicator)
-const probeHistory = [];
-const MAX_PROBE_DOTS = 24;
-
-// Latency chart update interval (always 100ms, independent of probe rate)
-const LATENCY_CHART_UPDATE_INTERVAL_MS = 100;
-
-// Interpolation state: stores the latest probe result for the 100ms chart timer
-const latencyInterpolation = {
-    lastProbeValue: null,      // Most recent probe latency (ms)
-    lastProbeIsTimeout: false, // Most recent probe timeout flag
-    lastProbeIsError: false,   // Most recent probe error flag
-    chartUpdateTimer: null,    // The 100ms setInterval ID
-    chartsInitialized: false   // Whether charts are ready
-};
-
-const state = {
-    connection: null,
-    charts: {},
-    metricsHistory: {
-        timestamps: [],
-        cpu: [],
-        memory: [],
-        threads: [],
-        queue: []
-    },
-    latencyHistory: {
-        timestamps: [],
-        values: [],
-        isTimeout: [],
-        isError: []
-    },
-    slowRequestHistory: {
-        timestamps: [],
-        values: [],
-        scenarios: []
-    },
-    latencyStats: {
-        timeoutCount: 0
-    },
-    activeSimulations: new Map(),
-    slowRequestSimulationId: null,  // Current slow request simulation ID for correlation
-    lastProcessId: null,
-    isIdle: false,  // Tracks whether the server is in idle state
-    intentionalDisconnect: false,  // True when WS is closed on purpose (idle), suppresses reconnect
-    lastFailedRequestCompletedAt: null  // Suppress load test stats after failed request sim
-};
-
-// ==========================================================================
-// UTC Time Formatting
-// ==========================================================================
-
-/**
- * Formats a Date object as UTC time string (HH:MM:SS)
- * All times in the dashboard use UTC to match Azure diagnostics data.
- * @param {Date} date - The date to format
- * @returns {string} UTC time string in HH:MM:SS format
- */
-function formatUtcTime(date) {
-    if (!date || !(date instanceof Date)) return '';
-    const hours = date.getUTCHours().toString().padStart(2, '0');
-    const minutes = date.getUTCMinutes().toString().padStart(2, '0');
-    const seconds = date.getUTCSeconds().toString().padStart(2, '0');
-    return `${hours}:${minutes}:${seconds}`;
-}
-
-/**
- * Gets the current UTC time as a formatted string
- * @returns {string} Current UTC time in HH:MM:SS format
- */
-function getCurrentUtcTime() {
-    return formatUtcTime(new Date());
+    logEvent('system', 'log.export.done', { format: format.toUpperCase() });
 }
 
 // ==========================================================================
-// SignalR Connection
+// Language Switcher
 // ==========================================================================
 
 /**
- * Initialize SignalR connection to the metrics hub.
- * 
- * Educational Note:
- * SignalR automatically negotiates the best transport (WebSocket, SSE, Long Polling).
- * We use withAutomaticReconnect() to handle temporary disconnections gracefully.
+ * Fills the header language picker with the languages the server has a
+ * locale file for. Hidden when only English is available.
  */
-async function initializeSignalR() {
-    state.connection = new signalR.HubConnectionBuilder()
-        .withUrl('/hubs/metrics')
-        .withAutomaticReconnect([0, 2000, 5000, 10000, 30000]) // Retry with backoff
-        .configureLogging(signalR.LogLevel.Information)
-        .build();
-
-    // Configure timeouts to detect server unresponsiveness faster
-    // serverTimeoutInMilliseconds: How long client waits for server response before disconnecting
-    // Must be at least 2x the server's KeepAliveInterval (15s), so we use 45s
-    state.connection.serverTimeoutInMilliseconds = 45000;
-    
-    // keepAliveIntervalInMilliseconds: How often client sends ping to server
-    state.connection.keepAliveIntervalInMilliseconds = 15000;
-
-    // Handle connection state changes
-    state.connection.onreconnecting(error => {
-        // If we intentionally disconnected for idle, suppress reconnect UI
-        if (state.intentionalDisconnect) return;
-        updateConnectionStatus('connecting', i18n('status.reconnecting'));
-        logEvent('system', i18n('log.connection.lost'));
-    });
-
-    state.connection.onreconnected(async connectionId => {
-        state.intentionalDisconnect = false;
-        logEvent('system', i18n('log.connection.reconnected'));
-
-        // After auto-reconnect, check if the server is idle.
-        // The server does NOT send idle state on connect (to avoid a race
-        // with WakeUp on initial page load), so we must query it explicitly.
-        try {
-            const idleData = await state.connection.invoke('GetIdleState');
-            if (idleData.isIdle) {
-                // Server is idle — re-enter idle mode and disconnect
-                handleIdleState(idleData);
-            } else {
-                // Server is active — show connected and resume chart
-                state.isIdle = false;
-                updateConnectionStatus('connected', i18n('status.connected'));
-                startLatencyChartUpdates();
-            }
-        } catch (err) {
-            // Query failed — assume connected
-            updateConnectionStatus('connected', i18n('status.connected'));
-        }
-    });
-
-    state.connection.onclose(error => {
-        // If we intentionally closed the WS (idle), don't update status or reconnect
-        if (state.intentionalDisconnect) {
-            return;
-        }
-        updateConnectionStatus('disconnected', i18n('status.disconnected'));
-        logEvent('system', i18n('log.connection.closed'));
-        // Auto-reconnect after close (handles cases where withAutomaticReconnect gives up)
-        setTimeout(initializeSignalR, CONFIG.reconnectDelayMs);
-    });
-
-    // Register message handlers
-    // Note: SignalR uses camelCase for method names by default
-    state.connection.on('ReceiveMetrics', handleMetricsUpdate);
-    state.connection.on('receiveMetrics', handleMetricsUpdate);
-    state.connection.on('SimulationStarted', handleSimulationStarted);
-    state.connection.on('simulationStarted', handleSimulationStarted);
-    state.connection.on('SimulationCompleted', handleSimulationCompleted);
-    state.connection.on('simulationCompleted', handleSimulationCompleted);
-    state.connection.on('ReceiveLatency', handleLatencyUpdate);
-    state.connection.on('receiveLatency', handleLatencyUpdate);
-    state.connection.on('ReceiveSlowRequestLatency', handleSlowRequestLatency);
-    state.connection.on('receiveSlowRequestLatency', handleSlowRequestLatency);
-    state.connection.on('ReceiveLoadTestStats', handleLoadTestStats);
-    state.connection.on('receiveLoadTestStats', handleLoadTestStats);
-    state.connection.on('ReceiveIdleState', handleIdleState);
-    state.connection.on('receiveIdleState', handleIdleState);
-
-    // Start connection
-    try {
-        updateConnectionStatus('connecting', i18n('status.connecting'));
-        await state.connection.start();
-        state.intentionalDisconnect = false;
-        updateConnectionStatus('connected', i18n('status.connected'));
-        logEvent('system', i18n('log.connection.connected'));
-        
-        // Wake up the server on initial page load (not on auto-reconnects)
-        // This is the ONLY place that should wake the app from idle state
-        try {
-            await state.connection.invoke('WakeUp');
-        } catch (err) {
-            console.warn('Failed to invoke WakeUp on initial connect:', err);
-        }
-    } catch (err) {
-        updateConnectionStatus('disconnected', i18n('status.connectionFailed'));
-        logEvent('system', i18n('log.connection.failed', { error: err.message }));
-        // Try again after delay
-        setTimeout(initializeSignalR, CONFIG.reconnectDelayMs);
-    }
-}
-
-function updateConnectionStatus(status, text) {
-    const indicator = document.getElementById('connectionIndicator');
-    const textEl = document.getElementById('connectionText');
-    
-    indicator.className = `indicator ${status}`;
-    textEl.textContent = text;
+function initializeLanguagePicker() {
+    const select = document.getElementById('languageSelect');
+    select.replaceChildren(...I18N.availableLanguages.map(language =>
+        new Option(I18N.getLanguageName(language), language)));
+    select.value = I18N.currentLanguage;
+    document.getElementById('languagePicker').classList.toggle('hidden', I18N.availableLanguages.length < 2);
+    select.addEventListener('change', () => changeLanguage(select.value));
 }
 
 /**
- * Ensures the SignalR WebSocket connection is active.
- * If the connection was intentionally closed (idle) or is otherwise disconnected,
- * re-initializes SignalR. Called at the top of every simulation trigger so that
- * clicking a button automatically reconnects before making the API call.
+ * Switches the UI language without a reload and remembers it in this browser.
+ * @param {string} language - ISO 639-1 language code
  */
-function ensureWebSocket() {
-    if (!state.connection ||
-        state.connection.state === signalR.HubConnectionState.Disconnected ||
-        state.connection.state === signalR.HubConnectionState.Disconnecting) {
-        state.intentionalDisconnect = false;
-        state.isIdle = false;
-        // Restart latency chart updates (stopped when going idle)
-        startLatencyChartUpdates();
-        initializeSignalR();
-    }
+async function changeLanguage(language) {
+    await I18N.setLanguage(language);
+    document.getElementById('languageSelect').value = I18N.currentLanguage;
+    refreshTranslatedContent();
 }
 
-// ==========================================================================
-// Metrics Handling
-// ==========================================================================
-
 /**
- * Handle incoming metrics snapshot from SignalR.
- * Updates all dashboard elements with the latest data.
+ * Re-renders text that JavaScript wrote (rather than data-i18n markup) in the
+ * current language, including the existing event log entries.
  */
-function handleMetricsUpdate(snapshot) {
-    // Check for application restart (process ID change)
-    if (snapshot.processId) {
-        if (state.lastProcessId !== null && state.lastProcessId !== snapshot.processId) {
-            logEvent('crash', i18n('log.crash.restarted', { oldPid: state.lastProcessId, newPid: snapshot.processId }), { icon: '🔄' });
-            // Clear all active simulations since the app restarted
-            clearAllActiveSimulations();
-        }
-        state.lastProcessId = snapshot.processId;
-    }
-
-    // Update metric cards
-    updateMetricCard('cpu', snapshot.cpuPercent, '%', 100);
-    // Use actual available memory from server for dynamic thresholds
-    const memoryMax = snapshot.totalAvailableMemoryMb || 1000;
-    updateMetricCard('memory', snapshot.workingSetMb, 'MB', memoryMax);
-    updateMetricCard('threads', snapshot.threadPoolThreads, 'threads', 100);
-    updateMetricCard('queue', snapshot.threadPoolQueueLength, 'pending', 100);
-
-    // Update total memory display
-    const totalMemoryEl = document.getElementById('memoryTotal');
-    if (totalMemoryEl && snapshot.totalAvailableMemoryMb) {
-        const totalFormatted = snapshot.totalAvailableMemoryMb >= 1024 
-            ? (snapshot.totalAvailableMemoryMb / 1024).toFixed(1) + ' GB'
-            : Math.round(snapshot.totalAvailableMemoryMb) + ' MB';
-        totalMemoryEl.textContent = `of ${totalFormatted}`;
-    }
-
-    // Update history for charts
-    const timestamp = new Date(snapshot.timestamp);
-    addToHistory(timestamp, snapshot);
-    
-    // Update charts
-    updateCharts();
-    
-    // Update last update time
-    document.getElementById('lastUpdate').textContent = formatUtcTime(timestamp) + ' UTC';
-}
-
-function updateMetricCard(type, value, unit, maxForBar) {
-    const valueEl = document.getElementById(`${type}Value`);
-    const barEl = document.getElementById(`${type}Bar`);
-    const card = valueEl.closest('.metric-card');
-    
-    // Format value
-    const displayValue = typeof value === 'number' ? 
-        (value < 10 ? value.toFixed(1) : Math.round(value)) : '--';
-    valueEl.textContent = displayValue;
-    
-    // Update bar
-    const barPercent = Math.min(100, (value / maxForBar) * 100);
-    barEl.style.width = `${barPercent}%`;
-    
-    // Warning states based on percentage of max
-    card.classList.remove('warning', 'danger');
-    if (type === 'cpu' || type === 'memory') {
-        // Use barPercent for threshold comparison (value as % of max)
-        if (barPercent > 80) card.classList.add('danger');
-        else if (barPercent > 60) card.classList.add('warning');
-    }
-    if (type === 'queue' && value > 10) {
-        card.classList.add('warning');
-    }
-}
-
-function addToHistory(timestamp, snapshot) {
-    const history = state.metricsHistory;
-    
-    history.timestamps.push(timestamp);
-    history.cpu.push(snapshot.cpuPercent);
-    history.memory.push(snapshot.workingSetMb);
-    history.threads.push(snapshot.threadPoolThreads);
-    history.queue.push(snapshot.threadPoolQueueLength);
-    
-    // Trim to max data points
-    while (history.timestamps.length > CONFIG.maxDataPoints) {
-        history.timestamps.shift();
-        history.cpu.shift();
-        history.memory.shift();
-        history.threads.shift();
-        history.queue.shift();
-    }
+function refreshTranslatedContent() {
+    updateConnectionStatus(state.connectionStatus.status, state.connectionStatus.key);
+    renderAzureSku();
+    renderFreezeButton();
+    renderChartLabels();
+    updateActiveSimulationsUI();
+    EVENT_LOG.renderCategories();
+    EVENT_LOG.render();
+    LATENCY_STATS.render();
+    ALERTS.renderRules();
+    ALERTS.renderBanner();
+    ALERTS.renderNotificationButton();
+    INSTANCES.render();
+    CONNECTION_DIAGNOSTICS.render();
+    PLAYBOOK.render();
+    SESSION.render();
 }
 
 // ==========================================================================
-// Charts
+// Translation Diagnostics
 // ==========================================================================
 
-function initializeCharts() {
-    // Resource chart (CPU + Memory)
-    const resourceCtx = document.getElementById('resourceChart').getContext('2d');
-    state.charts.resource = new Chart(resourceCtx, {
-        type: 'line',
-        data: {
-            labels: [],
-            datasets: [
-                {
-                    label: 'CPU %',
-                    data: [],
-                    borderColor: '#0078d4',
-                    backgroundColor: 'rgba(0, 120, 212, 0.1)',
-                    tension: 0.3,
-                    fill: 'origin',
-                    yAxisID: 'y',
-                    pointRadius: 0,
-                    pointHoverRadius: 0,
-                    borderWidth: 1
-                },
-                {
-                    label: 'Memory MB',
-                    data: [],
-                    borderColor: '#107c10',
-                    backgroundColor: 'rgba(16, 124, 16, 0.2)',
-                    tension: 0.3,
-                    fill: 'origin',
-                    yAxisID: 'y1',
-                    pointRadius: 0,
-                    pointHoverRadius: 0,
-                    borderWidth: 1
-                }
-            ]
-        },
-        options: {
-            responsive: true,
-            maintainAspectRatio: false,
-            interaction: {
-                mode: 'index',
-                intersect: false
-            },
-            scales: {
-                x: {
-                    display: true,
-                    ticks: {
-                        maxTicksLimit: 10,
-                        callback: (value, index) => {
-                            const date = state.metricsHistory.timestamps[index];
-                            return date ? formatUtcTime(date) : '';
-                        }
-                    }
-                },
-                y: {
-                    type: 'linear',
-                    display: true,
-                    position: 'left',
-                    min: 0,
-                    max: 100,
-                    title: { display: true, text: 'CPU %' }
-                },
-                y1: {
-                    type: 'linear',
-                    display: true,
-                    position: 'right',
-                    min: 0,
-                    title: { display: true, text: 'Memory MB' },
-                    grid: { drawOnChartArea: false }
-                }
-            },
-            plugins: {
-                legend: { position: 'top' }
-            }
-        }
-    });
-
-    // Thread chart (Threads + Queue)
-    const threadCtx = document.getElementById('threadChart').getContext('2d');
-    state.charts.threads = new Chart(threadCtx, {
-        type: 'line',
-        data: {
-            labels: [],
-            datasets: [
-                {
-                    label: 'Active Threads',
-                    data: [],
-                    borderColor: '#8764b8',
-                    backgroundColor: 'rgba(135, 100, 184, 0.3)',
-                    tension: 0.3,
-                    fill: 'origin',
-                    yAxisID: 'y',
-                    pointRadius: 0,
-                    pointHoverRadius: 0,
-                    borderWidth: 1
-                },
-                {
-                    label: 'Queue Length',
-                    data: [],
-                    borderColor: '#ffb900',
-                    backgroundColor: 'rgba(255, 185, 0, 0.3)',
-                    tension: 0.3,
-                    fill: 'origin',
-                    yAxisID: 'y1',
-                    pointRadius: 0,
-                    pointHoverRadius: 0,
-                    borderWidth: 1
-                }
-            ]
-        },
-        options: {
-            responsive: true,
-            maintainAspectRatio: false,
-            interaction: {
-                mode: 'index',
-                intersect: false
-            },
-            scales: {
-                x: {
-                    display: true,
-                    ticks: {
-                        maxTicksLimit: 10,
-                        callback: (value, index) => {
-                            const date = state.metricsHistory.timestamps[index];
-                            return date ? formatUtcTime(date) : '';
-                        }
-                    }
-                },
-                y: {
-                    type: 'linear',
-                    display: true,
-                    position: 'left',
-                    min: 0,
-                    title: { display: true, text: 'Threads' }
-                },
-                y1: {
-                    type: 'linear',
-                    display: true,
-                    position: 'right',
-                    min: 0,
-                    title: { display: true, text: 'Queue' },
-                    grid: { drawOnChartArea: false }
-                }
-            },
-            plugins: {
-                legend: { position: 'top' }
-            }
-        }
-    });
-
-    // Latency chart
-    const latencyCtx = document.getElementById('latencyChart').getContext('2d');
-    state.charts.latency = new Chart(latencyCtx, {
-        type: 'line',
-        data: {
-            labels: [],
-            datasets: [
-                {
-                    label: 'Latency (ms)',
-                    data: [],
-                    // Segment-based border color - smooth gradient based on data value
-                    segment: {
-                        borderColor: (ctx) => {
-                            const p0 = ctx.p0.parsed?.y;
-                            const p1 = ctx.p1.parsed?.y;
-                            if (p0 == null || p1 == null) return 'rgba(0,0,0,0)';
-                            const value = Math.max(p0, p1);
-                            return getInterpolatedLatencyColor(value);
-                        },
-                    },
-                    borderColor: '#107c10', // Default/fallback (green)
-                    // Dynamic gradient fill based on latency thresholds
-                    backgroundColor: (context) => {
-                        const chart = context.chart;
-                        const { ctx, chartArea, scales } = chart;
-                        if (!chartArea) return 'rgba(16, 124, 16, 0.2)';
-                        return createLatencyGradient(ctx, chartArea, scales);
-                    },
-                    tension: 0.3,
-                    fill: true,
-                    pointRadius: 0, // Hide points for performance with many data points
-                    pointHoverRadius: 0, // Disable hover circles to prevent visual artifacts
-                    borderWidth: 1
-                }
-            ]
-        },
-        options: {
-            responsive: true,
-            maintainAspectRatio: false,
-            animation: false, // Disable animation for better performance
-            interaction: {
-                mode: 'index',
-                intersect: false
-            },
-            scales: {
-                x: {
-                    display: true,
-                    ticks: {
-                        maxTicksLimit: 6,
-                        maxRotation: 0,
-                        minRotation: 0,
-                        font: { size: 10 },
-                        callback: (value, index) => {
-                            const date = state.latencyHistory.timestamps[index];
-                            return date ? formatUtcTime(date) : '';
-                        }
-                    }
-                },
-                y: {
-                    display: true,
-                    position: 'left',
-                    beginAtZero: true,
-                    grace: '5%',
-                    title: { display: true, text: 'Latency (ms)', font: { size: 10 } },
-                    ticks: {
-                        font: { size: 10 },
-                        callback: (value) => {
-                            if (value >= 1000) {
-                                return (value / 1000).toFixed(1) + 's';
-                            }
-                            return value + 'ms';
-                        }
-                    }
-                }
-            },
-            plugins: {
-                legend: { display: false },
-                tooltip: {
-                    callbacks: {
-                        label: (context) => {
-                            const index = context.dataIndex;
-                            const latency = context.raw;
-                            const isTimeout = state.latencyHistory.isTimeout[index];
-                            const isError = state.latencyHistory.isError[index];
-                            
-                            if (isTimeout) return `Critical (>30s): ${latency}ms`;
-                            if (isError) return `Error: ${latency}ms`;
-                            return `Latency: ${latency}ms`;
-                        }
-                    }
-                }
-            }
-        }
+// Report sections in display order; the missing-key sections start expanded
+const I18N_DIAGNOSTICS_SECTIONS = [
+    { field: 'missingKeys', open: true },
+    { field: 'unknownKeys', open: true },
+    { field: 'placeholderMismatches', open: true },
+    { field: 'obsoleteKeys', open: false },
+    { field: 'unusedKeys', open: false }
+];
+
+function initializeI18nDiagnostics() {
+    const dialog = document.getElementById('i18nDiagnosticsDialog');
+    document.getElementById('btnI18nDiagnostics').addEventListener('click', showI18nDiagnostics);
+    document.getElementById('btnCloseI18nDiagnostics').addEventListener('click', () => dialog.close());
+    document.getElementById('btnDownloadI18nDiagnostics').addEventListener('click', () => {
+        const report = I18N.getDiagnostics();
+        const stamp = report.generatedAt.replace(/[:.]/g, '-');
+        downloadFile(`perfsim-i18n-${report.language}-${stamp}.json`, JSON.stringify(report, null, 2), 'application/json');
     });
 }
 
-function updateCharts() {
-    const history = state.metricsHistory;
-    const labels = history.timestamps.map(t => formatUtcTime(t));
-    
-    // Update resource chart
-    state.charts.resource.data.labels = labels;
-    state.charts.resource.data.datasets[0].data = history.cpu;
-    state.charts.resource.data.datasets[1].data = history.memory;
-    state.charts.resource.update('none'); // 'none' prevents animation on updates
-    
-    // Update thread chart
-    state.charts.threads.data.labels = labels;
-    state.charts.threads.data.datasets[0].data = history.threads;
-    state.charts.threads.data.datasets[1].data = history.queue;
-    state.charts.threads.update('none');
-}
-
-// ==========================================================================
-// Latency Monitoring
-// ==========================================================================
-
 /**
- * Handle incoming latency measurement from server-side probe.
- * This shows the impact of thread pool starvation on request processing time.
- * 
- * NOTE: This handler stores the latest probe value for the 100ms chart update
- * timer to consume. The chart is NOT updated directly here — it is decoupled
- * from the probe rate and always updates at 100ms via startLatencyChartUpdates().
+ * Opens the Translation Diagnostics dialog with a fresh report.
  */
-function handleLatencyUpdate(measurement) {
-    // Log significant latency events to the dashboard log
-    if (measurement.isError) {
-        // Check if this is from the failed request simulation
-        if (measurement.source === 'FailedRequest') {
-            const errorType = measurement.errorMessage || 'HTTP 5xx';
-            logEvent('failedrequests', i18n('log.failed.failedRequest', { errorType, latency: formatLatency(measurement.latencyMs) }));
-        } else {
-            logEvent('system', i18n('log.latency.error', { error: measurement.errorMessage || 'Unknown error', latency: formatLatency(measurement.latencyMs) }));
-        }
-    } else if (measurement.isTimeout) {
-        logEvent('system', i18n('log.latency.critical', { latency: formatLatency(measurement.latencyMs) }));
-    } else if (measurement.latencyMs > 10000) {
-        // Log extremely high latency (starvation) - yellow warning
-        logEvent('warning', i18n('log.latency.high', { latency: formatLatency(measurement.latencyMs) }));
-    }
-    
-    const latencyMs = measurement.latencyMs;
-    const isTimeout = measurement.isTimeout;
-    const isError = measurement.isError;
-
-    // Store latest probe value for the 100ms chart update timer
-    latencyInterpolation.lastProbeValue = latencyMs;
-    latencyInterpolation.lastProbeIsTimeout = isTimeout;
-    latencyInterpolation.lastProbeIsError = isError;
+function showI18nDiagnostics() {
+    const report = I18N.getDiagnostics();
 
-    // Update the numeric display immediately (responsive to each probe)
-    updateLatencyDisplay(latencyMs, isTimeout, isError);
-    
-    // Update probe visualization dots immediately
-    updateProbeVisualization(latencyMs);
-}
-
-/**
- * Handle incoming slow request latency from server.
- * This shows the actual duration of slow requests (20+ seconds).
- */
-function handleSlowRequestLatency(data) {
-    const timestamp = new Date(data.timestamp);
-    const latencyMs = data.latencyMs;
-    const scenario = data.scenario;
-    const expectedMs = data.expectedDurationMs || 0;
-    const isError = data.isError;
-    const errorMessage = data.errorMessage;
-    
-    // Calculate Queue Time (Total - Expected)
-    // If negative (processing was faster than expected?), clamp to 0
-    const queueTimeMs = Math.max(0, latencyMs - expectedMs);
-    
-    // Flag as timeout if total time exceeds threshold (30s)
-    const isTimeout = latencyMs >= CONFIG.latencyTimeoutMs;
-    
-    // Add to slow request history
-    const history = state.slowRequestHistory;
-    history.timestamps.push(timestamp);
-    history.values.push(latencyMs);
-    history.scenarios.push(scenario);
-    
-    // Trim to max data points
-    while (history.timestamps.length > 100) {
-        history.timestamps.shift();
-        history.values.shift();
-        history.scenarios.shift();
-    }
-    
-    // Update the interpolation state so the 100ms chart timer picks up slow request latency.
-    // The spike will appear on the chart within the next 100ms tick.
-    latencyInterpolation.lastProbeValue = latencyMs;
-    latencyInterpolation.lastProbeIsTimeout = isTimeout;
-    latencyInterpolation.lastProbeIsError = isError;
-    updateLatencyDisplay(latencyMs, isTimeout, isError);
-    
-    // Log the slow request completion with Queue Time breakdown
-    const durationSec = (latencyMs / 1000).toFixed(1);
-    const queueSec = (queueTimeMs / 1000).toFixed(1);
-    
-    if (isError) {
-        let msg = `Slow request #${data.requestNumber} FAILED: ${durationSec}s (${scenario}) - ${errorMessage}`;
-        if (queueTimeMs > 100) {
-            msg += ` [Queue Time: ${queueSec}s]`;
-        }
-        logEvent('slowrequest', msg);
-    } else if (isTimeout) {
-        // Request completed but exceeded the 30s critical threshold
-        let msg = `Slow request #${data.requestNumber} completed: ${durationSec}s (${scenario}) [Queue Time: ${queueSec}s] ⚠️ CRITICAL (>30s)`;
-        logEvent('slowrequest', msg);
-    } else {
-        let msg = `Slow request #${data.requestNumber} completed: ${durationSec}s (${scenario}) [Queue Time: ${queueSec}s]`;
-        logEvent('slowrequest', msg);
-    }
-}
-
-/**
- * Handle incoming load test statistics from server.
- * Broadcast every 60 seconds while /api/loadtest endpoint is receiving traffic.
- */
-function handleLoadTestStats(data) {
-    // Suppress load test stats if a failed request simulation recently completed
-    // (since failed requests use the load test endpoint internally)
-    if (state.lastFailedRequestCompletedAt && 
-        (Date.now() - state.lastFailedRequestCompletedAt) < 90000) {
-        return; // Suppress for 90 seconds after failed request sim
-    }
-    
-    const completed = data.requestsCompleted;
-    const avgMs = data.avgResponseTimeMs;
-    const maxMs = data.maxResponseTimeMs;
-    const rps = data.requestsPerSecond;
-    const exceptions = data.exceptionCount;
-    
-    // Calculate error rate percentage
-    const errorRate = completed > 0 ? (exceptions / completed) * 100 : 0;
-    
-    // Build detailed stats message matching screenshot format
-    let msg = `Load test period stats (60s): ${completed.toLocaleString()} requests, ` +
-              `${avgMs.toFixed(1)} avg ms, ${maxMs.toFixed(0)} max ms, ` +
-              `${rps.toFixed(2)} RPS, ${errorRate.toFixed(1)}% errors`;
-    
-    logEvent('loadtest', msg);
-}
-
-/**
- * Handle idle state change notification from server.
- * When the server goes idle, health probes stop. When it wakes up, they resume.
- */
-function handleIdleState(data) {
-    const wasIdle = state.isIdle;
-    state.isIdle = data.isIdle;
-    
-    // Log the state change and update connection status
-    if (data.isIdle && !wasIdle) {
-        // Going idle: stop latency chart updates, show Idle, then intentionally close WS
-        logEvent('idle', i18n('log.idle.goingIdle'));
-        updateConnectionStatus('idle', 'Idle');
-
-        // Stop the latency chart interpolation timer (no probes during idle)
-        if (latencyInterpolation.chartUpdateTimer) {
-            clearInterval(latencyInterpolation.chartUpdateTimer);
-            latencyInterpolation.chartUpdateTimer = null;
-        }
-
-        // Intentionally close WebSocket to prevent reconnect-induced status flicker
-        state.intentionalDisconnect = true;
-        if (state.connection) {
-            state.connection.stop();
-        }
-    } else if (data.isIdle && wasIdle) {
-        // Server confirms still idle - ensure status indicator is consistent
-        // This handles edge cases like reconnects that might have changed the UI status
-        updateConnectionStatus('idle', 'Idle');
-    } else if (!data.isIdle && wasIdle) {
-        // Waking up (client knew we were idle)
-        logEvent('system', i18n('log.idle.wakingUp'));
-        updateConnectionStatus('connected', i18n('status.connected'));
-        // Restart latency chart updates now that probes will resume
-        startLatencyChartUpdates();
-    } else if (!data.isIdle && !wasIdle && data.message && data.message.toLowerCase().includes('waking up')) {
-        // Server was idle but client didn't know (e.g., after reconnect)
-        logEvent('system', i18n('log.idle.wakingUp'));
-        updateConnectionStatus('connected', i18n('status.connected'));
-    }
-}
-
-/**
- * Add latency measurement to history.
- */
-function addLatencyToHistory(timestamp, latencyMs, isTimeout, isError) {
-    const history = state.latencyHistory;
-    
-    history.timestamps.push(timestamp);
-    history.values.push(latencyMs);
-    history.isTimeout.push(isTimeout);
-    history.isError.push(isError);
-    
-    // Track timeout count
-    if (isTimeout) {
-        state.latencyStats.timeoutCount++;
-    }
-    
-    // Trim to max data points (60 seconds at 100ms = 600 points)
-    while (history.timestamps.length > CONFIG.maxLatencyDataPoints) {
-        history.timestamps.shift();
-        const wasTimeout = history.isTimeout.shift();
-        history.values.shift();
-        history.isError.shift();
-        
-        // Adjust timeout count when old timeouts scroll out
-        if (wasTimeout) {
-            state.latencyStats.timeoutCount = Math.max(0, state.latencyStats.timeoutCount - 1);
-        }
-    }
-}
-
-/**
- * Update the latency stat displays (if present).
- */
-function updateLatencyDisplay(currentLatency, isTimeout, isError) {
-    const history = state.latencyHistory;
-    
-    // Current latency with color coding (check if element exists)
-    const currentEl = document.getElementById('latencyCurrent');
-    if (currentEl) {
-        currentEl.textContent = formatLatency(currentLatency);
-        currentEl.className = `latency-value ${getLatencyClass(currentLatency, isTimeout)}`;
-    }
-    
-    // Calculate average
-    const avgEl = document.getElementById('latencyAverage');
-    if (avgEl && history.values.length > 0) {
-        const avg = history.values.reduce((a, b) => a + b, 0) / history.values.length;
-        avgEl.textContent = formatLatency(avg);
-        avgEl.className = `latency-value ${getLatencyClass(avg, false)}`;
-    }
-    
-    // Calculate max
-    const maxEl = document.getElementById('latencyMax');
-    if (maxEl && history.values.length > 0) {
-        const max = Math.max(...history.values);
-        maxEl.textContent = formatLatency(max);
-        
-        // precise timeout check for max value could be complex, 
-        // but high latency > 1s will be red anyway which is sufficient
-        maxEl.className = `latency-value ${getLatencyClass(max, false)}`;
-    }
-    
-    // Update timeout count
-    const timeoutsEl = document.getElementById('latencyTimeouts');
-    if (timeoutsEl) {
-        timeoutsEl.textContent = state.latencyStats.timeoutCount;
-        if (state.latencyStats.timeoutCount > 0) {
-            timeoutsEl.className = 'latency-value timeout';
-        } else {
-            timeoutsEl.className = 'latency-value';
-        }
-    }
-}
-
-/**
- * Format latency value for display with dynamic units.
- */
-function formatLatency(ms) {
-    if (ms >= 10000) {
-        return (ms / 1000).toFixed(1) + 's';
-    } else if (ms >= 1000) {
-        return (ms / 1000).toFixed(2) + 's';
-    } else {
-        return ms.toFixed(1) + 'ms';
-    }
-}
-
-/**
- * Get CSS class based on latency value.
- */
-function getLatencyClass(ms, isTimeout) {
-    if (isTimeout) return 'timeout';
-    if (ms > 1000) return 'danger';
-    if (ms > 150) return 'warning';
-    return 'good';
-}
-
-/**
- * Updates probe visualization dots (24-dot history indicator)
- * Shows visual history of recent latency measurements next to the title
- */
-function updateProbeVisualization(latency) {
-    let status = 'good';
-    if (latency >= 30000) status = 'failed';
-    else if (latency >= 1000) status = 'slow';
-    else if (latency >= 150) status = 'degraded';
-
-    probeHistory.push(status);
-    if (probeHistory.length > MAX_PROBE_DOTS) {
-        probeHistory.shift();
-    }
-
-    const vizEl = document.getElementById('probe-visualization');
-    if (vizEl) {
-        vizEl.innerHTML = probeHistory.map(s =>
-            `<span class="probe-dot-inline ${s === 'good' ? '' : s}"></span>`
-        ).join('');
-    }
-}
-
-/**
- * Update the latency chart.
- */
-function updateLatencyChart() {
-    if (!state.charts.latency) return;
-    
-    const history = state.latencyHistory;
-    
-    // Create gradient based on chart's actual dimensions
-    const ctx = state.charts.latency.ctx;
-    const chartArea = state.charts.latency.chartArea;
-    const gradientHeight = chartArea ? (chartArea.bottom - chartArea.top) : 200;
-    const gradient = ctx.createLinearGradient(0, 0, 0, gradientHeight);
-    gradient.addColorStop(0, 'rgba(209, 52, 56, 0.3)');   // Red at top (high latency)
-    gradient.addColorStop(0.5, 'rgba(255, 185, 0, 0.2)'); // Yellow in middle
-    gradient.addColorStop(1, 'rgba(16, 124, 16, 0.2)');   // Green at bottom (low latency)
-    
-    // Map data points to colors based on latency
-    const pointColors = history.values.map((v, i) => {
-        if (history.isTimeout[i]) return '#d13438';
-        if (v > 1000) return '#d13438';
-        if (v > 150) return '#ffb900';
-        return '#107c10';
+    document.getElementById('i18nDiagnosticsSummary').textContent = i18n('i18nDiagnostics.summary', {
+        language: report.language,
+        missing: report.missingKeys.length,
+        unknown: report.unknownKeys.length,
+        mismatches: report.placeholderMismatches.length
     });
-    
-    state.charts.latency.data.labels = history.timestamps.map(t => formatUtcTime(t));
-    state.charts.latency.data.datasets[0].data = history.values;
-    state.charts.latency.data.datasets[0].backgroundColor = gradient;
-    state.charts.latency.data.datasets[0].borderColor = pointColors;
-    state.charts.latency.data.datasets[0].segment = {
-        borderColor: ctx => {
-            const index = ctx.p0DataIndex;
-            const latency = history.values[index];
-            const isTimeout = history.isTimeout[index];
-            if (isTimeout) return '#d13438';
-            if (latency > 1000) return '#d13438';
-            if (latency > 150) return '#ffb900';
-            return '#107c10';
-        }
-    };
-    state.charts.latency.update('none');
-}
-
-/**
- * Starts the fixed 100ms latency chart update timer.
- * 
- * This timer is completely independent of the server's probe rate (HEALTH_PROBE_RATE).
- * The probe rate controls how often the server measures latency; this timer controls
- * how often the chart renders. Between probes, the last known value is repeated
- * (sample-and-hold interpolation) to keep the chart scrolling smoothly at 10fps.
- * 
- * 600 data points at 100ms = 60 second chart window.
- */
-function startLatencyChartUpdates() {
-    // Clear any existing timer
-    if (latencyInterpolation.chartUpdateTimer) {
-        clearInterval(latencyInterpolation.chartUpdateTimer);
-    }
-
-    latencyInterpolation.chartUpdateTimer = setInterval(() => {
-        // Skip if charts aren't ready or no probe data received yet
-        if (!state.charts.latency || latencyInterpolation.lastProbeValue === null) return;
-
-        // Push the latest probe value (sample-and-hold between probes)
-        addLatencyToHistory(
-            new Date(),
-            latencyInterpolation.lastProbeValue,
-            latencyInterpolation.lastProbeIsTimeout,
-            latencyInterpolation.lastProbeIsError
-        );
-        updateLatencyChart();
-    }, LATENCY_CHART_UPDATE_INTERVAL_MS);
-}
-
-// ==========================================================================
-// Simulation Controls
-// ==========================================================================
-
-async function triggerCpuStress() {
-    ensureWebSocket();
-    const duration = parseInt(document.getElementById('cpuDuration').value) || 30;
-    const level = document.getElementById('cpuLevel').value || 'high';
-    
-    try {
-        logEvent('cpu', i18n('log.cpu.triggering', { duration, level }));
-        const response = await fetch(`${CONFIG.apiBaseUrl}/cpu/trigger-high-cpu`, {
-            method: 'POST',
-            headers: { 'Content-Type': 'application/json' },
-            body: JSON.stringify({ 
-                durationSeconds: duration,
-                level: level
-            })
-        });
-        
-        if (response.ok) {
-            const result = await response.json();
-            const displayLevel = level.charAt(0).toUpperCase() + level.slice(1);
-            addActiveSimulation(result.simulationId, 'cpu', `CPU Stress (${displayLevel})`);
-            logEvent('cpu', withSimulationId(i18n('log.cpu.started', { level: displayLevel }), result.simulationId));
-        } else {
-            const error = await response.json();
-            logEvent('cpu', i18n('log.cpu.failed', { error: error.detail || 'Unknown error' }));
-        }
-    } catch (err) {
-        logEvent('cpu', i18n('log.cpu.requestFailed', { error: err.message }));
-    }
-}
-
-/**
- * Stops all active CPU stress simulations.
- */
-async function stopCpuStress() {
-    ensureWebSocket();
-    try {
-        logEvent('cpu', i18n('log.cpu.stopping'));
-        const response = await fetch(`${CONFIG.apiBaseUrl}/cpu/stop`, {
-            method: 'POST'
-        });
-        
-        if (response.ok) {
-            const result = await response.json();
-            logEvent('cpu', result.message || i18n('log.cpu.stopped'));
-            // Remove CPU simulations from active list
-            removeSimulationsByType('cpu');
-        } else {
-            const error = await response.json();
-            logEvent('cpu', i18n('log.cpu.stopRequest', { error: error.detail || 'May have already stopped' }));
-        }
-    } catch (err) {
-        logEvent('cpu', i18n('log.cpu.stopRequest', { error: err.message || 'May have already stopped' }));
-    }
-}
-
-async function allocateMemory() {
-    ensureWebSocket();
-    const sizeMb = parseInt(document.getElementById('memorySize').value) || 100;
-    
-    try {
-        logEvent('memory', i18n('log.memory.allocating', { size: sizeMb }));
-        const response = await fetch(`${CONFIG.apiBaseUrl}/memory/allocate-memory`, {
-            method: 'POST',
-            headers: { 'Content-Type': 'application/json' },
-            body: JSON.stringify({ sizeMegabytes: sizeMb })
-        });
-        
-        if (response.ok) {
-            const result = await response.json();
-            const actualSizeMb = result.actualParameters?.sizeMegabytes ?? sizeMb;
-            addActiveSimulation(result.simulationId, 'memory', `Memory ${actualSizeMb}MB`);
-            logEvent('memory', withSimulationId(i18n('log.memory.allocated', { size: actualSizeMb }), result.simulationId));
-        } else {
-            const error = await response.json();
-            logEvent('memory', i18n('log.memory.failed', { error: error.detail || 'Unknown error' }));
-        }
-    } catch (err) {
-        logEvent('memory', i18n('log.memory.requestFailed', { error: err.message }));
-    }
-}
-
-async function releaseMemory() {
-    ensureWebSocket();
-    try {
-        logEvent('memory', i18n('log.memory.releasing'));
-        const response = await fetch(`${CONFIG.apiBaseUrl}/memory/release-memory`, {
-            method: 'POST'
-        });
-        
-        if (response.ok) {
-            const result = await response.json();
-            // Remove all memory simulations from active list
-            state.activeSimulations.forEach((value, key) => {
-                if (value.type === 'memory') {
-                    state.activeSimulations.delete(key);
-                }
-            });
-            updateActiveSimulationsUI();
-            const releasedMb = result.releasedMegabytes ?? (result.releasedBytes / 1024 / 1024);
-            logEvent('memory', i18n('log.memory.released', { blocks: result.releasedBlockCount ?? 0, size: releasedMb.toFixed(1) }));
-        } else {
-            const error = await response.json();
-            logEvent('memory', i18n('log.memory.releaseFailed', { error: error.detail || 'Unknown error' }));
-        }
-    } catch (err) {
-        logEvent('memory', i18n('log.memory.releaseRequestFailed', { error: err.message }));
-    }
-}
 
-async function triggerThreadBlock() {
-    ensureWebSocket();
-    const delaySeconds = parseFloat(document.getElementById('threadDelay').value) || 10;
-    const delayMs = Math.round(delaySeconds * 1000);
-    const concurrent = parseInt(document.getElementById('threadConcurrent').value) || 100;
-    
-    try {
-        logEvent('threads', i18n('log.thread.triggering', { count: concurrent, delay: delaySeconds }));
-        const response = await fetch(`${CONFIG.apiBaseUrl}/threadblock/trigger-sync-over-async`, {
-            method: 'POST',
-            headers: { 'Content-Type': 'application/json' },
-            body: JSON.stringify({ 
-                delayMilliseconds: delayMs,
-                concurrentRequests: concurrent
-            })
+    const sections = I18N_DIAGNOSTICS_SECTIONS.map(({ field, open }) => {
+        const items = report[field];
+        const details = document.createElement('details');
+        details.open = open && items.length > 0;
+        const summary = document.createElement('summary');
+        summary.textContent = `${i18n(`i18nDiagnostics.${field}`)} (${items.length})`;
+
+        const list = document.createElement('ul');
+        const lines = field === 'placeholderMismatches'
+            ? items.map(item => i18n('i18nDiagnostics.placeholderMismatch', {
+                key: item.key,
+                expected: item.expected.map(name => `{${name}}`).join(' ') || '—',
+                actual: item.actual.map(name => `{${name}}`).join(' ') || '—'
+            }))
+            : items;
+        (lines.length > 0 ? lines : [i18n('i18nDiagnostics.none')]).forEach(line => {
+            const li = document.createElement('li');
+            li.textContent = line;
+            list.appendChild(li);
         });
-        
-        if (response.ok) {
-            const result = await response.json();
-            addActiveSimulation(result.simulationId, 'threadblock', 'Thread Block');
-            logEvent('threads', withSimulationId(i18n('log.thread.started'), result.simulationId));
-        } else {
-            const error = await response.json();
-            logEvent('threads', i18n('log.thread.failed', { error: error.detail || 'Unknown error' }));
-        }
-    } catch (err) {
-        logEvent('threads', i18n('log.thread.requestFailed', { error: err.message }));
-    }
-}
 
-/**
- * Stops all active thread pool starvation simulations.
- */
-async function stopThreadBlock() {
-    ensureWebSocket();
-    try {
-        logEvent('threads', i18n('log.thread.stopping'));
-        const response = await fetch(`${CONFIG.apiBaseUrl}/threadblock/stop`, {
-            method: 'POST'
-        });
-        
-        if (response.ok) {
-            const result = await response.json();
-            logEvent('threads', result.message || i18n('log.thread.stopped'));
-            // Remove thread block simulations from active list
-            removeSimulationsByType('threadblock');
-        } else {
-            const error = await response.json();
-            logEvent('threads', i18n('log.thread.stopRequest', { error: error.detail || 'May have already stopped' }));
-        }
-    } catch (err) {
-        logEvent('threads', i18n('log.thread.stopRequest', { error: err.message || 'May have already stopped' }));
-    }
-}
+        details.append(summary, list);
+        return details;
+    });
+    document.getElementById('i18nDiagnosticsSections').replaceChildren(...sections);
 
-/**
- * Triggers an application crash.
- * WARNING: This will terminate the application!
- */
-async function triggerCrash() {
-    ensureWebSocket();
-    const crashType = document.getElementById('crashType').value;
-    // Delay option removed from UI - default to 0 (immediate crash)
-    const delayElement = document.getElementById('crashDelay');
-    const delaySeconds = delayElement ? parseInt(delayElement.value) || 0 : 0;
-    
-    // Confirmation dialog - always synchronous for Azure Crash Monitoring
-    const confirmed = confirm(
-        i18n('log.crash.confirmTitle') + `\n\n` +
-        i18n('log.crash.confirmType', { type: crashType }) + `\n\n` +
-        i18n('log.crash.confirmBody')
-    );
-    
-    if (!confirmed) {
-        logEvent('crash', i18n('log.crash.cancelled'));
-        return;
-    }
-    
-    try {
-        logEvent('crash', delaySeconds > 0
-            ? i18n('log.crash.triggeringDelayed', { type: crashType, delay: delaySeconds })
-            : i18n('log.crash.triggering', { type: crashType }));
-        
-        const response = await fetch(`${CONFIG.apiBaseUrl}/crash/trigger`, {
-            method: 'POST',
-            headers: { 'Content-Type': 'application/json' },
-            body: JSON.stringify({ 
-                crashType: crashType,
-                delaySeconds: delaySeconds,
-                synchronous: true,
-                message: `Crash triggered from dashboard at ${new Date().toISOString()}`
-            })
-        });
-        
-        // If synchronous, we shouldn't get here (process crashed)
-        if (response.ok) {
-            const result = await response.json();
-            logEvent('crash', i18n('log.crash.result', { message: result.message }));
-            
-            // Show countdown for async crashes
-            if (!synchronous && delaySeconds > 0) {
-                let countdown = delaySeconds;
-                const countdownInterval = setInterval(() => {
-                    countdown--;
-                    if (countdown > 0) {
-                        logEvent('crash', i18n('log.crash.countdown', { seconds: countdown }));
-                    } else {
-                        logEvent('crash', i18n('log.crash.now'));
-                        clearInterval(countdownInterval);
-                    }
-                }, 1000);
-            }
-        } else {
-            const error = await response.json();
-            logEvent('crash', i18n('log.crash.failed', { error: error.message || 'Unknown error' }));
-        }
-    } catch (err) {
-        // For synchronous crashes, a network error is expected (connection lost)
-        if (synchronous) {
-            logEvent('crash', i18n('log.crash.connectionLost'));
-        } else {
-            logEvent('crash', i18n('log.crash.requestFailed', { error: err.message }));
-        }
-    }
+    document.getElementById('i18nDiagnosticsDialog').showModal();
 }
 
 // ==========================================================================
-// Slow Request Simulator
+// Initialization
 // ==========================================================================
 
-/**
- * Starts the slow request simulator.
- * Generates requests with sync-over-async patterns for CLR Profiler analysis.
- */
-async function startSlowRequests() {
-    ensureWebSocket();
-    const durationSeconds = parseInt(document.getElementById('slowRequestDuration').value) || 25;
-    const intervalSeconds = parseInt(document.getElementById('slowRequestInterval').value) || 2;
-    const maxRequests = parseInt(document.getElementById('slowRequestMax').value) || 10;
-    
-    const statusDiv = document.getElementById('slowRequestStatus');
-    const startBtn = document.getElementById('btnStartSlowRequests');
-    const stopBtn = document.getElementById('btnStopSlowRequests');
-    
-    try {
-        logEvent('slowrequest', i18n('log.slow.starting', { duration: durationSeconds, interval: intervalSeconds, max: maxRequests }));
-        
-        startBtn.disabled = true;
-        stopBtn.disabled = false;
-        
-        const response = await fetch(`${CONFIG.apiBaseUrl}/slowrequest/start`, {
-            method: 'POST',
-            headers: { 'Content-Type': 'application/json' },
-            body: JSON.stringify({
-                requestDurationSeconds: durationSeconds,
-                intervalSeconds: intervalSeconds,
-                maxRequests: maxRequests
-            })
-        });
-        
-        if (response.ok) {
-            const result = await response.json();
-            state.slowRequestSimulationId = result.simulationId;
-            addActiveSimulation(result.simulationId, 'slowrequest', 'Slow Requests');
-            logEvent('slowrequest', withSimulationId(i18n('log.slow.started', { duration: durationSeconds, interval: intervalSeconds, max: maxRequests }), result.simulationId));
-            statusDiv.textContent = i18n('log.slow.statusRunning', { duration: durationSeconds, interval: intervalSeconds, max: maxRequests });
-            statusDiv.classList.add('active');
-            
-            // Start polling for status
-            pollSlowRequestStatus();
-        } else {
-            const error = await response.json();
-            logEvent('slowrequest', i18n('log.slow.failedToStart', { error: error.message || error.title || 'Unknown error' }));
-            startBtn.disabled = false;
-            stopBtn.disabled = true;
-            statusDiv.classList.remove('active');
-        }
-    } catch (err) {
-        logEvent('slowrequest', i18n('log.slow.requestFailed', { error: err.message }));
-    }
-}
-
-async function stopSlowRequests() {
-    ensureWebSocket();
-    const statusDiv = document.getElementById('slowRequestStatus');
-    const startBtn = document.getElementById('btnStartSlowRequests');
-    const stopBtn = document.getElementById('btnStopSlowRequests');
-    
-    try {
-        logEvent('slowrequest', i18n('log.slow.stopping'));
-        
-        const response = await fetch(`${CONFIG.apiBaseUrl}/slowrequest/stop`, {
-            method: 'POST'
-        });
-        
-        if (response.ok) {
-            const result = await response.json();
-            const simId = state.slowRequestSimulationId;
-            if (simId) {
-                removeActiveSimulation(simId);
-                logEvent('slowrequest', withSimulationId(i18n('log.slow.stopped'), simId));
-            } else {
-                logEvent('slowrequest', i18n('log.slow.stopped'));
-            }
-            state.slowRequestSimulationId = null;
-        } else {
-            const error = await response.json();
-            logEvent('slowrequest', i18n('log.slow.stopRequest', { error: error.message || 'May have already stopped' }));
-        }
-    } catch (err) {
-        logEvent('slowrequest', i18n('log.slow.requestFailed', { error: err.message }));
-    } finally {
-        startBtn.disabled = false;
-        stopBtn.disabled = true;
-        statusDiv.textContent = '';
-        statusDiv.classList.remove('active');
+function renderAzureSku() {
+    const skuElement = document.getElementById('skuDisplay');
+    if (skuElement && state.azureSku) {
+        skuElement.textContent = `${i18n('sku.prefix')} ${state.azureSku}`;
+        skuElement.style.display = 'block';
     }
 }
 
-// ==========================================================================
-// Failed Request Simulation (HTTP 5xx generation)
-// ==========================================================================
-
 /**
- * Starts the failed request simulator.
- * Generates HTTP 500 errors visible in AppLens and Application Insights.
+ * Fetches and displays the Azure SKU info.
  */
-async function startFailedRequests() {
-    ensureWebSocket();
-    const requestCount = parseInt(document.getElementById('failedRequestCount').value) || 10;
-    
-    const startBtn = document.getElementById('btnStartFailedRequests');
-    
+async function fetchAzureSku() {
     try {
-        logEvent('failedrequests', i18n('log.failed.generating', { count: requestCount }));
-        
-        startBtn.disabled = true;
-        
-        const response = await fetch(`${CONFIG.apiBaseUrl}/failedrequest/start`, {
-            method: 'POST',
-            headers: { 'Content-Type': 'application/json' },
-            body: JSON.stringify({
-                requestCount: requestCount
-            })
-        });
-        
-        if (response.ok) {
-            const result = await response.json();
-            addActiveSimulation(result.simulationId, 'failedrequest', 'Failed Requests');
-            logEvent('failedrequests', withSimulationId(i18n('log.failed.started', { count: requestCount }), result.simulationId));
-            
-            // Start polling for completion
-            pollFailedRequestStatus();
-        } else {
-            const error = await response.json();
-            logEvent('failedrequests', i18n('log.failed.failedToStart', { error: error.message || error.title || 'Unknown error' }));
-            startBtn.disabled = false;
+        const data = await API_CLIENT.getAdminStats();
+        if (data.processInfo && data.processInfo.azureSku) {
+            state.azureSku = data.processInfo.azureSku;
+            renderAzureSku();
         }
-    } catch (err) {
-        logEvent('failedrequests', i18n('log.failed.requestFailed', { error: err.message }));
-    }
-}
-
-async function stopFailedRequests() {
-    const startBtn = document.getElementById('btnStartFailedRequests');
-    
-    try {
-        logEvent('failedrequests', i18n('log.failed.stopping'));
-        
-        const response = await fetch(`${CONFIG.apiBaseUrl}/failedrequest/stop`, {
-            method: 'POST'
-        });
         
-        if (response.ok) {
-            const result = await response.json();
-            logEvent('failedrequests', result.message || i18n('log.failed.stopped'));
-            removeSimulationsByType('failedrequest');
-        } else {
-            const error = await response.json();
-            logEvent('failedrequests', i18n('log.failed.stopRequest', { error: error.message || 'May have already completed' }));
-        }
-    } catch (err) {
-        logEvent('failedrequests', i18n('log.failed.requestFailed', { error: err.message }));
-    } finally {
-        startBtn.disabled = false;
-    }
-}
-
-/**
- * Polls the failed request status and updates UI when complete.
- */
-async function pollFailedRequestStatus() {
-    const startBtn = document.getElementById('btnStartFailedRequests');
-    
-    try {
-        const response = await fetch(`${CONFIG.apiBaseUrl}/failedrequest/status`);
-        if (response.ok) {
-            const status = await response.json();
+        // Log SKU/worker info on page load
+        if (data.processInfo) {
+            const sku = data.processInfo.azureSku;
+            const computerName = data.processInfo.computerName;
             
-            if (status.isRunning) {
-                // Continue polling
-                setTimeout(pollFailedRequestStatus, 2000);
+            if (sku === 'Local' || !computerName) {
+                logEvent('system', 'log.system.runningLocal');
             } else {
-                // Simulation ended
-                startBtn.disabled = false;
-                removeSimulationsByType('failedrequest');
-                
-                // Track completion time to suppress load test stats message
-                state.lastFailedRequestCompletedAt = Date.now();
-                
-                if (status.requestsCompleted > 0) {
-                    logEvent('failedrequests', i18n('log.failed.completed', { count: status.requestsCompleted }));
-                }
-            }
-        }
-    } catch (err) {
-        // Connection lost - probably a restart
-        startBtn.disabled = false;
-    }
-}
-
-/**
- * Polls the slow request status and updates UI.
- * Poll interval is 5 seconds to minimize noise during CLR profiling.
- */
-async function pollSlowRequestStatus() {
-    const statusDiv = document.getElementById('slowRequestStatus');
-    const startBtn = document.getElementById('btnStartSlowRequests');
-    const stopBtn = document.getElementById('btnStopSlowRequests');
-    
-    try {
-        const response = await fetch(`${CONFIG.apiBaseUrl}/slowrequest/status`);
-        if (response.ok) {
-            const status = await response.json();
-            
-            if (status.isRunning) {
-                statusDiv.textContent = i18n('log.slow.statusPolling', { completed: status.requestsCompleted, sent: status.requestsSent, active: status.requestsInProgress });
-                statusDiv.classList.add('active');
-
-                // Ensure overlay is active if running (in case page was refreshed)
-                const overlay = document.getElementById('latencyOverlay');
-                const msg = document.getElementById('latencySuspendedMsg');
-                if (overlay && !overlay.classList.contains('active')) {
-                     overlay.classList.add('active');
-                }
-                if (msg && msg.style.display === 'none') {
-                    msg.style.display = 'block';
-                }
-                
-                // Continue polling at 5-second intervals to reduce profiler noise
-                setTimeout(pollSlowRequestStatus, 5000);
-            } else {
-                // Simulation ended
-                statusDiv.textContent = i18n('log.slow.statusCompleted', { completed: status.requestsCompleted, sent: status.requestsSent });
-                setTimeout(() => {
-                    statusDiv.classList.remove('active');
-                    statusDiv.textContent = '';
-                }, 3000);
-                
-                startBtn.disabled = false;
-                stopBtn.disabled = true;
-                
-                // Hide overlay when simulation is confirmed done via polling
-                const overlay = document.getElementById('latencyOverlay');
-                const msg = document.getElementById('latencySuspendedMsg');
-                if (overlay) overlay.classList.remove('active');
-                if (msg) msg.style.display = 'none';
-
-                if (status.requestsCompleted > 0) {
-                    const simId = state.slowRequestSimulationId;
-                    if (simId) {
-                        removeActiveSimulation(simId);
-                        logEvent('slowrequest', withSimulationId(i18n('log.slow.completed', { count: status.requestsCompleted }), simId));
-                    } else {
-                        logEvent('slowrequest', i18n('log.slow.completed', { count: status.requestsCompleted }));
-                    }
-                    state.slowRequestSimulationId = null;
-                }
-            }
-        }
-    } catch (err) {
-        // Connection lost - probably a restart
-        statusDiv.classList.remove('active');
-        startBtn.disabled = false;
-        stopBtn.disabled = true;
-    }
-}
-
-// ==========================================================================
-// Active Simulations UI
-// ==========================================================================
-
-/**
- * Maps simulation types to their log categories
- */
-const SIMULATION_CATEGORY_MAP = {
-    'cpu': 'cpu',
-    'memory': 'memory',
-    'threadblock': 'threads',
-    'slowrequest': 'slowrequest',
-    'failedrequest': 'failedrequests',
-    'crash': 'crash'
-};
-
-function handleSimulationStarted(simulationType, simulationId) {
-    const simTypeLower = simulationType.toLowerCase();
-    addActiveSimulation(simulationId, simTypeLower, simulationType);
-    // Note: Don't log here - the API response handlers already log the start message
-
-    // Handle SlowRequest specific UI
-    if (simulationType === 'SlowRequest') {
-        const overlay = document.getElementById('latencyOverlay');
-        const statusOverlay = document.getElementById('slowRequestStatus');
-        const msg = document.getElementById('latencySuspendedMsg');
-
-        if (overlay) overlay.classList.add('active');
-        if (statusOverlay) statusOverlay.classList.add('active');
-        if (msg) msg.style.display = 'block';
-    }
-}
-
-function handleSimulationCompleted(simulationType, simulationId) {
-    removeActiveSimulation(simulationId);
-    const simTypeLower = simulationType.toLowerCase();
-    const category = SIMULATION_CATEGORY_MAP[simTypeLower] || 'system';
-    
-    // Don't log SlowRequest completion here - the polling handler logs with request count
-    if (simulationType !== 'SlowRequest') {
-        logEvent(category, withSimulationId(i18n('log.sim.completed', { type: simulationType }), simulationId));
-    }
-
-    // Handle SlowRequest specific UI
-    if (simulationType === 'SlowRequest') {
-        const overlay = document.getElementById('latencyOverlay');
-        const statusOverlay = document.getElementById('slowRequestStatus');
-        const msg = document.getElementById('latencySuspendedMsg');
-
-        if (overlay) overlay.classList.remove('active');
-        if (msg) msg.style.display = 'none';
-        
-        // Let the status overlay hang around for a few seconds via the polling loop instead of hiding immediately
-        // The polling loop will handle the 'Running' -> 'Completed' text update.
-    }
-}
-
-function addActiveSimulation(id, type, label) {
-    state.activeSimulations.set(id, { type, label, startTime: new Date() });
-    updateActiveSimulationsUI();
-}
-
-function removeActiveSimulation(id) {
-    state.activeSimulations.delete(id);
-    updateActiveSimulationsUI();
-}
-
-function removeSimulationsByType(type) {
-    state.activeSimulations.forEach((value, key) => {
-        if (value.type === type) {
-            state.activeSimulations.delete(key);
-        }
-    });
-    updateActiveSimulationsUI();
-}
-
-function updateActiveSimulationsUI() {
-    const container = document.getElementById('simulationsList');
-    
-    if (state.activeSimulations.size === 0) {
-        container.innerHTML = '<p class="no-simulations">' + i18n('activeSims.none') + '</p>';
-        return;
-    }
-    
-    container.innerHTML = Array.from(state.activeSimulations.entries())
-        .map(([id, sim]) => `
-            <div class="simulation-badge ${sim.type}">
-                <span class="spinner"></span>
-                <span>${sim.label}</span>
-            </div>
-        `).join('');
-}
-
-// ==========================================================================
-// Event Log
-// ==========================================================================
-
-/**
- * Copies the event log content to the clipboard.
- */
-function copyEventLog() {
-    const log = document.getElementById('eventLog');
-    const entries = log.querySelectorAll('.log-entry');
-    
-    // Extract text from each log entry
-    const logText = Array.from(entries).map(entry => {
-        const time = entry.querySelector('.log-time')?.textContent || '';
-        const icon = entry.querySelector('.log-icon')?.textContent || '';
-        // Get the text content after time and icon
-        const clone = entry.cloneNode(true);
-        clone.querySelector('.log-time')?.remove();
-        clone.querySelector('.log-icon')?.remove();
-        const message = clone.textContent.trim();
-        return `${time} ${icon} ${message}`.trim();
-    }).join('\n');
-    
-    navigator.clipboard.writeText(logText).then(() => {
-        const btn = document.getElementById('btnCopyEventLog');
-        const originalText = btn.textContent;
-        btn.textContent = i18n('eventLog.copied');
-        btn.classList.add('copied');
-        setTimeout(() => {
-            btn.textContent = originalText;
-            btn.classList.remove('copied');
-        }, 2000);
-    }).catch(err => {
-        console.error('Failed to copy event log:', err);
-        alert(i18n('eventLog.copyFailed'));
-    });
-}
-
-/**
- * Category icons for event log entries
- */
-const LOG_ICONS = {
-    cpu: '🔥',
-    memory: '📊',
-    threads: '🧵',
-    slowrequest: '🐌',
-    failedrequests: '❌',
-    crash: '💥',
-    loadtest: '📈'
-};
-
-/**
- * Wraps a message with a simulation ID tooltip for correlation.
- * Clicking the message copies the simulation ID to clipboard.
- * @param {string} message - The message to display
- * @param {string} simulationId - The full GUID simulation ID (shown in tooltip)
- * @returns {string} HTML string with message and tooltip
- */
-function withSimulationId(message, simulationId) {
-    if (!simulationId) return message;
-    return `<span class="sim-msg" data-simid="${simulationId}" title="Click to copy Simulation ID: ${simulationId}">${message}</span>`;
-}
-
-/**
- * Copies the simulation ID to clipboard when a sim-msg element is clicked.
- * Shows a brief visual feedback to indicate successful copy.
- */
-function initSimulationIdCopyHandlers() {
-    document.getElementById('eventLog').addEventListener('click', async (e) => {
-        const simMsg = e.target.closest('.sim-msg');
-        if (!simMsg) return;
-        
-        const simId = simMsg.dataset.simid;
-        if (!simId) return;
-        
-        try {
-            await navigator.clipboard.writeText(simId);
-            
-            // Visual feedback
-            simMsg.classList.add('copied');
-            const originalTitle = simMsg.title;
-            simMsg.title = 'Copied!';
-            
-            setTimeout(() => {
-                simMsg.classList.remove('copied');
-                simMsg.title = originalTitle;
-            }, 1500);
-        } catch (err) {
-            console.error('Failed to copy simulation ID:', err);
-        }
-    });
-}
-
-/**
- * Logs an event to the event log panel.
- * @param {string} levelOrCategory - Log level ('info','success','warning','error') or category ('cpu','memory','threads','slowrequest','crash','loadtest','system')
- * @param {string} message - The message to log
- * @param {Object} [options] - Optional settings
- * @param {string} [options.icon] - Override the default icon for this category
- */
-function logEvent(levelOrCategory, message, options = {}) {
-    const log = document.getElementById('eventLog');
-    const now = new Date();
-    const time = formatUtcTime(now);
-    const localTime = now.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit', second: '2-digit' });
-    
-    // Determine CSS class and icon based on category
-    let cssClass = levelOrCategory;
-    let icon = options.icon || LOG_ICONS[levelOrCategory] || '';
-    
-    const entry = document.createElement('div');
-    entry.className = `log-entry ${cssClass}`;
-    
-    const iconHtml = icon ? `<span class="log-icon">${icon}</span>` : '';
-    entry.innerHTML = `<span class="log-time log-time-tooltip" data-tooltip="Local Time: ${localTime}">${time} UTC</span>${iconHtml}${message}`;
-    
-    log.insertBefore(entry, log.firstChild);
-}
-
-// ==========================================================================
-// Initialization
-// ==========================================================================
-
-/**
- * Fetches and displays the Azure SKU info.
- */
-async function fetchAzureSku() {
-    try {
-        const response = await fetch(`${CONFIG.apiBaseUrl}/admin/stats`);
-        if (response.ok) {
-            const data = await response.json();
-            const skuElement = document.getElementById('skuDisplay');
-            if (skuElement && data.processInfo && data.processInfo.azureSku) {
-                skuElement.textContent = `${i18n('sku.prefix')} ${data.processInfo.azureSku}`;
-                skuElement.style.display = 'block';
-            }
-            
-            // Log SKU/worker info on page load
-            if (data.processInfo) {
-                const sku = data.processInfo.azureSku;
-                const computerName = data.processInfo.computerName;
-                
-                if (sku === 'Local' || !computerName) {
-                    logEvent('system', i18n('log.system.runningLocal'));
-                } else {
-                    logEvent('system', i18n('log.system.runningSku', { sku, worker: computerName }));
-                }
+                logEvent('system', 'log.system.runningSku', { sku, worker: computerName });
             }
         }
     } catch (error) {
@@ -1897,12 +315,11 @@ async function fetchAppConfig() {
                 }
             }
 
-            // Initialize i18n with the server-configured language
-            if (config.uiLanguage) {
-                await I18N.init(config.uiLanguage);
-            } else {
-                await I18N.init('en');
+            // Initialize i18n with the language saved in this browser, else the server's
+            if (Array.isArray(config.availableLanguages) && config.availableLanguages.length > 0) {
+                I18N.availableLanguages = config.availableLanguages;
             }
+            await I18N.init(I18N.getStartupLanguage(config.uiLanguage));
         }
     } catch (error) {
         console.error('Failed to fetch app config', error);
@@ -1935,12 +352,20 @@ document.addEventListener('DOMContentLoaded', async () => {
     // Fetch app configuration - this HTTP request hits the activity tracking middleware
     // and wakes the server BEFORE the WebSocket connects, so the first WS message
     // arrives with is_idle: false (page load = user activity).
-    // Also initializes i18n with the server-configured language.
+    // Also initializes i18n with the saved or server-configured language.
     await fetchAppConfig();
+    renderChartLabels();
+
+    // Header language picker (switches without a reload)
+    initializeLanguagePicker();
+    initializeI18nDiagnostics();
     
+    // Wire up the event log filters and restore the persisted log (event-log.js)
+    EVENT_LOG.initialize();
+
     // Log license disclaimer to event log panel (after i18n is initialized)
-    logEvent('warning', i18n('log.warning.license'));
-    logEvent('warning', i18n('log.warning.disclaimer'));
+    logEvent('warning', 'log.warning.license');
+    logEvent('warning', 'log.warning.disclaimer');
     
     // Fetch SKU info (non-blocking)
     fetchAzureSku();
@@ -1948,6 +373,16 @@ document.addEventListener('DOMContentLoaded', async () => {
     // Fetch build info (non-blocking)
     fetchBuildInfo();
     
+    // Subscribe the panels to the hub events before the first message arrives
+    initializeMetricCards();
+    initializeLatencyMonitor();
+    initializeIdleHandling();
+    initializeSimulations();
+
+    // Rebuild Active Simulations and the slow/failed request controls for
+    // simulations that are still running on the server (non-blocking)
+    restoreSimulationState();
+
     // Start SignalR connection (receives probe results from server)
     initializeSignalR();
 
@@ -1955,28 +390,41 @@ document.addEventListener('DOMContentLoaded', async () => {
     startLatencyChartUpdates();
     
     // Wire up button handlers
-    document.getElementById('btnTriggerCpu').addEventListener('click', triggerCpuStress);
-    document.getElementById('btnStopCpu').addEventListener('click', stopCpuStress);
-    document.getElementById('btnAllocateMemory').addEventListener('click', allocateMemory);
-    document.getElementById('btnReleaseMemory').addEventListener('click', releaseMemory);
-    document.getElementById('btnTriggerThreadBlock').addEventListener('click', triggerThreadBlock);
-    document.getElementById('btnStopThreadBlock').addEventListener('click', stopThreadBlock);
-    document.getElementById('btnTriggerCrash').addEventListener('click', triggerCrash);
-    document.getElementById('btnStartSlowRequests').addEventListener('click', startSlowRequests);
-    document.getElementById('btnStopSlowRequests').addEventListener('click', stopSlowRequests);
-    document.getElementById('btnStartFailedRequests').addEventListener('click', startFailedRequests);
     document.getElementById('btnCopyEventLog').addEventListener('click', copyEventLog);
-    
-    // Initialize slow request Stop button as disabled
-    document.getElementById('btnStopSlowRequests').disabled = true;
+    document.getElementById('btnExportCsv').addEventListener('click', () => exportChartHistory('csv'));
+    document.getElementById('btnExportJson').addEventListener('click', () => exportChartHistory('json'));
     
     // Wire up side panel toggle
     initializeSidePanel();
     
     // Enable click-to-copy for simulation IDs in event log
     initSimulationIdCopyHandlers();
+
+    // Wire up chart window, freeze and zoom controls
+    initializeChartToolbar();
+
+    // Create the latency histogram and SLA input (latency-stats.js)
+    LATENCY_STATS.initialize();
+
+    // Load the alert rules and wire up the rule editor (alerts.js)
+    ALERTS.initialize();
+
+    // Wire up the multi-instance selector (instances.js)
+    INSTANCES.initialize();
+
+    // Start the hub round-trip measurements (connection-diagnostics.js)
+    CONNECTION_DIAGNOSTICS.initialize();
+
+    // Wire up the scenario playbook runner (playbook.js)
+    PLAYBOOK.initialize();
+
+    // Wire up session recording and replay (session-recorder.js)
+    SESSION.initialize();
     
-    logEvent('system', i18n('log.system.initialized', { probeRate: CONFIG.latencyProbeIntervalMs, idleTimeout: CONFIG.idleTimeoutMinutes }));
+    logEvent('system', 'log.system.initialized', { probeRate: CONFIG.latencyProbeIntervalMs, idleTimeout: CONFIG.idleTimeoutMinutes });
+
+    // Open the view the link points to, e.g. #/cpu?cpuDuration=60 (router.js)
+    ROUTER.initialize();
 });
 
 // ==========================================================================
@@ -2016,17 +464,20 @@ function initializeSidePanel() {
 
 function toggleSidePanel() {
     const sidePanel = document.getElementById('sidePanel');
-    const btnToggle = document.getElementById('btnTogglePanel');
     
     if (sidePanel.classList.contains('open')) {
         closeSidePanel();
     } else {
-        sidePanel.classList.add('open');
-        btnToggle.classList.add('active');
+        openSidePanel();
     }
 }
 
-function closeSidePanel() {
+export function openSidePanel() {
+    document.getElementById('sidePanel').classList.add('open');
+    document.getElementById('btnTogglePanel').classList.add('active');
+}
+
+export function closeSidePanel() {
     const sidePanel = document.getElementById('sidePanel');
     const btnToggle = document.getElementById('btnTogglePanel');
     
@@ -2035,9 +486,28 @@ function closeSidePanel() {
 }
 
 /**
- * Clear all active simulations from state and UI.
+ * Clears chart buffers, simulations and the event log.
+ * Used when entering, seeking within and leaving session replay.
  */
-function clearAllActiveSimulations() {
-    state.activeSimulations.clear();
-    updateActiveSimulationsUI();
+export function resetDashboardState() {
+    const clearArrays = obj => Object.values(obj).forEach(arr => { arr.length = 0; });
+    clearArrays(state.metricsHistory);
+    clearArrays(state.latencyHistory);
+    clearArrays(state.slowRequestHistory);
+    Object.values(state.longTermHistory).forEach(buffers => {
+        clearArrays(buffers.metrics);
+        clearArrays(buffers.latency);
+    });
+    LATENCY_STATS.reset();
+    renderSlowRequestLatency();
+    INSTANCES.reset();
+    state.slowRequestSimulationId = null;
+    latencyInterpolation.lastProbeValue = null;
+    probeHistory.length = 0;
+    EVENT_LOG.reset();
+    clearAllActiveSimulations();
+    state.simulationAnnotations.length = 0;
+    setChartsFrozen(false);
+    updateCharts();
+    updateLatencyChart();
 }
@@ -0,0 +1,124 @@
+/**
+ * Dashboard Event Bus
+ *
+ * Every hub message reaches the dashboard panels as an event on this bus:
+ * connection.js publishes, and each panel (metric cards, latency monitor,
+ * simulations, idle handling, ...) subscribes to the events it renders.
+ * Session replay publishes the recorded messages the same way, so a panel
+ * can't tell live data from a replay.
+ *
+ * Panels that aren't part of the dashboard can subscribe too:
+ *
+ *   import { EVENT_BUS } from '/js/event-bus.js';
+ *   EVENT_BUS.subscribe('metrics', snapshot => console.log(snapshot.cpuPercent));
+ *
+ * A handler that throws is logged and doesn't stop the other handlers.
+ */
+
+/**
+ * @typedef {Object} MetricsSnapshot
+ * @property {string} timestamp - ISO 8601 UTC time of the sample
+ * @property {number} cpuPercent
+ * @property {number} workingSetMb
+ * @property {number} totalAvailableMemoryMb
+ * @property {number} threadPoolThreads
+ * @property {number} threadPoolQueueLength
+ * @property {string} [instanceId] - App Service instance that sent the snapshot
+ * @property {string} [computerName]
+ * @property {number} [processId]
+ */
+
+/**
+ * @typedef {Object} LatencyMeasurement
+ * @property {string} timestamp - ISO 8601 UTC time of the probe
+ * @property {number} latencyMs
+ * @property {boolean} isTimeout
+ * @property {boolean} isError
+ */
+
+/**
+ * @typedef {Object} SimulationEvent
+ * @property {'started'|'completed'} phase
+ * @property {string} simulationType - Server type name, e.g. 'Cpu', 'SlowRequest'
+ * @property {string} simulationId
+ */
+
+/**
+ * @typedef {Object} ConnectionEvent
+ * @property {'connected'|'connecting'|'disconnected'|'idle'} status
+ * @property {string} key - i18n key of the status text
+ */
+
+/**
+ * @typedef {Object} LogEvent - Event log entry (see event-log.js)
+ * @property {number} timestamp - Epoch ms
+ * @property {string} category - e.g. 'cpu', 'system'
+ * @property {'info'|'warning'|'error'} severity
+ * @property {string} icon
+ * @property {string} key - i18n key of the message
+ * @property {Object} params - Message parameters
+ * @property {string|null} simulationId
+ */
+
+/**
+ * Event types and their payloads:
+ *   metrics               MetricsSnapshot (ReceiveMetrics)
+ *   latency               LatencyMeasurement (ReceiveLatency)
+ *   slowRequestLatency    Slow request completion (ReceiveSlowRequestLatency)
+ *   slowRequestProgress   SlowRequestStatus (ReceiveSlowRequestProgress)
+ *   failedRequestProgress FailedRequestStatus (ReceiveFailedRequestProgress)
+ *   loadTestStats         Load test statistics (ReceiveLoadTestStats)
+ *   idleState             { isIdle, message } (ReceiveIdleState)
+ *   simulation            SimulationEvent (SimulationStarted, SimulationCompleted)
+ *   connection            ConnectionEvent
+ *   log                   LogEvent, for every event log entry
+ */
+export const EVENT_TYPES = [
+    'metrics',
+    'latency',
+    'slowRequestLatency',
+    'slowRequestProgress',
+    'failedRequestProgress',
+    'loadTestStats',
+    'idleState',
+    'simulation',
+    'connection',
+    'log'
+];
+
+export const EVENT_BUS = {
+    handlers: new Map(EVENT_TYPES.map(type => [type, new Set()])),
+
+    /**
+     * Calls a handler for every event of a type.
+     * @param {string} type - One of EVENT_TYPES
+     * @param {Function} handler - Receives the event payload
+     * @returns {Function} Removes the subscription
+     */
+    subscribe(type, handler) {
+        const handlers = this.getHandlers(type);
+        handlers.add(handler);
+        return () => handlers.delete(handler);
+    },
+
+    /**
+     * Calls the handlers of an event type in subscription order.
+     * @param {string} type - One of EVENT_TYPES
+     * @param {*} payload - Event payload (see EVENT_TYPES)
+     */
+    publish(type, payload) {
+        for (const handler of this.getHandlers(type)) {
+            try {
+                handler(payload);
+            } catch (err) {
+                console.error(`Event bus: '${type}' handler failed`, err);
+            }
+        }
+    },
+
+    getHandlers(type) {
+        const handlers = this.handlers.get(type);
+        if (!handlers) throw new Error(`Unknown event type '${type}'`);
+        return handlers;
+    }
+};
@@ -0,0 +1,452 @@
+/**
+ * Event Log
+ *
+ * Backs the Event Log panel with a capped in-memory store instead of an
+ * ever-growing list of DOM nodes. logEvent() adds entries here; the panel shows
+ * the entries that match the current filters (categories, minimum severity and
+ * free-text search), newest first.
+ *
+ * Entries are also written to IndexedDB so the log survives a page reload,
+ * which usually follows a crash simulation. Entries restored from a previous
+ * page load are shown dimmed. Replayed session entries are never persisted.
+ *
+ * Entries are structured rather than pre-rendered HTML, so the message is
+ * translated when it is drawn (a language switch re-renders the whole log) and
+ * server-provided text is only ever inserted as text, never as markup.
+ *
+ * Entry shape:
+ *   { id, timestamp, category, severity, icon, key, params, simulationId, restored }
+ *   id           - Sortable key: epoch ms * 1000 + sequence
+ *   severity     - 'info' | 'warning' | 'error'
+ *   key, params  - i18n key and placeholder values; a param may itself be
+ *                  { key, params } to be translated as well
+ *   simulationId - Simulation the entry belongs to (click to copy), if any
+ *
+ * Every entry is also published as a 'log' event on the event bus.
+ */
+
+import { EVENT_BUS } from './event-bus.js';
+import { i18n } from './i18n.js';
+import { formatUtcTime } from './metrics-store.js';
+import { SESSION } from './session-recorder.js';
+
+const EVENT_LOG_MAX_ENTRIES = 2000;
+
+const EVENT_LOG_DB_NAME = 'perfsim';
+const EVENT_LOG_DB_VERSION = 1;
+const EVENT_LOG_STORE = 'eventLog';
+
+// Categories with their own filter toggle; everything else falls under 'other'
+const EVENT_LOG_CATEGORIES = [
+    'cpu', 'memory', 'threads', 'slowrequest', 'failedrequests', 'crash', 'loadtest',
+    'alert', 'playbook', 'system', 'idle', 'other'
+];
+
+const EVENT_LOG_SEVERITIES = ['info', 'warning', 'error'];
+
+// Severity used when logEvent() isn't given one
+const EVENT_LOG_CATEGORY_SEVERITY = {
+    crash: 'error',
+    error: 'error',
+    warning: 'warning',
+    alert: 'warning'
+};
+
+export const EVENT_LOG = {
+    entries: [],
+    sequence: 0,
+    db: null,
+    filter: {
+        categories: new Set(EVENT_LOG_CATEGORIES),
+        minSeverity: 'info',
+        text: ''
+    },
+
+    /**
+     * Wires up the filter controls and restores the persisted log.
+     * Called from the dashboard's DOMContentLoaded handler.
+     */
+    async initialize() {
+        this.renderCategories();
+
+        document.getElementById('eventLogSearch').addEventListener('input', e => {
+            this.filter.text = e.target.value.trim().toLowerCase();
+            this.render();
+        });
+        document.getElementById('eventLogSeverity').addEventListener('change', e => {
+            this.filter.minSeverity = e.target.value;
+            this.render();
+        });
+        document.getElementById('btnClearEventLog').addEventListener('click', () => this.clear());
+
+        try {
+            this.db = await openEventLogDb();
+        } catch (err) {
+            console.warn('Event log persistence unavailable', err);
+            return;
+        }
+
+        // Entries logged while the database was opening haven't been written yet
+        this.entries.forEach(entry => this.persist(entry));
+        await this.restore();
+    },
+
+    /**
+     * Adds an entry, shows it if it matches the filters and persists it.
+     * @param {Object} entry - { timestamp, category, severity, icon, key, params, simulationId }
+     * @param {boolean} persist - Write to IndexedDB (false for replayed entries)
+     */
+    add(entry, persist) {
+        entry.id = entry.timestamp * 1000 + (this.sequence++ % 1000);
+        this.entries.push(entry);
+
+        const log = document.getElementById('eventLog');
+        if (this.matches(entry)) {
+            log.insertBefore(this.createElement(entry), log.firstChild);
+        }
+
+        if (this.entries.length > EVENT_LOG_MAX_ENTRIES) {
+            const removed = this.entries.splice(0, this.entries.length - EVENT_LOG_MAX_ENTRIES);
+            removed.forEach(old => log.querySelector(`[data-entry-id="${old.id}"]`)?.remove());
+            this.deletePersistedBefore(this.entries[0].id);
+        }
+
+        if (persist) this.persist(entry);
+        this.renderCount();
+    },
+
+    matches(entry) {
+        const category = EVENT_LOG_CATEGORIES.includes(entry.category) ? entry.category : 'other';
+        if (!this.filter.categories.has(category)) return false;
+        if (EVENT_LOG_SEVERITIES.indexOf(entry.severity) < EVENT_LOG_SEVERITIES.indexOf(this.filter.minSeverity)) return false;
+        if (this.filter.text && !getEventLogEntryText(entry).toLowerCase().includes(this.filter.text)) return false;
+        return true;
+    },
+
+    createElement(entry) {
+        const date = new Date(entry.timestamp);
+        const time = formatUtcTime(date);
+        const localTime = date.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit', second: '2-digit' });
+
+        const element = document.createElement('div');
+        element.className = `log-entry ${entry.category} severity-${entry.severity}${entry.restored ? ' restored' : ''}`;
+        element.dataset.entryId = entry.id;
+
+        const timeEl = document.createElement('span');
+        timeEl.className = 'log-time log-time-tooltip';
+        timeEl.dataset.tooltip = i18n('eventLog.localTime', { time: localTime });
+        timeEl.textContent = `${time} UTC`;
+        element.appendChild(timeEl);
+
+        if (entry.icon) {
+            const iconEl = document.createElement('span');
+            iconEl.className = 'log-icon';
+            iconEl.textContent = entry.icon;
+            element.appendChild(iconEl);
+        }
+
+        const message = formatEventLogMessage(entry.key, entry.params);
+        if (entry.simulationId) {
+            // Clicking copies the ID (initSimulationIdCopyHandlers in dashboard.js)
+            const simMsg = document.createElement('span');
+            simMsg.className = 'sim-msg';
+            simMsg.dataset.simid = entry.simulationId;
+            simMsg.title = i18n('eventLog.copySimulationId', { id: entry.simulationId });
+            simMsg.textContent = message;
+            element.appendChild(simMsg);
+        } else {
+            element.append(message);
+        }
+        return element;
+    },
+
+    /**
+     * Redraws the panel from the store (after a filter change).
+     */
+    render() {
+        const matching = this.entries.filter(entry => this.matches(entry));
+        const fragment = document.createDocumentFragment();
+        for (let i = matching.length - 1; i >= 0; i--) {
+            fragment.appendChild(this.createElement(matching[i]));
+        }
+        document.getElementById('eventLog').replaceChildren(fragment);
+        this.renderCount(matching.length);
+    },
+
+    /**
+     * Builds the category filter chips (again after a language switch).
+     */
+    renderCategories() {
+        const chips = EVENT_LOG_CATEGORIES.map(category => {
+            const label = document.createElement('label');
+            label.className = `log-filter-chip ${category}`;
+            const checkbox = document.createElement('input');
+            checkbox.type = 'checkbox';
+            checkbox.checked = this.filter.categories.has(category);
+            checkbox.addEventListener('change', () => {
+                if (checkbox.checked) this.filter.categories.add(category);
+                else this.filter.categories.delete(category);
+                this.render();
+            });
+            label.append(checkbox, i18n(`eventLog.category.${category}`));
+            return label;
+        });
+        document.getElementById('eventLogCategories').replaceChildren(...chips);
+    },
+
+    renderCount(shown) {
+        const countEl = document.getElementById('eventLogCount');
+        if (!countEl) return;
+        shown ??= document.getElementById('eventLog').childElementCount;
+        countEl.textContent = i18n('eventLog.count', { shown, total: this.entries.length });
+    },
+
+    /**
+     * Loads entries persisted by previous page loads and merges them in front of
+     * the entries logged since this page loaded.
+     */
+    async restore() {
+        if (!this.db || SESSION.isReplaying()) return;
+
+        let persisted;
+        try {
+            persisted = await requestToPromise(
+                this.db.transaction(EVENT_LOG_STORE).objectStore(EVENT_LOG_STORE).getAll());
+        } catch (err) {
+            console.warn('Failed to restore the event log', err);
+            return;
+        }
+
+        const current = new Set(this.entries.map(entry => entry.id));
+        const restored = persisted
+            .filter(entry => !current.has(entry.id))
+            .map(entry => ({ ...entry, restored: true }));
+
+        this.entries = [...restored, ...this.entries].slice(-EVENT_LOG_MAX_ENTRIES);
+        this.render();
+    },
+
+    persist(entry) {
+        if (!this.db) return;
+        try {
+            const { restored, ...stored } = entry;
+            this.db.transaction(EVENT_LOG_STORE, 'readwrite').objectStore(EVENT_LOG_STORE).put(stored);
+        } catch (err) {
+            console.warn('Failed to persist event log entry', err);
+        }
+    },
+
+    deletePersistedBefore(id) {
+        if (!this.db || SESSION.isReplaying()) return;
+        try {
+            this.db.transaction(EVENT_LOG_STORE, 'readwrite').objectStore(EVENT_LOG_STORE)
+                .delete(IDBKeyRange.upperBound(id, true));
+        } catch (err) {
+            console.warn('Failed to trim the persisted event log', err);
+        }
+    },
+
+    /**
+     * Empties the panel. Used by session replay: while replaying only recorded
+     * entries are shown; when replay ends the persisted live log comes back.
+     */
+    async reset() {
+        this.entries = [];
+        this.render();
+        await this.restore();
+    },
+
+    /**
+     * Deletes every entry, including the persisted ones.
+     */
+    clear() {
+        this.entries = [];
+        this.render();
+        if (this.db && !SESSION.isReplaying()) {
+            this.db.transaction(EVENT_LOG_STORE, 'readwrite').objectStore(EVENT_LOG_STORE).clear();
+        }
+    }
+};
+
+/**
+ * Translates an entry's message in the current language.
+ * @param {string} key - i18n key
+ * @param {Object} [params] - Placeholder values; { key, params } values are translated too
+ * @returns {string} Plain text (never HTML)
+ */
+export function formatEventLogMessage(key, params) {
+    if (!params) return i18n(key);
+    const resolved = {};
+    for (const [name, value] of Object.entries(params)) {
+        resolved[name] = value && typeof value === 'object' && value.key
+            ? formatEventLogMessage(value.key, value.params)
+            : value;
+    }
+    return i18n(key, resolved);
+}
+
+/**
+ * Plain text of an entry, used for searching. Includes the simulation ID so
+ * a pasted ID finds every entry of that simulation.
+ */
+function getEventLogEntryText(entry) {
+    const message = formatEventLogMessage(entry.key, entry.params);
+    return entry.simulationId ? `${message} ${entry.simulationId}` : message;
+}
+
+function openEventLogDb() {
+    return new Promise((resolve, reject) => {
+        if (!('indexedDB' in window)) {
+            reject(new Error('IndexedDB is not supported'));
+            return;
+        }
+        const request = indexedDB.open(EVENT_LOG_DB_NAME, EVENT_LOG_DB_VERSION);
+        request.onupgradeneeded = () => {
+            request.result.createObjectStore(EVENT_LOG_STORE, { keyPath: 'id' });
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+function requestToPromise(request) {
+    return new Promise((resolve, reject) => {
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+// ==========================================================================
+// Event Log Panel
+// ==========================================================================
+
+/**
+ * Category icons for event log entries
+ */
+const LOG_ICONS = {
+    cpu: '🔥',
+    memory: '📊',
+    threads: '🧵',
+    slowrequest: '🐌',
+    failedrequests: '❌',
+    crash: '💥',
+    loadtest: '📈',
+    playbook: '🎬',
+    alert: '🚨'
+};
+
+/**
+ * Logs an event to the event log panel.
+ * The message is stored as an i18n key plus params and translated when drawn;
+ * server-provided text (error details, result messages) goes in as a param and
+ * is always rendered as text. Use 'log.text' with { text } for untranslated text.
+ * @param {string} levelOrCategory - Log level ('info','success','warning','error') or category ('cpu','memory','threads','slowrequest','crash','loadtest','system','playbook','alert')
+ * @param {string} key - i18n key of the message
+ * @param {Object} [params] - Placeholder values; a { key, params } value is translated as well
+ * @param {Object} [options] - Optional settings
+ * @param {string} [options.simulationId] - Simulation the entry belongs to (tooltip, click to copy)
+ * @param {string} [options.icon] - Override the default icon for this category
+ * @param {number} [options.timestamp] - Epoch ms to show instead of now (session replay)
+ * @param {boolean} [options.replayed] - Entry comes from a recorded session
+ * @param {string} [options.severity] - 'info', 'warning' or 'error' (defaults by category)
+ */
+export function logEvent(levelOrCategory, key, params = {}, options = {}) {
+    // During replay only recorded entries are shown; live handlers stay quiet
+    if (SESSION.isReplaying() && !options.replayed) return;
+    if (!options.replayed) {
+        SESSION.captureLog(levelOrCategory, key, params, options);
+    }
+
+    const entry = {
+        timestamp: options.timestamp ?? Date.now(),
+        category: levelOrCategory,
+        severity: options.severity || EVENT_LOG_CATEGORY_SEVERITY[levelOrCategory] || 'info',
+        icon: options.icon || LOG_ICONS[levelOrCategory] || '',
+        key,
+        params,
+        simulationId: options.simulationId || null
+    };
+    // The capped, filterable store renders the entry
+    EVENT_LOG.add(entry, !options.replayed);
+    EVENT_BUS.publish('log', entry);
+}
+
+/**
+ * Copies the event log content to the clipboard.
+ */
+export function copyEventLog() {
+    const log = document.getElementById('eventLog');
+    const entries = log.querySelectorAll('.log-entry');
+    
+    // Extract text from each log entry
+    const logText = Array.from(entries).map(entry => {
+        const time = entry.querySelector('.log-time')?.textContent || '';
+        const icon = entry.querySelector('.log-icon')?.textContent || '';
+        // Get the text content after time and icon
+        const clone = entry.cloneNode(true);
+        clone.querySelector('.log-time')?.remove();
+        clone.querySelector('.log-icon')?.remove();
+        const message = clone.textContent.trim();
+        return `${time} ${icon} ${message}`.trim();
+    }).join('\n');
+    
+    navigator.clipboard.writeText(logText).then(() => {
+        const btn = document.getElementById('btnCopyEventLog');
+        const originalText = btn.textContent;
+        btn.textContent = i18n('eventLog.copied');
+        btn.classList.add('copied');
+        setTimeout(() => {
+            btn.textContent = originalText;
+            btn.classList.remove('copied');
+        }, 2000);
+    }).catch(err => {
+        console.error('Failed to copy event log:', err);
+        alert(i18n('eventLog.copyFailed'));
+    });
+}
+
+/**
+ * Copies the simulation ID to clipboard when a sim-msg element is clicked.
+ * Shows a brief visual feedback to indicate successful copy.
+ */
+export function initSimulationIdCopyHandlers() {
+    document.getElementById('eventLog').addEventListener('click', async (e) => {
+        const simMsg = e.target.closest('.sim-msg');
+        if (!simMsg) return;
+        
+        const simId = simMsg.dataset.simid;
+        if (!simId) return;
+        
+        try {
+            await navigator.clipboard.writeText(simId);
+            
+            // Visual feedback
+            simMsg.classList.add('copied');
+            const originalTitle = simMsg.title;
+            simMsg.title = i18n('eventLog.copied');
+            
+            setTimeout(() => {
+                simMsg.classList.remove('copied');
+                simMsg.title = originalTitle;
+            }, 1500);
+        } catch (err) {
+            console.error('Failed to copy simulation ID:', err);
+        }
+    });
+}
+
+/**
+ * Highlights the event log entries that mention a simulation ID and scrolls to the newest.
+ * @param {string|null} simulationId - null clears the highlight
+ */
+export function highlightSimulationLogEntries(simulationId) {
+    const log = document.getElementById('eventLog');
+    log.querySelectorAll('.log-entry.highlighted').forEach(entry => entry.classList.remove('highlighted'));
+    if (!simulationId) return;
+
+    const entries = Array.from(log.querySelectorAll('.sim-msg'))
+        .filter(el => el.dataset.simid === simulationId)
+        .map(el => el.closest('.log-entry'));
+    entries.forEach(entry => entry.classList.add('highlighted'));
+    entries[0]?.scrollIntoView({ behavior: 'smooth', block: 'nearest' });
+}
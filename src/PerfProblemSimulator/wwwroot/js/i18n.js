@@ -2,8 +2,16 @@
  * Internationalization (i18n) Module
  * 
  * Loads translated strings from locale JSON files and applies them to the UI.
- * The active language is determined by the server's UI_LANGUAGE setting,
- * communicated via the /api/config endpoint.
+ * The default language is the server's UI_LANGUAGE setting, communicated via
+ * the /api/config endpoint together with the languages that have a locale file.
+ * A language picked in the header is remembered per browser and overrides it.
+ *
+ * Keys missing from a translated locale fall back to the English string. Missing,
+ * unknown and unused keys and mismatched {placeholder} names are collected for
+ * the Translation Diagnostics report (getDiagnostics()).
+ *
+ * Right-to-left languages (Arabic, Hebrew, ...) set dir="rtl" on the document;
+ * the stylesheet mirrors the layout with logical properties.
  * 
  * Usage in HTML:
  *   <span data-i18n="sim.cpu.title">CPU Stress</span>
@@ -14,31 +22,102 @@
  * Usage in JS:
  *   i18n('log.cpu.triggering', { duration: 30, level: 'high' })
  *   // Returns: "Triggering CPU stress for 30 seconds (high)..."
+ *
+ * Message syntax (a subset of ICU MessageFormat), formatted with Intl in the
+ * active language:
+ *   {name}                          Value as is
+ *   {n, number}  {n, number, 1}     Grouped number, optionally with fixed decimals
+ *   {rate, percent}                 Fraction as a percentage (0.125 → 12.5%)
+ *   {ms, duration}                  Milliseconds as "350 ms" / "1.5 s"
+ *   {t, date}  {t, time}            Date or time of a Date / epoch ms
+ *   {n, plural, one {# request} other {# requests}}
+ *                                   Branch chosen by Intl.PluralRules ('=0 {...}'
+ *                                   matches exactly); '#' is the formatted number
  */
 
-const I18N = {
+const I18N_STORAGE_KEY = 'perfsim.language';
+
+// Languages written right to left (ISO 639-1)
+const I18N_RTL_LANGUAGES = ['ar', 'he', 'fa', 'ur', 'ps', 'sd', 'ug', 'yi'];
+
+export const I18N = {
     currentLanguage: 'en',
+    availableLanguages: ['en'],
     strings: {},
+    fallbackStrings: {},  // English strings, used for keys missing from the active locale
+    fallbackLoaded: false,
+    usedKeys: new Set(),     // Keys looked up since the page loaded (diagnostics)
+    unknownKeys: new Set(),  // Keys looked up that no locale has (diagnostics)
     loaded: false,
 
+    /**
+     * The language to start with: the one saved in this browser if the server
+     * still has it, otherwise the server's default.
+     * @param {string} serverLanguage - UI_LANGUAGE from /api/config
+     * @returns {string} ISO 639-1 language code
+     */
+    getStartupLanguage(serverLanguage) {
+        const saved = localStorage.getItem(I18N_STORAGE_KEY);
+        return saved && this.availableLanguages.includes(saved) ? saved : (serverLanguage || 'en');
+    },
+
+    /**
+     * Switches the language at runtime and remembers the choice in this browser.
+     * Static markup is re-translated by init(); callers re-render dynamic content.
+     * @param {string} language - ISO 639-1 language code
+     */
+    async setLanguage(language) {
+        localStorage.setItem(I18N_STORAGE_KEY, language);
+        await this.init(language);
+    },
+
+    /**
+     * Name of a language in that language (e.g. "español"), for the picker.
+     * @param {string} language - ISO 639-1 language code
+     */
+    getLanguageName(language) {
+        try {
+            const name = new Intl.DisplayNames([language], { type: 'language' }).of(language);
+            return name.charAt(0).toLocaleUpperCase(language) + name.slice(1);
+        } catch {
+            return language;
+        }
+    },
+
+    /**
+     * Text direction of a language, for the document's dir attribute.
+     * @param {string} language - ISO 639-1 language code, optionally with a region
+     * @returns {'ltr'|'rtl'}
+     */
+    getDirection(language) {
+        const base = (language || 'en').split('-')[0].toLowerCase();
+        return I18N_RTL_LANGUAGES.includes(base) ? 'rtl' : 'ltr';
+    },
+
     /**
      * Initialize i18n by loading the active locale.
-     * Called after fetchAppConfig() sets the language.
+     * English is always loaded as well: keys a translated locale lacks fall back to it.
+     * Called after fetchAppConfig() sets the language, and by setLanguage().
      * @param {string} language - ISO 639-1 language code
      */
     async init(language) {
         this.currentLanguage = language || 'en';
 
-        if (this.currentLanguage === 'en') {
-            // English is the source — load en.json as the base
+        // English is the source — load en.json once as the fallback for every locale
+        if (!this.fallbackLoaded) {
             try {
                 const response = await fetch(`/locales/en.json?v=${Date.now()}`);
                 if (response.ok) {
-                    this.strings = await response.json();
+                    this.fallbackStrings = await response.json();
+                    this.fallbackLoaded = true;
                 }
             } catch (err) {
                 console.warn('Failed to load en.json, using inline defaults', err);
             }
+        }
+
+        if (this.currentLanguage === 'en') {
+            this.strings = this.fallbackStrings;
             this.loaded = true;
             this.applyToDOM();
             return;
@@ -53,13 +132,11 @@ const I18N = {
                 console.log(`Loaded locale: ${this.currentLanguage}`);
             } else {
                 console.warn(`Locale ${this.currentLanguage}.json not found (${response.status}), falling back to English`);
-                this.currentLanguage = 'en';
                 await this.init('en');
                 return;
             }
         } catch (err) {
             console.warn(`Failed to load locale ${this.currentLanguage}, falling back to English`, err);
-            this.currentLanguage = 'en';
             await this.init('en');
             return;
         }
@@ -67,27 +144,71 @@ const I18N = {
         this.applyToDOM();
     },
 
+    /**
+     * Looks up a key in the active locale, falling back to English.
+     * Records the key as used, and as unknown if no locale has it.
+     * @param {string} key - The translation key
+     * @returns {string|undefined} The string, or undefined if not found anywhere
+     */
+    lookup(key) {
+        this.usedKeys.add(key);
+        const text = this.strings[key] ?? this.fallbackStrings[key];
+        if (text === undefined) {
+            this.unknownKeys.add(key);
+        }
+        return text;
+    },
+
     /**
      * Get a translated string by key, with optional placeholder substitution.
      * Placeholders use {name} syntax.
      * @param {string} key - The translation key (e.g., 'log.cpu.triggering')
      * @param {Object} [params] - Key/value pairs for placeholder substitution
-     * @returns {string} The translated string, or the key itself if not found
+     * @returns {string} The translated string, the English string if the locale
+     *   lacks the key, or the key itself if not found at all
      */
     t(key, params) {
-        let text = this.strings[key];
+        const text = this.lookup(key);
         if (text === undefined) {
             // Key not found — return the key itself as fallback
             return key;
         }
+        return formatI18nMessage(text, params || {}, this.currentLanguage);
+    },
+
+    /**
+     * Compares the active locale against English and reports what is wrong with it.
+     * "Unused" keys are English keys nothing has looked up since the page loaded,
+     * so the list shrinks as more of the dashboard is exercised.
+     * @returns {Object} Diagnostics report (also offered as a JSON download)
+     */
+    getDiagnostics() {
+        const englishKeys = Object.keys(this.fallbackStrings).filter(isTranslationKey);
+        const translated = this.currentLanguage !== 'en' && this.strings !== this.fallbackStrings;
 
-        if (params) {
-            for (const [k, v] of Object.entries(params)) {
-                text = text.replaceAll(`{${k}}`, v);
+        const placeholderMismatches = [];
+        if (translated) {
+            for (const key of englishKeys) {
+                if (typeof this.strings[key] !== 'string') continue;
+                const expected = getPlaceholderNames(this.fallbackStrings[key]);
+                const actual = getPlaceholderNames(this.strings[key]);
+                if (expected.join() !== actual.join()) {
+                    placeholderMismatches.push({ key, expected, actual });
+                }
             }
         }
 
-        return text;
+        return {
+            language: this.currentLanguage,
+            generatedAt: new Date().toISOString(),
+            missingKeys: translated ? englishKeys.filter(key => this.strings[key] === undefined) : [],
+            unknownKeys: [...this.unknownKeys].sort(),
+            placeholderMismatches,
+            obsoleteKeys: translated
+                ? Object.keys(this.strings).filter(key => isTranslationKey(key) && !(key in this.fallbackStrings))
+                : [],
+            unusedKeys: englishKeys.filter(key => !this.usedKeys.has(key)).sort()
+        };
     },
 
     /**
@@ -97,10 +218,13 @@ const I18N = {
     applyToDOM() {
         if (!this.loaded) return;
 
+        document.documentElement.lang = this.currentLanguage;
+        document.documentElement.dir = this.getDirection(this.currentLanguage);
+
         // data-i18n: replace textContent
         document.querySelectorAll('[data-i18n]').forEach(el => {
             const key = el.getAttribute('data-i18n');
-            const text = this.strings[key];
+            const text = this.lookup(key);
             if (text !== undefined) {
                 el.textContent = text;
             }
@@ -109,7 +233,7 @@ const I18N = {
         // data-i18n-html: replace innerHTML (for content with markup)
         document.querySelectorAll('[data-i18n-html]').forEach(el => {
             const key = el.getAttribute('data-i18n-html');
-            const text = this.strings[key];
+            const text = this.lookup(key);
             if (text !== undefined) {
                 el.innerHTML = text;
             }
@@ -118,7 +242,7 @@ const I18N = {
         // data-i18n-tooltip: replace data-tooltip attribute
         document.querySelectorAll('[data-i18n-tooltip]').forEach(el => {
             const key = el.getAttribute('data-i18n-tooltip');
-            const text = this.strings[key];
+            const text = this.lookup(key);
             if (text !== undefined) {
                 el.setAttribute('data-tooltip', text);
             }
@@ -127,7 +251,7 @@ const I18N = {
         // data-i18n-title: replace title attribute
         document.querySelectorAll('[data-i18n-title]').forEach(el => {
             const key = el.getAttribute('data-i18n-title');
-            const text = this.strings[key];
+            const text = this.lookup(key);
             if (text !== undefined) {
                 el.setAttribute('title', text);
             }
@@ -136,14 +260,14 @@ const I18N = {
         // data-i18n-placeholder: replace placeholder attribute
         document.querySelectorAll('[data-i18n-placeholder]').forEach(el => {
             const key = el.getAttribute('data-i18n-placeholder');
-            const text = this.strings[key];
+            const text = this.lookup(key);
             if (text !== undefined) {
                 el.setAttribute('placeholder', text);
             }
         });
 
         // Update page title
-        const pageTitle = this.strings['page.title'];
+        const pageTitle = this.lookup('page.title');
         if (pageTitle) {
             document.title = pageTitle;
         }
@@ -156,6 +280,178 @@ const I18N = {
  * @param {Object} [params] - Placeholder substitution params
  * @returns {string} Translated string
  */
-function i18n(key, params) {
+export function i18n(key, params) {
     return I18N.t(key, params);
 }
+
+/**
+ * Locale files carry metadata under "_meta"; everything else is a string key.
+ */
+function isTranslationKey(key) {
+    return !key.startsWith('_');
+}
+
+/**
+ * Sorted, de-duplicated {placeholder} names used in a string, including those
+ * inside plural branches (but not the branch text itself).
+ */
+function getPlaceholderNames(text) {
+    const names = new Set();
+    const collect = parts => parts.forEach(part => {
+        if (typeof part !== 'object' || part.type === 'count') return;
+        names.add(part.name);
+        Object.values(part.branches || {}).forEach(collect);
+    });
+    collect(parseI18nMessage(text));
+    return [...names].sort();
+}
+
+// Parsed messages by source text; locale strings are parsed once
+const I18N_MESSAGE_CACHE = new Map();
+
+const I18N_ARGUMENT_PATTERN = /\{\s*(\w+)\s*(?:,\s*(number|percent|duration|date|time)\s*(?:,\s*([\w.]+)\s*)?)?\}/y;
+const I18N_PLURAL_PATTERN = /\{\s*(\w+)\s*,\s*plural\s*,/y;
+const I18N_SELECTOR_PATTERN = /\s*(=\d+|zero|one|two|few|many|other)\s*\{/y;
+
+/**
+ * Parses a message into literal strings and argument objects:
+ *   { name, type, style, source }       simple or formatted argument
+ *   { name, type: 'plural', branches }  plural, branches keyed by selector
+ *   { type: 'count' }                   '#' inside a plural branch
+ * Braces that don't form a valid argument are kept as literal text.
+ */
+function parseI18nMessage(text) {
+    let parts = I18N_MESSAGE_CACHE.get(text);
+    if (parts) return parts;
+
+    let pos = 0;
+    const matchAt = pattern => {
+        pattern.lastIndex = pos;
+        const match = pattern.exec(text);
+        if (match) pos = pattern.lastIndex;
+        return match;
+    };
+
+    const parsePlural = name => {
+        const start = pos;
+        const branches = {};
+        let selector;
+        while ((selector = matchAt(I18N_SELECTOR_PATTERN))) {
+            branches[selector[1]] = parseParts(true);
+            if (text[pos] !== '}') break;
+            pos++;
+        }
+        while (text[pos] === ' ') pos++;
+        if (text[pos] !== '}' || !branches.other) {
+            pos = start;
+            return null;
+        }
+        pos++;
+        return { name, type: 'plural', branches };
+    };
+
+    const parseParts = inBranch => {
+        const result = [];
+        let literal = '';
+        const flush = () => {
+            if (literal) result.push(literal);
+            literal = '';
+        };
+        while (pos < text.length) {
+            const ch = text[pos];
+            if (ch === '}' && inBranch) break;
+            if (ch === '#' && inBranch) {
+                flush();
+                result.push({ type: 'count' });
+                pos++;
+                continue;
+            }
+            if (ch === '{') {
+                const start = pos;
+                const plural = matchAt(I18N_PLURAL_PATTERN);
+                const argument = plural ? parsePlural(plural[1]) : matchAt(I18N_ARGUMENT_PATTERN);
+                if (plural && argument) {
+                    flush();
+                    result.push(argument);
+                    continue;
+                }
+                if (!plural && argument) {
+                    flush();
+                    result.push({ name: argument[1], type: argument[2] || null, style: argument[3] || null, source: argument[0] });
+                    continue;
+                }
+                pos = start;
+            }
+            literal += ch;
+            pos++;
+        }
+        flush();
+        return result;
+    };
+
+    parts = parseParts(false);
+    I18N_MESSAGE_CACHE.set(text, parts);
+    return parts;
+}
+
+/**
+ * Formats a message with the given parameters.
+ * Arguments without a value are left as written, so a missing param stays visible.
+ * @param {string} text - Message in the syntax described at the top of this file
+ * @param {Object} params - Argument values
+ * @param {string} language - Locale for Intl formatting and plural rules
+ * @returns {string}
+ */
+function formatI18nMessage(text, params, language) {
+    const format = (parts, count) => parts.map(part => {
+        if (typeof part === 'string') return part;
+        if (part.type === 'count') return formatI18nNumber(count, null, language);
+
+        const value = params[part.name];
+        if (value === undefined || value === null) return part.source ?? `{${part.name}}`;
+
+        switch (part.type) {
+            case 'plural': {
+                const n = Number(value);
+                const branch = part.branches[`=${n}`]
+                    ?? part.branches[new Intl.PluralRules(language).select(n)]
+                    ?? part.branches.other;
+                return format(branch, n);
+            }
+            case 'number':
+                return formatI18nNumber(Number(value), part.style, language);
+            case 'percent':
+                return new Intl.NumberFormat(language, { style: 'percent', maximumFractionDigits: 1 }).format(Number(value));
+            case 'duration':
+                return formatI18nDuration(Number(value), language);
+            case 'date':
+                return new Date(value).toLocaleDateString(language);
+            case 'time':
+                return new Date(value).toLocaleTimeString(language);
+            default:
+                return String(value);
+        }
+    }).join('');
+
+    return format(parseI18nMessage(text), null);
+}
+
+/**
+ * Grouped number; style is the number of decimals to always show (e.g. '1').
+ */
+function formatI18nNumber(value, style, language) {
+    const digits = style === null || style === undefined ? null : Number(style);
+    const options = Number.isInteger(digits)
+        ? { minimumFractionDigits: digits, maximumFractionDigits: digits }
+        : { maximumFractionDigits: 3 };
+    return new Intl.NumberFormat(language, options).format(value);
+}
+
+/**
+ * Milliseconds as a short unit string: "350 ms" below a second, else "1.5 s".
+ */
+function formatI18nDuration(ms, language) {
+    return ms < 1000
+        ? new Intl.NumberFormat(language, { style: 'unit', unit: 'millisecond', unitDisplay: 'short', maximumFractionDigits: 0 }).format(ms)
+        : new Intl.NumberFormat(language, { style: 'unit', unit: 'second', unitDisplay: 'short', maximumFractionDigits: 1 }).format(ms / 1000);
+}
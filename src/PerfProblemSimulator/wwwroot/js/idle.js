@@ -0,0 +1,64 @@
+/**
+ * Idle Handling
+ *
+ * The server stops its health probes after IDLE_TIMEOUT_MINUTES without
+ * activity and announces it with ReceiveIdleState. On an 'idleState' event the
+ * dashboard stops the latency chart timer and closes the hub connection on
+ * purpose; the next simulation (ensureWebSocket) or a wake-up reconnects.
+ */
+
+import { EVENT_BUS } from './event-bus.js';
+import { latencyInterpolation, state } from './metrics-store.js';
+import { logEvent } from './event-log.js';
+import { startLatencyChartUpdates } from './charts.js';
+import { updateConnectionStatus } from './connection.js';
+
+/**
+ * Subscribes to the 'idleState' event.
+ * Called from the dashboard's DOMContentLoaded handler.
+ */
+export function initializeIdleHandling() {
+    EVENT_BUS.subscribe('idleState', handleIdleState);
+}
+
+/**
+ * Handle idle state change notification from server.
+ * When the server goes idle, health probes stop. When it wakes up, they resume.
+ */
+function handleIdleState(data) {
+    const wasIdle = state.isIdle;
+    state.isIdle = data.isIdle;
+    
+    // Log the state change and update connection status
+    if (data.isIdle && !wasIdle) {
+        // Going idle: stop latency chart updates, show Idle, then intentionally close WS
+        logEvent('idle', 'log.idle.goingIdle');
+        updateConnectionStatus('idle', 'status.idle');
+
+        // Stop the latency chart interpolation timer (no probes during idle)
+        if (latencyInterpolation.chartUpdateTimer) {
+            clearInterval(latencyInterpolation.chartUpdateTimer);
+            latencyInterpolation.chartUpdateTimer = null;
+        }
+
+        // Intentionally close WebSocket to prevent reconnect-induced status flicker
+        state.intentionalDisconnect = true;
+        if (state.connection) {
+            state.connection.stop();
+        }
+    } else if (data.isIdle && wasIdle) {
+        // Server confirms still idle - ensure status indicator is consistent
+        // This handles edge cases like reconnects that might have changed the UI status
+        updateConnectionStatus('idle', 'status.idle');
+    } else if (!data.isIdle && wasIdle) {
+        // Waking up (client knew we were idle)
+        logEvent('system', 'log.idle.wakingUp');
+        updateConnectionStatus('connected', 'status.connected');
+        // Restart latency chart updates now that probes will resume
+        startLatencyChartUpdates();
+    } else if (!data.isIdle && !wasIdle && data.message && data.message.toLowerCase().includes('waking up')) {
+        // Server was idle but client didn't know (e.g., after reconnect)
+        logEvent('system', 'log.idle.wakingUp');
+        updateConnectionStatus('connected', 'status.connected');
+    }
+}
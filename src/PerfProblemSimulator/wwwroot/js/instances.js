@@ -0,0 +1,214 @@
+/**
+ * Multi-Instance View
+ *
+ * When an App Service plan is scaled out, the dashboard can receive metrics from
+ * more than one instance: a reconnect may land on a different worker, and several
+ * browser tabs may each be pinned to a different one by ARR affinity. Every
+ * snapshot carries the instance ID and computer name, so this module:
+ *
+ *   - keeps a separate history per instance, drawn as small-multiple charts
+ *     (shown once a second instance has been seen)
+ *   - lets the user pick which instance drives the metric cards and main charts,
+ *     or follow whichever instance the connection is currently receiving from
+ *   - detects restarts per instance (a process ID change on the SAME instance),
+ *     so switching between instances is no longer reported as a crash
+ *
+ * Snapshots from servers that don't send an instance ID are all treated as one instance.
+ */
+
+import { i18n } from './i18n.js';
+import { CONFIG, formatUtcTime, getActiveSimulationIds, replaceMetricsHistory } from './metrics-store.js';
+import { logEvent } from './event-log.js';
+import { updateMetricCards } from './metrics.js';
+import { clearAllActiveSimulations } from './simulations.js';
+
+const INSTANCE_AUTO = 'auto';
+
+export const INSTANCES = {
+    instances: new Map(),   // instanceId → { id, computerName, processId, lastSeen, samples, chart, card }
+    selected: INSTANCE_AUTO, // INSTANCE_AUTO or an instance ID
+    displayedId: null,      // Instance currently shown in the cards and main charts
+    streamingId: null,      // Instance the latest snapshot came from
+
+    /**
+     * Wires up the instance selector. Called from the dashboard's DOMContentLoaded handler.
+     */
+    initialize() {
+        document.getElementById('instanceSelect').addEventListener('change', e => this.select(e.target.value));
+        this.render();
+    },
+
+    /**
+     * Records a snapshot against its instance and detects restarts and instance switches.
+     * @param {Object} snapshot - Metrics snapshot from the hub
+     * @returns {boolean} True if the snapshot belongs to the displayed instance
+     */
+    track(snapshot) {
+        const id = snapshot.instanceId || '';
+        let instance = this.instances.get(id);
+        const isNew = !instance;
+
+        if (isNew) {
+            instance = { id, computerName: snapshot.computerName || '', processId: null, lastSeen: null, samples: [], chart: null, card: null };
+            if (this.instances.size > 0) {
+                logEvent('system', 'log.instance.new', { instance: this.getLogName(instance) }, { icon: '🖥️' });
+            }
+            this.instances.set(id, instance);
+        } else if (snapshot.processId && instance.processId !== null && instance.processId !== snapshot.processId) {
+            logEvent('crash', this.instances.size > 1 ? 'log.crash.restartedInstance' : 'log.crash.restarted',
+                { instance: this.getLogName(instance), oldPid: instance.processId, newPid: snapshot.processId }, { icon: '🔄' });
+            // Clear all active simulations since the app restarted
+            clearAllActiveSimulations();
+        }
+
+        if (this.streamingId !== null && this.streamingId !== id) {
+            logEvent('system', 'log.instance.switched', { instance: this.getLogName(instance) }, { icon: '🖥️' });
+        }
+        this.streamingId = id;
+        instance.processId = snapshot.processId || instance.processId;
+        instance.lastSeen = new Date(snapshot.timestamp);
+
+        // Switch before appending so the rebuilt main history doesn't get this sample twice
+        if (this.selected === INSTANCE_AUTO && this.displayedId !== id) {
+            this.display(id);
+        }
+
+        instance.samples.push({ timestamp: new Date(snapshot.timestamp), snapshot, simulationIds: getActiveSimulationIds() });
+        while (instance.samples.length > CONFIG.maxDataPoints) {
+            instance.samples.shift();
+        }
+
+        if (isNew) this.render();
+        else this.renderInstance(instance);
+
+        return id === this.displayedId;
+    },
+
+    /**
+     * Chooses the instance shown in the metric cards and main charts.
+     * @param {string} value - INSTANCE_AUTO or an instance ID
+     */
+    select(value) {
+        this.selected = value;
+        const id = value === INSTANCE_AUTO ? this.streamingId : value;
+        if (id !== null && this.instances.has(id)) this.display(id);
+        this.render();
+    },
+
+    /**
+     * Rebuilds the main chart history from an instance's own samples.
+     */
+    display(id) {
+        this.displayedId = id;
+        const instance = this.instances.get(id);
+        replaceMetricsHistory(instance ? instance.samples : []);
+
+        const last = instance?.samples[instance.samples.length - 1];
+        if (last) updateMetricCards(last.snapshot);
+        this.render();
+    },
+
+    getName(instance) {
+        return instance.computerName || instance.id || i18n('instances.unknown');
+    },
+
+    /**
+     * getName() for event log params: an unnamed instance is logged as a
+     * key, so the entry follows later language changes.
+     */
+    getLogName(instance) {
+        return instance.computerName || instance.id || { key: 'instances.unknown' };
+    },
+
+    reset() {
+        this.instances.forEach(instance => instance.chart?.destroy());
+        this.instances.clear();
+        this.displayedId = null;
+        this.streamingId = null;
+        this.render();
+    },
+
+    /**
+     * Rebuilds the instance selector and the small-multiple grid.
+     * The section only appears once more than one instance has been seen.
+     */
+    render() {
+        const section = document.getElementById('instancesSection');
+        section.classList.toggle('hidden', this.instances.size < 2);
+
+        const select = document.getElementById('instanceSelect');
+        select.replaceChildren(new Option(i18n('instances.follow'), INSTANCE_AUTO));
+        this.instances.forEach(instance => select.add(new Option(this.getName(instance), instance.id)));
+        select.value = this.selected;
+
+        const grid = document.getElementById('instancesGrid');
+        this.instances.forEach(instance => {
+            if (!instance.card) this.createCard(instance);
+            if (!instance.card.isConnected) grid.appendChild(instance.card);
+            // Texts set when the card was created, in case the language changed since
+            instance.card.title = i18n('instances.showTooltip');
+            instance.chart.data.datasets[0].label = i18n('chart.cpu');
+            instance.chart.data.datasets[1].label = i18n('chart.queue');
+            this.renderInstance(instance);
+        });
+    },
+
+    createCard(instance) {
+        const card = document.createElement('div');
+        card.className = 'instance-card';
+        card.title = i18n('instances.showTooltip');
+        card.addEventListener('click', () => this.select(instance.id));
+
+        const name = document.createElement('div');
+        name.className = 'instance-name';
+        name.textContent = this.getName(instance);
+        const info = document.createElement('div');
+        info.className = 'instance-info';
+        const canvas = document.createElement('canvas');
+        card.append(name, info, canvas);
+        instance.card = card;
+
+        instance.chart = new Chart(canvas.getContext('2d'), {
+            type: 'line',
+            data: {
+                labels: [],
+                datasets: [
+                    { label: i18n('chart.cpu'), data: [], borderColor: '#0078d4', yAxisID: 'y', pointRadius: 0, borderWidth: 1, tension: 0.3 },
+                    { label: i18n('chart.queue'), data: [], borderColor: '#ffb900', yAxisID: 'y1', pointRadius: 0, borderWidth: 1, tension: 0.3 }
+                ]
+            },
+            options: {
+                responsive: true,
+                maintainAspectRatio: false,
+                animation: false,
+                events: [],
+                scales: {
+                    x: { display: false },
+                    y: { min: 0, max: 100, ticks: { font: { size: 9 }, maxTicksLimit: 3 } },
+                    y1: { min: 0, position: 'right', grid: { drawOnChartArea: false }, ticks: { font: { size: 9 }, maxTicksLimit: 3 } }
+                },
+                plugins: { legend: { display: false } }
+            }
+        });
+    },
+
+    renderInstance(instance) {
+        if (!instance.card) return;
+        instance.card.classList.toggle('displayed', instance.id === this.displayedId);
+        instance.card.classList.toggle('streaming', instance.id === this.streamingId);
+
+        const last = instance.samples[instance.samples.length - 1]?.snapshot;
+        instance.card.querySelector('.instance-info').textContent = i18n('instances.info', {
+            pid: instance.processId ?? '--',
+            cpu: last ? Math.round(last.cpuPercent) : '--',
+            queue: last ? last.threadPoolQueueLength : '--',
+            time: instance.lastSeen ? formatUtcTime(instance.lastSeen) : '--'
+        });
+
+        if (this.instances.size < 2) return;
+        instance.chart.data.labels = instance.samples.map(s => formatUtcTime(s.timestamp));
+        instance.chart.data.datasets[0].data = instance.samples.map(s => s.snapshot.cpuPercent);
+        instance.chart.data.datasets[1].data = instance.samples.map(s => s.snapshot.threadPoolQueueLength);
+        instance.chart.update('none');
+    }
+};
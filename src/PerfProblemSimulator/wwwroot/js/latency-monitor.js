@@ -0,0 +1,220 @@
+/**
+ * Latency Monitor
+ *
+ * Handles 'latency' (server health probes) and 'slowRequestLatency' events:
+ * logs notable latencies, updates the current value, the 24-dot probe history
+ * and the streaming statistics, and hands the value to the latency chart timer.
+ * Only probes feed the statistics: slow requests are slow on purpose, so they
+ * get their own "Last slow request" value instead of skewing the percentiles.
+ */
+
+import { EVENT_BUS } from './event-bus.js';
+import { CONFIG, getActiveSimulationIds, latencyInterpolation, state } from './metrics-store.js';
+import { logEvent } from './event-log.js';
+import { LATENCY_STATS } from './latency-stats.js';
+import { ALERTS } from './alerts.js';
+
+// ==========================================================================
+// Latency Monitoring
+// ==========================================================================
+
+// Probe visualization history (24-dot indicator)
+export const probeHistory = [];
+
+const MAX_PROBE_DOTS = 24;
+
+/**
+ * Subscribes the latency display to the 'latency' and 'slowRequestLatency' events.
+ * Called from the dashboard's DOMContentLoaded handler.
+ */
+export function initializeLatencyMonitor() {
+    EVENT_BUS.subscribe('latency', handleLatencyUpdate);
+    EVENT_BUS.subscribe('slowRequestLatency', handleSlowRequestLatency);
+}
+
+/**
+ * Handle incoming latency measurement from server-side probe.
+ * This shows the impact of thread pool starvation on request processing time.
+ * 
+ * NOTE: This handler stores the latest probe value for the 100ms chart update
+ * timer to consume. The chart is NOT updated directly here — it is decoupled
+ * from the probe rate and always updates at 100ms via startLatencyChartUpdates().
+ */
+function handleLatencyUpdate(measurement) {
+    // Log significant latency events to the dashboard log
+    if (measurement.isError) {
+        // Check if this is from the failed request simulation
+        if (measurement.source === 'FailedRequest') {
+            const errorType = measurement.errorMessage || 'HTTP 5xx';
+            logEvent('failedrequests', 'log.failed.failedRequest', { errorType, latency: formatLatency(measurement.latencyMs) }, { severity: 'error' });
+        } else {
+            logEvent('system', 'log.latency.error', { error: measurement.errorMessage || { key: 'log.unknownError' }, latency: formatLatency(measurement.latencyMs) }, { severity: 'error' });
+        }
+    } else if (measurement.isTimeout) {
+        logEvent('system', 'log.latency.critical', { latency: formatLatency(measurement.latencyMs) }, { severity: 'error' });
+    } else if (measurement.latencyMs > 10000) {
+        // Log extremely high latency (starvation) - yellow warning
+        logEvent('warning', 'log.latency.high', { latency: formatLatency(measurement.latencyMs) });
+    }
+    
+    const latencyMs = measurement.latencyMs;
+    const isTimeout = measurement.isTimeout;
+    const isError = measurement.isError;
+
+    // Store latest probe value for the 100ms chart update timer
+    latencyInterpolation.lastProbeValue = latencyMs;
+    latencyInterpolation.lastProbeIsTimeout = isTimeout;
+    latencyInterpolation.lastProbeIsError = isError;
+
+    // Update the numeric display immediately (responsive to each probe)
+    LATENCY_STATS.add(latencyMs, isTimeout, isError);
+    updateLatencyDisplay(latencyMs, isTimeout, isError);
+    
+    // Update probe visualization dots immediately
+    updateProbeVisualization(latencyMs);
+
+    ALERTS.evaluate('latency', measurement);
+}
+
+/**
+ * Handle incoming slow request latency from server.
+ * This shows the actual duration of slow requests (20+ seconds).
+ */
+function handleSlowRequestLatency(data) {
+    const timestamp = new Date(data.timestamp);
+    const latencyMs = data.latencyMs;
+    const scenario = data.scenario;
+    const expectedMs = data.expectedDurationMs || 0;
+    const isError = data.isError;
+    const errorMessage = data.errorMessage;
+    
+    // Calculate Queue Time (Total - Expected)
+    // If negative (processing was faster than expected?), clamp to 0
+    const queueTimeMs = Math.max(0, latencyMs - expectedMs);
+    
+    // Flag as timeout if total time exceeds threshold (30s)
+    const isTimeout = latencyMs >= CONFIG.latencyTimeoutMs;
+    
+    // Add to slow request history
+    const history = state.slowRequestHistory;
+    history.timestamps.push(timestamp);
+    history.values.push(latencyMs);
+    history.scenarios.push(scenario);
+    history.isError.push(isError);
+    history.simulationIds.push(getActiveSimulationIds());
+    
+    // Trim to max data points
+    while (history.timestamps.length > 100) {
+        history.timestamps.shift();
+        history.values.shift();
+        history.scenarios.shift();
+        history.isError.shift();
+        history.simulationIds.shift();
+    }
+    
+    // Update the interpolation state so the 100ms chart timer picks up slow request latency.
+    // The spike will appear on the chart within the next 100ms tick.
+    latencyInterpolation.lastProbeValue = latencyMs;
+    latencyInterpolation.lastProbeIsTimeout = isTimeout;
+    latencyInterpolation.lastProbeIsError = isError;
+    updateLatencyDisplay(latencyMs, isTimeout, isError);
+    renderSlowRequestLatency();
+    
+    // Log the slow request completion with Queue Time breakdown
+    const params = {
+        number: data.requestNumber,
+        duration: latencyMs,
+        scenario,
+        queueTime: queueTimeMs,
+        error: errorMessage || { key: 'log.unknownError' }
+    };
+    
+    if (isError) {
+        logEvent('slowrequest', queueTimeMs > 100 ? 'log.slow.requestFailedQueued' : 'log.slow.requestFailedDetail', params, { severity: 'error' });
+    } else if (isTimeout) {
+        // Request completed but exceeded the 30s critical threshold
+        logEvent('slowrequest', 'log.slow.requestCritical', params, { severity: 'warning' });
+    } else {
+        logEvent('slowrequest', 'log.slow.requestCompleted', params);
+    }
+}
+
+/**
+ * Update the latency stat displays (if present).
+ */
+function updateLatencyDisplay(currentLatency, isTimeout, isError) {
+    // Current latency with color coding (check if element exists)
+    const currentEl = document.getElementById('latencyCurrent');
+    if (currentEl) {
+        currentEl.textContent = formatLatency(currentLatency);
+        currentEl.className = `latency-value ${getLatencyClass(currentLatency, isTimeout)}`;
+    }
+    
+    // Average, max, percentiles, timeouts and SLA breaches come from the
+    // streaming 60s window (latency-stats.js) instead of re-scanning the buffer
+    LATENCY_STATS.render();
+}
+
+/**
+ * Shows the latency of the most recent slow request, or -- when there is none.
+ */
+export function renderSlowRequestLatency() {
+    const el = document.getElementById('latencySlowRequest');
+    if (!el) return;
+    const history = state.slowRequestHistory;
+    const last = history.values.length - 1;
+    if (last < 0) {
+        el.textContent = '--';
+        el.className = 'latency-value';
+        return;
+    }
+    const latencyMs = history.values[last];
+    el.textContent = formatLatency(latencyMs);
+    el.className = `latency-value ${history.isError[last] ? 'timeout' : getLatencyClass(latencyMs, latencyMs >= CONFIG.latencyTimeoutMs)}`;
+}
+
+/**
+ * Format latency value for display with dynamic units.
+ */
+export function formatLatency(ms) {
+    if (ms >= 10000) {
+        return (ms / 1000).toFixed(1) + 's';
+    } else if (ms >= 1000) {
+        return (ms / 1000).toFixed(2) + 's';
+    } else {
+        return ms.toFixed(1) + 'ms';
+    }
+}
+
+/**
+ * Get CSS class based on latency value.
+ */
+export function getLatencyClass(ms, isTimeout) {
+    if (isTimeout) return 'timeout';
+    if (ms > 1000) return 'danger';
+    if (ms > 150) return 'warning';
+    return 'good';
+}
+
+/**
+ * Updates probe visualization dots (24-dot history indicator)
+ * Shows visual history of recent latency measurements next to the title
+ */
+function updateProbeVisualization(latency) {
+    let status = 'good';
+    if (latency >= 30000) status = 'failed';
+    else if (latency >= 1000) status = 'slow';
+    else if (latency >= 150) status = 'degraded';
+
+    probeHistory.push(status);
+    if (probeHistory.length > MAX_PROBE_DOTS) {
+        probeHistory.shift();
+    }
+
+    const vizEl = document.getElementById('probe-visualization');
+    if (vizEl) {
+        vizEl.innerHTML = probeHistory.map(s =>
+            `<span class="probe-dot-inline ${s === 'good' ? '' : s}"></span>`
+        ).join('');
+    }
+}
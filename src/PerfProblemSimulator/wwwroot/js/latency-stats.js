@@ -0,0 +1,261 @@
+/**
+ * Streaming Latency Statistics
+ *
+ * Keeps rolling 60 second statistics over the latency probes without
+ * re-scanning the whole buffer on every probe:
+ *
+ *   - A log-scale bucket histogram (20 buckets per decade, 1ms..100s) gives
+ *     p50/p90/p95/p99 by walking ~100 bucket counts instead of sorting samples.
+ *     Percentiles are reported as the upper bound of the bucket the rank falls
+ *     in (at most ~12% high), capped at the observed max.
+ *   - A running sum gives the average and a monotonic deque gives the max.
+ *   - Requests over the SLA are counted separately from the Azure-style 30s
+ *     timeouts, because customers reason in "x% of requests were slower than
+ *     our SLA" long before anything times out.
+ *
+ * Each sample is added once and removed once when it leaves the window, so
+ * every update is O(buckets) regardless of the probe rate.
+ */
+
+import { i18n } from './i18n.js';
+import { getInterpolatedLatencyColor } from './charts.js';
+import { formatLatency, getLatencyClass } from './latency-monitor.js';
+import { SESSION } from './session-recorder.js';
+
+const LATENCY_STATS_WINDOW_MS = 60000;
+const LATENCY_STATS_BUCKETS_PER_DECADE = 20;
+const LATENCY_STATS_MAX_DECADES = 5; // 1ms .. 100s
+
+// Histogram panel bins (upper bounds in ms), aligned with the dashboard thresholds
+const LATENCY_HISTOGRAM_BINS = [50, 100, 150, 250, 500, 1000, 2000, 5000, 10000, 30000, Infinity];
+
+const LATENCY_PERCENTILES = [50, 90, 95, 99];
+
+export const LATENCY_STATS = {
+    samples: [],       // { t, value, bucket, bin, isTimeout, isError } in arrival order
+    buckets: new Array(LATENCY_STATS_BUCKETS_PER_DECADE * LATENCY_STATS_MAX_DECADES + 2).fill(0),
+    bins: new Array(LATENCY_HISTOGRAM_BINS.length).fill(0),
+    maxDeque: [],      // Samples with decreasing values; the head is the window max
+    sum: 0,
+    timeoutCount: 0,
+    overSlaCount: 0,
+    slaMs: 1000,
+    chart: null,
+
+    /**
+     * Creates the histogram chart and wires up the SLA input.
+     * Called from the dashboard's DOMContentLoaded handler.
+     */
+    initialize() {
+        const slaInput = document.getElementById('latencySla');
+        const savedSla = Number(localStorage.getItem('perfsim.latencySlaMs'));
+        if (savedSla > 0) this.slaMs = savedSla;
+        slaInput.value = this.slaMs;
+        slaInput.addEventListener('change', () => {
+            const value = Number(slaInput.value);
+            if (!(value > 0)) {
+                slaInput.value = this.slaMs;
+                return;
+            }
+            this.setSla(value);
+            localStorage.setItem('perfsim.latencySlaMs', String(value));
+        });
+
+        const labels = LATENCY_HISTOGRAM_BINS.map((upper, i) => {
+            const lower = i === 0 ? 0 : LATENCY_HISTOGRAM_BINS[i - 1];
+            if (upper === Infinity) return `>${formatLatencyBound(lower)}`;
+            if (lower === 0) return `<${formatLatencyBound(upper)}`;
+            return `${formatLatencyBound(lower)}–${formatLatencyBound(upper)}`;
+        });
+
+        const ctx = document.getElementById('latencyHistogram').getContext('2d');
+        this.chart = new Chart(ctx, {
+            type: 'bar',
+            data: {
+                labels,
+                datasets: [{
+                    label: i18n('latency.histogram.requests'),
+                    data: this.bins,
+                    backgroundColor: LATENCY_HISTOGRAM_BINS.map((upper, i) =>
+                        getInterpolatedLatencyColor(i === 0 ? 0 : LATENCY_HISTOGRAM_BINS[i - 1])),
+                    borderWidth: 0
+                }]
+            },
+            options: {
+                responsive: true,
+                maintainAspectRatio: false,
+                animation: false,
+                scales: {
+                    x: { ticks: { font: { size: 10 }, maxRotation: 0, autoSkip: false } },
+                    y: { beginAtZero: true, ticks: { precision: 0, font: { size: 10 } } }
+                },
+                plugins: {
+                    legend: { display: false },
+                    tooltip: {
+                        callbacks: {
+                            label: context => i18n('latency.histogram.tooltip', {
+                                count: context.raw,
+                                share: this.samples.length > 0 ? context.raw / this.samples.length : 0
+                            })
+                        }
+                    }
+                }
+            }
+        });
+    },
+
+    /**
+     * Adds one latency sample and expires samples older than the window.
+     * @param {number} latencyMs - Measured latency
+     * @param {boolean} isTimeout - Exceeded the 30s timeout
+     * @param {boolean} isError - Request failed
+     * @param {number} [t] - Sample time in epoch ms (defaults to the dashboard clock)
+     */
+    add(latencyMs, isTimeout, isError, t = SESSION.now().getTime()) {
+        const sample = {
+            t,
+            value: latencyMs,
+            bucket: getLatencyBucket(latencyMs),
+            bin: LATENCY_HISTOGRAM_BINS.findIndex(upper => latencyMs < upper),
+            isTimeout,
+            isError
+        };
+
+        this.samples.push(sample);
+        this.buckets[sample.bucket]++;
+        this.bins[sample.bin]++;
+        this.sum += latencyMs;
+        if (isTimeout) this.timeoutCount++;
+        if (latencyMs > this.slaMs) this.overSlaCount++;
+
+        while (this.maxDeque.length > 0 && this.maxDeque[this.maxDeque.length - 1].value <= latencyMs) {
+            this.maxDeque.pop();
+        }
+        this.maxDeque.push(sample);
+
+        this.expire(t - LATENCY_STATS_WINDOW_MS);
+    },
+
+    expire(cutoff) {
+        while (this.samples.length > 0 && this.samples[0].t < cutoff) {
+            const sample = this.samples.shift();
+            this.buckets[sample.bucket]--;
+            this.bins[sample.bin]--;
+            this.sum -= sample.value;
+            if (sample.isTimeout) this.timeoutCount--;
+            if (sample.value > this.slaMs) this.overSlaCount--;
+            if (this.maxDeque[0] === sample) this.maxDeque.shift();
+        }
+    },
+
+    /**
+     * Changes the SLA threshold and recounts the samples in the window.
+     * @param {number} slaMs - New threshold in ms
+     */
+    setSla(slaMs) {
+        this.slaMs = slaMs;
+        this.overSlaCount = this.samples.filter(s => s.value > slaMs).length;
+        this.render();
+    },
+
+    /**
+     * Latency at the given percentile of the current window.
+     * @param {number} percentile - 0..100
+     * @returns {number|null} Latency in ms, or null when there are no samples
+     */
+    percentile(percentile) {
+        const count = this.samples.length;
+        if (count === 0) return null;
+
+        const rank = Math.ceil(percentile / 100 * count);
+        let cumulative = 0;
+        for (let i = 0; i < this.buckets.length; i++) {
+            cumulative += this.buckets[i];
+            if (cumulative >= rank) {
+                return Math.min(getLatencyBucketUpperBound(i), this.max());
+            }
+        }
+        return this.max();
+    },
+
+    average() {
+        return this.samples.length > 0 ? this.sum / this.samples.length : null;
+    },
+
+    max() {
+        return this.maxDeque.length > 0 ? this.maxDeque[0].value : null;
+    },
+
+    reset() {
+        this.samples.length = 0;
+        this.buckets.fill(0);
+        this.bins.fill(0);
+        this.maxDeque.length = 0;
+        this.sum = 0;
+        this.timeoutCount = 0;
+        this.overSlaCount = 0;
+        this.render();
+    },
+
+    /**
+     * Updates the statistic tiles and the histogram panel.
+     */
+    render() {
+        const setStat = (id, value) => {
+            const el = document.getElementById(id);
+            if (!el) return;
+            el.textContent = value === null ? '--' : formatLatency(value);
+            el.className = `latency-value ${value === null ? '' : getLatencyClass(value, false)}`;
+        };
+
+        setStat('latencyAverage', this.average());
+        setStat('latencyMax', this.max());
+        LATENCY_PERCENTILES.forEach(p => setStat(`latencyP${p}`, this.percentile(p)));
+
+        const timeoutsEl = document.getElementById('latencyTimeouts');
+        if (timeoutsEl) {
+            timeoutsEl.textContent = this.timeoutCount;
+            timeoutsEl.className = this.timeoutCount > 0 ? 'latency-value timeout' : 'latency-value';
+        }
+
+        const overSlaEl = document.getElementById('latencyOverSla');
+        if (overSlaEl) {
+            overSlaEl.textContent = i18n('latency.overSlaCount', {
+                count: this.overSlaCount,
+                share: this.samples.length > 0 ? this.overSlaCount / this.samples.length : 0
+            });
+            overSlaEl.className = this.overSlaCount > 0 ? 'latency-value danger' : 'latency-value';
+        }
+
+        const slaLabel = document.getElementById('latencyOverSlaLabel');
+        if (slaLabel) slaLabel.textContent = i18n('latency.overSla', { sla: formatLatencyBound(this.slaMs) });
+
+        if (this.chart) {
+            this.chart.data.datasets[0].label = i18n('latency.histogram.requests');
+            this.chart.data.datasets[0].data = this.bins.slice();
+            this.chart.update('none');
+        }
+    }
+};
+
+/**
+ * Index of the log-scale bucket a latency falls into.
+ * Bucket i covers (10^((i-1)/20), 10^(i/20)] ms; the last bucket is overflow.
+ */
+function getLatencyBucket(latencyMs) {
+    if (latencyMs <= 1) return 0;
+    const bucket = Math.ceil(Math.log10(latencyMs) * LATENCY_STATS_BUCKETS_PER_DECADE);
+    return Math.min(bucket, LATENCY_STATS.buckets.length - 1);
+}
+
+function getLatencyBucketUpperBound(bucket) {
+    if (bucket >= LATENCY_STATS.buckets.length - 1) return Infinity;
+    return Math.pow(10, bucket / LATENCY_STATS_BUCKETS_PER_DECADE);
+}
+
+/**
+ * Short label for a round threshold (50ms, 1s, 30s).
+ */
+function formatLatencyBound(ms) {
+    return ms >= 1000 ? `${ms / 1000}s` : `${ms}ms`;
+}
@@ -0,0 +1,375 @@
+/**
+ * Metrics Store
+ *
+ * Configuration and the shared dashboard state: the chart history buffers (raw
+ * and downsampled for the longer chart windows), the active simulations and the
+ * chart/connection flags the other modules read. Also builds the chart data
+ * export. No DOM access here, so the buffers can be reused outside the dashboard.
+ */
+
+import { updateCharts } from './charts.js';
+import { SimulatorClient } from './simulator-client.js';
+
+// ==========================================================================
+// Configuration & State
+// ==========================================================================
+
+export const CONFIG = {
+    maxDataPoints: 240,  // 1 minute of data at 250ms intervals
+    maxLatencyDataPoints: 600, // 60 seconds of probe data
+    // latencyProbeIntervalMs is loaded from server config (default 200ms).
+    // Server probes at this interval and broadcasts results via SignalR.
+    latencyProbeIntervalMs: 200,
+    idleTimeoutMinutes: 20,
+    latencyTimeoutMs: 30000,
+    reconnectDelayMs: 2000,
+    fallbackPollIntervalMs: 1000,  // HTTP polling while the hub can't connect (connection.js)
+    apiBaseUrl: '/api',
+    // Selectable chart windows: minutes → downsampling bucket size in ms.
+    // The 1 minute window (bucket 0) shows the raw history; longer windows keep ~300 points.
+    chartWindows: { 1: 0, 5: 1000, 15: 3000, 60: 12000 }
+};
+
+// Client for the simulator endpoints, shared by the simulation controls
+export const API_CLIENT = new SimulatorClient({ baseUrl: CONFIG.apiBaseUrl });
+
+// Interpolation state: stores the latest probe result for the 100ms chart timer
+export const latencyInterpolation = {
+    lastProbeValue: null,      // Most recent probe latency (ms)
+    lastProbeIsTimeout: false, // Most recent probe timeout flag
+    lastProbeIsError: false,   // Most recent probe error flag
+    chartUpdateTimer: null,    // The 100ms setInterval ID
+    chartsInitialized: false   // Whether charts are ready
+};
+
+export const state = {
+    connection: null,
+    charts: {},
+    // simulationIds holds the IDs of the simulations active when each sample was taken
+    metricsHistory: {
+        timestamps: [],
+        cpu: [],
+        memory: [],
+        threads: [],
+        queue: [],
+        simulationIds: []
+    },
+    latencyHistory: {
+        timestamps: [],
+        values: [],
+        isTimeout: [],
+        isError: [],
+        simulationIds: []
+    },
+    slowRequestHistory: {
+        timestamps: [],
+        values: [],
+        scenarios: [],
+        isError: [],
+        simulationIds: []
+    },
+    activeSimulations: new Map(),
+    slowRequestSimulationId: null,  // Current slow request simulation ID for correlation
+    isIdle: false,  // Tracks whether the server is in idle state
+    intentionalDisconnect: false,  // True when WS is closed on purpose (idle), suppresses reconnect
+    httpFallback: false,  // True while metrics and latency are polled over HTTP because the hub is down
+    deferChartUpdates: false,  // True while a session replay seeks, so charts redraw once at the end
+    chartWindowMinutes: 1,  // Selected chart window (key of CONFIG.chartWindows)
+    chartsFrozen: false,    // True while the charts are frozen (data keeps buffering)
+    longTermHistory: createLongTermHistory(),  // Downsampled buffers for the longer chart windows
+    chartSnapshot: { metrics: null, latency: null },  // Data currently drawn, used by tick/tooltip callbacks
+    simulationAnnotations: [],  // { id, label: { key, params }, category, start, end, series? } bands drawn on the charts
+    connectionStatus: { status: 'disconnected', key: 'status.disconnected' },  // Re-translated on a language switch
+    azureSku: null,  // SKU shown in the header once /api/admin/stats has answered
+    lastFailedRequestCompletedAt: null  // Suppress load test stats after failed request sim
+};
+
+// ==========================================================================
+// UTC Time Formatting
+// ==========================================================================
+
+/**
+ * Formats a Date object as UTC time string (HH:MM:SS)
+ * All times in the dashboard use UTC to match Azure diagnostics data.
+ * @param {Date} date - The date to format
+ * @returns {string} UTC time string in HH:MM:SS format
+ */
+export function formatUtcTime(date) {
+    if (!date || !(date instanceof Date)) return '';
+    const hours = date.getUTCHours().toString().padStart(2, '0');
+    const minutes = date.getUTCMinutes().toString().padStart(2, '0');
+    const seconds = date.getUTCSeconds().toString().padStart(2, '0');
+    return `${hours}:${minutes}:${seconds}`;
+}
+
+/**
+ * Gets the current UTC time as a formatted string
+ * @returns {string} Current UTC time in HH:MM:SS format
+ */
+function getCurrentUtcTime() {
+    return formatUtcTime(new Date());
+}
+
+// ==========================================================================
+// Chart History
+// ==========================================================================
+
+/**
+ * Adds a metrics snapshot to the chart history (and the downsampled long-term buffers).
+ * @param {Date} timestamp - Snapshot time
+ * @param {Object} snapshot - Metrics snapshot
+ * @param {string[]} [simulationIds] - Simulations active at that time (defaults to the current ones)
+ */
+export function addToHistory(timestamp, snapshot, simulationIds = getActiveSimulationIds()) {
+    const history = state.metricsHistory;
+    
+    history.timestamps.push(timestamp);
+    history.cpu.push(snapshot.cpuPercent);
+    history.memory.push(snapshot.workingSetMb);
+    history.threads.push(snapshot.threadPoolThreads);
+    history.queue.push(snapshot.threadPoolQueueLength);
+    history.simulationIds.push(simulationIds);
+    
+    // Trim to max data points
+    while (history.timestamps.length > CONFIG.maxDataPoints) {
+        history.timestamps.shift();
+        history.cpu.shift();
+        history.memory.shift();
+        history.threads.shift();
+        history.queue.shift();
+        history.simulationIds.shift();
+    }
+
+    for (const buffers of Object.values(state.longTermHistory)) {
+        addToDownsampledHistory(buffers.metrics, DOWNSAMPLE_AGGREGATES.metrics, buffers.bucketMs, buffers.windowMs, timestamp, {
+            cpu: snapshot.cpuPercent,
+            memory: snapshot.workingSetMb,
+            threads: snapshot.threadPoolThreads,
+            queue: snapshot.threadPoolQueueLength,
+            simulationIds: history.simulationIds[history.simulationIds.length - 1]
+        });
+    }
+}
+
+/**
+ * Replaces the metrics chart history with another set of samples,
+ * e.g. when the multi-instance view switches to a different instance.
+ * @param {Array<{timestamp: Date, snapshot: Object, simulationIds: string[]}>} samples
+ */
+export function replaceMetricsHistory(samples) {
+    const clearArrays = obj => Object.values(obj).forEach(arr => { arr.length = 0; });
+    clearArrays(state.metricsHistory);
+    Object.values(state.longTermHistory).forEach(buffers => clearArrays(buffers.metrics));
+
+    samples.forEach(s => addToHistory(s.timestamp, s.snapshot, s.simulationIds));
+    updateCharts();
+}
+
+/**
+ * Add latency measurement to history.
+ */
+export function addLatencyToHistory(timestamp, latencyMs, isTimeout, isError) {
+    const history = state.latencyHistory;
+    
+    history.timestamps.push(timestamp);
+    history.values.push(latencyMs);
+    history.isTimeout.push(isTimeout);
+    history.isError.push(isError);
+    history.simulationIds.push(getActiveSimulationIds());
+    
+    // Trim to max data points (60 seconds at 100ms = 600 points)
+    while (history.timestamps.length > CONFIG.maxLatencyDataPoints) {
+        history.timestamps.shift();
+        history.isTimeout.shift();
+        history.values.shift();
+        history.isError.shift();
+        history.simulationIds.shift();
+    }
+
+    for (const buffers of Object.values(state.longTermHistory)) {
+        addToDownsampledHistory(buffers.latency, DOWNSAMPLE_AGGREGATES.latency, buffers.bucketMs, buffers.windowMs, timestamp, {
+            values: latencyMs,
+            isTimeout,
+            isError,
+            simulationIds: history.simulationIds[history.simulationIds.length - 1]
+        });
+    }
+}
+
+/**
+ * IDs of the currently active simulations, stored with each chart sample for export.
+ * @returns {string[]} Simulation IDs
+ */
+export function getActiveSimulationIds() {
+    return Array.from(state.activeSimulations.keys());
+}
+
+// ==========================================================================
+// Chart Window Downsampling
+// ==========================================================================
+
+// How each field is combined when several samples fall into one downsampling bucket.
+// Means keep the trend; max/any keep spikes and timeouts visible in long windows.
+const DOWNSAMPLE_AGGREGATES = {
+    metrics: { cpu: 'mean', memory: 'mean', threads: 'mean', queue: 'max' },
+    latency: { values: 'max', isTimeout: 'any', isError: 'any' }
+};
+
+/**
+ * Creates the empty downsampled buffers for every chart window longer than the raw history.
+ * @returns {Object} Buffers keyed by window minutes
+ */
+function createLongTermHistory() {
+    const buffers = {};
+    for (const [minutes, bucketMs] of Object.entries(CONFIG.chartWindows)) {
+        if (!bucketMs) continue;
+        buffers[minutes] = {
+            bucketMs,
+            windowMs: minutes * 60000,
+            // counts holds the number of samples merged into each point (for running means)
+            metrics: { timestamps: [], cpu: [], memory: [], threads: [], queue: [], simulationIds: [], counts: [] },
+            latency: { timestamps: [], values: [], isTimeout: [], isError: [], simulationIds: [], counts: [] }
+        };
+    }
+    return buffers;
+}
+
+/**
+ * Merges a sample into a downsampled buffer and drops points older than the window.
+ * @param {Object} history - Buffer from createLongTermHistory()
+ * @param {Object} aggregates - Field → 'mean' | 'max' | 'any' (see DOWNSAMPLE_AGGREGATES)
+ * @param {number} bucketMs - Bucket size
+ * @param {number} windowMs - How much time the buffer keeps
+ * @param {Date} timestamp - Sample time
+ * @param {Object} sample - Field values plus simulationIds
+ */
+function addToDownsampledHistory(history, aggregates, bucketMs, windowMs, timestamp, sample) {
+    const bucketTime = Math.floor(timestamp.getTime() / bucketMs) * bucketMs;
+    const last = history.timestamps.length - 1;
+
+    if (last >= 0 && history.timestamps[last].getTime() === bucketTime) {
+        const count = ++history.counts[last];
+        for (const [field, aggregate] of Object.entries(aggregates)) {
+            const current = history[field][last];
+            if (aggregate === 'mean') history[field][last] = current + (sample[field] - current) / count;
+            else if (aggregate === 'max') history[field][last] = Math.max(current, sample[field]);
+            else history[field][last] = current || sample[field];
+        }
+        for (const id of sample.simulationIds) {
+            if (!history.simulationIds[last].includes(id)) history.simulationIds[last].push(id);
+        }
+    } else {
+        history.timestamps.push(new Date(bucketTime));
+        history.counts.push(1);
+        for (const field of Object.keys(aggregates)) {
+            history[field].push(sample[field]);
+        }
+        history.simulationIds.push([...sample.simulationIds]);
+    }
+
+    const cutoff = timestamp.getTime() - windowMs;
+    while (history.timestamps.length > 0 && history.timestamps[0].getTime() < cutoff) {
+        Object.values(history).forEach(arr => arr.shift());
+    }
+}
+
+export function getDisplayedMetricsHistory() {
+    const buffers = state.longTermHistory[state.chartWindowMinutes];
+    return buffers ? buffers.metrics : state.metricsHistory;
+}
+
+export function getDisplayedLatencyHistory() {
+    const buffers = state.longTermHistory[state.chartWindowMinutes];
+    return buffers ? buffers.latency : state.latencyHistory;
+}
+
+/**
+ * Copies a history buffer so a drawn (or frozen) chart isn't changed by later samples.
+ */
+export function snapshotHistory(history) {
+    const copy = {};
+    for (const [key, values] of Object.entries(history)) {
+        copy[key] = values.slice();
+    }
+    return copy;
+}
+
+// ==========================================================================
+// Data Export
+// ==========================================================================
+
+/**
+ * Builds a plain-object snapshot of the chart buffers for export: the
+ * metrics and latency of the selected chart window, downsampled like the
+ * charts when it is longer than the raw history (bucketMs 0 means raw samples).
+ * All timestamps are ISO 8601 UTC to line up with Azure Monitor.
+ * @returns {Object} Metrics, latency and slow request rows
+ */
+export function buildHistoryExport() {
+    const metrics = getDisplayedMetricsHistory();
+    const latency = getDisplayedLatencyHistory();
+    const slow = state.slowRequestHistory;
+
+    return {
+        exportedAt: new Date().toISOString(),
+        host: window.location.host,
+        windowMinutes: state.chartWindowMinutes,
+        bucketMs: CONFIG.chartWindows[state.chartWindowMinutes],
+        metrics: metrics.timestamps.map((t, i) => ({
+            timestamp: t.toISOString(),
+            cpuPercent: metrics.cpu[i],
+            workingSetMb: metrics.memory[i],
+            threadPoolThreads: metrics.threads[i],
+            threadPoolQueueLength: metrics.queue[i],
+            activeSimulationIds: metrics.simulationIds[i]
+        })),
+        latency: latency.timestamps.map((t, i) => ({
+            timestamp: t.toISOString(),
+            latencyMs: latency.values[i],
+            isTimeout: latency.isTimeout[i],
+            isError: latency.isError[i],
+            activeSimulationIds: latency.simulationIds[i]
+        })),
+        slowRequests: slow.timestamps.map((t, i) => ({
+            timestamp: t.toISOString(),
+            latencyMs: slow.values[i],
+            scenario: slow.scenarios[i],
+            isTimeout: slow.values[i] >= CONFIG.latencyTimeoutMs,
+            isError: slow.isError[i],
+            activeSimulationIds: slow.simulationIds[i]
+        }))
+    };
+}
+
+/**
+ * Escapes a value for a CSV cell (RFC 4180).
+ */
+function toCsvCell(value) {
+    if (value === undefined || value === null) return '';
+    const text = String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Serializes the chart history as one CSV with a "series" column
+ * (metrics, latency, slowrequest). Columns that don't apply to a series are empty.
+ * @returns {string} CSV text
+ */
+export function buildHistoryCsv() {
+    const data = buildHistoryExport();
+    const columns = [
+        'series', 'timestampUtc', 'cpuPercent', 'workingSetMb', 'threadPoolThreads',
+        'threadPoolQueueLength', 'latencyMs', 'isTimeout', 'isError', 'scenario', 'activeSimulationIds'
+    ];
+
+    const rows = [
+        ...data.metrics.map(r => ({ series: 'metrics', ...r })),
+        ...data.latency.map(r => ({ series: 'latency', ...r })),
+        ...data.slowRequests.map(r => ({ series: 'slowrequest', ...r }))
+    ].map(r => ({ ...r, timestampUtc: r.timestamp, activeSimulationIds: r.activeSimulationIds.join(';') }));
+
+    return [
+        columns.join(','),
+        ...rows.map(r => columns.map(c => toCsvCell(r[c])).join(','))
+    ].join('\r\n');
+}
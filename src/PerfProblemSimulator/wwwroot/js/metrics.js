@@ -0,0 +1,97 @@
+/**
+ * Metric Cards
+ *
+ * Handles 'metrics' events: feeds the multi-instance view and alert rules,
+ * updates the four metric cards and appends the snapshot to the chart history.
+ */
+
+import { EVENT_BUS } from './event-bus.js';
+import { i18n } from './i18n.js';
+import { addToHistory, formatUtcTime } from './metrics-store.js';
+import { updateCharts } from './charts.js';
+import { ALERTS } from './alerts.js';
+import { INSTANCES } from './instances.js';
+
+// ==========================================================================
+// Metrics Handling
+// ==========================================================================
+
+/**
+ * Subscribes the metric cards to the 'metrics' event.
+ * Called from the dashboard's DOMContentLoaded handler.
+ */
+export function initializeMetricCards() {
+    EVENT_BUS.subscribe('metrics', handleMetricsUpdate);
+}
+
+/**
+ * Handle incoming metrics snapshot from SignalR.
+ * Updates all dashboard elements with the latest data.
+ */
+function handleMetricsUpdate(snapshot) {
+    // Restart detection and per-instance history (instances.js). When scaled out,
+    // only the displayed instance drives the metric cards and main charts.
+    const isDisplayed = INSTANCES.track(snapshot);
+    ALERTS.evaluate('metrics', snapshot);
+    if (!isDisplayed) return;
+
+    updateMetricCards(snapshot);
+
+    // Update history for charts
+    const timestamp = new Date(snapshot.timestamp);
+    addToHistory(timestamp, snapshot);
+    
+    // Update charts
+    updateCharts();
+    
+    // Update last update time
+    const lastUpdateEl = document.getElementById('lastUpdate');
+    if (lastUpdateEl) lastUpdateEl.textContent = formatUtcTime(timestamp) + ' UTC';
+}
+
+/**
+ * Updates the four metric cards and the total memory display from a snapshot.
+ */
+export function updateMetricCards(snapshot) {
+    updateMetricCard('cpu', snapshot.cpuPercent, '%', 100);
+    // Use actual available memory from server for dynamic thresholds
+    const memoryMax = snapshot.totalAvailableMemoryMb || 1000;
+    updateMetricCard('memory', snapshot.workingSetMb, 'MB', memoryMax);
+    updateMetricCard('threads', snapshot.threadPoolThreads, 'threads', 100);
+    updateMetricCard('queue', snapshot.threadPoolQueueLength, 'pending', 100);
+
+    // Update total memory display
+    const totalMemoryEl = document.getElementById('memoryTotal');
+    if (totalMemoryEl && snapshot.totalAvailableMemoryMb) {
+        const totalFormatted = snapshot.totalAvailableMemoryMb >= 1024 
+            ? (snapshot.totalAvailableMemoryMb / 1024).toFixed(1) + ' GB'
+            : Math.round(snapshot.totalAvailableMemoryMb) + ' MB';
+        totalMemoryEl.textContent = i18n('metrics.memory.total', { total: totalFormatted });
+    }
+}
+
+function updateMetricCard(type, value, unit, maxForBar) {
+    const valueEl = document.getElementById(`${type}Value`);
+    const barEl = document.getElementById(`${type}Bar`);
+    const card = valueEl.closest('.metric-card');
+    
+    // Format value
+    const displayValue = typeof value === 'number' ? 
+        (value < 10 ? value.toFixed(1) : Math.round(value)) : '--';
+    valueEl.textContent = displayValue;
+    
+    // Update bar
+    const barPercent = Math.min(100, (value / maxForBar) * 100);
+    barEl.style.width = `${barPercent}%`;
+    
+    // Warning states based on percentage of max
+    card.classList.remove('warning', 'danger');
+    if (type === 'cpu' || type === 'memory') {
+        // Use barPercent for threshold comparison (value as % of max)
+        if (barPercent > 80) card.classList.add('danger');
+        else if (barPercent > 60) card.classList.add('warning');
+    }
+    if (type === 'queue' && value > 10) {
+        card.classList.add('warning');
+    }
+}
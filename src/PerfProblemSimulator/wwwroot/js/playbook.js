@@ -0,0 +1,329 @@
+/**
+ * Scenario Playbook Runner
+ *
+ * Drives the existing simulation endpoints through a scripted sequence of steps
+ * so that recurring training incidents can be replayed without clicking through
+ * each control by hand.
+ *
+ * Playbook format (JSON):
+ *   {
+ *     "name": "Memory leak then starvation",
+ *     "steps": [
+ *       { "action": "allocateMemory", "parameters": { "sizeMegabytes": 500 } },
+ *       { "action": "threadBlock", "delaySeconds": 30,
+ *         "parameters": { "delayMilliseconds": 60000, "concurrentRequests": 100 },
+ *         "waitForCompletion": true },
+ *       { "action": "releaseMemory" }
+ *     ]
+ *   }
+ *
+ * A bare array of steps is also accepted. Each step:
+ *   action            - One of the keys in PLAYBOOK_ACTIONS
+ *   parameters        - Request body fields for that action (same names as the API)
+ *   delaySeconds      - Time to wait BEFORE the step runs (default 0)
+ *   waitForCompletion - Wait for the server's SimulationCompleted before moving on
+ */
+
+import { i18n } from './i18n.js';
+import { state } from './metrics-store.js';
+import { logEvent } from './event-log.js';
+import {
+    allocateMemory,
+    releaseMemory,
+    startFailedRequests,
+    startSlowRequests,
+    stopCpuStress,
+    stopFailedRequests,
+    stopSlowRequests,
+    stopThreadBlock,
+    triggerCpuStress,
+    triggerThreadBlock
+} from './simulations.js';
+
+/**
+ * Actions a playbook step can run. Each maps to an existing dashboard control
+ * function so playbook steps log and track simulations exactly like button clicks.
+ * 'completes' marks actions whose simulation ends on its own (waitForCompletion allowed).
+ */
+const PLAYBOOK_ACTIONS = {
+    cpuStress:          { run: p => triggerCpuStress(p),    completes: true,  labelKey: 'playbook.action.cpuStress' },
+    stopCpu:            { run: () => stopCpuStress(),       completes: false, labelKey: 'playbook.action.stopCpu' },
+    allocateMemory:     { run: p => allocateMemory(p),      completes: false, labelKey: 'playbook.action.allocateMemory' },
+    releaseMemory:      { run: () => releaseMemory(),       completes: false, labelKey: 'playbook.action.releaseMemory' },
+    threadBlock:        { run: p => triggerThreadBlock(p), completes: true,  labelKey: 'playbook.action.threadBlock' },
+    stopThreadBlock:    { run: () => stopThreadBlock(),     completes: false, labelKey: 'playbook.action.stopThreadBlock' },
+    slowRequests:       { run: p => startSlowRequests(p),   completes: true,  labelKey: 'playbook.action.slowRequests' },
+    stopSlowRequests:   { run: () => stopSlowRequests(),    completes: false, labelKey: 'playbook.action.stopSlowRequests' },
+    failedRequests:     { run: p => startFailedRequests(p), completes: true,  labelKey: 'playbook.action.failedRequests' },
+    stopFailedRequests: { run: () => stopFailedRequests(),  completes: false, labelKey: 'playbook.action.stopFailedRequests' }
+};
+
+// Example used by the "Load Example" button
+const PLAYBOOK_EXAMPLE = {
+    name: 'Memory pressure then thread pool starvation',
+    steps: [
+        { action: 'allocateMemory', parameters: { sizeMegabytes: 500 } },
+        {
+            action: 'threadBlock',
+            delaySeconds: 30,
+            parameters: { delayMilliseconds: 60000, concurrentRequests: 100 },
+            waitForCompletion: true
+        },
+        { action: 'releaseMemory' }
+    ]
+};
+
+// How often the runner re-checks delays, pause state and completion
+const PLAYBOOK_TICK_MS = 250;
+
+export const PLAYBOOK = {
+    status: 'idle',        // 'idle' | 'running' | 'paused'
+    abortRequested: false,
+    name: '',
+    steps: [],
+    stepIndex: -1,
+    phase: '',             // 'delay' | 'running' | 'waiting'
+    remainingMs: 0,        // Remaining delay for the current step
+    simulationId: null,    // Simulation started by the current step
+
+    /**
+     * Wires up the playbook controls. Called from the dashboard's DOMContentLoaded handler.
+     */
+    initialize() {
+        document.getElementById('btnRunPlaybook').addEventListener('click', () => this.runFromEditor());
+        document.getElementById('btnLoadPlaybookExample').addEventListener('click', () => {
+            document.getElementById('playbookJson').value = JSON.stringify(PLAYBOOK_EXAMPLE, null, 2);
+        });
+        document.getElementById('btnPausePlaybook').addEventListener('click', () => {
+            if (this.status === 'paused') this.resume();
+            else this.pause();
+        });
+        document.getElementById('btnAbortPlaybook').addEventListener('click', () => this.abort());
+        this.render();
+    },
+
+    /**
+     * Parses and validates a playbook definition.
+     * @param {string} json - Playbook JSON text
+     * @returns {{name: string, steps: Object[]}} The normalized playbook
+     * @throws {Error} With a translated message describing the first problem found
+     */
+    parse(json) {
+        let definition;
+        try {
+            definition = JSON.parse(json);
+        } catch (err) {
+            throw new Error(i18n('playbook.error.invalidJson', { error: err.message }));
+        }
+
+        const steps = Array.isArray(definition) ? definition : definition?.steps;
+        if (!Array.isArray(steps) || steps.length === 0) {
+            throw new Error(i18n('playbook.error.noSteps'));
+        }
+
+        const normalized = steps.map((step, i) => {
+            const number = i + 1;
+            const action = PLAYBOOK_ACTIONS[step?.action];
+            if (!action) {
+                throw new Error(i18n('playbook.error.unknownAction', { step: number, action: step?.action }));
+            }
+
+            const delaySeconds = step.delaySeconds ?? 0;
+            if (typeof delaySeconds !== 'number' || delaySeconds < 0) {
+                throw new Error(i18n('playbook.error.invalidDelay', { step: number }));
+            }
+
+            if (step.parameters !== undefined && (typeof step.parameters !== 'object' || Array.isArray(step.parameters))) {
+                throw new Error(i18n('playbook.error.invalidParameters', { step: number }));
+            }
+
+            const waitForCompletion = step.waitForCompletion === true;
+            if (waitForCompletion && !action.completes) {
+                throw new Error(i18n('playbook.error.cannotWait', { step: number, action: step.action }));
+            }
+
+            return {
+                action: step.action,
+                parameters: step.parameters || {},
+                delaySeconds,
+                waitForCompletion
+            };
+        });
+
+        return {
+            name: (!Array.isArray(definition) && definition.name) || i18n('playbook.untitled'),
+            steps: normalized
+        };
+    },
+
+    /**
+     * Reads the playbook editor and starts the run.
+     */
+    runFromEditor() {
+        if (this.status !== 'idle') return;
+
+        let playbook;
+        try {
+            playbook = this.parse(document.getElementById('playbookJson').value);
+        } catch (err) {
+            logEvent('playbook', 'log.text', { text: err.message });
+            return;
+        }
+
+        this.run(playbook);
+    },
+
+    /**
+     * Runs a validated playbook step by step.
+     * @param {{name: string, steps: Object[]}} playbook - Output of parse()
+     */
+    async run(playbook) {
+        this.status = 'running';
+        this.abortRequested = false;
+        this.name = playbook.name;
+        this.steps = playbook.steps;
+        logEvent('playbook', 'log.playbook.started', { name: this.name, count: this.steps.length });
+
+        try {
+            for (this.stepIndex = 0; this.stepIndex < this.steps.length; this.stepIndex++) {
+                const step = this.steps[this.stepIndex];
+                this.simulationId = null;
+
+                // Delay before the step (countdown freezes while paused)
+                this.phase = 'delay';
+                this.remainingMs = step.delaySeconds * 1000;
+                await this.waitUntil(() => this.remainingMs <= 0, elapsed => {
+                    this.remainingMs -= elapsed;
+                });
+                if (this.abortRequested) break;
+
+                this.phase = 'running';
+                this.render();
+                logEvent('playbook', 'log.playbook.step', {
+                    step: this.stepIndex + 1,
+                    count: this.steps.length,
+                    action: { key: PLAYBOOK_ACTIONS[step.action].labelKey }
+                });
+
+                const result = await PLAYBOOK_ACTIONS[step.action].run(step.parameters);
+                if (!result) {
+                    logEvent('playbook', 'log.playbook.stepFailed', { step: this.stepIndex + 1 });
+                    break;
+                }
+
+                if (step.waitForCompletion && result.simulationId) {
+                    // handleSimulationCompleted (or a Stop button) removes the simulation from the active list
+                    this.phase = 'waiting';
+                    this.simulationId = result.simulationId;
+                    await this.waitUntil(() => !state.activeSimulations.has(this.simulationId));
+                    if (this.abortRequested) break;
+                }
+            }
+
+            if (this.abortRequested) {
+                logEvent('playbook', 'log.playbook.aborted', { name: this.name });
+            } else if (this.stepIndex >= this.steps.length) {
+                logEvent('playbook', 'log.playbook.completed', { name: this.name });
+            }
+        } finally {
+            this.status = 'idle';
+            this.stepIndex = -1;
+            this.phase = '';
+            this.simulationId = null;
+            this.render();
+        }
+    },
+
+    /**
+     * Resolves once the condition holds or an abort is requested.
+     * Ticks are not counted while the run is paused.
+     * @param {Function} condition - Returns true when the wait is over
+     * @param {Function} [onTick] - Receives elapsed ms for each unpaused tick
+     */
+    waitUntil(condition, onTick) {
+        return new Promise(resolve => {
+            const check = () => {
+                if (this.abortRequested || (this.status !== 'paused' && condition())) {
+                    resolve();
+                    return;
+                }
+                setTimeout(() => {
+                    if (this.status !== 'paused' && onTick) onTick(PLAYBOOK_TICK_MS);
+                    this.render();
+                    check();
+                }, PLAYBOOK_TICK_MS);
+            };
+            check();
+        });
+    },
+
+    pause() {
+        if (this.status !== 'running') return;
+        this.status = 'paused';
+        logEvent('playbook', 'log.playbook.paused', { name: this.name });
+        this.render();
+    },
+
+    resume() {
+        if (this.status !== 'paused') return;
+        this.status = 'running';
+        logEvent('playbook', 'log.playbook.resumed', { name: this.name });
+        this.render();
+    },
+
+    /**
+     * Stops the sequence. Simulations already started keep running;
+     * use the regular Stop buttons to end them.
+     */
+    abort() {
+        if (this.status === 'idle') return;
+        this.abortRequested = true;
+        this.render();
+    },
+
+    /**
+     * Renders the playbook progress card in the Active Simulations panel.
+     */
+    render() {
+        const container = document.getElementById('playbookProgress');
+        const runBtn = document.getElementById('btnRunPlaybook');
+        if (runBtn) runBtn.disabled = this.status !== 'idle';
+        if (!container) return;
+
+        if (this.status === 'idle') {
+            container.classList.add('hidden');
+            return;
+        }
+
+        const step = this.steps[this.stepIndex];
+        let detail = '';
+        if (this.abortRequested) {
+            detail = i18n('playbook.progress.aborting');
+        } else if (step && this.phase === 'delay') {
+            detail = i18n('playbook.progress.delay', { seconds: Math.ceil(this.remainingMs / 1000) });
+        } else if (this.phase === 'waiting') {
+            detail = i18n('playbook.progress.waiting');
+        } else {
+            detail = i18n('playbook.progress.running');
+        }
+
+        container.classList.remove('hidden');
+        container.classList.toggle('paused', this.status === 'paused');
+        document.getElementById('playbookName').textContent = this.name;
+        document.getElementById('playbookStep').textContent = step
+            ? i18n('playbook.progress.step', {
+                step: this.stepIndex + 1,
+                count: this.steps.length,
+                action: i18n(PLAYBOOK_ACTIONS[step.action].labelKey)
+            })
+            : '';
+        document.getElementById('playbookDetail').textContent = this.status === 'paused'
+            ? i18n('playbook.progress.paused')
+            : detail;
+        document.getElementById('playbookBar').style.width =
+            `${Math.max(0, this.stepIndex) / this.steps.length * 100}%`;
+        document.getElementById('btnPausePlaybook').textContent = this.status === 'paused'
+            ? i18n('playbook.resume')
+            : i18n('playbook.pause');
+    }
+};
@@ -0,0 +1,172 @@
+/**
+ * Hash Routes (Deep Links)
+ *
+ * Lets an instructor share a link that opens the relevant part of the dashboard:
+ *
+ *   #/cpu, #/memory, #/threads, ...   Opens the Simulation Controls panel at that group
+ *   #/charts, #/latency, #/log        Scrolls to that dashboard section
+ *   #/session/<id>                    Replays the session file /sessions/<id>.json
+ *
+ * Any route can carry a query string that pre-fills simulation controls by their
+ * element ID, e.g. #/cpu?cpuDuration=60&cpuLevel=moderate. Links only fill in
+ * the controls; starting a simulation still takes a click.
+ *
+ * Routes are handled in place on hashchange, so navigating never reloads the
+ * page: the SignalR connection, chart buffers and event log are kept.
+ */
+
+import { logEvent } from './event-log.js';
+import { SESSION } from './session-recorder.js';
+import { closeSidePanel, openSidePanel } from './dashboard.js';
+
+// Route name → side panel control group or dashboard section to show
+const ROUTES = {
+    cpu:            { panel: '.cpu-group' },
+    memory:         { panel: '.memory-group' },
+    threads:        { panel: '.thread-group' },
+    slowrequests:   { panel: '.slowrequest-group' },
+    failedrequests: { panel: '.failedrequest-group' },
+    playbook:       { panel: '.playbook-group' },
+    alerts:         { panel: '.alert-rules-group' },
+    crash:          { panel: '.crash-group' },
+    charts:         { section: '.charts-section' },
+    latency:        { section: '.latency-section' },
+    log:            { section: '.event-log' }
+};
+
+// Session IDs map to file names under /sessions, so keep them to safe characters
+const ROUTE_SESSION_ID_PATTERN = /^[\w.-]+$/;
+
+// How long the target of a route stays highlighted
+const ROUTE_HIGHLIGHT_MS = 2000;
+
+export const ROUTER = {
+    sessionId: null, // Session loaded by the current #/session/<id> route
+
+    /**
+     * Handles the route the page was opened with and every later hash change.
+     * Called last from the dashboard's DOMContentLoaded handler.
+     */
+    initialize() {
+        window.addEventListener('hashchange', () => this.navigate(window.location.hash));
+        this.navigate(window.location.hash);
+    },
+
+    /**
+     * Parses a location hash.
+     * @param {string} hash - e.g. '#/cpu?cpuDuration=60'
+     * @returns {{ segments: string[], params: URLSearchParams }}
+     */
+    parse(hash) {
+        const [path, query = ''] = hash.replace(/^#\/?/, '').split('?');
+        return {
+            segments: path.split('/').filter(Boolean).map(segment => {
+                try {
+                    return decodeURIComponent(segment);
+                } catch {
+                    return segment; // Malformed escape: use as typed
+                }
+            }),
+            params: new URLSearchParams(query)
+        };
+    },
+
+    /**
+     * Shows the view a hash points to.
+     * @param {string} hash - Location hash
+     */
+    async navigate(hash) {
+        const { segments, params } = this.parse(hash);
+        this.prefill(params);
+
+        const [name, id] = segments;
+        if (name !== 'session') this.sessionId = null;
+        if (!name) return;
+
+        if (name === 'session') {
+            await this.openSession(id);
+            return;
+        }
+
+        const route = ROUTES[name];
+        if (!route) {
+            logEvent('warning', 'log.route.unknown', { route: hash });
+            return;
+        }
+
+        if (route.panel) {
+            openSidePanel();
+            this.reveal(document.querySelector(`#sidePanel ${route.panel}`));
+        } else {
+            closeSidePanel();
+            this.reveal(document.querySelector(route.section));
+        }
+    },
+
+    /**
+     * Copies query parameters into the simulation controls with the same ID.
+     * Only inputs in the Simulation Controls panel can be filled in.
+     * @param {URLSearchParams} params - Query parameters of the route
+     */
+    prefill(params) {
+        const filled = [];
+        for (const [id, value] of params) {
+            const control = document.getElementById(id);
+            if (!control || !control.closest('#sidePanel') || !control.matches('input:not([type="file"]), select, textarea')) {
+                logEvent('warning', 'log.route.unknownParameter', { name: id });
+                continue;
+            }
+            if (control.tagName === 'SELECT' && !Array.from(control.options).some(option => option.value === value)) {
+                logEvent('warning', 'log.route.invalidValue', { name: id, value });
+                continue;
+            }
+            control.value = value;
+            control.dispatchEvent(new Event('change', { bubbles: true }));
+            filled.push(id);
+        }
+        if (filled.length > 0) {
+            logEvent('system', 'log.route.prefilled', { fields: filled.join(', ') }, { icon: '🔗' });
+        }
+    },
+
+    /**
+     * Fetches /sessions/<id>.json and replays it. Re-opening the same link
+     * (e.g. a hash change that only adds parameters) doesn't restart the replay.
+     * @param {string} id - Session ID from the route
+     */
+    async openSession(id) {
+        if (!id || !ROUTE_SESSION_ID_PATTERN.test(id)) {
+            logEvent('warning', 'log.route.invalidSession', { id: id ?? '' });
+            return;
+        }
+        if (id === this.sessionId) return;
+        this.sessionId = id;
+
+        let session;
+        try {
+            const response = await fetch(`/sessions/${encodeURIComponent(id)}.json`);
+            if (!response.ok) {
+                logEvent('warning', 'log.route.sessionNotFound', { id, status: response.status });
+                return;
+            }
+            session = await response.json();
+        } catch (err) {
+            logEvent('system', 'log.session.invalidFile', { error: err.message });
+            return;
+        }
+
+        SESSION.load(session, `${id}.json`);
+    },
+
+    /**
+     * Scrolls an element into view and highlights it briefly.
+     */
+    reveal(element) {
+        if (!element) return;
+        element.scrollIntoView({ behavior: 'smooth', block: 'start' });
+        element.classList.remove('route-target');
+        void element.offsetWidth; // Restart the animation when the same route is opened again
+        element.classList.add('route-target');
+        setTimeout(() => element.classList.remove('route-target'), ROUTE_HIGHLIGHT_MS);
+    }
+};
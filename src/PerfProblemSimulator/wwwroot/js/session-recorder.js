@@ -0,0 +1,380 @@
+/**
+ * Session Recording & Replay
+ *
+ * Records every hub message that drives the charts and simulation cards (metrics,
+ * latency, slow request latency, slow/failed request progress, simulation lifecycle)
+ * together with every event log entry, so a whole
+ * dashboard timeline can be downloaded as a session file and replayed later, for
+ * example after the App Service instance has been recycled.
+ *
+ * Recording starts with the page and keeps the most recent SESSION_MAX_EVENTS events.
+ * Replay publishes the recorded messages on the event bus exactly like live hub
+ * messages (dispatchHubMessage), so every panel shows them the same way. While
+ * replaying, live hub messages and live log entries are ignored so the two
+ * timelines never mix.
+ *
+ * Session file format (JSON):
+ *   {
+ *     "format": "perfsim-session",
+ *     "version": 1,
+ *     "host": "myapp.azurewebsites.net",
+ *     "startedAt": "2026-01-01T10:00:00.000Z",
+ *     "endedAt": "2026-01-01T10:15:00.000Z",
+ *     "events": [ { "t": 1767261600000, "type": "ReceiveMetrics", "args": [ {...} ] }, ... ]
+ *   }
+ *
+ * Event types are hub method names, plus "log" for event log entries
+ * (args: [category, i18nKey, params, { icon, severity, simulationId }]).
+ */
+
+import { i18n } from './i18n.js';
+import { addLatencyToHistory, CONFIG, formatUtcTime, latencyInterpolation, state } from './metrics-store.js';
+import { logEvent } from './event-log.js';
+import { startLatencyChartUpdates, updateCharts, updateLatencyChart } from './charts.js';
+import { dispatchHubMessage } from './connection.js';
+import { downloadFile, resetDashboardState } from './dashboard.js';
+import { restoreSimulationState } from './simulations.js';
+
+// Hub methods that are recorded (idle state and load test stats only produce log entries)
+const SESSION_RECORDED_METHODS = [
+    'ReceiveMetrics',
+    'ReceiveLatency',
+    'ReceiveSlowRequestLatency',
+    'ReceiveSlowRequestProgress',
+    'ReceiveFailedRequestProgress',
+    'SimulationStarted',
+    'SimulationCompleted'
+];
+
+// ~1 hour of metrics + latency probes + log entries at default rates
+const SESSION_MAX_EVENTS = 100000;
+
+const SESSION_FILE_FORMAT = 'perfsim-session';
+const SESSION_FILE_VERSION = 1;
+
+// How often the replay clock advances
+const SESSION_REPLAY_TICK_MS = 100;
+
+export const SESSION = {
+    events: [],
+    replay: null, // { events, startT, endT, position, cursor, eventTime, speed, playing, timer, lastTick }
+
+    /**
+     * Wires up the recording and replay controls.
+     * Called from the dashboard's DOMContentLoaded handler.
+     */
+    initialize() {
+        const fileInput = document.getElementById('sessionFileInput');
+
+        document.getElementById('btnDownloadSession').addEventListener('click', () => this.download());
+        document.getElementById('btnLoadSession').addEventListener('click', () => fileInput.click());
+        fileInput.addEventListener('change', async () => {
+            const file = fileInput.files[0];
+            fileInput.value = '';
+            if (file) await this.loadFile(file);
+        });
+
+        document.getElementById('btnReplayPlayPause').addEventListener('click', () => {
+            if (this.replay?.playing) this.pause();
+            else this.play();
+        });
+        document.getElementById('replaySeek').addEventListener('input', e => this.seek(Number(e.target.value)));
+        document.getElementById('replaySpeed').addEventListener('change', e => {
+            if (this.replay) this.replay.speed = Number(e.target.value) || 1;
+        });
+        document.getElementById('btnExitReplay').addEventListener('click', () => this.exitReplay());
+
+        this.render();
+    },
+
+    isReplaying() {
+        return this.replay !== null;
+    },
+
+    /**
+     * Current dashboard time: the recorded time of the event being replayed,
+     * or the wall clock when live.
+     * @returns {Date}
+     */
+    now() {
+        if (!this.replay) return new Date();
+        return new Date(this.replay.eventTime ?? this.replay.startT + this.replay.position);
+    },
+
+    /**
+     * Records a hub message. Called by the hub handler wrappers in initializeSignalR().
+     * @param {string} method - Hub method name (PascalCase)
+     * @param {Array} args - Arguments the handler received
+     */
+    capture(method, args) {
+        if (!SESSION_RECORDED_METHODS.includes(method)) return;
+        this.push({ t: Date.now(), type: method, args });
+    },
+
+    /**
+     * Records an event log entry. Called by logEvent().
+     */
+    captureLog(category, key, params, options) {
+        const recorded = {};
+        if (options.icon) recorded.icon = options.icon;
+        if (options.severity) recorded.severity = options.severity;
+        if (options.simulationId) recorded.simulationId = options.simulationId;
+        this.push({ t: Date.now(), type: 'log', args: [category, key, params, recorded] });
+    },
+
+    push(event) {
+        this.events.push(event);
+        // Drop the oldest 10% at once rather than shifting on every message
+        if (this.events.length > SESSION_MAX_EVENTS) {
+            this.events.splice(0, Math.floor(SESSION_MAX_EVENTS / 10));
+        }
+    },
+
+    /**
+     * Downloads the recording as a session file.
+     */
+    download() {
+        if (this.events.length === 0) return;
+
+        const session = {
+            format: SESSION_FILE_FORMAT,
+            version: SESSION_FILE_VERSION,
+            host: window.location.host,
+            startedAt: new Date(this.events[0].t).toISOString(),
+            endedAt: new Date(this.events[this.events.length - 1].t).toISOString(),
+            events: this.events
+        };
+
+        downloadFile(
+            `perfsim-session-${session.startedAt.replace(/[:.]/g, '-')}.json`,
+            JSON.stringify(session),
+            'application/json');
+    },
+
+    /**
+     * Reads a session file, then validates and replays it.
+     * @param {File} file - The file chosen in the file picker
+     */
+    async loadFile(file) {
+        let session;
+        try {
+            session = JSON.parse(await file.text());
+        } catch (err) {
+            logEvent('system', 'log.session.invalidFile', { error: err.message });
+            return;
+        }
+
+        this.load(session, file.name);
+    },
+
+    /**
+     * Validates a parsed session file and starts replaying it.
+     * Used for files picked by the user and for #/session/<id> links (router.js).
+     * @param {Object} session - Parsed session file
+     * @param {string} fileName - Shown in the replay bar
+     */
+    load(session, fileName) {
+        if (session?.format !== SESSION_FILE_FORMAT || !Array.isArray(session.events) || session.events.length === 0) {
+            logEvent('system', 'log.session.invalidFile', { error: { key: 'session.notASession' } });
+            return;
+        }
+        if (session.version > SESSION_FILE_VERSION) {
+            logEvent('system', 'log.session.invalidFile', { error: { key: 'session.unsupportedVersion', params: { version: session.version } } });
+            return;
+        }
+
+        this.startReplay(session, fileName);
+    },
+
+    /**
+     * Switches the dashboard into replay mode and plays from the beginning.
+     * @param {Object} session - Parsed session file
+     * @param {string} fileName - Shown in the replay bar
+     */
+    startReplay(session, fileName) {
+        const events = session.events
+            .filter(e => typeof e.t === 'number' && Array.isArray(e.args))
+            .sort((a, b) => a.t - b.t);
+        if (events.length === 0) {
+            logEvent('system', 'log.session.invalidFile', { error: { key: 'session.notASession' } });
+            return;
+        }
+
+        if (this.replay) this.stopTimer();
+
+        // The live 100ms sample-and-hold timer would add wall-clock points to the latency chart
+        if (latencyInterpolation.chartUpdateTimer) {
+            clearInterval(latencyInterpolation.chartUpdateTimer);
+            latencyInterpolation.chartUpdateTimer = null;
+        }
+
+        this.replay = {
+            fileName,
+            events,
+            startT: events[0].t,
+            endT: events[events.length - 1].t,
+            position: 0,
+            cursor: 0,
+            speed: Number(document.getElementById('replaySpeed').value) || 1,
+            playing: false,
+            timer: null,
+            lastTick: 0
+        };
+
+        this.seek(0);
+        this.play();
+    },
+
+    play() {
+        if (!this.replay || this.replay.playing) return;
+
+        // Restart from the beginning if the end was reached
+        if (this.replay.position >= this.replay.endT - this.replay.startT) {
+            this.seek(0);
+        }
+
+        this.replay.playing = true;
+        this.replay.lastTick = performance.now();
+        this.replay.timer = setInterval(() => this.tick(), SESSION_REPLAY_TICK_MS);
+        this.render();
+    },
+
+    pause() {
+        if (!this.replay) return;
+        this.stopTimer();
+        this.render();
+    },
+
+    stopTimer() {
+        clearInterval(this.replay.timer);
+        this.replay.timer = null;
+        this.replay.playing = false;
+    },
+
+    /**
+     * Advances the replay clock and dispatches every event that is now due.
+     */
+    tick() {
+        const replay = this.replay;
+        const now = performance.now();
+        replay.position += (now - replay.lastTick) * replay.speed;
+        replay.lastTick = now;
+
+        const duration = replay.endT - replay.startT;
+        if (replay.position >= duration) {
+            replay.position = duration;
+        }
+
+        this.dispatchUntil(replay.startT + replay.position);
+
+        if (replay.position >= duration) {
+            this.stopTimer();
+        }
+        this.render();
+    },
+
+    /**
+     * Jumps to a position by rebuilding the dashboard from the start of the session.
+     * Charts are redrawn once at the end instead of for every replayed message.
+     * @param {number} positionMs - Offset from the start of the session
+     */
+    seek(positionMs) {
+        const replay = this.replay;
+        if (!replay) return;
+
+        resetDashboardState();
+        replay.cursor = 0;
+        replay.position = Math.max(0, Math.min(positionMs, replay.endT - replay.startT));
+
+        state.deferChartUpdates = true;
+        try {
+            this.dispatchUntil(replay.startT + replay.position);
+        } finally {
+            state.deferChartUpdates = false;
+        }
+        updateCharts();
+        updateLatencyChart();
+
+        replay.lastTick = performance.now();
+        this.render();
+    },
+
+    dispatchUntil(untilT) {
+        const replay = this.replay;
+        while (replay.cursor < replay.events.length && replay.events[replay.cursor].t <= untilT) {
+            this.dispatch(replay.events[replay.cursor]);
+            replay.cursor++;
+        }
+        replay.eventTime = null;
+    },
+
+    /**
+     * Publishes one recorded event on the event bus, like a live hub message.
+     */
+    dispatch(event) {
+        const [first, ...rest] = event.args;
+        this.replay.eventTime = event.t;
+        if (event.type === 'log') {
+            logEvent(first, rest[0], rest[1], { ...rest[2], timestamp: event.t, replayed: true });
+            return;
+        }
+
+        dispatchHubMessage(event.type, event.args);
+
+        // Stands in for the live 100ms latency chart timer, using the recorded time
+        if (event.type === 'ReceiveLatency') {
+            addLatencyToHistory(new Date(event.t), first.latencyMs, first.isTimeout, first.isError);
+            updateLatencyChart();
+        } else if (event.type === 'ReceiveSlowRequestLatency') {
+            addLatencyToHistory(new Date(event.t), first.latencyMs, first.latencyMs >= CONFIG.latencyTimeoutMs, first.isError);
+            updateLatencyChart();
+        }
+    },
+
+    /**
+     * Leaves replay mode and returns to live data.
+     */
+    exitReplay() {
+        if (!this.replay) return;
+        this.stopTimer();
+        this.replay = null;
+        resetDashboardState();
+        startLatencyChartUpdates();
+        this.render();
+        logEvent('system', 'log.session.replayExited');
+        // Simulations that started or ended during the replay
+        restoreSimulationState();
+    },
+
+    /**
+     * Updates the recording/replay bar.
+     */
+    render() {
+        const replay = this.replay;
+        document.getElementById('sessionRecording').classList.toggle('hidden', !!replay);
+        document.getElementById('sessionReplay').classList.toggle('hidden', !replay);
+        document.body.classList.toggle('replay-mode', !!replay);
+        if (!replay) return;
+
+        const duration = replay.endT - replay.startT;
+        const seek = document.getElementById('replaySeek');
+        seek.max = duration;
+        seek.value = replay.position;
+
+        const formatOffset = ms => {
+            const totalSeconds = Math.floor(ms / 1000);
+            const minutes = Math.floor(totalSeconds / 60).toString().padStart(2, '0');
+            const seconds = (totalSeconds % 60).toString().padStart(2, '0');
+            return `${minutes}:${seconds}`;
+        };
+
+        document.getElementById('replayFileName').textContent = replay.fileName;
+        document.getElementById('replayPosition').textContent =
+            `${formatOffset(replay.position)} / ${formatOffset(duration)} ` +
+            `(${formatUtcTime(new Date(replay.startT + replay.position))} UTC)`;
+        document.getElementById('btnReplayPlayPause').textContent = replay.playing
+            ? i18n('session.pause')
+            : i18n('session.play');
+    }
+};
+
@@ -0,0 +1,103 @@
+/**
+ * Simulation Request Shapes
+ *
+ * The request body fields of each simulation, with the defaults and limits of
+ * the dashboard's Simulation Controls, and the SimulatorClient methods that
+ * start and stop it. Every request the dashboard (simulations.js) and the
+ * command line driver (tools/perfsim-cli) send is built by
+ * buildSimulationRequest, so both send the same requests and reject the same
+ * values. No DOM access and no i18n here.
+ */
+
+/**
+ * Field types: 'integer', 'number' or 'enum' (one of 'values').
+ * min/max are the limits of the matching dashboard input.
+ * 'completes' marks simulations that end on their own with SimulationCompleted.
+ */
+export const SIMULATION_REQUESTS = {
+    cpu: {
+        start: 'triggerCpuStress',
+        stop: 'stopCpuStress',
+        completes: true,
+        fields: {
+            durationSeconds: { type: 'integer', default: 30, min: 1 },
+            level: { type: 'enum', default: 'high', values: ['moderate', 'high'] }
+        }
+    },
+    memory: {
+        start: 'allocateMemory',
+        stop: 'releaseMemory',
+        completes: false,
+        fields: {
+            sizeMegabytes: { type: 'integer', default: 100, min: 1 }
+        }
+    },
+    threadblock: {
+        start: 'triggerThreadBlock',
+        stop: 'stopThreadBlock',
+        completes: true,
+        fields: {
+            delayMilliseconds: { type: 'integer', default: 10000, min: 100 },
+            concurrentRequests: { type: 'integer', default: 100, min: 1 }
+        }
+    },
+    slowrequest: {
+        start: 'startSlowRequests',
+        stop: 'stopSlowRequests',
+        completes: true,
+        fields: {
+            requestDurationSeconds: { type: 'integer', default: 25, min: 5, max: 60 },
+            intervalSeconds: { type: 'integer', default: 2, min: 1, max: 30 },
+            maxRequests: { type: 'integer', default: 10, min: 1, max: 100 }
+        }
+    },
+    failedrequest: {
+        start: 'startFailedRequests',
+        stop: 'stopFailedRequests',
+        completes: true,
+        fields: {
+            requestCount: { type: 'integer', default: 10, min: 1, max: 100 }
+        }
+    }
+};
+
+/**
+ * Checks one field value against its definition.
+ * @returns {string|null} What is wrong with the value, or null if it is valid
+ */
+function validateField(name, definition, value) {
+    if (definition.type === 'enum') {
+        return definition.values.includes(value)
+            ? null
+            : `${name} must be one of ${definition.values.join(', ')}`;
+    }
+    if (typeof value !== 'number' || !Number.isFinite(value)) return `${name} must be a number`;
+    if (definition.type === 'integer' && !Number.isInteger(value)) return `${name} must be a whole number`;
+    if (definition.min !== undefined && value < definition.min) return `${name} must be at least ${definition.min}`;
+    if (definition.max !== undefined && value > definition.max) return `${name} must be at most ${definition.max}`;
+    return null;
+}
+
+/**
+ * Builds the request body of a simulation from the given values and the defaults.
+ * @param {string} kind - Key of SIMULATION_REQUESTS, e.g. 'cpu'
+ * @param {Object} [values] - Field values; missing fields get their default
+ * @returns {{request: Object, errors: string[]}} The body, and one message per invalid or unknown field
+ */
+export function buildSimulationRequest(kind, values = {}) {
+    const definition = SIMULATION_REQUESTS[kind];
+    if (!definition) {
+        return { request: {}, errors: [`Unknown simulation '${kind}'`] };
+    }
+
+    const request = {};
+    const errors = Object.keys(values)
+        .filter(name => !(name in definition.fields))
+        .map(name => `Unknown parameter '${name}' for ${kind}`);
+    for (const [name, field] of Object.entries(definition.fields)) {
+        request[name] = values[name] ?? field.default;
+        const error = validateField(name, field, request[name]);
+        if (error) errors.push(error);
+    }
+    return { request, errors };
+}
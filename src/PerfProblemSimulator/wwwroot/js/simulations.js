@@ -0,0 +1,1093 @@
+/**
+ * Simulations
+ *
+ * The Simulation Controls panel (start/stop calls through the API client in
+ * simulator-client.js and the slow/failed request status polling) and the
+ * Active Simulations list, which follows 'simulation' events from the hub as
+ * well as the API responses and shows each simulation as a card with its
+ * times, parameters and a Stop button. After a page load both are rebuilt
+ * from the server (restoreSimulationState).
+ */
+
+import { EVENT_BUS } from './event-bus.js';
+import { i18n } from './i18n.js';
+import { API_CLIENT, formatUtcTime, state } from './metrics-store.js';
+import { formatEventLogMessage, logEvent } from './event-log.js';
+import { endSimulationAnnotation, startSimulationAnnotation } from './charts.js';
+import { ensureWebSocket } from './connection.js';
+import { buildSimulationRequest } from './simulation-requests.js';
+import { SESSION } from './session-recorder.js';
+
+// ==========================================================================
+// Simulation Controls
+// ==========================================================================
+
+/**
+ * Wires up the simulation buttons and subscribes the Active Simulations list
+ * to the 'simulation' and 'loadTestStats' events and the slow/failed request
+ * controls to their progress events.
+ * Called from the dashboard's DOMContentLoaded handler.
+ */
+export function initializeSimulations() {
+    document.getElementById('btnTriggerCpu').addEventListener('click', () => triggerCpuStress());
+    document.getElementById('btnStopCpu').addEventListener('click', stopCpuStress);
+    document.getElementById('btnAllocateMemory').addEventListener('click', () => allocateMemory());
+    document.getElementById('btnReleaseMemory').addEventListener('click', releaseMemory);
+    document.getElementById('btnTriggerThreadBlock').addEventListener('click', () => triggerThreadBlock());
+    document.getElementById('btnStopThreadBlock').addEventListener('click', stopThreadBlock);
+    document.getElementById('btnTriggerCrash').addEventListener('click', triggerCrash);
+    document.getElementById('btnStartSlowRequests').addEventListener('click', () => startSlowRequests());
+    document.getElementById('btnStopSlowRequests').addEventListener('click', stopSlowRequests);
+    document.getElementById('btnStartFailedRequests').addEventListener('click', () => startFailedRequests());
+
+    // Initialize slow request Stop button as disabled
+    document.getElementById('btnStopSlowRequests').disabled = true;
+
+    EVENT_BUS.subscribe('simulation', ({ phase, simulationType, simulationId }) => {
+        if (phase === 'started') handleSimulationStarted(simulationType, simulationId);
+        else handleSimulationCompleted(simulationType, simulationId);
+    });
+    EVENT_BUS.subscribe('loadTestStats', handleLoadTestStats);
+    EVENT_BUS.subscribe('slowRequestProgress', status => handleProgress('slowrequest', status));
+    EVENT_BUS.subscribe('failedRequestProgress', status => handleProgress('failedrequest', status));
+    EVENT_BUS.subscribe('connection', handleConnectionChange);
+}
+
+/**
+ * Reads a Simulation Controls number input.
+ * @param {string} inputId - Element ID of the input
+ * @param {number} [scale=1] - Input unit to request unit, e.g. 1000 for seconds → ms
+ * @returns {number|undefined} The value, or undefined for an empty input (the field's default)
+ */
+function readNumberInput(inputId, scale = 1) {
+    const value = parseFloat(document.getElementById(inputId).value);
+    if (Number.isNaN(value)) return undefined;
+    return scale === 1 ? value : Math.round(value * scale);
+}
+
+/**
+ * Builds a simulation request with buildSimulationRequest (simulation-requests.js),
+ * the same checks the command line driver makes. Invalid values are logged
+ * and nothing is sent.
+ * @param {string} kind - Key of SIMULATION_REQUESTS, e.g. 'cpu'
+ * @param {string} category - Event log category
+ * @param {Object} values - Field values; undefined fields get their default
+ * @returns {Object|null} The request body, or null if a value is invalid
+ */
+function buildRequest(kind, category, values) {
+    const { request, errors } = buildSimulationRequest(kind, values);
+    if (errors.length === 0) return request;
+    logEvent(category, 'log.invalidParameters', { errors: errors.join('; ') }, { severity: 'error' });
+    return null;
+}
+
+/**
+ * Logs a failed simulator API call (SimulatorApiError). Errors the server
+ * answered go under failedKey; timeouts and network errors, which never got
+ * an answer, under requestFailedKey.
+ * @param {string} category - Event log category
+ * @param {SimulatorApiError} err - The error thrown by API_CLIENT
+ * @param {string} failedKey - i18n key for error responses
+ * @param {string} requestFailedKey - i18n key for requests without a response
+ * @param {string} [severity='error'] - Event log severity
+ */
+function logApiError(category, err, failedKey, requestFailedKey, severity = 'error') {
+    logEvent(category, err.status ? failedKey : requestFailedKey, { error: err.message }, { severity });
+}
+
+/**
+ * Triggers a CPU stress simulation.
+ * @param {Object} [params] - Overrides for the form inputs (used by playbooks)
+ * @param {number} [params.durationSeconds] - Duration in seconds
+ * @param {string} [params.level] - 'moderate' or 'high'
+ * @returns {Promise<Object|null>} The simulation result, or null if the request failed
+ */
+export async function triggerCpuStress(params = {}) {
+    ensureWebSocket();
+    const request = buildRequest('cpu', 'cpu', {
+        durationSeconds: params.durationSeconds ?? readNumberInput('cpuDuration'),
+        level: params.level ?? (document.getElementById('cpuLevel').value || undefined)
+    });
+    if (!request) return null;
+    const { durationSeconds: duration, level } = request;
+    
+    try {
+        logEvent('cpu', 'log.cpu.triggering', { duration, level: { key: `sim.cpu.${level}` } });
+        const result = await API_CLIENT.triggerCpuStress(request);
+        const displayLevel = { key: `sim.cpu.${level}` };
+        addActiveSimulation(result.simulationId, 'cpu', {
+            label: { key: 'activeSims.cpu', params: { level: displayLevel } },
+            parameters: result.actualParameters
+        });
+        logEvent('cpu', 'log.cpu.started', { level: displayLevel }, { simulationId: result.simulationId });
+        return result;
+    } catch (err) {
+        logApiError('cpu', err, 'log.cpu.failed', 'log.cpu.requestFailed');
+    }
+    return null;
+}
+
+/**
+ * Stops all active CPU stress simulations.
+ * @returns {Promise<boolean>} True if the server accepted the stop request
+ */
+export async function stopCpuStress() {
+    ensureWebSocket();
+    try {
+        logEvent('cpu', 'log.cpu.stopping');
+        const result = await API_CLIENT.stopCpuStress();
+        logEvent('cpu', result?.message ? 'log.text' : 'log.cpu.stopped', { text: result?.message });
+        // Remove CPU simulations from active list
+        removeSimulationsByType('cpu');
+        return true;
+    } catch (err) {
+        logApiError('cpu', err, 'log.cpu.stopRequest', 'log.cpu.stopRequest', 'warning');
+    }
+    return false;
+}
+
+/**
+ * Allocates a block of memory on the server.
+ * @param {Object} [params] - Overrides for the form inputs (used by playbooks)
+ * @param {number} [params.sizeMegabytes] - Size of the allocation in MB
+ * @returns {Promise<Object|null>} The simulation result, or null if the request failed
+ */
+export async function allocateMemory(params = {}) {
+    ensureWebSocket();
+    const request = buildRequest('memory', 'memory', {
+        sizeMegabytes: params.sizeMegabytes ?? readNumberInput('memorySize')
+    });
+    if (!request) return null;
+    const sizeMb = request.sizeMegabytes;
+    
+    try {
+        logEvent('memory', 'log.memory.allocating', { size: sizeMb });
+        const result = await API_CLIENT.allocateMemory(request);
+        const actualSizeMb = result.actualParameters?.sizeMegabytes ?? sizeMb;
+        addActiveSimulation(result.simulationId, 'memory', {
+            label: { key: 'activeSims.memory', params: { size: actualSizeMb } },
+            parameters: result.actualParameters
+        });
+        logEvent('memory', 'log.memory.allocated', { size: actualSizeMb }, { simulationId: result.simulationId });
+        return result;
+    } catch (err) {
+        logApiError('memory', err, 'log.memory.failed', 'log.memory.requestFailed');
+    }
+    return null;
+}
+
+/**
+ * Releases all allocated memory blocks.
+ * @returns {Promise<boolean>} True if the server accepted the release request
+ */
+export async function releaseMemory() {
+    ensureWebSocket();
+    try {
+        logEvent('memory', 'log.memory.releasing');
+        const result = await API_CLIENT.releaseMemory();
+        removeSimulationsByType('memory');
+        const releasedMb = result.releasedMegabytes ?? (result.releasedBytes / 1024 / 1024);
+        logEvent('memory', 'log.memory.released', { blocks: result.releasedBlockCount ?? 0, size: releasedMb });
+        return true;
+    } catch (err) {
+        logApiError('memory', err, 'log.memory.releaseFailed', 'log.memory.releaseRequestFailed');
+    }
+    return false;
+}
+
+/**
+ * Triggers a thread pool starvation simulation.
+ * @param {Object} [params] - Overrides for the form inputs (used by playbooks)
+ * @param {number} [params.delayMilliseconds] - How long each blocking operation waits
+ * @param {number} [params.concurrentRequests] - Number of concurrent blocking operations
+ * @returns {Promise<Object|null>} The simulation result, or null if the request failed
+ */
+export async function triggerThreadBlock(params = {}) {
+    ensureWebSocket();
+    const request = buildRequest('threadblock', 'threads', {
+        delayMilliseconds: params.delayMilliseconds ?? readNumberInput('threadDelay', 1000),
+        concurrentRequests: params.concurrentRequests ?? readNumberInput('threadConcurrent')
+    });
+    if (!request) return null;
+    const delaySeconds = request.delayMilliseconds / 1000;
+    const concurrent = request.concurrentRequests;
+    
+    try {
+        logEvent('threads', 'log.thread.triggering', { count: concurrent, delay: delaySeconds });
+        const result = await API_CLIENT.triggerThreadBlock(request);
+        addActiveSimulation(result.simulationId, 'threadblock', { parameters: result.actualParameters });
+        logEvent('threads', 'log.thread.started', {}, { simulationId: result.simulationId });
+        return result;
+    } catch (err) {
+        logApiError('threads', err, 'log.thread.failed', 'log.thread.requestFailed');
+    }
+    return null;
+}
+
+/**
+ * Stops all active thread pool starvation simulations.
+ * @returns {Promise<boolean>} True if the server accepted the stop request
+ */
+export async function stopThreadBlock() {
+    ensureWebSocket();
+    try {
+        logEvent('threads', 'log.thread.stopping');
+        const result = await API_CLIENT.stopThreadBlock();
+        logEvent('threads', result?.message ? 'log.text' : 'log.thread.stopped', { text: result?.message });
+        // Remove thread block simulations from active list
+        removeSimulationsByType('threadblock');
+        return true;
+    } catch (err) {
+        logApiError('threads', err, 'log.thread.stopRequest', 'log.thread.stopRequest', 'warning');
+    }
+    return false;
+}
+
+/**
+ * Triggers an application crash.
+ * WARNING: This will terminate the application!
+ */
+async function triggerCrash() {
+    ensureWebSocket();
+    const crashType = document.getElementById('crashType').value;
+    // Delay option removed from UI - default to 0 (immediate crash)
+    const delayElement = document.getElementById('crashDelay');
+    const delaySeconds = delayElement ? parseInt(delayElement.value) || 0 : 0;
+    // Always synchronous for Azure Crash Monitoring
+    const synchronous = true;
+    
+    // Confirmation dialog - always synchronous for Azure Crash Monitoring
+    const confirmed = confirm(
+        i18n('log.crash.confirmTitle') + `\n\n` +
+        i18n('log.crash.confirmType', { type: crashType }) + `\n\n` +
+        i18n('log.crash.confirmBody')
+    );
+    
+    if (!confirmed) {
+        logEvent('crash', 'log.crash.cancelled');
+        return;
+    }
+    
+    try {
+        logEvent('crash', delaySeconds > 0 ? 'log.crash.triggeringDelayed' : 'log.crash.triggering',
+            { type: crashType, delay: delaySeconds });
+        
+        const result = await API_CLIENT.triggerCrash({
+            crashType: crashType,
+            delaySeconds: delaySeconds,
+            synchronous,
+            message: `Crash triggered from dashboard at ${new Date().toISOString()}`
+        });
+        
+        // If synchronous, we shouldn't get here (process crashed)
+        logEvent('crash', 'log.crash.result', { message: result?.message });
+        
+        // Show countdown for async crashes
+        if (!synchronous && delaySeconds > 0) {
+            let countdown = delaySeconds;
+            const countdownInterval = setInterval(() => {
+                countdown--;
+                if (countdown > 0) {
+                    logEvent('crash', 'log.crash.countdown', { seconds: countdown });
+                } else {
+                    logEvent('crash', 'log.crash.now');
+                    clearInterval(countdownInterval);
+                }
+            }, 1000);
+        }
+    } catch (err) {
+        // For synchronous crashes, losing the connection is expected
+        if (synchronous && !err.status) {
+            logEvent('crash', 'log.crash.connectionLost');
+        } else {
+            logApiError('crash', err, 'log.crash.failed', 'log.crash.requestFailed');
+        }
+    }
+}
+
+// ==========================================================================
+// Slow Request Simulator
+// ==========================================================================
+
+/**
+ * Starts the slow request simulator.
+ * Generates requests with sync-over-async patterns for CLR Profiler analysis.
+ * @param {Object} [params] - Overrides for the form inputs (used by playbooks)
+ * @param {number} [params.requestDurationSeconds] - Execution time of each request
+ * @param {number} [params.intervalSeconds] - Time between requests
+ * @param {number} [params.maxRequests] - Total requests to generate
+ * @returns {Promise<Object|null>} The simulation result, or null if the request failed
+ */
+export async function startSlowRequests(params = {}) {
+    ensureWebSocket();
+    const request = buildRequest('slowrequest', 'slowrequest', {
+        requestDurationSeconds: params.requestDurationSeconds ?? readNumberInput('slowRequestDuration'),
+        intervalSeconds: params.intervalSeconds ?? readNumberInput('slowRequestInterval'),
+        maxRequests: params.maxRequests ?? readNumberInput('slowRequestMax')
+    });
+    if (!request) return null;
+    const { requestDurationSeconds: durationSeconds, intervalSeconds, maxRequests } = request;
+    
+    const statusDiv = document.getElementById('slowRequestStatus');
+    const startBtn = document.getElementById('btnStartSlowRequests');
+    const stopBtn = document.getElementById('btnStopSlowRequests');
+    
+    try {
+        logEvent('slowrequest', 'log.slow.starting', { duration: durationSeconds, interval: intervalSeconds, max: maxRequests });
+        
+        startBtn.disabled = true;
+        stopBtn.disabled = false;
+        
+        const result = await API_CLIENT.startSlowRequests(request);
+        
+        state.slowRequestSimulationId = result.simulationId;
+        addActiveSimulation(result.simulationId, 'slowrequest', { parameters: result.actualParameters });
+        logEvent('slowrequest', 'log.slow.started', { duration: durationSeconds, interval: intervalSeconds, max: maxRequests }, { simulationId: result.simulationId });
+        statusDiv.textContent = i18n('log.slow.statusRunning', { duration: durationSeconds, interval: intervalSeconds, max: maxRequests });
+        statusDiv.classList.add('active');
+        
+        // Progress arrives over the hub; polled only while the hub is down
+        watchProgress('slowrequest');
+        return result;
+    } catch (err) {
+        logApiError('slowrequest', err, 'log.slow.failedToStart', 'log.slow.requestFailed');
+        if (err.status) {
+            startBtn.disabled = false;
+            stopBtn.disabled = true;
+            statusDiv.classList.remove('active');
+        }
+    }
+    return null;
+}
+
+/**
+ * Stops the slow request simulator.
+ * @returns {Promise<boolean>} True if the server accepted the stop request
+ */
+export async function stopSlowRequests() {
+    ensureWebSocket();
+    const statusDiv = document.getElementById('slowRequestStatus');
+    const startBtn = document.getElementById('btnStartSlowRequests');
+    const stopBtn = document.getElementById('btnStopSlowRequests');
+    
+    try {
+        logEvent('slowrequest', 'log.slow.stopping');
+        
+        await API_CLIENT.stopSlowRequests();
+        unwatchProgress('slowrequest');
+        const simId = state.slowRequestSimulationId;
+        if (simId) {
+            removeActiveSimulation(simId);
+            logEvent('slowrequest', 'log.slow.stopped', {}, { simulationId: simId });
+        } else {
+            logEvent('slowrequest', 'log.slow.stopped');
+        }
+        state.slowRequestSimulationId = null;
+        return true;
+    } catch (err) {
+        if (err.status) {
+            logEvent('slowrequest', 'log.slow.stopRequest', { error: err.message }, { severity: 'warning' });
+        } else {
+            logEvent('slowrequest', 'log.slow.requestFailed', { error: err.message }, { severity: 'error' });
+        }
+    } finally {
+        startBtn.disabled = false;
+        stopBtn.disabled = true;
+        statusDiv.textContent = '';
+        statusDiv.classList.remove('active');
+    }
+    return false;
+}
+
+// ==========================================================================
+// Failed Request Simulation (HTTP 5xx generation)
+// ==========================================================================
+
+/**
+ * Starts the failed request simulator.
+ * Generates HTTP 500 errors visible in AppLens and Application Insights.
+ * @param {Object} [params] - Overrides for the form inputs (used by playbooks)
+ * @param {number} [params.requestCount] - Number of HTTP 500 errors to generate
+ * @returns {Promise<Object|null>} The simulation result, or null if the request failed
+ */
+export async function startFailedRequests(params = {}) {
+    ensureWebSocket();
+    const request = buildRequest('failedrequest', 'failedrequests', {
+        requestCount: params.requestCount ?? readNumberInput('failedRequestCount')
+    });
+    if (!request) return null;
+    const { requestCount } = request;
+    
+    const startBtn = document.getElementById('btnStartFailedRequests');
+    
+    try {
+        logEvent('failedrequests', 'log.failed.generating', { count: requestCount });
+        
+        startBtn.disabled = true;
+        
+        const result = await API_CLIENT.startFailedRequests(request);
+        addActiveSimulation(result.simulationId, 'failedrequest', { parameters: result.actualParameters });
+        logEvent('failedrequests', 'log.failed.started', { count: requestCount }, { simulationId: result.simulationId });
+        
+        // Progress arrives over the hub; polled only while the hub is down
+        watchProgress('failedrequest');
+        return result;
+    } catch (err) {
+        logApiError('failedrequests', err, 'log.failed.failedToStart', 'log.failed.requestFailed');
+        if (err.status) startBtn.disabled = false;
+    }
+    return null;
+}
+
+/**
+ * Stops the failed request simulator.
+ * @returns {Promise<boolean>} True if the server accepted the stop request
+ */
+export async function stopFailedRequests() {
+    const startBtn = document.getElementById('btnStartFailedRequests');
+    
+    try {
+        logEvent('failedrequests', 'log.failed.stopping');
+        
+        const result = await API_CLIENT.stopFailedRequests();
+        unwatchProgress('failedrequest');
+        logEvent('failedrequests', result?.message ? 'log.text' : 'log.failed.stopped', { text: result?.message });
+        removeSimulationsByType('failedrequest');
+        return true;
+    } catch (err) {
+        if (err.status) {
+            logEvent('failedrequests', 'log.failed.stopRequest', { error: err.message }, { severity: 'warning' });
+        } else {
+            logEvent('failedrequests', 'log.failed.requestFailed', { error: err.message }, { severity: 'error' });
+        }
+    } finally {
+        startBtn.disabled = false;
+    }
+    return false;
+}
+
+// ==========================================================================
+// Slow/Failed Request Progress
+// ==========================================================================
+
+/**
+ * Progress of the slow and failed request simulators. The server pushes their
+ * status over the hub on every change (ReceiveSlowRequestProgress,
+ * ReceiveFailedRequestProgress); the status endpoint is only polled, as a
+ * fallback, while the hub is not connected. A simulator is watched from its
+ * start until a status shows it has ended.
+ */
+const PROGRESS_WATCHES = {
+    slowrequest: {
+        // 5 seconds to minimize noise during CLR profiling
+        pollIntervalMs: 5000,
+        fetchStatus: () => API_CLIENT.getSlowRequestStatus(),
+        showRunning: showSlowRequestProgress,
+        showEnded: showSlowRequestsEnded,
+        watching: false,
+        timer: null
+    },
+    failedrequest: {
+        pollIntervalMs: 2000,
+        fetchStatus: () => API_CLIENT.getFailedRequestStatus(),
+        showRunning: showFailedRequestProgress,
+        showEnded: showFailedRequestsEnded,
+        watching: false,
+        timer: null
+    }
+};
+
+function watchProgress(kind) {
+    PROGRESS_WATCHES[kind].watching = true;
+    scheduleProgressPoll(kind);
+}
+
+function unwatchProgress(kind) {
+    const watch = PROGRESS_WATCHES[kind];
+    watch.watching = false;
+    clearTimeout(watch.timer);
+    watch.timer = null;
+}
+
+function scheduleProgressPoll(kind) {
+    const watch = PROGRESS_WATCHES[kind];
+    clearTimeout(watch.timer);
+    watch.timer = watch.watching ? setTimeout(() => pollProgress(kind), watch.pollIntervalMs) : null;
+}
+
+/**
+ * Fetches the status while the hub can't push it. Skipped while the tab is in
+ * the background; a failed request is retried on the next poll.
+ */
+async function pollProgress(kind) {
+    if (state.connectionStatus.status !== 'connected' && !document.hidden) {
+        await refreshProgress(kind);
+    }
+    scheduleProgressPoll(kind);
+}
+
+async function refreshProgress(kind) {
+    try {
+        handleProgress(kind, await PROGRESS_WATCHES[kind].fetchStatus());
+    } catch (err) {
+        // Connection lost - probably a restart; the next poll retries
+    }
+}
+
+/**
+ * Shows a status from the hub or the status endpoint. A running simulator is
+ * watched even if another client started it; the first status after it ends
+ * completes the controls, later ones (requests still finishing) are ignored.
+ * @param {string} kind - 'slowrequest' or 'failedrequest'
+ * @param {Object} status - SlowRequestStatus or FailedRequestStatus
+ */
+function handleProgress(kind, status) {
+    const watch = PROGRESS_WATCHES[kind];
+    if (status.isRunning) {
+        if (!watch.watching) watchProgress(kind);
+        watch.showRunning(status);
+        showSimulationProgress(status);
+    } else if (watch.watching) {
+        unwatchProgress(kind);
+        watch.showEnded(status);
+    }
+}
+
+/**
+ * Re-reads the status of the watched simulators once the hub is back, since
+ * pushes sent while it was down are lost.
+ */
+function handleConnectionChange({ status }) {
+    if (status !== 'connected') return;
+    Object.keys(PROGRESS_WATCHES).forEach(kind => {
+        if (PROGRESS_WATCHES[kind].watching) refreshProgress(kind);
+    });
+}
+
+function showSlowRequestProgress(status) {
+    state.slowRequestSimulationId ??= status.simulationId ?? null;
+    document.getElementById('btnStartSlowRequests').disabled = true;
+    document.getElementById('btnStopSlowRequests').disabled = false;
+    showSlowRequestsRunning(status);
+}
+
+function showSlowRequestsEnded(status) {
+    const statusDiv = document.getElementById('slowRequestStatus');
+    statusDiv.textContent = i18n('log.slow.statusCompleted', { completed: status.requestsCompleted, sent: status.requestsSent });
+    setTimeout(() => {
+        statusDiv.classList.remove('active');
+        statusDiv.textContent = '';
+    }, 3000);
+
+    document.getElementById('btnStartSlowRequests').disabled = false;
+    document.getElementById('btnStopSlowRequests').disabled = true;
+
+    // Hide overlay when simulation is confirmed done
+    const overlay = document.getElementById('latencyOverlay');
+    const msg = document.getElementById('latencySuspendedMsg');
+    if (overlay) overlay.classList.remove('active');
+    if (msg) msg.style.display = 'none';
+
+    if (status.requestsCompleted > 0) {
+        const simId = state.slowRequestSimulationId;
+        if (simId) {
+            removeActiveSimulation(simId);
+            logEvent('slowrequest', 'log.slow.completed', { count: status.requestsCompleted }, { simulationId: simId });
+        } else {
+            logEvent('slowrequest', 'log.slow.completed', { count: status.requestsCompleted });
+        }
+        state.slowRequestSimulationId = null;
+    }
+}
+
+function showFailedRequestProgress() {
+    document.getElementById('btnStartFailedRequests').disabled = true;
+}
+
+function showFailedRequestsEnded(status) {
+    document.getElementById('btnStartFailedRequests').disabled = false;
+    removeSimulationsByType('failedrequest');
+
+    // Track completion time to suppress load test stats message
+    state.lastFailedRequestCompletedAt = Date.now();
+
+    if (status.requestsCompleted > 0) {
+        logEvent('failedrequests', 'log.failed.completed', { count: status.requestsCompleted });
+    }
+}
+
+/**
+ * Shows the progress of a running slow request simulation and the latency
+ * overlay (probes are suspended while it runs).
+ * @param {Object} status - Response of GET /api/slowrequest/status
+ */
+function showSlowRequestsRunning(status) {
+    const statusDiv = document.getElementById('slowRequestStatus');
+    statusDiv.textContent = i18n('log.slow.statusPolling', { completed: status.requestsCompleted, sent: status.requestsSent, active: status.requestsInProgress });
+    statusDiv.classList.add('active');
+
+    // Ensure overlay is active if running (in case page was refreshed).
+    // The message is hidden by the stylesheet until shown here, so set it unconditionally.
+    const overlay = document.getElementById('latencyOverlay');
+    const msg = document.getElementById('latencySuspendedMsg');
+    if (overlay) overlay.classList.add('active');
+    if (msg) msg.style.display = 'block';
+}
+
+// ==========================================================================
+// Restoring State After a Reload
+// ==========================================================================
+
+// IDs of simulations completed while restoreSimulationState() waits for the server
+let completedDuringRestore = null;
+
+/**
+ * Rebuilds the Active Simulations list, the slow/failed request controls and
+ * the latency overlay from the server. The hub only announces starts and
+ * completions, so simulations started before the page loaded (or during a
+ * session replay) are otherwise missing.
+ * Called from the dashboard's DOMContentLoaded handler and when replay ends.
+ */
+export async function restoreSimulationState() {
+    completedDuringRestore = new Set();
+    const [simulations, memory, slowRequests, failedRequests] = await Promise.allSettled([
+        API_CLIENT.getActiveSimulations(),
+        API_CLIENT.getMemoryStatus(),
+        API_CLIENT.getSlowRequestStatus(),
+        API_CLIENT.getFailedRequestStatus()
+    ]);
+    const completed = completedDuringRestore;
+    completedDuringRestore = null;
+
+    // A replayed session owns the panels until it ends
+    if (SESSION.isReplaying()) return;
+
+    if (simulations.status === 'rejected') {
+        logEvent('system', 'log.restore.failed', { error: simulations.reason.message }, { severity: 'warning' });
+    }
+    const running = simulations.status === 'fulfilled'
+        ? simulations.value.filter(sim => !completed.has(sim.id))
+        : [];
+    running.forEach(sim => {
+        const type = sim.type.toLowerCase();
+        addActiveSimulation(sim.id, type, {
+            label: getRestoredSimulationLabel(type, sim),
+            startTime: new Date(sim.startedAt),
+            parameters: sim.parameters
+        });
+    });
+    if (running.length > 0) {
+        logEvent('system', 'log.restore.simulations', { count: running.length });
+    }
+
+    if (memory.status === 'fulfilled' && memory.value.allocatedBlocksCount > 0) {
+        logEvent('memory', 'log.restore.memory', {
+            size: Math.round(memory.value.totalAllocatedMegabytes),
+            count: memory.value.allocatedBlocksCount
+        });
+    }
+
+    if (slowRequests.status === 'fulfilled' && slowRequests.value.isRunning) {
+        state.slowRequestSimulationId = running.find(sim => sim.type === 'SlowRequest')?.id ?? null;
+        handleProgress('slowrequest', slowRequests.value);
+    }
+
+    if (failedRequests.status === 'fulfilled' && failedRequests.value.isRunning) {
+        handleProgress('failedrequest', failedRequests.value);
+    }
+}
+
+/**
+ * Badge label of a simulation listed by GET /api/admin/simulations, with the
+ * details the start buttons show (CPU level, memory size) where its parameters have them.
+ * @param {string} type - Lower-case simulation type
+ * @param {Object} simulation - { type, parameters }
+ */
+function getRestoredSimulationLabel(type, { type: serverType, parameters = {} }) {
+    if (type === 'cpu' && parameters.level) {
+        return { key: 'activeSims.cpu', params: { level: { key: `sim.cpu.${parameters.level}` } } };
+    }
+    if (type === 'memory' && parameters.sizeMegabytes) {
+        return { key: 'activeSims.memory', params: { size: parameters.sizeMegabytes } };
+    }
+    return getSimulationTypeLabel(type, serverType);
+}
+
+// ==========================================================================
+// Load Test
+// ==========================================================================
+
+/**
+ * Handle incoming load test statistics from server.
+ * Broadcast every 60 seconds while /api/loadtest endpoint is receiving traffic.
+ */
+function handleLoadTestStats(data) {
+    // Suppress load test stats if a failed request simulation recently completed
+    // (since failed requests use the load test endpoint internally)
+    if (state.lastFailedRequestCompletedAt && 
+        (Date.now() - state.lastFailedRequestCompletedAt) < 90000) {
+        return; // Suppress for 90 seconds after failed request sim
+    }
+    
+    const completed = data.requestsCompleted;
+    
+    // Error rate as a fraction ({errorRate, percent} formats it)
+    const errorRate = completed > 0 ? data.exceptionCount / completed : 0;
+    
+    logEvent('loadtest', 'log.loadtest.periodStats', {
+        completed,
+        avg: data.avgResponseTimeMs,
+        max: data.maxResponseTimeMs,
+        rps: data.requestsPerSecond,
+        errorRate
+    });
+}
+
+// ==========================================================================
+// Active Simulations UI
+// ==========================================================================
+
+/**
+ * Maps simulation types to their log categories
+ */
+export const SIMULATION_CATEGORY_MAP = {
+    'cpu': 'cpu',
+    'memory': 'memory',
+    'threadblock': 'threads',
+    'slowrequest': 'slowrequest',
+    'failedrequest': 'failedrequests',
+    'crash': 'crash'
+};
+
+function handleSimulationStarted(simulationType, simulationId) {
+    const simTypeLower = simulationType.toLowerCase();
+    addActiveSimulation(simulationId, simTypeLower);
+    // Note: Don't log here - the API response handlers already log the start message
+
+    // Handle SlowRequest specific UI
+    if (simulationType === 'SlowRequest') {
+        const overlay = document.getElementById('latencyOverlay');
+        const statusOverlay = document.getElementById('slowRequestStatus');
+        const msg = document.getElementById('latencySuspendedMsg');
+
+        if (overlay) overlay.classList.add('active');
+        if (statusOverlay) statusOverlay.classList.add('active');
+        if (msg) msg.style.display = 'block';
+    }
+}
+
+function handleSimulationCompleted(simulationType, simulationId) {
+    completedDuringRestore?.add(simulationId);
+    removeActiveSimulation(simulationId);
+    const simTypeLower = simulationType.toLowerCase();
+    const category = SIMULATION_CATEGORY_MAP[simTypeLower] || 'system';
+    
+    // Don't log SlowRequest completion here - the polling handler logs with request count
+    if (simulationType !== 'SlowRequest') {
+        logEvent(category, 'log.sim.completed', { type: getSimulationTypeLabel(simTypeLower, simulationType) }, { simulationId });
+    }
+
+    // Handle SlowRequest specific UI
+    if (simulationType === 'SlowRequest') {
+        const overlay = document.getElementById('latencyOverlay');
+        const statusOverlay = document.getElementById('slowRequestStatus');
+        const msg = document.getElementById('latencySuspendedMsg');
+
+        if (overlay) overlay.classList.remove('active');
+        if (msg) msg.style.display = 'none';
+        
+        // Let the status overlay hang around for a few seconds via the polling loop instead of hiding immediately
+        // The polling loop will handle the 'Running' -> 'Completed' text update.
+    }
+}
+
+/**
+ * Label of a simulation type as { key, params }, translated when drawn.
+ * Types this dashboard doesn't know yet show the server's type name.
+ * @param {string} type - Lower-case simulation type
+ * @param {string} [serverType] - Type name as sent by the server
+ */
+function getSimulationTypeLabel(type, serverType = type) {
+    return type in SIMULATION_CATEGORY_MAP
+        ? { key: `activeSims.type.${type}` }
+        : { key: 'log.text', params: { text: serverType } };
+}
+
+/**
+ * Shows a simulation in the Active Simulations list and opens its chart band.
+ * The API response and the hub's SimulationStarted both report the simulation;
+ * details given by either one are kept when the other arrives without them.
+ * @param {string} id - Simulation ID
+ * @param {string} type - Lower-case simulation type
+ * @param {Object} [details]
+ * @param {Object} [details.label] - { key, params } with details such as the CPU level
+ * @param {Date} [details.startTime] - When the server started it (defaults to when the dashboard first saw it)
+ * @param {Object} [details.parameters] - Parameters the server actually used (actualParameters)
+ */
+function addActiveSimulation(id, type, { label, startTime, parameters } = {}) {
+    const existing = state.activeSimulations.get(id);
+    label ??= existing?.label ?? getSimulationTypeLabel(type);
+    startTime ??= existing?.startTime ?? SESSION.now();
+    parameters ??= existing?.parameters ?? {};
+    state.activeSimulations.set(id, { type, label, startTime, parameters, progress: existing?.progress ?? null });
+    startSimulationAnnotation(id, type, label, startTime);
+    updateActiveSimulationsUI();
+}
+
+function removeActiveSimulation(id) {
+    state.activeSimulations.delete(id);
+    endSimulationAnnotation(id);
+    updateActiveSimulationsUI();
+}
+
+function removeSimulationsByType(type) {
+    for (const [key, value] of [...state.activeSimulations]) {
+        if (value.type === type) {
+            state.activeSimulations.delete(key);
+            endSimulationAnnotation(key);
+        }
+    }
+    updateActiveSimulationsUI();
+}
+
+/**
+ * Stops one simulation from its card. CPU, thread block and memory simulations
+ * stop individually; the slow and failed request simulators run one at a time,
+ * so their cards use the panel's Stop.
+ * @param {string} id - Simulation ID
+ * @returns {Promise<boolean>} True if the server stopped it
+ */
+export async function stopSimulation(id) {
+    const sim = state.activeSimulations.get(id);
+    if (!sim) return false;
+    if (sim.type === 'slowrequest') return stopSlowRequests();
+    if (sim.type === 'failedrequest') return stopFailedRequests();
+
+    const stop = SINGLE_SIMULATION_STOPS[sim.type];
+    if (!stop) return false;
+    const category = SIMULATION_CATEGORY_MAP[sim.type];
+    ensureWebSocket();
+    try {
+        logEvent(category, 'log.sim.stopping', { type: sim.label }, { simulationId: id });
+        const result = await stop(id);
+        removeActiveSimulation(id);
+        logEvent(category, result?.message ? 'log.text' : 'log.sim.stopped', { text: result?.message, type: sim.label }, { simulationId: id });
+        return true;
+    } catch (err) {
+        if (err.status === 404) {
+            // Already finished on the server; its SimulationCompleted was missed
+            removeActiveSimulation(id);
+            logEvent(category, 'log.sim.alreadyEnded', { type: sim.label }, { simulationId: id, severity: 'warning' });
+        } else {
+            logApiError(category, err, 'log.sim.stopFailed', 'log.sim.stopRequestFailed', 'warning');
+        }
+    }
+    return false;
+}
+
+/**
+ * API calls that stop a single simulation, by type.
+ */
+const SINGLE_SIMULATION_STOPS = {
+    cpu: id => API_CLIENT.stopCpuSimulation(id),
+    threadblock: id => API_CLIENT.stopThreadBlockSimulation(id),
+    memory: id => API_CLIENT.releaseMemoryBlock(id)
+};
+
+/**
+ * Parameters the services report (actualParameters) that the cards show, each
+ * labelled with activeSims.param.<name>. Others, e.g. scenarioCounts, are left out.
+ */
+const SIMULATION_CARD_PARAMETERS = new Set([
+    'durationSeconds', 'level', 'processorCount',
+    'sizeMegabytes', 'requestedSizeMegabytes', 'sizeBytes', 'totalAllocatedMegabytes',
+    'delayMilliseconds', 'concurrentRequests', 'threadPoolAvailableWorkers', 'threadPoolMinWorkers', 'threadPoolMaxWorkers',
+    'requestDurationSeconds', 'intervalSeconds', 'maxRequests', 'requestsSent', 'requestsCompleted',
+    'requestCount', 'targetCount',
+    'crashType', 'delaySeconds', 'synchronous'
+]);
+
+/**
+ * A parameter value in the active language.
+ */
+function formatSimulationParameter(name, value) {
+    if (name === 'level') return i18n(`sim.cpu.${value}`);
+    if (typeof value === 'number') return i18n('activeSims.paramNumber', { value });
+    if (typeof value === 'boolean') return i18n(value ? 'activeSims.yes' : 'activeSims.no');
+    return String(value);
+}
+
+// Redraws the cards' elapsed and remaining times while simulations are listed
+let simulationClockTimer = null;
+
+export function updateActiveSimulationsUI() {
+    const container = document.getElementById('simulationsList');
+    
+    if (state.activeSimulations.size === 0) {
+        clearInterval(simulationClockTimer);
+        simulationClockTimer = null;
+        const none = document.createElement('p');
+        none.className = 'no-simulations';
+        none.textContent = i18n('activeSims.none');
+        container.replaceChildren(none);
+        return;
+    }
+    
+    container.replaceChildren(...Array.from(state.activeSimulations, ([id, sim]) => createSimulationCard(id, sim)));
+    simulationClockTimer ??= setInterval(updateSimulationCardTimes, 1000);
+}
+
+/**
+ * Card of one active simulation: label, elapsed and remaining time, the
+ * parameters the server used, the ID (click to copy) and a Stop button.
+ */
+function createSimulationCard(id, sim) {
+    const card = document.createElement('div');
+    card.className = `simulation-card ${sim.type}`;
+    card.dataset.simulationId = id;
+    card.title = i18n('activeSims.startedAt', { time: formatUtcTime(sim.startTime) });
+
+    const header = document.createElement('div');
+    header.className = 'simulation-card-header';
+    const spinner = document.createElement('span');
+    spinner.className = 'spinner';
+    const label = document.createElement('span');
+    label.className = 'simulation-card-label';
+    label.textContent = formatEventLogMessage(sim.label.key, sim.label.params);
+    header.append(spinner, label);
+
+    // Replayed simulations aren't running on the server
+    const canStop = sim.type in SINGLE_SIMULATION_STOPS || sim.type === 'slowrequest' || sim.type === 'failedrequest';
+    if (canStop && !SESSION.isReplaying()) {
+        const stop = document.createElement('button');
+        stop.type = 'button';
+        stop.className = 'btn btn-stop simulation-card-stop';
+        stop.textContent = i18n('activeSims.stop');
+        stop.addEventListener('click', () => {
+            stop.disabled = true;
+            stopSimulation(id).finally(() => { stop.disabled = false; });
+        });
+        header.append(stop);
+    }
+
+    const times = document.createElement('div');
+    times.className = 'simulation-card-times';
+    times.textContent = formatSimulationTimes(sim);
+
+    const progress = document.createElement('div');
+    progress.className = 'simulation-card-progress';
+    progress.textContent = formatSimulationProgress(sim);
+
+    const parameters = document.createElement('dl');
+    parameters.className = 'simulation-card-params';
+    Object.entries(sim.parameters).forEach(([name, value]) => {
+        if (!SIMULATION_CARD_PARAMETERS.has(name) || value === null || typeof value === 'object') return;
+        const term = document.createElement('dt');
+        term.textContent = i18n(`activeSims.param.${name}`);
+        const detail = document.createElement('dd');
+        detail.textContent = formatSimulationParameter(name, value);
+        parameters.append(term, detail);
+    });
+
+    const copy = document.createElement('button');
+    copy.type = 'button';
+    copy.className = 'simulation-card-id';
+    copy.textContent = id;
+    copy.title = i18n('activeSims.copyId');
+    copy.addEventListener('click', () => copySimulationId(copy, id));
+
+    card.append(header, times, progress, parameters, copy);
+    return card;
+}
+
+/**
+ * Copies a simulation ID and briefly marks the element as copied.
+ */
+async function copySimulationId(element, id) {
+    try {
+        await navigator.clipboard.writeText(id);
+        element.classList.add('copied');
+        element.title = i18n('eventLog.copied');
+        setTimeout(() => {
+            element.classList.remove('copied');
+            element.title = i18n('activeSims.copyId');
+        }, 1500);
+    } catch (err) {
+        console.error('Failed to copy simulation ID:', err);
+    }
+}
+
+function updateSimulationCardTimes() {
+    document.querySelectorAll('#simulationsList .simulation-card').forEach(card => {
+        const sim = state.activeSimulations.get(card.dataset.simulationId);
+        if (sim) card.querySelector('.simulation-card-times').textContent = formatSimulationTimes(sim);
+    });
+}
+
+/**
+ * Shows the request counts of a slow/failed request status on the simulation's card.
+ * @param {Object} status - SlowRequestStatus or FailedRequestStatus
+ */
+function showSimulationProgress(status) {
+    const sim = state.activeSimulations.get(status.simulationId);
+    if (!sim) return;
+    sim.progress = {
+        sent: status.requestsSent,
+        target: status.targetCount ?? status.maxRequests ?? 0,
+        active: status.requestsInProgress,
+        completed: status.requestsCompleted,
+        failed: status.requestsFailed ?? 0
+    };
+    const element = document.querySelector(`#simulationsList .simulation-card[data-simulation-id="${status.simulationId}"] .simulation-card-progress`);
+    if (element) element.textContent = formatSimulationProgress(sim);
+}
+
+function formatSimulationProgress({ progress }) {
+    if (!progress) return '';
+    return i18n(progress.target > 0 ? 'activeSims.progress' : 'activeSims.progressUnlimited', progress);
+}
+
+/**
+ * "Elapsed 1:05 · 0:55 left" for simulations with a requested duration
+ * (CPU stress), otherwise just the elapsed time.
+ */
+function formatSimulationTimes(sim) {
+    const elapsedMs = Math.max(0, SESSION.now() - sim.startTime);
+    const elapsed = i18n('activeSims.elapsed', { elapsed: formatClock(elapsedMs) });
+    const durationMs = getRequestedDurationMs(sim);
+    if (!durationMs) return elapsed;
+    const remainingMs = durationMs - elapsedMs;
+    return `${elapsed} · ${remainingMs > 0
+        ? i18n('activeSims.remaining', { remaining: formatClock(remainingMs) })
+        : i18n('activeSims.finishing')}`;
+}
+
+/**
+ * How long the simulation was asked to run, from its parameters, or null.
+ */
+function getRequestedDurationMs({ type, parameters }) {
+    if (type === 'cpu' && parameters.durationSeconds) return parameters.durationSeconds * 1000;
+    return null;
+}
+
+/**
+ * Milliseconds as m:ss, or h:mm:ss from an hour.
+ */
+export function formatClock(ms) {
+    const totalSeconds = Math.ceil(ms / 1000);
+    const hours = Math.floor(totalSeconds / 3600);
+    const minutes = Math.floor(totalSeconds / 60) % 60;
+    const seconds = String(totalSeconds % 60).padStart(2, '0');
+    return hours > 0 ? `${hours}:${String(minutes).padStart(2, '0')}:${seconds}` : `${minutes}:${seconds}`;
+}
+
+/**
+ * Clear all active simulations from state and UI, and stop following the
+ * slow/failed request progress.
+ */
+export function clearAllActiveSimulations() {
+    Object.keys(PROGRESS_WATCHES).forEach(unwatchProgress);
+    state.activeSimulations.forEach((value, key) => endSimulationAnnotation(key));
+    state.activeSimulations.clear();
+    updateActiveSimulationsUI();
+}
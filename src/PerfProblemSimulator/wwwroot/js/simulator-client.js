@@ -0,0 +1,501 @@
+/**
+ * Simulator API Client
+ *
+ * One method per simulator endpoint under /api (cpu, memory, threadblock, crash,
+ * slowrequest, failedrequest, loadtest, admin, metrics, health), with the
+ * request bodies the dashboard sends. Every failed call rejects with a
+ * SimulatorApiError, whatever shape the server used for the error:
+ * ErrorResponse ({ error, message }), ProblemDetails ({ title, detail, errors })
+ * from model validation, plain text, a timeout or a network failure.
+ *
+ * No DOM access, so the same module runs in the browser and in Node 18+:
+ *
+ *   import { SimulatorClient } from './simulator-client.js';
+ *   const client = new SimulatorClient({ baseUrl: 'http://localhost:5000/api' });
+ *   const result = await client.triggerCpuStress({ durationSeconds: 60, level: 'high' });
+ *
+ * Each method takes optional request options: { timeoutMs, signal } to override
+ * the client timeout or cancel the call with an AbortController.
+ */
+
+/**
+ * @typedef {Object} RequestOptions
+ * @property {number} [timeoutMs] - Overrides the client timeout; 0 waits forever
+ * @property {AbortSignal} [signal] - Cancels the request
+ */
+
+/**
+ * @typedef {Object} SimulationResult
+ * @property {string} simulationId
+ * @property {string} type - e.g. 'Cpu', 'Memory', 'ThreadBlock'
+ * @property {string} status - 'Started', 'Completed', 'Failed' or 'Cancelled'
+ * @property {string} message
+ * @property {Object} [actualParameters] - Parameters the server used, after limits
+ */
+
+/**
+ * @typedef {Object} RequestProgressStatus - Slow/failed request simulator status
+ * @property {boolean} isRunning
+ * @property {number} requestsSent
+ * @property {number} requestsCompleted
+ * @property {number} requestsInProgress
+ * @property {string|null} startedAt
+ */
+
+// Error codes for failures that never reached a server response
+export const SIMULATOR_ERROR_CODES = {
+    timeout: 'TIMEOUT',
+    aborted: 'ABORTED',
+    network: 'NETWORK_ERROR',
+    http: 'HTTP_ERROR'
+};
+
+/**
+ * A failed simulator API call.
+ * status is 0 when no response arrived (timeout, cancellation, network error).
+ */
+export class SimulatorApiError extends Error {
+    /**
+     * @param {string} message - Server message, or a description of the failure
+     * @param {Object} info
+     * @param {number} info.status - HTTP status code, 0 without a response
+     * @param {string} info.code - Server error code (e.g. 'VALIDATION_ERROR') or one of SIMULATOR_ERROR_CODES
+     * @param {Object|null} [info.details] - Validation errors per field, if any
+     * @param {*} [info.body] - Parsed response body
+     * @param {Error} [info.cause] - Underlying fetch error
+     */
+    constructor(message, { status, code, details = null, body = null, cause } = {}) {
+        super(message, { cause });
+        this.name = 'SimulatorApiError';
+        this.status = status;
+        this.code = code;
+        this.details = details;
+        this.body = body;
+    }
+
+    get isTimeout() {
+        return this.code === SIMULATOR_ERROR_CODES.timeout;
+    }
+
+    get isAborted() {
+        return this.code === SIMULATOR_ERROR_CODES.aborted;
+    }
+}
+
+/**
+ * Builds a SimulatorApiError from an error response body.
+ * @param {Response} response - The failed response
+ * @param {*} body - Parsed JSON, text, or null for an empty body
+ * @returns {SimulatorApiError}
+ */
+function toApiError(response, body) {
+    const fallback = `HTTP ${response.status}${response.statusText ? ` ${response.statusText}` : ''}`;
+    if (body && typeof body === 'object') {
+        // Model validation ProblemDetails only says "One or more validation errors
+        // occurred." in its title; the field messages are more useful
+        const validationMessages = body.errors && typeof body.errors === 'object'
+            ? Object.values(body.errors).flat().join(' ')
+            : '';
+        return new SimulatorApiError(body.detail || body.message || validationMessages || body.title || fallback, {
+            status: response.status,
+            code: body.error || SIMULATOR_ERROR_CODES.http,
+            details: body.errors || body.details || null,
+            body
+        });
+    }
+    return new SimulatorApiError(typeof body === 'string' && body.trim() ? body.trim() : fallback, {
+        status: response.status,
+        code: SIMULATOR_ERROR_CODES.http,
+        body
+    });
+}
+
+async function readBody(response) {
+    const text = await response.text();
+    if (!text) return null;
+    const contentType = response.headers.get('content-type') || '';
+    if (!contentType.includes('json')) return text;
+    try {
+        return JSON.parse(text);
+    } catch {
+        return text;
+    }
+}
+
+export class SimulatorClient {
+    /**
+     * @param {Object} [options]
+     * @param {string} [options.baseUrl='/api'] - API root; absolute (http://host/api) outside the browser
+     * @param {number} [options.timeoutMs=30000] - Default request timeout; 0 waits forever
+     * @param {Function} [options.fetch] - fetch implementation (defaults to the global fetch)
+     */
+    constructor({ baseUrl = '/api', timeoutMs = 30000, fetch: fetchImpl } = {}) {
+        this.baseUrl = baseUrl.replace(/\/+$/, '');
+        this.timeoutMs = timeoutMs;
+        this.fetch = fetchImpl || ((...args) => globalThis.fetch(...args));
+    }
+
+    /**
+     * Sends a request and returns the parsed response body.
+     * @param {string} method - HTTP method
+     * @param {string} path - Path below the base URL, e.g. '/cpu/stop'
+     * @param {Object} [request]
+     * @param {Object} [request.body] - Sent as JSON
+     * @param {Object} [request.query] - Query string parameters (undefined values are skipped)
+     * @param {RequestOptions} [options]
+     * @returns {Promise<*>} Parsed JSON (or text, or null for an empty body)
+     * @throws {SimulatorApiError}
+     */
+    async request(method, path, { body, query } = {}, { timeoutMs = this.timeoutMs, signal } = {}) {
+        let url = `${this.baseUrl}${path}`;
+        const params = Object.entries(query || {}).filter(([, value]) => value !== undefined);
+        if (params.length > 0) {
+            url += `?${new URLSearchParams(params.map(([name, value]) => [name, String(value)]))}`;
+        }
+
+        // One controller for both the caller's signal and the timeout
+        const controller = new AbortController();
+        let timedOut = false;
+        const timer = timeoutMs > 0
+            ? setTimeout(() => { timedOut = true; controller.abort(); }, timeoutMs)
+            : null;
+        const onAbort = () => controller.abort();
+        if (signal?.aborted) controller.abort();
+        signal?.addEventListener('abort', onAbort);
+
+        try {
+            let response;
+            let data;
+            try {
+                response = await this.fetch(url, {
+                    method,
+                    headers: body !== undefined ? { 'Content-Type': 'application/json' } : undefined,
+                    body: body !== undefined ? JSON.stringify(body) : undefined,
+                    signal: controller.signal
+                });
+                data = await readBody(response);
+            } catch (err) {
+                if (timedOut) {
+                    throw new SimulatorApiError(`Request timed out after ${timeoutMs}ms`,
+                        { status: 0, code: SIMULATOR_ERROR_CODES.timeout, cause: err });
+                }
+                if (controller.signal.aborted) {
+                    throw new SimulatorApiError('Request was cancelled',
+                        { status: 0, code: SIMULATOR_ERROR_CODES.aborted, cause: err });
+                }
+                throw new SimulatorApiError(err.message || 'Network error',
+                    { status: 0, code: SIMULATOR_ERROR_CODES.network, cause: err });
+            }
+
+            if (!response.ok) throw toApiError(response, data);
+            return data;
+        } finally {
+            clearTimeout(timer);
+            signal?.removeEventListener('abort', onAbort);
+        }
+    }
+
+    // ======================================================================
+    // CPU (/api/cpu)
+    // ======================================================================
+
+    /**
+     * @param {Object} [request]
+     * @param {number} [request.durationSeconds=30]
+     * @param {'moderate'|'high'} [request.level='high']
+     * @param {RequestOptions} [options]
+     * @returns {Promise<SimulationResult>}
+     */
+    triggerCpuStress(request = {}, options) {
+        return this.request('POST', '/cpu/trigger-high-cpu', { body: request }, options);
+    }
+
+    /**
+     * Stops all active CPU stress simulations.
+     * @param {RequestOptions} [options]
+     * @returns {Promise<Object>} { message, ... }
+     */
+    stopCpuStress(options) {
+        return this.request('POST', '/cpu/stop', {}, options);
+    }
+
+    /**
+     * Stops one CPU stress simulation. Rejects with status 404 if it is no longer running.
+     * @param {string} simulationId
+     * @param {RequestOptions} [options]
+     * @returns {Promise<Object>} { message, cancelledCount }
+     */
+    stopCpuSimulation(simulationId, options) {
+        return this.request('POST', `/cpu/stop/${encodeURIComponent(simulationId)}`, {}, options);
+    }
+
+    // ======================================================================
+    // Memory (/api/memory)
+    // ======================================================================
+
+    /**
+     * @param {Object} [request]
+     * @param {number} [request.sizeMegabytes=100]
+     * @param {RequestOptions} [options]
+     * @returns {Promise<SimulationResult>}
+     */
+    allocateMemory(request = {}, options) {
+        return this.request('POST', '/memory/allocate-memory', { body: request }, options);
+    }
+
+    /**
+     * Releases all allocated memory blocks.
+     * @param {Object} [request]
+     * @param {boolean} [request.forceGarbageCollection=true]
+     * @param {RequestOptions} [options]
+     * @returns {Promise<Object>} { releasedBlockCount, releasedBytes, releasedMegabytes, ... }
+     */
+    releaseMemory(request = {}, options) {
+        return this.request('POST', '/memory/release-memory', { body: request }, options);
+    }
+
+    /**
+     * Releases one allocated memory block. Rejects with status 404 if it was already released.
+     * @param {string} simulationId - ID returned by allocateMemory()
+     * @param {Object} [request]
+     * @param {boolean} [request.forceGarbageCollection=true]
+     * @param {RequestOptions} [options]
+     * @returns {Promise<Object>} { releasedBlockCount, releasedBytes, releasedMegabytes, ... }
+     */
+    releaseMemoryBlock(simulationId, request = {}, options) {
+        return this.request('POST', `/memory/release-memory/${encodeURIComponent(simulationId)}`, { body: request }, options);
+    }
+
+    /**
+     * @param {RequestOptions} [options]
+     * @returns {Promise<Object>} { allocatedBlocksCount, totalAllocatedBytes, totalAllocatedMegabytes, ... }
+     */
+    getMemoryStatus(options) {
+        return this.request('GET', '/memory/status', {}, options);
+    }
+
+    // ======================================================================
+    // Thread Pool Starvation (/api/threadblock)
+    // ======================================================================
+
+    /**
+     * @param {Object} [request]
+     * @param {number} [request.delayMilliseconds=1000] - How long each blocking operation waits
+     * @param {number} [request.concurrentRequests=10] - Number of concurrent blocking operations
+     * @param {RequestOptions} [options]
+     * @returns {Promise<SimulationResult>}
+     */
+    triggerThreadBlock(request = {}, options) {
+        return this.request('POST', '/threadblock/trigger-sync-over-async', { body: request }, options);
+    }
+
+    /**
+     * Stops all active thread pool starvation simulations.
+     * @param {RequestOptions} [options]
+     * @returns {Promise<Object>} { message, ... }
+     */
+    stopThreadBlock(options) {
+        return this.request('POST', '/threadblock/stop', {}, options);
+    }
+
+    /**
+     * Stops one thread pool starvation simulation. Rejects with status 404 if it is no longer running.
+     * @param {string} simulationId
+     * @param {RequestOptions} [options]
+     * @returns {Promise<Object>} { message, cancelledCount }
+     */
+    stopThreadBlockSimulation(simulationId, options) {
+        return this.request('POST', `/threadblock/stop/${encodeURIComponent(simulationId)}`, {}, options);
+    }
+
+    // ======================================================================
+    // Crash (/api/crash)
+    // ======================================================================
+
+    /**
+     * Crashes the application. A synchronous crash never answers, so the call
+     * usually rejects with a network error.
+     * @param {Object} [request]
+     * @param {string} [request.crashType='FailFast'] - See getCrashTypes()
+     * @param {number} [request.delaySeconds=0]
+     * @param {boolean} [request.synchronous=true]
+     * @param {string} [request.message]
+     * @param {RequestOptions} [options]
+     * @returns {Promise<Object>} { message, ... } for delayed, asynchronous crashes
+     */
+    triggerCrash(request = {}, options) {
+        return this.request('POST', '/crash/trigger', { body: request }, options);
+    }
+
+    /**
+     * Crashes immediately without sending a response.
+     * @param {string} [crashType='FailFast']
+     * @param {RequestOptions} [options]
+     */
+    crashNow(crashType, options) {
+        return this.request('POST', '/crash/now', { query: { crashType } }, options);
+    }
+
+    /**
+     * @param {RequestOptions} [options]
+     * @returns {Promise<Array<Object>>} Supported crash types with descriptions
+     */
+    getCrashTypes(options) {
+        return this.request('GET', '/crash/types', {}, options);
+    }
+
+    // ======================================================================
+    // Slow Requests (/api/slowrequest)
+    // ======================================================================
+
+    /**
+     * @param {Object} [request]
+     * @param {number} [request.requestDurationSeconds=25] - Execution time of each request
+     * @param {number} [request.intervalSeconds=10] - Time between requests
+     * @param {number} [request.maxRequests=0] - Total requests to generate (0 = until stopped)
+     * @param {RequestOptions} [options]
+     * @returns {Promise<SimulationResult>}
+     */
+    startSlowRequests(request = {}, options) {
+        return this.request('POST', '/slowrequest/start', { body: request }, options);
+    }
+
+    /**
+     * @param {RequestOptions} [options]
+     * @returns {Promise<Object>}
+     */
+    stopSlowRequests(options) {
+        return this.request('POST', '/slowrequest/stop', {}, options);
+    }
+
+    /**
+     * @param {RequestOptions} [options]
+     * @returns {Promise<RequestProgressStatus>} Also has intervalSeconds, requestDurationSeconds, scenarioCounts
+     */
+    getSlowRequestStatus(options) {
+        return this.request('GET', '/slowrequest/status', {}, options);
+    }
+
+    /**
+     * @param {RequestOptions} [options]
+     * @returns {Promise<Array<Object>>} { name, description, whatProfilerShows, methodsToLookFor }
+     */
+    getSlowRequestScenarios(options) {
+        return this.request('GET', '/slowrequest/scenarios', {}, options);
+    }
+
+    // ======================================================================
+    // Failed Requests (/api/failedrequest)
+    // ======================================================================
+
+    /**
+     * @param {Object} [request]
+     * @param {number} [request.requestCount=10] - Number of HTTP 500 errors to generate
+     * @param {RequestOptions} [options]
+     * @returns {Promise<SimulationResult>}
+     */
+    startFailedRequests(request = {}, options) {
+        return this.request('POST', '/failedrequest/start', { body: request }, options);
+    }
+
+    /**
+     * @param {RequestOptions} [options]
+     * @returns {Promise<SimulationResult>}
+     */
+    stopFailedRequests(options) {
+        return this.request('POST', '/failedrequest/stop', {}, options);
+    }
+
+    /**
+     * @param {RequestOptions} [options]
+     * @returns {Promise<RequestProgressStatus>} Also has targetCount
+     */
+    getFailedRequestStatus(options) {
+        return this.request('GET', '/failedrequest/status', {}, options);
+    }
+
+    // ======================================================================
+    // Load Test (/api/loadtest)
+    // ======================================================================
+
+    /**
+     * Runs one load test request. Past errorAfter seconds it may fail on purpose
+     * (HTTP 500, rejected with the exception type as the error code).
+     * @param {Object} [request] - Query parameters; server defaults apply when omitted
+     * @param {number} [request.workIterations]
+     * @param {number} [request.bufferSizeKb]
+     * @param {number} [request.baselineDelayMs]
+     * @param {number} [request.softLimit]
+     * @param {number} [request.degradationFactor]
+     * @param {number} [request.errorAfter] - Seconds before errors may be thrown
+     * @param {number} [request.errorPercent]
+     * @param {RequestOptions} [options]
+     * @returns {Promise<Object>} Timing details of the request
+     */
+    runLoadTest(request = {}, options) {
+        return this.request('GET', '/loadtest', { query: request }, options);
+    }
+
+    /**
+     * @param {RequestOptions} [options]
+     * @returns {Promise<Object>} Current load test statistics, including concurrent requests
+     */
+    getLoadTestStats(options) {
+        return this.request('GET', '/loadtest/stats', {}, options);
+    }
+
+    // ======================================================================
+    // Admin (/api/admin)
+    // ======================================================================
+
+    /**
+     * @param {RequestOptions} [options]
+     * @returns {Promise<Object>} { activeSimulationCount, simulationsByType, memoryAllocated, threadPool, processInfo }
+     */
+    getAdminStats(options) {
+        return this.request('GET', '/admin/stats', {}, options);
+    }
+
+    /**
+     * @param {RequestOptions} [options]
+     * @returns {Promise<Object[]>} Active simulations, oldest first: [{ id, type, startedAt, parameters }]
+     */
+    getActiveSimulations(options) {
+        return this.request('GET', '/admin/simulations', {}, options);
+    }
+
+    /**
+     * Sends a test event and trace to Application Insights.
+     * @param {RequestOptions} [options]
+     * @returns {Promise<Object>} Telemetry configuration diagnostics
+     */
+    testAppInsights(options) {
+        return this.request('GET', '/admin/test-appinsights', {}, options);
+    }
+
+    // ======================================================================
+    // Metrics (/api/metrics)
+    // ======================================================================
+
+    /**
+     * @param {RequestOptions} [options]
+     * @returns {Promise<Object>} The latest MetricsSnapshot, as pushed by ReceiveMetrics
+     */
+    getCurrentMetrics(options) {
+        return this.request('GET', '/metrics/current', {}, options);
+    }
+
+    // ======================================================================
+    // Health (/api/health)
+    // ======================================================================
+
+    /**
+     * The endpoint the server's latency probe calls; does no work, so its
+     * response time is the request queueing time.
+     * @param {RequestOptions} [options]
+     * @returns {Promise<Object>} { serverTimestamp, threadPoolThreads, pendingWorkItems }
+     */
+    probeHealth(options) {
+        return this.request('GET', '/health/probe', {}, options);
+    }
+}
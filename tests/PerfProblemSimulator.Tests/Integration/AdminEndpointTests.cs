@@ -1,4 +1,6 @@
 using System.Net;
+using System.Net.Http.Json;
+using System.Text.Json;
 using Microsoft.AspNetCore.Mvc.Testing;
 
 namespace PerfProblemSimulator.Tests.Integration;
@@ -69,4 +71,32 @@ public class AdminEndpointTests : IClassFixture<WebApplicationFactory<Program>>
         Assert.Contains("totalBytes", content, StringComparison.OrdinalIgnoreCase);
         Assert.Contains("totalMegabytes", content, StringComparison.OrdinalIgnoreCase);
     }
+
+    [Fact]
+    public async Task GetActiveSimulations_ReturnsStartedSimulation()
+    {
+        // Arrange
+        var allocate = await _client.PostAsJsonAsync("/api/memory/allocate-memory", new { sizeMegabytes = 10 });
+        allocate.EnsureSuccessStatusCode();
+        var simulationId = (await allocate.Content.ReadFromJsonAsync<JsonElement>()).GetProperty("simulationId").GetGuid();
+
+        try
+        {
+            // Act
+            var response = await _client.GetAsync("/api/admin/simulations");
+
+            // Assert
+            Assert.Equal(HttpStatusCode.OK, response.StatusCode);
+
+            var simulations = await response.Content.ReadFromJsonAsync<JsonElement>();
+            var simulation = simulations.EnumerateArray().Single(s => s.GetProperty("id").GetGuid() == simulationId);
+            Assert.Equal("Memory", simulation.GetProperty("type").GetString());
+            Assert.True(simulation.TryGetProperty("startedAt", out _));
+            Assert.Equal(10, simulation.GetProperty("parameters").GetProperty("sizeMegabytes").GetInt32());
+        }
+        finally
+        {
+            await _client.PostAsJsonAsync("/api/memory/release-memory", new { forceGarbageCollection = false });
+        }
+    }
 }
@@ -0,0 +1,43 @@
+using Microsoft.AspNetCore.Mvc.Testing;
+using System.Net;
+using System.Net.Http.Json;
+using System.Text.Json;
+
+namespace PerfProblemSimulator.Tests.Integration;
+
+/// <summary>
+/// Integration tests for the client configuration endpoint.
+/// </summary>
+public class ConfigEndpointTests : IClassFixture<WebApplicationFactory<Program>>
+{
+    private readonly HttpClient _client;
+    private readonly JsonSerializerOptions _jsonOptions;
+
+    public ConfigEndpointTests(WebApplicationFactory<Program> factory)
+    {
+        _client = factory.CreateClient();
+        _jsonOptions = new JsonSerializerOptions
+        {
+            PropertyNamingPolicy = JsonNamingPolicy.CamelCase
+        };
+    }
+
+    [Fact]
+    public async Task GetConfig_ReturnsAvailableLanguagesWithEnglishFirst()
+    {
+        // Act
+        var response = await _client.GetAsync("/api/config");
+
+        // Assert
+        Assert.Equal(HttpStatusCode.OK, response.StatusCode);
+
+        var content = await response.Content.ReadFromJsonAsync<JsonElement>(_jsonOptions);
+        var languages = content.GetProperty("availableLanguages").EnumerateArray()
+            .Select(language => language.GetString())
+            .ToList();
+
+        Assert.Equal("en", languages[0]);
+        Assert.DoesNotContain("no-translate", languages);
+        Assert.Equal(languages.Count, languages.Distinct().Count());
+    }
+}
@@ -212,4 +212,39 @@ public class CpuEndpointTests : IClassFixture<WebApplicationFactory<Program>>
         // Assert
         Assert.Equal(HttpStatusCode.OK, response.StatusCode);
     }
+
+    [Fact]
+    public async Task StopSimulation_StopsTheStartedSimulation()
+    {
+        // Arrange
+        var content = new StringContent(
+            JsonSerializer.Serialize(new { DurationSeconds = 30 }, _jsonOptions),
+            Encoding.UTF8,
+            "application/json");
+        var started = await _client.PostAsync("/api/cpu/trigger-high-cpu", content);
+        var simulationId = (await started.Content.ReadFromJsonAsync<JsonElement>(_jsonOptions))
+            .GetProperty("simulationId").GetString();
+
+        // Act
+        var response = await _client.PostAsync($"/api/cpu/stop/{simulationId}", null);
+        var again = await _client.PostAsync($"/api/cpu/stop/{simulationId}", null);
+
+        // Assert
+        Assert.Equal(HttpStatusCode.OK, response.StatusCode);
+        var result = await response.Content.ReadFromJsonAsync<JsonElement>(_jsonOptions);
+        Assert.Equal(1, result.GetProperty("cancelledCount").GetInt32());
+        Assert.Equal(HttpStatusCode.NotFound, again.StatusCode);
+    }
+
+    [Fact]
+    public async Task StopSimulation_WithUnknownId_ReturnsNotFound()
+    {
+        // Act
+        var response = await _client.PostAsync($"/api/cpu/stop/{Guid.NewGuid()}", null);
+
+        // Assert
+        Assert.Equal(HttpStatusCode.NotFound, response.StatusCode);
+        var result = await response.Content.ReadFromJsonAsync<JsonElement>(_jsonOptions);
+        Assert.Equal("SIMULATION_NOT_FOUND", result.GetProperty("error").GetString());
+    }
 }
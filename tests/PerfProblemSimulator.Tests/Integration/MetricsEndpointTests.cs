@@ -34,6 +34,18 @@ public class MetricsEndpointTests : IClassFixture<WebApplicationFactory<Program>
         Assert.Contains("threadPoolThreads", content, StringComparison.OrdinalIgnoreCase);
     }
 
+    [Fact]
+    public async Task GetCurrentMetrics_ReturnsInstanceIdentity()
+    {
+        // Act
+        var response = await _client.GetAsync("/api/metrics/current");
+        var content = await response.Content.ReadAsStringAsync();
+
+        // Assert
+        Assert.Contains("instanceId", content, StringComparison.OrdinalIgnoreCase);
+        Assert.Contains("computerName", content, StringComparison.OrdinalIgnoreCase);
+    }
+
     [Fact]
     public async Task GetDetailedHealth_ReturnsOkWithHealthStatus()
     {
@@ -0,0 +1,100 @@
+using Microsoft.AspNetCore.Hosting.Server;
+using Microsoft.AspNetCore.Http.Features;
+using Microsoft.AspNetCore.SignalR;
+using Microsoft.Extensions.Logging;
+using Moq;
+using PerfProblemSimulator.Hubs;
+using PerfProblemSimulator.Services;
+
+namespace PerfProblemSimulator.Tests.Unit;
+
+/// <summary>
+/// Unit tests for the <see cref="FailedRequestService"/>.
+/// </summary>
+/// <remarks>
+/// These tests verify that the service pushes its progress to dashboard clients
+/// over the metrics hub, so the dashboard doesn't have to poll for it.
+/// </remarks>
+public class FailedRequestServiceTests
+{
+    private readonly Mock<IMetricsClient> _clientMock;
+    private readonly List<FailedRequestStatus> _pushed = [];
+
+    public FailedRequestServiceTests()
+    {
+        _clientMock = new Mock<IMetricsClient>();
+        _clientMock
+            .Setup(c => c.ReceiveFailedRequestProgress(It.IsAny<FailedRequestStatus>()))
+            .Callback<FailedRequestStatus>(status => { lock (_pushed) _pushed.Add(status); })
+            .Returns(Task.CompletedTask);
+    }
+
+    private FailedRequestService CreateService()
+    {
+        var clientsMock = new Mock<IHubClients<IMetricsClient>>();
+        clientsMock.Setup(c => c.All).Returns(_clientMock.Object);
+        var hubContextMock = new Mock<IHubContext<MetricsHub, IMetricsClient>>();
+        hubContextMock.Setup(h => h.Clients).Returns(clientsMock.Object);
+        var serverMock = new Mock<IServer>();
+        serverMock.Setup(s => s.Features).Returns(new FeatureCollection());
+
+        return new FailedRequestService(
+            new Mock<ISimulationTracker>().Object,
+            new Mock<ISimulationContext>().Object,
+            new Mock<ILogger<FailedRequestService>>().Object,
+            new Mock<IHttpClientFactory>().Object,
+            hubContextMock.Object,
+            serverMock.Object);
+    }
+
+    [Fact]
+    public void Start_PushesRunningProgress()
+    {
+        // Arrange
+        var service = CreateService();
+
+        // Act
+        var result = service.Start(5);
+        service.Stop();
+
+        // Assert
+        FailedRequestStatus first;
+        lock (_pushed) first = _pushed[0];
+        Assert.True(first.IsRunning);
+        Assert.Equal(result.SimulationId, first.SimulationId);
+        Assert.Equal(5, first.TargetCount);
+        Assert.Equal(0, first.RequestsSent);
+    }
+
+    [Fact]
+    public void Stop_PushesFinalProgress()
+    {
+        // Arrange
+        var service = CreateService();
+        service.Start(5);
+
+        // Act
+        service.Stop();
+
+        // Assert
+        lock (_pushed)
+        {
+            Assert.Contains(_pushed, status => !status.IsRunning);
+        }
+    }
+
+    [Fact]
+    public void GetStatus_BeforeAnySimulation_HasNoSimulationId()
+    {
+        // Arrange
+        var service = CreateService();
+
+        // Act
+        var status = service.GetStatus();
+
+        // Assert
+        Assert.Null(status.SimulationId);
+        Assert.False(status.IsRunning);
+        Assert.Empty(_pushed);
+    }
+}
@@ -135,6 +135,39 @@ public class MemoryPressureServiceTests
         Assert.Equal(0, result.ReleasedBlockCount);
     }
 
+    [Fact]
+    public void ReleaseMemoryBlock_ReleasesOnlyThatBlock()
+    {
+        // Arrange
+        var service = CreateService();
+        var first = service.AllocateMemory(10);
+        service.AllocateMemory(10);
+
+        // Act
+        var result = service.ReleaseMemoryBlock(first.SimulationId, forceGc: false);
+
+        // Assert
+        Assert.NotNull(result);
+        Assert.Equal(1, result.ReleasedBlockCount);
+        Assert.Equal(1, service.GetMemoryStatus().AllocatedBlocksCount);
+        _trackerMock.Verify(t => t.UnregisterSimulation(first.SimulationId), Times.Once);
+    }
+
+    [Fact]
+    public void ReleaseMemoryBlock_WithUnknownId_ReturnsNull()
+    {
+        // Arrange
+        var service = CreateService();
+        service.AllocateMemory(10);
+
+        // Act
+        var result = service.ReleaseMemoryBlock(Guid.NewGuid(), forceGc: false);
+
+        // Assert
+        Assert.Null(result);
+        Assert.Equal(1, service.GetMemoryStatus().AllocatedBlocksCount);
+    }
+
     [Fact]
     public void GetMemoryStatus_ReturnsCorrectTotalAllocated()
     {
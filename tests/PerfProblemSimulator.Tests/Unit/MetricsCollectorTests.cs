@@ -160,6 +160,24 @@ public class MetricsCollectorTests : IDisposable
         Assert.True(snapshot.GcHeapMb >= 0, "GC heap should be non-negative");
     }
 
+    [Fact]
+    public void LatestSnapshot_AfterStart_IncludesInstanceIdentity()
+    {
+        // Arrange
+        _sut = CreateCollector();
+
+        // Act
+        _sut.Start();
+        Thread.Sleep(200);
+        var snapshot = _sut.LatestSnapshot;
+        _sut.Stop();
+
+        // Assert
+        Assert.False(string.IsNullOrEmpty(snapshot.InstanceId), "InstanceId should be set");
+        Assert.False(string.IsNullOrEmpty(snapshot.ComputerName), "ComputerName should be set");
+        Assert.Equal(Environment.ProcessId, snapshot.ProcessId);
+    }
+
     [Fact]
     public void GetHealthStatus_WhenHealthy_ReturnsValidStatus()
     {
@@ -162,6 +162,73 @@ public class SimulationTrackerTests
         Assert.Equal(0, cancelledCount);
     }
 
+    [Fact]
+    public void CancelSimulation_CancelsOnlyThatSimulation()
+    {
+        // Arrange
+        var simulationId = Guid.NewGuid();
+        var cts1 = new CancellationTokenSource();
+        var cts2 = new CancellationTokenSource();
+        var parameters = new Dictionary<string, object>();
+
+        _tracker.RegisterSimulation(simulationId, SimulationType.Cpu, parameters, cts1);
+        _tracker.RegisterSimulation(Guid.NewGuid(), SimulationType.Cpu, parameters, cts2);
+
+        // Act
+        var cancelled = _tracker.CancelSimulation(simulationId, SimulationType.Cpu);
+
+        // Assert
+        Assert.True(cancelled);
+        Assert.True(cts1.IsCancellationRequested);
+        Assert.False(cts2.IsCancellationRequested);
+        Assert.Equal(1, _tracker.ActiveCount);
+        Assert.False(_tracker.TryGetSimulation(simulationId, out _));
+    }
+
+    [Fact]
+    public void CancelSimulation_WithOtherType_ReturnsFalseAndKeepsSimulation()
+    {
+        // Arrange
+        var simulationId = Guid.NewGuid();
+        var cts = new CancellationTokenSource();
+        _tracker.RegisterSimulation(simulationId, SimulationType.Memory, new Dictionary<string, object>(), cts);
+
+        // Act
+        var cancelled = _tracker.CancelSimulation(simulationId, SimulationType.Cpu);
+
+        // Assert
+        Assert.False(cancelled);
+        Assert.False(cts.IsCancellationRequested);
+        Assert.True(_tracker.TryGetSimulation(simulationId, out _));
+    }
+
+    [Fact]
+    public void CancelSimulation_AfterCompletion_ReturnsFalseWithoutCancelling()
+    {
+        // Arrange
+        var simulationId = Guid.NewGuid();
+        var cts = new CancellationTokenSource();
+        _tracker.RegisterSimulation(simulationId, SimulationType.Cpu, new Dictionary<string, object>(), cts);
+        _tracker.UnregisterSimulation(simulationId);
+
+        // Act
+        var cancelled = _tracker.CancelSimulation(simulationId, SimulationType.Cpu);
+
+        // Assert
+        Assert.False(cancelled);
+        Assert.False(cts.IsCancellationRequested);
+    }
+
+    [Fact]
+    public void CancelSimulation_WhenDoesNotExist_ReturnsFalse()
+    {
+        // Act
+        var cancelled = _tracker.CancelSimulation(Guid.NewGuid(), SimulationType.Cpu);
+
+        // Assert
+        Assert.False(cancelled);
+    }
+
     [Fact]
     public void TryGetSimulation_WhenExists_ReturnsTrueAndInfo()
     {
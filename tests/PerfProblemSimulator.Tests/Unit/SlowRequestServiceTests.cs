@@ -0,0 +1,152 @@
+using System.Net;
+using Microsoft.AspNetCore.Hosting.Server;
+using Microsoft.AspNetCore.Http.Features;
+using Microsoft.AspNetCore.SignalR;
+using Microsoft.Extensions.Logging;
+using Moq;
+using PerfProblemSimulator.Hubs;
+using PerfProblemSimulator.Models;
+using PerfProblemSimulator.Services;
+
+namespace PerfProblemSimulator.Tests.Unit;
+
+/// <summary>
+/// Unit tests for the <see cref="SlowRequestService"/>.
+/// </summary>
+/// <remarks>
+/// These tests verify that the service pushes its progress to dashboard clients
+/// over the metrics hub, so the dashboard doesn't have to poll for it.
+/// </remarks>
+public class SlowRequestServiceTests
+{
+    private readonly Mock<IMetricsClient> _clientMock;
+    private readonly List<SlowRequestStatus> _pushed = [];
+
+    public SlowRequestServiceTests()
+    {
+        _clientMock = new Mock<IMetricsClient>();
+        _clientMock
+            .Setup(c => c.ReceiveSlowRequestProgress(It.IsAny<SlowRequestStatus>()))
+            .Callback<SlowRequestStatus>(status => { lock (_pushed) _pushed.Add(status); })
+            .Returns(Task.CompletedTask);
+        _clientMock
+            .Setup(c => c.ReceiveSlowRequestLatency(It.IsAny<SlowRequestLatencyData>()))
+            .Returns(Task.CompletedTask);
+    }
+
+    private SlowRequestService CreateService(HttpStatusCode responseStatus = HttpStatusCode.OK)
+    {
+        var clientsMock = new Mock<IHubClients<IMetricsClient>>();
+        clientsMock.Setup(c => c.All).Returns(_clientMock.Object);
+        var hubContextMock = new Mock<IHubContext<MetricsHub, IMetricsClient>>();
+        hubContextMock.Setup(h => h.Clients).Returns(clientsMock.Object);
+        var serverMock = new Mock<IServer>();
+        serverMock.Setup(s => s.Features).Returns(new FeatureCollection());
+        var httpClientFactoryMock = new Mock<IHttpClientFactory>();
+        httpClientFactoryMock
+            .Setup(f => f.CreateClient(It.IsAny<string>()))
+            .Returns(() => new HttpClient(new StatusCodeHandler(responseStatus)));
+
+        return new SlowRequestService(
+            new Mock<ISimulationTracker>().Object,
+            new Mock<ISimulationContext>().Object,
+            new Mock<ILogger<SlowRequestService>>().Object,
+            httpClientFactoryMock.Object,
+            hubContextMock.Object,
+            serverMock.Object);
+    }
+
+    private bool HasPushedFinalProgress()
+    {
+        lock (_pushed) return _pushed.Any(status => !status.IsRunning);
+    }
+
+    [Fact]
+    public void Start_PushesRunningProgress()
+    {
+        // Arrange
+        var service = CreateService();
+
+        // Act
+        var result = service.Start(new SlowRequestRequest { RequestDurationSeconds = 5, IntervalSeconds = 1, MaxRequests = 3 });
+        service.Stop();
+
+        // Assert
+        SlowRequestStatus first;
+        lock (_pushed) first = _pushed[0];
+        Assert.True(first.IsRunning);
+        Assert.Equal(result.SimulationId, first.SimulationId);
+        Assert.Equal(3, first.MaxRequests);
+        Assert.Equal(0, first.RequestsSent);
+        Assert.Equal(0, first.RequestsFailed);
+    }
+
+    [Fact]
+    public void Stop_PushesFinalProgress()
+    {
+        // Arrange
+        var service = CreateService();
+        var result = service.Start(new SlowRequestRequest { MaxRequests = 3 });
+
+        // Act
+        service.Stop();
+
+        // Assert
+        lock (_pushed)
+        {
+            Assert.Contains(_pushed, status => !status.IsRunning && status.SimulationId == result.SimulationId);
+        }
+    }
+
+    [Fact]
+    public async Task FailedRequest_IsCountedInPushedProgress()
+    {
+        // Arrange
+        var service = CreateService(HttpStatusCode.InternalServerError);
+
+        // Act: the spawner waits 3 seconds for health probes to drain before the first request
+        var result = service.Start(new SlowRequestRequest { RequestDurationSeconds = 5, IntervalSeconds = 1, MaxRequests = 1 });
+        // The final progress is pushed after the request completes
+        var deadline = DateTime.UtcNow.AddSeconds(15);
+        while (!HasPushedFinalProgress() && DateTime.UtcNow < deadline)
+        {
+            await Task.Delay(100);
+        }
+
+        // Assert
+        Assert.False(service.IsRunning);
+        lock (_pushed)
+        {
+            var last = _pushed.Last(status => !status.IsRunning);
+            Assert.Equal(result.SimulationId, last.SimulationId);
+            Assert.Equal(1, last.RequestsSent);
+            Assert.Equal(1, last.RequestsCompleted);
+            Assert.Equal(1, last.RequestsFailed);
+            Assert.Equal(0, last.RequestsInProgress);
+        }
+    }
+
+    [Fact]
+    public void GetStatus_BeforeAnySimulation_HasNoSimulationId()
+    {
+        // Arrange
+        var service = CreateService();
+
+        // Act
+        var status = service.GetStatus();
+
+        // Assert
+        Assert.Null(status.SimulationId);
+        Assert.False(status.IsRunning);
+        Assert.Empty(_pushed);
+    }
+
+    /// <summary>
+    /// Answers every request with the same status code, in place of the /execute-slow endpoint.
+    /// </summary>
+    private sealed class StatusCodeHandler(HttpStatusCode statusCode) : HttpMessageHandler
+    {
+        protected override Task<HttpResponseMessage> SendAsync(HttpRequestMessage request, CancellationToken cancellationToken) =>
+            Task.FromResult(new HttpResponseMessage(statusCode));
+    }
+}
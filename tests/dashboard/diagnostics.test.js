@@ -0,0 +1,154 @@
+/**
+ * Connection diagnostics panel and reconnect bands (connection-diagnostics.js).
+ */
+
+import { after, before, beforeEach, describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { loadDashboard } from './harness/dashboard.js';
+
+describe('connection diagnostics', () => {
+    let dashboard;
+
+    before(async () => {
+        dashboard = await loadDashboard();
+    });
+
+    after(() => dashboard.close());
+
+    beforeEach(() => dashboard.reset());
+
+    function text(id) {
+        return dashboard.document.getElementById(id).textContent;
+    }
+
+    function rates() {
+        return Array.from(dashboard.document.querySelectorAll('#diagMessageRates .diagnostics-rate'),
+            row => [row.dataset.method, row.querySelector('.diagnostics-rate-value').textContent]);
+    }
+
+    test('shows the negotiated transport and the connection ID', async () => {
+        const { hub } = dashboard;
+        await dashboard.tick(1000);
+
+        assert.equal(text('diagTransport'), 'WebSockets');
+        assert.equal(text('diagConnectionId'), hub.current.connectionId);
+        assert.equal(text('diagReconnects'), '0');
+        assert.equal(text('diagDisconnected'), '0:00');
+    });
+
+    test('prefers the transport object of the connection over the client log', async () => {
+        const { hub } = dashboard;
+
+        // Unminified client: the transport's class name
+        class LongPollingTransport {}
+        hub.transportObject = new LongPollingTransport();
+        await dashboard.tick(1000);
+        assert.equal(text('diagTransport'), 'LongPolling');
+
+        // Minified client: class names are mangled, LongPolling still has pollAborted
+        hub.transportObject = { get pollAborted() { return false; } };
+        await dashboard.tick(1000);
+        assert.equal(text('diagTransport'), 'LongPolling');
+    });
+
+    test('times the hub round trip with Ping', async () => {
+        const { hub } = dashboard;
+        hub.invokeResults.Ping = () => new Promise(resolve => setTimeout(() => resolve(new Date().toISOString()), 40));
+
+        await dashboard.tick(5000);
+        await dashboard.tick(40);
+
+        assert.ok(hub.current.invocations.some(call => call.method === 'Ping'));
+        assert.equal(text('diagRoundTrip'), '40.0ms');
+    });
+
+    test('a round trip the server has not answered shows how long it has waited', async () => {
+        const { hub } = dashboard;
+        hub.invokeResults.Ping = () => new Promise(() => {});
+        const pings = () => hub.current.invocations.filter(call => call.method === 'Ping').length;
+        const pingsBefore = pings();
+
+        await dashboard.tick(5000);
+        await dashboard.tick(2000);
+
+        assert.equal(text('diagRoundTrip'), '> 2.00s (waiting)');
+        // No second Ping while the first one is waiting
+        await dashboard.tick(5000);
+        assert.equal(pings(), pingsBefore + 1);
+    });
+
+    test('counts the message rate per hub method', async () => {
+        const { hub } = dashboard;
+        assert.equal(text('diagMessageRates'), 'No hub messages received yet');
+
+        for (let i = 0; i < 5; i++) {
+            hub.current.emit('ReceiveMetrics', { timestamp: new Date().toISOString(), cpuPercent: 1 });
+            hub.current.emit('receiveLatency', { timestamp: new Date().toISOString(), latencyMs: 5 });
+            hub.current.emit('ReceiveLatency', { timestamp: new Date().toISOString(), latencyMs: 5 });
+            await dashboard.tick(1000);
+        }
+
+        assert.deepEqual(rates(), [['ReceiveLatency', '1.0/s · 10 total'], ['ReceiveMetrics', '0.5/s · 5 total']]);
+
+        await dashboard.tick(10000);
+        assert.deepEqual(rates(), [['ReceiveLatency', '0.0/s · 10 total'], ['ReceiveMetrics', '0.0/s · 5 total']]);
+    });
+
+    test('a reconnect episode is timed, counted and drawn on the latency chart', async () => {
+        const { document, hub, state } = dashboard;
+
+        hub.current.dropConnection();
+        await dashboard.tick(3000);
+
+        assert.equal(text('diagDisconnected'), '0:03 (disconnected for 0:03)');
+        assert.ok(document.getElementById('diagDisconnected').classList.contains('warning'));
+        assert.equal(text('diagConnectionId'), '--');
+        const [band] = state.simulationAnnotations;
+        assert.deepEqual([band.category, band.series, band.end], ['connection', 'latency', null]);
+
+        await hub.current.reconnect();
+        await dashboard.tick(1000);
+
+        assert.equal(text('diagReconnects'), '1');
+        assert.equal(text('diagDisconnected'), '0:03');
+        assert.ok(!document.getElementById('diagDisconnected').classList.contains('warning'));
+        assert.equal(band.end.getTime() - band.start.getTime(), 3000);
+    });
+
+    test('clicking a reconnect band does not clear the simulation highlight under it', async () => {
+        const { document, fetch, hub, state } = dashboard;
+        fetch.routes['POST /api/cpu/trigger-high-cpu'] = { simulationId: 'cpu-1', type: 'Cpu', status: 'Started', actualParameters: {} };
+        document.getElementById('btnTriggerCpu').click();
+        await dashboard.flush();
+        hub.current.dropConnection();
+        await hub.current.reconnect();
+
+        // Bands as the annotation plugin leaves them after drawing
+        const chart = state.charts.latency;
+        chart.$simulationBands = [
+            { id: 'cpu-1', left: 0, right: 300 },
+            { id: 'reconnect-1', series: 'latency', left: 100, right: 200 }
+        ];
+        chart.options.onClick({ x: 150, y: 50 }, [], chart);
+
+        const highlighted = document.querySelectorAll('#eventLog .log-entry.highlighted .sim-msg');
+        assert.ok(highlighted.length > 0);
+        assert.ok(Array.from(highlighted).every(el => el.dataset.simid === 'cpu-1'));
+    });
+
+    test('a closed connection counts as one outage until a new one connects', async () => {
+        const { hub, state, CONFIG } = dashboard;
+        hub.startError = new Error('Failed to complete negotiation with the server');
+
+        hub.current.close();
+        await dashboard.tick(CONFIG.reconnectDelayMs);
+        await dashboard.tick(CONFIG.reconnectDelayMs);
+        hub.startError = null;
+        await dashboard.tick(CONFIG.reconnectDelayMs);
+
+        assert.equal(text('diagReconnects'), '1');
+        assert.equal(text('diagDisconnected'), '0:06');
+        assert.equal(state.simulationAnnotations.length, 1);
+        assert.equal(text('diagTransport'), 'WebSockets');
+    });
+});
@@ -0,0 +1,174 @@
+/**
+ * HTTP polling fallback while the hub can't connect (connection.js).
+ */
+
+import { after, before, beforeEach, describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { loadDashboard } from './harness/dashboard.js';
+import { reply } from './harness/fake-fetch.js';
+
+describe('HTTP polling fallback', () => {
+    let dashboard;
+
+    before(async () => {
+        dashboard = await loadDashboard();
+    });
+
+    after(() => dashboard.close());
+
+    beforeEach(async () => {
+        await dashboard.reset();
+        dashboard.fetch.routes['GET /api/metrics/current'] = () => snapshot();
+        dashboard.fetch.routes['GET /api/health/probe'] = { serverTimestamp: new Date().toISOString(), threadPoolThreads: 8, pendingWorkItems: 0 };
+    });
+
+    function snapshot(overrides = {}) {
+        return {
+            timestamp: new Date().toISOString(),
+            cpuPercent: 42,
+            workingSetMb: 300,
+            totalAvailableMemoryMb: 2048,
+            threadPoolThreads: 8,
+            threadPoolQueueLength: 0,
+            ...overrides
+        };
+    }
+
+    function calls(path) {
+        return dashboard.fetch.calls.filter(call => call.path === path).length;
+    }
+
+    /**
+     * Closes the hub connection and makes the reconnects fail.
+     */
+    async function breakHub() {
+        dashboard.hub.startError = new Error('Failed to complete negotiation with the server');
+        dashboard.hub.current.close();
+        await dashboard.flush();
+    }
+
+    /**
+     * Runs the next fallback polls. Each poll is scheduled when the previous
+     * one is answered, so the clock advances one interval at a time.
+     */
+    async function poll(times) {
+        for (let i = 0; i < times; i++) {
+            await dashboard.tick(dashboard.CONFIG.fallbackPollIntervalMs);
+        }
+    }
+
+    async function restoreHub() {
+        dashboard.hub.startError = null;
+        await dashboard.tick(dashboard.CONFIG.reconnectDelayMs);
+    }
+
+    test('polls metrics and latency over HTTP into the charts while the hub is down', async () => {
+        const { document, state, latencyInterpolation } = dashboard;
+
+        await breakHub();
+        await poll(1);
+
+        assert.equal(state.httpFallback, true);
+        assert.ok(!document.getElementById('httpFallbackBadge').classList.contains('hidden'));
+        assert.deepEqual(state.metricsHistory.cpu, [42, 42]);
+        assert.equal(document.getElementById('cpuValue').textContent, '42');
+        assert.equal(latencyInterpolation.lastProbeValue, 0);
+        assert.equal(calls('/api/health/probe'), 2);
+        const started = dashboard.logEntries('system').find(entry => entry.key === 'log.connection.fallbackStarted');
+        assert.equal(started.severity, 'warning');
+
+        await restoreHub();
+    });
+
+    test('skips snapshots the server has already returned', async () => {
+        const { fetch, state } = dashboard;
+        fetch.routes['GET /api/metrics/current'] = snapshot({ cpuPercent: 10 });
+
+        await breakHub();
+        await poll(3);
+
+        assert.equal(calls('/api/metrics/current'), 4);
+        assert.deepEqual(state.metricsHistory.cpu, [10]);
+
+        await restoreHub();
+    });
+
+    test('times the probe in the browser and reports server errors', async () => {
+        const { fetch, latencyInterpolation } = dashboard;
+        fetch.routes['GET /api/health/probe'] = () => new Promise(resolve => setTimeout(() => resolve({ serverTimestamp: new Date().toISOString() }), 1500));
+
+        await breakHub();
+        await dashboard.tick(1500);
+
+        assert.equal(latencyInterpolation.lastProbeValue, 1500);
+        assert.equal(latencyInterpolation.lastProbeIsError, false);
+
+        fetch.routes['GET /api/health/probe'] = reply(503, 'Service Unavailable');
+        await poll(1);
+
+        assert.equal(latencyInterpolation.lastProbeIsError, true);
+        assert.equal(dashboard.logEntries('system').at(-1).key, 'log.latency.error');
+
+        await restoreHub();
+    });
+
+    test('an unreachable server is not reported as probe errors', async () => {
+        const { fetch, latencyInterpolation } = dashboard;
+        fetch.routes['GET /api/health/probe'] = () => { throw new TypeError('Failed to fetch'); };
+
+        await breakHub();
+        await poll(2);
+
+        assert.equal(calls('/api/health/probe'), 3);
+        assert.equal(latencyInterpolation.lastProbeValue, null);
+        assert.ok(!dashboard.logEntries().some(entry => entry.key === 'log.latency.error'));
+
+        await restoreHub();
+    });
+
+    test('switches back to the hub once it connects', async () => {
+        const { document, state } = dashboard;
+        await breakHub();
+        await dashboard.tick(dashboard.CONFIG.reconnectDelayMs);
+        assert.equal(state.connectionStatus.key, 'status.connectionFailed');
+        assert.equal(state.httpFallback, true);
+
+        await restoreHub();
+        const polls = calls('/api/metrics/current');
+        await poll(5);
+
+        assert.equal(state.connectionStatus.status, 'connected');
+        assert.equal(state.httpFallback, false);
+        assert.ok(document.getElementById('httpFallbackBadge').classList.contains('hidden'));
+        assert.equal(calls('/api/metrics/current'), polls);
+        assert.equal(dashboard.logEntries('system').at(-1).key, 'log.connection.fallbackStopped');
+    });
+
+    test('also polls while automatic reconnect is retrying', async () => {
+        const { hub, state } = dashboard;
+
+        hub.current.dropConnection();
+        await dashboard.flush();
+        await poll(2);
+
+        assert.equal(state.connectionStatus.key, 'status.reconnecting');
+        assert.equal(state.httpFallback, true);
+        assert.equal(calls('/api/metrics/current'), 3);
+
+        await hub.current.reconnect();
+        await dashboard.flush();
+
+        assert.equal(state.httpFallback, false);
+        assert.equal(dashboard.logEntries('system').at(-1).key, 'log.connection.fallbackStopped');
+    });
+
+    test('going idle does not start the fallback', async () => {
+        const { hub, state } = dashboard;
+
+        hub.current.emit('ReceiveIdleState', { isIdle: true, message: 'Application going idle' });
+        await dashboard.flush();
+
+        assert.equal(state.httpFallback, false);
+        assert.equal(calls('/api/metrics/current'), 0);
+    });
+});
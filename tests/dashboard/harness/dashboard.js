@@ -0,0 +1,217 @@
+/**
+ * Headless Dashboard
+ *
+ * Loads wwwroot/index.html into jsdom, installs the fake SignalR hub, fake
+ * Chart.js and mock fetch as the page's globals, imports the dashboard's ES
+ * modules unchanged and runs its DOMContentLoaded initialization.
+ *
+ * Timers (setTimeout, setInterval, Date) are node:test mock timers, so the
+ * 100ms latency chart timer and the polling loops only run on tick().
+ *
+ * The modules are singletons, so the dashboard is loaded once per test file
+ * (node --test runs each file in its own process); reset() between tests.
+ */
+
+import { readFile } from 'node:fs/promises';
+import { mock } from 'node:test';
+import { JSDOM } from 'jsdom';
+import { createFakeSignalR } from './fake-hub.js';
+import { createFakeFetch } from './fake-fetch.js';
+import { createFakeContext, FakeChart } from './fake-chart.js';
+
+const WWWROOT = new URL('../../../src/PerfProblemSimulator/wwwroot/', import.meta.url);
+const PAGE_URL = 'http://localhost:5000/';
+
+// Mock clock start; snapshots in tests use timestamps around it
+export const START_TIME = Date.parse('2026-03-02T09:00:00Z');
+
+// Window properties that Node also defines but the page must get from jsdom
+const DOM_GLOBALS = ['Event', 'CustomEvent', 'EventTarget', 'KeyboardEvent', 'MouseEvent', 'navigator'];
+
+let loaded = false;
+
+/**
+ * Makes the jsdom window the global scope of the dashboard modules.
+ */
+function installGlobals(window) {
+    globalThis.window = window;
+    for (const key of Object.getOwnPropertyNames(window)) {
+        if (key in globalThis && !DOM_GLOBALS.includes(key)) continue;
+        Object.defineProperty(globalThis, key, { configurable: true, get: () => window[key] });
+    }
+    for (const key of ['document', 'localStorage', 'sessionStorage', 'location', 'history', 'getComputedStyle', ...DOM_GLOBALS]) {
+        Object.defineProperty(globalThis, key, { configurable: true, get: () => window[key] });
+    }
+
+    // APIs jsdom doesn't implement
+    window.HTMLCanvasElement.prototype.getContext = function () {
+        return createFakeContext(this);
+    };
+    window.HTMLDialogElement.prototype.showModal = function () {
+        this.open = true;
+    };
+    window.HTMLDialogElement.prototype.close = function () {
+        this.open = false;
+    };
+    window.Element.prototype.scrollIntoView = () => {};
+    const clipboard = { text: '', async writeText(text) { this.text = text; } };
+    Object.defineProperty(window.navigator, 'clipboard', { configurable: true, value: clipboard });
+}
+
+/**
+ * Puts every input and select back to the value in index.html.
+ */
+function restoreFormDefaults(document) {
+    document.querySelectorAll('input').forEach(input => {
+        if (input.type === 'checkbox' || input.type === 'radio') input.checked = input.defaultChecked;
+        else input.value = input.defaultValue;
+    });
+    document.querySelectorAll('option').forEach(option => { option.selected = option.defaultSelected; });
+}
+
+/**
+ * Lets pending promise callbacks (fetch responses, hub invocations) run.
+ */
+export async function flush() {
+    for (let i = 0; i < 10; i++) {
+        await new Promise(resolve => setImmediate(resolve));
+    }
+}
+
+/**
+ * Loads the dashboard and waits for its initialization to finish.
+ * @param {Object} [options]
+ * @param {Object} [options.routes] - Extra fetch routes ('METHOD /path' → handler, see fake-fetch.js)
+ * @returns {Promise<Object>} The dashboard under test:
+ *   window, document  - jsdom page
+ *   hub               - Fake signalR namespace; hub.current is the dashboard's connection
+ *   fetch             - Mock fetch; fetch.calls lists the requests, fetch.routes the route table
+ *   modules           - The dashboard modules by file name ('metrics-store', 'charts', ...)
+ *   state, latencyInterpolation, CONFIG, EVENT_LOG, EVENT_BUS - Shared dashboard state
+ *   console           - Console messages written by the page, as [level, ...args]
+ */
+export async function loadDashboard({ routes = {} } = {}) {
+    if (loaded) throw new Error('The dashboard can only be loaded once per test file');
+    loaded = true;
+
+    const html = await readFile(new URL('index.html', WWWROOT), 'utf8');
+    // Scripts are not run: the modules are imported below instead
+    const dom = new JSDOM(html, { url: PAGE_URL, pretendToBeVisual: true });
+    installGlobals(dom.window);
+
+    mock.timers.enable({ apis: ['setInterval', 'setTimeout', 'Date'], now: START_TIME });
+
+    const hub = createFakeSignalR();
+    const fetch = createFakeFetch(routes, PAGE_URL);
+    const initialRoutes = { ...fetch.routes };
+    globalThis.signalR = hub;
+    globalThis.Chart = FakeChart;
+    globalThis.fetch = fetch;
+
+    const consoleMessages = [];
+    const originalConsole = { ...console };
+    for (const level of ['log', 'info', 'warn', 'error']) {
+        console[level] = (...args) => consoleMessages.push([level, ...args]);
+    }
+
+    const names = [
+        'dashboard', 'metrics-store', 'charts', 'connection', 'event-bus', 'event-log',
+        'i18n', 'idle', 'latency-monitor', 'metrics', 'simulations', 'connection-diagnostics',
+        'session-recorder'
+    ];
+    const modules = {};
+    for (const name of names) {
+        modules[name] = await import(new URL(`js/${name}.js`, WWWROOT).href);
+    }
+    const { state, latencyInterpolation, CONFIG } = modules['metrics-store'];
+    const { EVENT_LOG } = modules['event-log'];
+    const { EVENT_BUS } = modules['event-bus'];
+
+    dom.window.document.dispatchEvent(new dom.window.Event('DOMContentLoaded'));
+    for (let i = 0; !EVENT_LOG.entries.some(entry => entry.key === 'log.system.initialized'); i++) {
+        if (i === 100) throw new Error('Dashboard initialization did not finish');
+        await flush();
+    }
+    await flush();
+
+    const dashboard = {
+        window: dom.window,
+        document: dom.window.document,
+        hub,
+        fetch,
+        modules,
+        state,
+        latencyInterpolation,
+        CONFIG,
+        EVENT_LOG,
+        EVENT_BUS,
+        console: consoleMessages,
+
+        /**
+         * Advances the mock clock, running due timers, then lets promises settle.
+         * @param {number} ms - Milliseconds to advance
+         */
+        async tick(ms) {
+            mock.timers.tick(ms);
+            await flush();
+        },
+
+        flush,
+
+        /**
+         * Event log entries logged since the last reset, optionally from one category.
+         * @returns {Array<{key: string, params: Object, category: string, severity: string}>}
+         */
+        logEntries(category) {
+            return EVENT_LOG.entries.filter(entry => !category || entry.category === category);
+        },
+
+        /**
+         * Event log messages as shown in the panel (English).
+         * @returns {string[]}
+         */
+        logMessages(category) {
+            const { formatEventLogMessage } = modules['event-log'];
+            return this.logEntries(category).map(entry => formatEventLogMessage(entry.key, entry.params));
+        },
+
+        /**
+         * Clears chart buffers, simulations, the log and the connection diagnostics,
+         * restores the route table and the form inputs, and brings the hub
+         * connection back if a test closed or dropped it.
+         */
+        async reset() {
+            const { HubConnectionState } = hub;
+            Object.keys(fetch.routes).forEach(route => delete fetch.routes[route]);
+            Object.assign(fetch.routes, initialRoutes);
+            hub.invokeResults.GetIdleState = { isIdle: false, message: 'Server is active' };
+            hub.invokeResults.Ping = () => new Date().toISOString();
+            hub.startError = null;
+            hub.transportObject = null;
+            state.isIdle = false;
+            if (state.connection.state === HubConnectionState.Reconnecting) {
+                await state.connection.reconnect();
+                await flush();
+            } else if (state.connection.state !== HubConnectionState.Connected) {
+                modules.connection.ensureWebSocket();
+                await flush();
+            }
+            modules.charts.startLatencyChartUpdates();
+            modules.dashboard.resetDashboardState();
+            modules['connection-diagnostics'].CONNECTION_DIAGNOSTICS.reset();
+            restoreFormDefaults(dom.window.document);
+            fetch.calls.length = 0;
+            consoleMessages.length = 0;
+        },
+
+        /**
+         * Stops the timers and closes the page. Call from after().
+         */
+        close() {
+            mock.timers.reset();
+            Object.assign(console, originalConsole);
+            dom.window.close();
+        }
+    };
+    return dashboard;
+}
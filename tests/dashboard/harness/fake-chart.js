@@ -0,0 +1,56 @@
+/**
+ * Fake Chart.js
+ *
+ * Stands in for the Chart.js global. Keeps the config, data and options the
+ * dashboard builds so tests can read what would be drawn, and counts update()
+ * calls. Nothing is rendered.
+ */
+
+export class FakeChart {
+    static instances = [];
+
+    /**
+     * @param {Object} ctx - 2D context from the stubbed canvas getContext()
+     * @param {Object} config - Chart.js configuration
+     */
+    constructor(ctx, config) {
+        this.ctx = ctx;
+        this.canvas = ctx.canvas;
+        this.config = config;
+        this.data = config.data;
+        this.options = config.options || {};
+        this.chartArea = { top: 0, bottom: 200, left: 0, right: 600 };
+        this.updateCount = 0;
+        this.zoomedOrPanned = false;
+        FakeChart.instances.push(this);
+    }
+
+    update() {
+        this.updateCount++;
+    }
+
+    resetZoom() {
+        this.zoomedOrPanned = false;
+    }
+
+    isZoomedOrPanned() {
+        return this.zoomedOrPanned;
+    }
+
+    destroy() {
+        FakeChart.instances.splice(FakeChart.instances.indexOf(this), 1);
+    }
+
+    static register() {}
+}
+
+/**
+ * Stand-in for CanvasRenderingContext2D with the calls the dashboard makes.
+ * @param {HTMLCanvasElement} canvas
+ */
+export function createFakeContext(canvas) {
+    return {
+        canvas,
+        createLinearGradient: () => ({ addColorStop() {} })
+    };
+}
@@ -0,0 +1,106 @@
+/**
+ * Mock fetch
+ *
+ * Serves the dashboard's HTTP requests without a server: /locales/*.json from
+ * wwwroot/locales (unless a route overrides one, e.g. a locale the repo doesn't
+ * ship), the /api/* routes from a route table. Routes are keyed
+ * 'METHOD /path' (no query string) and map to a handler:
+ *   - a plain value                 → 200 with that value as JSON
+ *   - { status, body }              → that status and JSON body (reply() builds one)
+ *   - a function of the request     → either of the above, or a Promise of it
+ * Unknown routes answer 404 with a ProblemDetails body, like ASP.NET Core.
+ */
+
+import { readFile } from 'node:fs/promises';
+import { fileURLToPath } from 'node:url';
+
+const LOCALES_DIR = fileURLToPath(new URL('../../../src/PerfProblemSimulator/wwwroot/locales/', import.meta.url));
+
+/**
+ * Routes every dashboard page load needs.
+ */
+export const DEFAULT_ROUTES = {
+    'GET /api/config': {
+        latencyProbeIntervalMs: 200,
+        idleTimeoutMinutes: 20,
+        availableLanguages: ['en'],
+        uiLanguage: 'en'
+    },
+    'GET /api/admin/stats': { processInfo: { azureSku: 'Local', computerName: null } },
+    'GET /api/health/build': { buildTimestamp: '2026-01-01T00:00:00Z' },
+    // Nothing running: the dashboard restores these on load
+    'GET /api/admin/simulations': [],
+    'GET /api/memory/status': { allocatedBlocksCount: 0, totalAllocatedBytes: 0, totalAllocatedMegabytes: 0 },
+    'GET /api/slowrequest/status': { isRunning: false, requestsSent: 0, requestsCompleted: 0, requestsInProgress: 0 },
+    'GET /api/failedrequest/status': { isRunning: false, requestsSent: 0, requestsCompleted: 0, requestsInProgress: 0 }
+};
+
+/**
+ * A response with an explicit status code.
+ * @param {number} status - HTTP status code
+ * @param {*} [body] - JSON body (a string is sent as text/plain)
+ */
+export function reply(status, body) {
+    return { status, body };
+}
+
+/**
+ * Creates the fetch function.
+ * @param {Object} routes - Route table, merged over DEFAULT_ROUTES
+ * @param {string} baseUrl - Page URL relative requests resolve against
+ * @returns {Function} fetch, with `calls` (every request as { method, path, query, body })
+ *   and `routes` (the live route table; tests may add routes later)
+ */
+export function createFakeFetch(routes, baseUrl) {
+    const table = { ...DEFAULT_ROUTES, ...routes };
+    const calls = [];
+
+    async function fetch(input, init = {}) {
+        const url = new URL(String(input), baseUrl);
+        const method = (init.method || 'GET').toUpperCase();
+        if (init.signal?.aborted) throw init.signal.reason;
+
+        const request = {
+            method,
+            path: url.pathname,
+            query: Object.fromEntries(url.searchParams),
+            body: typeof init.body === 'string' && init.body ? JSON.parse(init.body) : null
+        };
+        calls.push(request);
+
+        const route = `${method} ${url.pathname}`;
+        const locale = method === 'GET' && url.pathname.match(/^\/locales\/([\w-]+)\.json$/);
+        if (locale && !(route in table)) {
+            try {
+                const text = await readFile(`${LOCALES_DIR}${locale[1]}.json`, 'utf8');
+                return new Response(text, { status: 200, headers: { 'Content-Type': 'application/json' } });
+            } catch {
+                return new Response('Not Found', { status: 404 });
+            }
+        }
+
+        if (!(route in table)) {
+            return toResponse(reply(404, { title: 'Not Found', status: 404, detail: `No fake route for ${route}` }));
+        }
+        const handler = table[route];
+        const result = typeof handler === 'function' ? await handler(request) : handler;
+        return toResponse(result);
+    }
+
+    fetch.calls = calls;
+    fetch.routes = table;
+    return fetch;
+}
+
+function toResponse(result) {
+    const isReply = result && typeof result === 'object' && 'status' in result && Object.keys(result).every(key => key === 'status' || key === 'body');
+    const { status, body } = isReply ? result : { status: 200, body: result };
+    if (body === undefined || status === 204) {
+        return new Response(null, { status });
+    }
+    if (typeof body === 'string') {
+        return new Response(body, { status, headers: { 'Content-Type': 'text/plain' } });
+    }
+    const contentType = status >= 400 ? 'application/problem+json' : 'application/json';
+    return new Response(JSON.stringify(body), { status, headers: { 'Content-Type': contentType } });
+}
@@ -0,0 +1,193 @@
+/**
+ * Fake SignalR Hub
+ *
+ * Stands in for the @microsoft/signalr browser bundle (the global `signalR`)
+ * so the dashboard's connection.js runs unchanged. Tests drive the server side
+ * through the FakeHubConnection the dashboard built: emit() delivers a hub
+ * message to the registered handlers, and the lifecycle helpers fire the
+ * onreconnecting/onreconnected/onclose callbacks.
+ */
+
+const HubConnectionState = {
+    Disconnected: 'Disconnected',
+    Connecting: 'Connecting',
+    Connected: 'Connected',
+    Disconnecting: 'Disconnecting',
+    Reconnecting: 'Reconnecting'
+};
+
+const LogLevel = {
+    Trace: 0,
+    Debug: 1,
+    Information: 2,
+    Warning: 3,
+    Error: 4,
+    Critical: 5,
+    None: 6
+};
+
+export class FakeHubConnection {
+    /**
+     * @param {string} url - Hub URL given to withUrl()
+     * @param {Object} hub - Owning fake hub (server-side behavior of start/invoke)
+     */
+    constructor(url, hub, logger) {
+        this.url = url;
+        this.hub = hub;
+        this.logger = logger;
+        this.state = HubConnectionState.Disconnected;
+        this.connectionId = null;
+        this.serverTimeoutInMilliseconds = 30000;
+        this.keepAliveIntervalInMilliseconds = 15000;
+        this.handlers = new Map();
+        this.callbacks = { reconnecting: [], reconnected: [], close: [] };
+        // Every invoke() call as { method, args }
+        this.invocations = [];
+    }
+
+    /**
+     * Registers a handler. Like the real client, method names are matched
+     * case-insensitively and the same handler is only registered once.
+     */
+    on(method, handler) {
+        const key = method.toLowerCase();
+        if (!this.handlers.has(key)) this.handlers.set(key, []);
+        const handlers = this.handlers.get(key);
+        if (!handlers.includes(handler)) handlers.push(handler);
+    }
+
+    off(method) {
+        this.handlers.delete(method.toLowerCase());
+    }
+
+    /**
+     * The client's HttpConnection; only its transport object is faked.
+     */
+    get connection() {
+        return { transport: this.hub.transportObject };
+    }
+
+    onreconnecting(callback) { this.callbacks.reconnecting.push(callback); }
+    onreconnected(callback) { this.callbacks.reconnected.push(callback); }
+    onclose(callback) { this.callbacks.close.push(callback); }
+
+    async start() {
+        this.state = HubConnectionState.Connecting;
+        if (this.hub.startError) {
+            this.state = HubConnectionState.Disconnected;
+            throw this.hub.startError;
+        }
+        // The real client logs the transport it selects
+        this.logger?.log?.(LogLevel.Debug, `Selecting transport '${this.hub.transport}'.`);
+        this.state = HubConnectionState.Connected;
+        this.connectionId = `fake-connection-${this.hub.connections.length}`;
+    }
+
+    async stop() {
+        if (this.state === HubConnectionState.Disconnected) return;
+        this.state = HubConnectionState.Disconnected;
+        this.callbacks.close.forEach(callback => callback());
+    }
+
+    /**
+     * Answers hub method calls from hub.invokeResults, by method name:
+     * a value, a function of the arguments, or an Error to throw.
+     */
+    async invoke(method, ...args) {
+        this.invocations.push({ method, args });
+        if (this.state !== HubConnectionState.Connected) {
+            throw new Error(`Cannot send data if the connection is not in the 'Connected' State.`);
+        }
+        const result = this.hub.invokeResults[method];
+        if (result instanceof Error) throw result;
+        return typeof result === 'function' ? result(...args) : result;
+    }
+
+    /**
+     * Delivers a server-to-client message, e.g. emit('ReceiveMetrics', snapshot).
+     * @returns {number} Number of handlers called
+     */
+    emit(method, ...args) {
+        const handlers = this.handlers.get(method.toLowerCase()) || [];
+        handlers.forEach(handler => handler(...args));
+        return handlers.length;
+    }
+
+    /**
+     * Simulates a dropped connection that the automatic reconnect picks up.
+     */
+    dropConnection(error = new Error('WebSocket closed with status code: 1006')) {
+        this.state = HubConnectionState.Reconnecting;
+        this.callbacks.reconnecting.forEach(callback => callback(error));
+    }
+
+    /**
+     * Completes an automatic reconnect started by dropConnection().
+     * @returns {Promise} Settles after the onreconnected callbacks have run
+     */
+    async reconnect() {
+        this.state = HubConnectionState.Connected;
+        this.connectionId = `${this.connectionId}-r`;
+        await Promise.all(this.callbacks.reconnected.map(callback => callback(this.connectionId)));
+    }
+
+    /**
+     * Simulates the automatic reconnect giving up (or the server closing the connection).
+     */
+    close(error = new Error('Server timeout elapsed without receiving a message from the server.')) {
+        this.state = HubConnectionState.Disconnected;
+        this.callbacks.close.forEach(callback => callback(error));
+    }
+}
+
+/**
+ * Creates the fake `signalR` namespace.
+ * @returns {Object} signalR-compatible namespace plus the fake server state:
+ *   connections  - Every connection built, oldest first
+ *   current      - The newest connection (the one the dashboard uses)
+ *   invokeResults - Results of hub methods by name (WakeUp, GetIdleState, Ping)
+ *   startError   - Set to an Error to make start() fail
+ *   transport    - Transport start() reports to the connection's logger
+ *   transportObject - The connection's transport object (connection.connection.transport)
+ */
+export function createFakeSignalR() {
+    const hub = {
+        connections: [],
+        invokeResults: {
+            WakeUp: undefined,
+            GetIdleState: { isIdle: false, message: 'Server is active' },
+            Ping: () => new Date().toISOString()
+        },
+        startError: null,
+        transport: 'WebSockets',
+        transportObject: null,
+        get current() {
+            return this.connections[this.connections.length - 1] || null;
+        }
+    };
+
+    class HubConnectionBuilder {
+        withUrl(url) {
+            this.url = url;
+            return this;
+        }
+
+        withAutomaticReconnect(retryDelays) {
+            this.retryDelays = retryDelays;
+            return this;
+        }
+
+        configureLogging(logging) {
+            this.logging = logging;
+            return this;
+        }
+
+        build() {
+            const connection = new FakeHubConnection(this.url, hub, this.logging);
+            hub.connections.push(connection);
+            return connection;
+        }
+    }
+
+    return Object.assign(hub, { HubConnectionBuilder, HubConnectionState, LogLevel });
+}
@@ -0,0 +1,56 @@
+/**
+ * Language and text direction of the page (i18n.js).
+ */
+
+import { after, afterEach, before, beforeEach, describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { loadDashboard } from './harness/dashboard.js';
+
+describe('i18n', () => {
+    let dashboard;
+    let I18N;
+
+    before(async () => {
+        dashboard = await loadDashboard();
+        I18N = dashboard.modules.i18n.I18N;
+    });
+
+    after(() => dashboard.close());
+
+    beforeEach(async () => {
+        await dashboard.reset();
+        // No right-to-left locale ships with the repo; these stand in for generated ones
+        dashboard.fetch.routes['GET /locales/ar.json'] = { 'header.title': 'محاكي مشكلات الأداء' };
+        dashboard.fetch.routes['GET /locales/he-IL.json'] = { 'header.title': 'סימולטור בעיות ביצועים' };
+    });
+
+    afterEach(() => I18N.init('en'));
+
+    function page() {
+        const root = dashboard.document.documentElement;
+        return { lang: root.lang, dir: root.dir };
+    }
+
+    test('English is left to right', () => {
+        assert.deepEqual(page(), { lang: 'en', dir: 'ltr' });
+    });
+
+    test('Arabic switches the page to right to left', async () => {
+        await I18N.init('ar');
+        assert.deepEqual(page(), { lang: 'ar', dir: 'rtl' });
+    });
+
+    test('a region-tagged Hebrew code is right to left', async () => {
+        await I18N.init('he-IL');
+        assert.deepEqual(page(), { lang: 'he-IL', dir: 'rtl' });
+        assert.equal(I18N.getDirection('ar-EG'), 'rtl');
+    });
+
+    test('an unknown language falls back to English, left to right', async () => {
+        await I18N.init('ar');
+        await I18N.init('xx');
+        assert.deepEqual(page(), { lang: 'en', dir: 'ltr' });
+        assert.equal(I18N.getDirection('xx'), 'ltr');
+        assert.equal(I18N.getDirection(undefined), 'ltr');
+    });
+});
@@ -0,0 +1,166 @@
+/**
+ * Idle handling (idle.js) and the hub connection lifecycle (connection.js).
+ */
+
+import { after, before, beforeEach, describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { loadDashboard } from './harness/dashboard.js';
+
+describe('idle handling', () => {
+    let dashboard;
+
+    before(async () => {
+        dashboard = await loadDashboard({
+            routes: {
+                'POST /api/cpu/trigger-high-cpu': { simulationId: 'cpu-after-idle', type: 'Cpu', status: 'Started' }
+            }
+        });
+    });
+
+    after(() => dashboard.close());
+
+    beforeEach(() => dashboard.reset());
+
+    function goIdle() {
+        dashboard.hub.current.emit('ReceiveIdleState', { isIdle: true, message: 'Application going idle' });
+    }
+
+    test('connects to /hubs/metrics and wakes the server on load', () => {
+        const { hub, state } = dashboard;
+        assert.equal(hub.connections[0].url, '/hubs/metrics');
+        assert.deepEqual(hub.connections[0].invocations[0], { method: 'WakeUp', args: [] });
+        assert.equal(state.connectionStatus.status, 'connected');
+    });
+
+    test('going idle stops the latency chart timer and closes the connection on purpose', async () => {
+        const { hub, state, latencyInterpolation, document } = dashboard;
+        const connection = hub.current;
+        const connectionCount = hub.connections.length;
+
+        goIdle();
+
+        assert.equal(state.isIdle, true);
+        assert.equal(state.intentionalDisconnect, true);
+        assert.equal(latencyInterpolation.chartUpdateTimer, null);
+        assert.equal(connection.state, hub.HubConnectionState.Disconnected);
+        assert.deepEqual(state.connectionStatus, { status: 'idle', key: 'status.idle' });
+        assert.equal(document.getElementById('connectionIndicator').className, 'indicator idle');
+        assert.deepEqual(dashboard.logEntries().map(entry => entry.key), ['log.idle.goingIdle']);
+
+        // The intentional close neither shows "disconnected" nor reconnects
+        await dashboard.tick(dashboard.CONFIG.reconnectDelayMs * 2);
+        assert.equal(hub.connections.length, connectionCount);
+        assert.equal(state.connectionStatus.status, 'idle');
+    });
+
+    test('an idle confirmation while idle logs nothing new', () => {
+        goIdle();
+        goIdle();
+
+        assert.equal(dashboard.logEntries().length, 1);
+        assert.equal(dashboard.state.connectionStatus.status, 'idle');
+    });
+
+    test('waking up restarts the latency chart timer', async () => {
+        const { hub, state, latencyInterpolation } = dashboard;
+        goIdle();
+
+        hub.current.emit('ReceiveIdleState', { isIdle: false, message: 'Application waking up' });
+
+        assert.equal(state.isIdle, false);
+        assert.deepEqual(state.connectionStatus, { status: 'connected', key: 'status.connected' });
+        assert.notEqual(latencyInterpolation.chartUpdateTimer, null);
+        assert.deepEqual(dashboard.logEntries().map(entry => entry.key), ['log.idle.goingIdle', 'log.idle.wakingUp']);
+
+        hub.current.emit('ReceiveLatency', { timestamp: new Date().toISOString(), latencyMs: 12, isTimeout: false, isError: false });
+        await dashboard.tick(100);
+        assert.deepEqual(state.latencyHistory.values, [12]);
+    });
+
+    test('a wake-up the client missed is still logged', () => {
+        dashboard.hub.current.emit('ReceiveIdleState', { isIdle: false, message: 'Application waking up from idle' });
+
+        assert.deepEqual(dashboard.logEntries().map(entry => entry.key), ['log.idle.wakingUp']);
+        assert.equal(dashboard.state.connectionStatus.status, 'connected');
+    });
+
+    test('an automatic reconnect to an idle server re-enters idle mode', async () => {
+        const { hub, state } = dashboard;
+        const connection = hub.current;
+        hub.invokeResults.GetIdleState = { isIdle: true, message: 'Application is idle' };
+
+        connection.dropConnection();
+        assert.deepEqual(state.connectionStatus, { status: 'connecting', key: 'status.reconnecting' });
+
+        await connection.reconnect();
+
+        assert.deepEqual(connection.invocations.at(-1), { method: 'GetIdleState', args: [] });
+        assert.equal(state.isIdle, true);
+        assert.equal(state.connectionStatus.status, 'idle');
+        assert.equal(connection.state, hub.HubConnectionState.Disconnected);
+        assert.deepEqual(dashboard.logEntries().map(entry => entry.key),
+            ['log.connection.lost', 'log.connection.fallbackStarted', 'log.connection.reconnected',
+                'log.connection.fallbackStopped', 'log.idle.goingIdle']);
+    });
+
+    test('an automatic reconnect to an active server resumes the charts', async () => {
+        const { hub, state, latencyInterpolation } = dashboard;
+        const connection = hub.current;
+
+        connection.dropConnection();
+        await connection.reconnect();
+
+        assert.equal(state.isIdle, false);
+        assert.equal(state.connectionStatus.status, 'connected');
+        assert.notEqual(latencyInterpolation.chartUpdateTimer, null);
+    });
+
+    test('an unexpected close shows Disconnected and reconnects after the delay', async () => {
+        const { hub, state, CONFIG } = dashboard;
+        const connectionCount = hub.connections.length;
+
+        hub.current.close();
+
+        assert.deepEqual(state.connectionStatus, { status: 'disconnected', key: 'status.disconnected' });
+        assert.deepEqual(dashboard.logEntries().map(entry => entry.key), ['log.connection.closed', 'log.connection.fallbackStarted']);
+
+        await dashboard.tick(CONFIG.reconnectDelayMs);
+
+        assert.equal(hub.connections.length, connectionCount + 1);
+        assert.equal(hub.current.state, hub.HubConnectionState.Connected);
+        assert.equal(state.connectionStatus.status, 'connected');
+        assert.equal(state.httpFallback, false);
+    });
+
+    test('a failed start is logged and retried', async () => {
+        const { hub, state, CONFIG } = dashboard;
+        hub.startError = new Error('Failed to complete negotiation with the server');
+        hub.current.close();
+        await dashboard.tick(CONFIG.reconnectDelayMs);
+
+        assert.deepEqual(state.connectionStatus, { status: 'disconnected', key: 'status.connectionFailed' });
+        const failed = dashboard.logEntries().find(entry => entry.key === 'log.connection.failed');
+        assert.equal(failed.params.error, 'Failed to complete negotiation with the server');
+        assert.equal(failed.severity, 'error');
+
+        hub.startError = null;
+        await dashboard.tick(CONFIG.reconnectDelayMs);
+        assert.equal(state.connectionStatus.status, 'connected');
+    });
+
+    test('starting a simulation while idle reconnects and wakes the server', async () => {
+        const { hub, state, document } = dashboard;
+        goIdle();
+        const connectionCount = hub.connections.length;
+
+        document.getElementById('btnTriggerCpu').click();
+        await dashboard.flush();
+
+        assert.equal(hub.connections.length, connectionCount + 1);
+        assert.equal(hub.current.state, hub.HubConnectionState.Connected);
+        assert.deepEqual(hub.current.invocations, [{ method: 'WakeUp', args: [] }]);
+        assert.equal(state.isIdle, false);
+        assert.equal(state.connectionStatus.status, 'connected');
+        assert.ok(state.activeSimulations.has('cpu-after-idle'));
+    });
+});
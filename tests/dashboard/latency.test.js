@@ -0,0 +1,147 @@
+/**
+ * Latency probes (latency-monitor.js) and the 100ms sample-and-hold chart
+ * timer (charts.js startLatencyChartUpdates).
+ */
+
+import { after, before, beforeEach, describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { loadDashboard } from './harness/dashboard.js';
+
+describe('latency chart', () => {
+    let dashboard;
+
+    before(async () => {
+        dashboard = await loadDashboard();
+    });
+
+    after(() => dashboard.close());
+
+    beforeEach(() => dashboard.reset());
+
+    function probe(latencyMs, flags = {}) {
+        dashboard.hub.current.emit('ReceiveLatency', {
+            timestamp: new Date().toISOString(),
+            latencyMs,
+            isTimeout: false,
+            isError: false,
+            ...flags
+        });
+    }
+
+    function latencyChart() {
+        return dashboard.state.charts.latency;
+    }
+
+    test('adds nothing before the first probe arrives', async () => {
+        await dashboard.tick(500);
+
+        assert.deepEqual(dashboard.state.latencyHistory.values, []);
+    });
+
+    test('repeats the last probe every 100ms until the next one', async () => {
+        const { state } = dashboard;
+
+        probe(42);
+        // A probe alone doesn't add a point; the timer does
+        assert.deepEqual(state.latencyHistory.values, []);
+        assert.equal(dashboard.document.getElementById('latencyCurrent').textContent, '42.0ms');
+
+        for (let i = 0; i < 3; i++) await dashboard.tick(100);
+        assert.deepEqual(state.latencyHistory.values, [42, 42, 42]);
+
+        probe(900);
+        await dashboard.tick(100);
+        assert.deepEqual(state.latencyHistory.values, [42, 42, 42, 900]);
+
+        const timestamps = state.latencyHistory.timestamps.map(t => t.getTime());
+        assert.deepEqual(timestamps.slice(1).map((t, i) => t - timestamps[i]), [100, 100, 100]);
+    });
+
+    test('draws the held samples with colors by latency', async () => {
+        probe(42);
+        await dashboard.tick(100);
+        probe(900);
+        await dashboard.tick(100);
+        probe(5000);
+        await dashboard.tick(100);
+
+        const dataset = latencyChart().data.datasets[0];
+        assert.deepEqual(dataset.data, [42, 900, 5000]);
+        assert.deepEqual(dataset.borderColor, ['#107c10', '#ffb900', '#d13438']);
+        assert.equal(latencyChart().data.labels.length, 3);
+    });
+
+    test('keeps the timeout and error flags of the held probe', async () => {
+        const { state } = dashboard;
+
+        probe(30000, { isTimeout: true });
+        await dashboard.tick(200);
+
+        assert.deepEqual(state.latencyHistory.isTimeout, [true, true]);
+        assert.deepEqual(state.latencyHistory.isError, [false, false]);
+        const [entry] = dashboard.logEntries();
+        assert.equal(entry.key, 'log.latency.critical');
+        assert.equal(entry.severity, 'error');
+        assert.deepEqual(dashboard.logMessages(), ['Health Probe Critical (>30s): 30.0s']);
+    });
+
+    test('logs failed requests from the failed request simulation', () => {
+        probe(120, { isError: true, source: 'FailedRequest', errorMessage: 'HTTP 500' });
+
+        assert.deepEqual(dashboard.logEntries('failedrequests').map(entry => entry.key), ['log.failed.failedRequest']);
+        assert.equal(dashboard.latencyInterpolation.lastProbeIsError, true);
+    });
+
+    test('holds slow request latency like a probe', async () => {
+        const { state } = dashboard;
+
+        dashboard.hub.current.emit('ReceiveSlowRequestLatency', {
+            timestamp: new Date().toISOString(),
+            latencyMs: 25400,
+            expectedDurationMs: 25000,
+            scenario: 'SimpleSyncOverAsync',
+            isError: false
+        });
+        await dashboard.tick(200);
+
+        assert.deepEqual(state.slowRequestHistory.values, [25400]);
+        assert.deepEqual(state.latencyHistory.values, [25400, 25400]);
+    });
+
+    test('keeps slow requests out of the probe statistics', () => {
+        const { document } = dashboard;
+        const text = id => document.getElementById(id).textContent;
+
+        probe(40);
+        dashboard.hub.current.emit('ReceiveSlowRequestLatency', {
+            timestamp: new Date().toISOString(),
+            latencyMs: 25400,
+            expectedDurationMs: 25000,
+            scenario: 'SimpleSyncOverAsync',
+            isError: false
+        });
+
+        assert.equal(text('latencySlowRequest'), '25.4s');
+        assert.deepEqual(['latencyP50', 'latencyP99', 'latencyMax'].map(text), ['40.0ms', '40.0ms', '40.0ms']);
+        assert.equal(text('latencyOverSla'), '0 (0%)');
+
+        dashboard.modules.dashboard.resetDashboardState();
+        assert.equal(text('latencySlowRequest'), '--');
+    });
+
+    test('keeps buffering but stops redrawing while the charts are frozen', async () => {
+        const { state } = dashboard;
+        const { setChartsFrozen } = dashboard.modules.charts;
+
+        probe(50);
+        await dashboard.tick(100);
+        setChartsFrozen(true);
+        const updates = latencyChart().updateCount;
+
+        await dashboard.tick(300);
+
+        assert.equal(state.latencyHistory.values.length, 4);
+        assert.equal(latencyChart().updateCount, updates);
+        assert.deepEqual(latencyChart().data.datasets[0].data, [50]);
+    });
+});
@@ -0,0 +1,144 @@
+/**
+ * Metric cards and the CPU/memory and thread pool charts (metrics.js, charts.js).
+ */
+
+import { after, before, beforeEach, describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { loadDashboard } from './harness/dashboard.js';
+
+describe('metrics', () => {
+    let dashboard;
+
+    before(async () => {
+        dashboard = await loadDashboard();
+    });
+
+    after(() => dashboard.close());
+
+    beforeEach(() => dashboard.reset());
+
+    function snapshot(overrides = {}) {
+        return {
+            timestamp: new Date().toISOString(),
+            cpuPercent: 12.5,
+            workingSetMb: 250,
+            totalAvailableMemoryMb: 2048,
+            threadPoolThreads: 8,
+            threadPoolQueueLength: 0,
+            ...overrides
+        };
+    }
+
+    function card(type) {
+        const value = dashboard.document.getElementById(`${type}Value`);
+        return { text: value.textContent, classes: [...value.closest('.metric-card').classList] };
+    }
+
+    test('ReceiveMetrics updates the metric cards', () => {
+        const { document, hub } = dashboard;
+
+        hub.current.emit('ReceiveMetrics', snapshot({ cpuPercent: 85.2, threadPoolQueueLength: 3 }));
+
+        assert.equal(card('cpu').text, '85');
+        assert.ok(card('cpu').classes.includes('danger'));
+        assert.equal(card('memory').text, '250');
+        assert.ok(!card('memory').classes.includes('warning'));
+        assert.equal(card('threads').text, '8.0');
+        assert.equal(card('queue').text, '3.0');
+        assert.equal(document.getElementById('cpuBar').style.width, '85.2%');
+        assert.equal(document.getElementById('memoryTotal').textContent, 'of 2.0 GB');
+        // Handlers that throw are only reported on the console by the event bus
+        assert.deepEqual(dashboard.console.filter(([level]) => level === 'error'), []);
+    });
+
+    test('snapshots are appended to the history and drawn', async () => {
+        const { hub, state } = dashboard;
+
+        hub.current.emit('ReceiveMetrics', snapshot({ cpuPercent: 10, threadPoolThreads: 8 }));
+        await dashboard.tick(1000);
+        hub.current.emit('receiveMetrics', snapshot({ cpuPercent: 60, workingSetMb: 400, threadPoolThreads: 20, threadPoolQueueLength: 5 }));
+
+        assert.deepEqual(state.metricsHistory.cpu, [10, 60]);
+        assert.deepEqual(state.metricsHistory.memory, [250, 400]);
+
+        const resource = state.charts.resource.data;
+        assert.deepEqual(resource.labels, ['09:00:00', '09:00:01']);
+        assert.deepEqual(resource.datasets[0].data, [10, 60]);
+        assert.deepEqual(resource.datasets[1].data, [250, 400]);
+
+        const threads = state.charts.threads.data;
+        assert.deepEqual(threads.datasets[0].data, [8, 20]);
+        assert.deepEqual(threads.datasets[1].data, [0, 5]);
+    });
+
+    test('samples record the simulations active when they were taken', () => {
+        const { hub, state } = dashboard;
+
+        hub.current.emit('SimulationStarted', 'Cpu', 'cpu-1');
+        hub.current.emit('ReceiveMetrics', snapshot({ cpuPercent: 95 }));
+        hub.current.emit('SimulationCompleted', 'Cpu', 'cpu-1');
+        hub.current.emit('ReceiveMetrics', snapshot({ cpuPercent: 5 }));
+
+        assert.deepEqual(state.metricsHistory.simulationIds, [['cpu-1'], []]);
+    });
+
+    test('a new process ID on the same instance is logged as a restart', () => {
+        const { hub, state } = dashboard;
+
+        hub.current.emit('SimulationStarted', 'Memory', 'mem-1');
+        hub.current.emit('ReceiveMetrics', snapshot({ processId: 100 }));
+        hub.current.emit('ReceiveMetrics', snapshot({ processId: 200 }));
+
+        const restarted = dashboard.logEntries('crash').at(-1);
+        assert.equal(restarted.key, 'log.crash.restarted');
+        assert.deepEqual([restarted.params.oldPid, restarted.params.newPid], [100, 200]);
+        // Logged as a key, so the entry follows language changes
+        assert.deepEqual(restarted.params.instance, { key: 'instances.unknown' });
+        assert.equal(state.activeSimulations.size, 0);
+    });
+
+    test('alerts log their rule as a key, not as translated text', () => {
+        const { hub } = dashboard;
+
+        hub.current.emit('ReceiveMetrics', snapshot({ threadPoolQueueLength: 60 }));
+        hub.current.emit('ReceiveMetrics', snapshot({ threadPoolQueueLength: 0 }));
+
+        const [fired, resolved] = dashboard.logEntries('alert');
+        assert.deepEqual(fired.params.rule, {
+            key: 'alerts.condition',
+            params: { metric: { key: 'alerts.metric.queue' }, operator: '>', threshold: '50' }
+        });
+        assert.deepEqual(resolved.params.rule, fired.params.rule);
+        assert.deepEqual(dashboard.logMessages('alert'), ['Alert fired: Queue length > 50 (value 60)', 'Alert resolved: Queue length > 50 (value 0)']);
+    });
+
+    test('the export covers the selected chart window and names its bucket size', async () => {
+        const { document, hub, modules } = dashboard;
+        const { buildHistoryExport } = modules['metrics-store'];
+        const chartWindow = document.getElementById('chartWindow');
+        const selectWindow = minutes => {
+            chartWindow.value = String(minutes);
+            chartWindow.dispatchEvent(new dashboard.window.Event('change'));
+        };
+
+        // Start on a bucket boundary
+        await dashboard.tick(1000 - Date.now() % 1000);
+        const start = Date.now();
+        hub.current.emit('ReceiveMetrics', snapshot({ cpuPercent: 10 }));
+        await dashboard.tick(500);
+        hub.current.emit('ReceiveMetrics', snapshot({ cpuPercent: 30 }));
+        await dashboard.tick(500);
+        hub.current.emit('ReceiveMetrics', snapshot({ cpuPercent: 80 }));
+
+        selectWindow(5);
+        const downsampled = buildHistoryExport();
+        selectWindow(1);
+        const raw = buildHistoryExport();
+
+        assert.deepEqual([downsampled.windowMinutes, downsampled.bucketMs], [5, 1000]);
+        assert.deepEqual(downsampled.metrics.map(row => [row.timestamp, row.cpuPercent]),
+            [[new Date(start).toISOString(), 20], [new Date(start + 1000).toISOString(), 80]]);
+        assert.deepEqual([raw.windowMinutes, raw.bucketMs], [1, 0]);
+        assert.deepEqual(raw.metrics.map(row => row.cpuPercent), [10, 30, 80]);
+    });
+});
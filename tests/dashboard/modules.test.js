@@ -0,0 +1,27 @@
+/**
+ * Cache busting of the dashboard modules (the import map in index.html).
+ */
+
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readdir, readFile } from 'node:fs/promises';
+import { JSDOM } from 'jsdom';
+
+const WWWROOT = new URL('../../src/PerfProblemSimulator/wwwroot/', import.meta.url);
+
+describe('module versions', () => {
+    test('every module is mapped to the version of the entry module', async () => {
+        const { document } = new JSDOM(await readFile(new URL('index.html', WWWROOT), 'utf8')).window;
+        const entry = document.querySelector('script[type="module"]').getAttribute('src');
+        const version = new URL(entry, 'http://localhost/').searchParams.get('v');
+        const { imports } = JSON.parse(document.querySelector('script[type="importmap"]').textContent);
+
+        const modules = (await readdir(new URL('js/', WWWROOT))).filter(name => name.endsWith('.js')).sort();
+        assert.deepEqual(Object.keys(imports).sort(), modules.map(name => `./js/${name}`));
+        for (const name of modules) {
+            assert.equal(imports[`./js/${name}`], `./js/${name}?v=${version}`);
+        }
+        // The entry is the mapped dashboard.js, so modules importing it share one instance
+        assert.equal(`./${entry}`, imports['./js/dashboard.js']);
+    });
+});
@@ -0,0 +1,170 @@
+/**
+ * Slow and failed request progress pushed over the hub, with status polling
+ * only while the hub is down (simulations.js).
+ */
+
+import { after, before, beforeEach, describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { loadDashboard } from './harness/dashboard.js';
+
+describe('progress', () => {
+    let dashboard;
+
+    before(async () => {
+        dashboard = await loadDashboard();
+    });
+
+    after(() => dashboard.close());
+
+    beforeEach(async () => {
+        await dashboard.reset();
+        dashboard.fetch.routes['POST /api/slowrequest/start'] = request => ({
+            simulationId: 'slow-1',
+            type: 'SlowRequest',
+            status: 'Started',
+            actualParameters: request.body
+        });
+        dashboard.fetch.routes['POST /api/failedrequest/start'] = request => ({
+            simulationId: 'failed-1',
+            type: 'FailedRequest',
+            status: 'Started',
+            actualParameters: request.body
+        });
+    });
+
+    function slowStatus(overrides = {}) {
+        return {
+            isRunning: true,
+            simulationId: 'slow-1',
+            requestsSent: 3,
+            requestsCompleted: 1,
+            requestsInProgress: 2,
+            requestsFailed: 0,
+            maxRequests: 10,
+            ...overrides
+        };
+    }
+
+    function statusCalls(kind) {
+        return dashboard.fetch.calls.filter(call => call.path === `/api/${kind}/status`).length;
+    }
+
+    function cardProgress(id) {
+        return dashboard.document.querySelector(`#simulationsList .simulation-card[data-simulation-id="${id}"] .simulation-card-progress`).textContent;
+    }
+
+    test('pushed progress updates the card and the latency overlay', async () => {
+        const { document, hub } = dashboard;
+        document.getElementById('btnStartSlowRequests').click();
+        await dashboard.flush();
+
+        hub.current.emit('ReceiveSlowRequestProgress', slowStatus());
+
+        assert.equal(cardProgress('slow-1'), '3/10 sent · 2 in progress · 1 completed · 0 failed');
+        assert.equal(document.getElementById('slowRequestStatus').textContent, 'Running: 1/3 completed, 2 active');
+
+        hub.current.emit('ReceiveSlowRequestProgress', slowStatus({ isRunning: false }));
+        assert.equal(document.getElementById('btnStartSlowRequests').disabled, false);
+    });
+
+    test('the status endpoints are not polled while the hub is connected', async () => {
+        const { document, hub } = dashboard;
+        document.getElementById('btnStartSlowRequests').click();
+        document.getElementById('btnStartFailedRequests').click();
+        await dashboard.flush();
+
+        await dashboard.tick(30000);
+
+        assert.equal(statusCalls('slowrequest'), 0);
+        assert.equal(statusCalls('failedrequest'), 0);
+
+        hub.current.emit('ReceiveSlowRequestProgress', slowStatus({ isRunning: false }));
+        hub.current.emit('ReceiveFailedRequestProgress', { isRunning: false, simulationId: 'failed-1', requestsSent: 10, requestsCompleted: 10, requestsInProgress: 0, requestsFailed: 10, targetCount: 10 });
+        assert.equal(dashboard.state.activeSimulations.size, 0);
+    });
+
+    test('the status endpoint is polled while the hub is reconnecting', async () => {
+        const { document, fetch, hub } = dashboard;
+        document.getElementById('btnStartFailedRequests').click();
+        await dashboard.flush();
+        fetch.routes['GET /api/failedrequest/status'] = { isRunning: true, simulationId: 'failed-1', requestsSent: 4, requestsCompleted: 3, requestsInProgress: 1, requestsFailed: 3, targetCount: 10 };
+
+        hub.current.dropConnection();
+        await dashboard.tick(2000);
+
+        assert.equal(statusCalls('failedrequest'), 1);
+        assert.equal(cardProgress('failed-1'), '4/10 sent · 1 in progress · 3 completed · 3 failed');
+
+        fetch.routes['GET /api/failedrequest/status'] = { isRunning: false, simulationId: 'failed-1', requestsSent: 10, requestsCompleted: 10, requestsInProgress: 0, requestsFailed: 10, targetCount: 10 };
+        await dashboard.tick(2000);
+
+        assert.equal(document.getElementById('btnStartFailedRequests').disabled, false);
+        assert.equal(dashboard.state.activeSimulations.size, 0);
+        await dashboard.tick(10000);
+        assert.equal(statusCalls('failedrequest'), 2);
+    });
+
+    test('a failed poll does not stop polling', async () => {
+        const { document, fetch, hub } = dashboard;
+        document.getElementById('btnStartSlowRequests').click();
+        await dashboard.flush();
+        hub.current.dropConnection();
+
+        fetch.routes['GET /api/slowrequest/status'] = () => { throw new TypeError('Failed to fetch'); };
+        await dashboard.tick(5000);
+        fetch.routes['GET /api/slowrequest/status'] = slowStatus({ requestsSent: 5 });
+        await dashboard.tick(5000);
+
+        assert.equal(statusCalls('slowrequest'), 2);
+        assert.equal(cardProgress('slow-1'), '5/10 sent · 2 in progress · 1 completed · 0 failed');
+
+        // Reconnecting catches up on the end, as in the next test
+        fetch.routes['GET /api/slowrequest/status'] = slowStatus({ isRunning: false });
+        await hub.current.reconnect();
+        await dashboard.flush();
+        assert.equal(document.getElementById('btnStartSlowRequests').disabled, false);
+    });
+
+    test('reconnecting fetches the status once to catch up', async () => {
+        const { document, fetch, hub } = dashboard;
+        document.getElementById('btnStartSlowRequests').click();
+        await dashboard.flush();
+        fetch.routes['GET /api/slowrequest/status'] = slowStatus({ isRunning: false, requestsSent: 10, requestsCompleted: 10, requestsInProgress: 0 });
+
+        hub.current.dropConnection();
+        await hub.current.reconnect();
+        await dashboard.flush();
+
+        assert.equal(statusCalls('slowrequest'), 1);
+        assert.equal(document.getElementById('btnStopSlowRequests').disabled, true);
+        assert.equal(dashboard.state.activeSimulations.size, 0);
+    });
+
+    test('a run started elsewhere is picked up from its progress', () => {
+        const { document, hub, state } = dashboard;
+
+        hub.current.emit('SimulationStarted', 'SlowRequest', 'slow-1');
+        hub.current.emit('ReceiveSlowRequestProgress', slowStatus());
+
+        assert.equal(state.slowRequestSimulationId, 'slow-1');
+        assert.equal(document.getElementById('btnStartSlowRequests').disabled, true);
+        assert.equal(document.getElementById('btnStopSlowRequests').disabled, false);
+        assert.equal(cardProgress('slow-1'), '3/10 sent · 2 in progress · 1 completed · 0 failed');
+
+        hub.current.emit('ReceiveSlowRequestProgress', slowStatus({ isRunning: false }));
+        assert.equal(state.activeSimulations.size, 0);
+    });
+
+    test('pushed progress is recorded in the session', () => {
+        const { hub, modules } = dashboard;
+        const { SESSION } = modules['session-recorder'];
+        const recordedBefore = SESSION.events.length;
+
+        hub.current.emit('ReceiveSlowRequestProgress', slowStatus());
+        hub.current.emit('receiveFailedRequestProgress', { isRunning: true, simulationId: 'failed-1', requestsSent: 1, maxRequests: 5 });
+
+        const recorded = SESSION.events.slice(recordedBefore).filter(event => event.type !== 'log');
+        assert.deepEqual(recorded.map(event => event.type), ['ReceiveSlowRequestProgress', 'ReceiveFailedRequestProgress']);
+        assert.deepEqual(recorded[0].args, [slowStatus()]);
+    });
+});
@@ -0,0 +1,175 @@
+/**
+ * Rebuilding the Active Simulations list and the slow/failed request controls
+ * from the server after a page load (simulations.js restoreSimulationState).
+ */
+
+import { after, before, beforeEach, describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { loadDashboard, START_TIME } from './harness/dashboard.js';
+import { reply } from './harness/fake-fetch.js';
+
+const SLOW_REQUESTS_RUNNING = {
+    isRunning: true,
+    requestsSent: 4,
+    requestsCompleted: 2,
+    requestsInProgress: 2,
+    intervalSeconds: 2,
+    requestDurationSeconds: 25
+};
+
+describe('restoring simulations after a reload', () => {
+    let dashboard;
+    let loadRequests;
+
+    before(async () => {
+        dashboard = await loadDashboard();
+        loadRequests = dashboard.fetch.calls.map(call => `${call.method} ${call.path}`);
+    });
+
+    after(() => dashboard.close());
+
+    beforeEach(() => dashboard.reset());
+
+    function startedAgo(seconds) {
+        return new Date(START_TIME - seconds * 1000).toISOString();
+    }
+
+    function restore() {
+        return dashboard.modules.simulations.restoreSimulationState();
+    }
+
+    function cards() {
+        return Array.from(dashboard.document.querySelectorAll('#simulationsList .simulation-card'),
+            card => ({ text: card.querySelector('.simulation-card-label').textContent, title: card.title }));
+    }
+
+    test('queries the server on load', () => {
+        for (const request of ['GET /api/admin/simulations', 'GET /api/memory/status', 'GET /api/slowrequest/status', 'GET /api/failedrequest/status']) {
+            assert.ok(loadRequests.includes(request), request);
+        }
+        assert.equal(dashboard.state.activeSimulations.size, 0);
+    });
+
+    test('rebuilds the Active Simulations list with the server start times', async () => {
+        const { fetch, state } = dashboard;
+        fetch.routes['GET /api/admin/simulations'] = [
+            { id: 'cpu-1', type: 'Cpu', startedAt: startedAgo(90), parameters: { durationSeconds: 300, level: 'moderate' } },
+            { id: 'mem-1', type: 'Memory', startedAt: startedAgo(60), parameters: { sizeMegabytes: 512 } },
+            { id: 'tb-1', type: 'ThreadBlock', startedAt: startedAgo(30), parameters: { delayMilliseconds: 10000 } }
+        ];
+        fetch.routes['GET /api/memory/status'] = { allocatedBlocksCount: 1, totalAllocatedBytes: 536870912, totalAllocatedMegabytes: 512 };
+
+        await restore();
+
+        assert.deepEqual([...state.activeSimulations.keys()], ['cpu-1', 'mem-1', 'tb-1']);
+        assert.equal(state.activeSimulations.get('cpu-1').startTime.getTime(), START_TIME - 90000);
+        assert.deepEqual(cards(), [
+            { text: 'CPU Stress (Moderate)', title: 'Started at 08:58:30 UTC' },
+            { text: 'Memory 512 MB', title: 'Started at 08:59:00 UTC' },
+            { text: 'Thread Block', title: 'Started at 08:59:30 UTC' }
+        ]);
+        // Chart bands start when the simulation did, not at the reload
+        assert.equal(state.simulationAnnotations[0].start.getTime(), START_TIME - 90000);
+
+        assert.deepEqual(dashboard.logMessages(), [
+            'Restored 3 active simulations from the server',
+            '512 MB of memory is still allocated (1 block)'
+        ]);
+    });
+
+    test('a later SimulationCompleted removes a restored simulation', async () => {
+        const { fetch, hub, state } = dashboard;
+        fetch.routes['GET /api/admin/simulations'] = [
+            { id: 'cpu-1', type: 'Cpu', startedAt: startedAgo(10), parameters: { level: 'high' } }
+        ];
+        await restore();
+
+        hub.current.emit('SimulationCompleted', 'Cpu', 'cpu-1');
+
+        assert.equal(state.activeSimulations.size, 0);
+        assert.ok(state.simulationAnnotations[0].end);
+    });
+
+    test('skips simulations that complete while the list is loading', async () => {
+        const { fetch, hub, state } = dashboard;
+        fetch.routes['GET /api/admin/simulations'] = () => {
+            hub.current.emit('SimulationCompleted', 'Cpu', 'cpu-1');
+            return [
+                { id: 'cpu-1', type: 'Cpu', startedAt: startedAgo(30), parameters: { level: 'high' } },
+                { id: 'cpu-2', type: 'Cpu', startedAt: startedAgo(5), parameters: { level: 'high' } }
+            ];
+        };
+
+        await restore();
+
+        assert.deepEqual([...state.activeSimulations.keys()], ['cpu-2']);
+    });
+
+    test('resumes the slow request controls and overlay until the end is pushed', async () => {
+        const { document, fetch, hub, state } = dashboard;
+        fetch.routes['GET /api/admin/simulations'] = [
+            { id: 'slow-1', type: 'SlowRequest', startedAt: startedAgo(8), parameters: { maxRequests: 4 } }
+        ];
+        fetch.routes['GET /api/slowrequest/status'] = SLOW_REQUESTS_RUNNING;
+
+        await restore();
+
+        assert.equal(state.slowRequestSimulationId, 'slow-1');
+        assert.equal(document.getElementById('btnStartSlowRequests').disabled, true);
+        assert.equal(document.getElementById('btnStopSlowRequests').disabled, false);
+        assert.ok(document.getElementById('latencyOverlay').classList.contains('active'));
+        assert.equal(document.getElementById('latencySuspendedMsg').style.display, 'block');
+        const statusDiv = document.getElementById('slowRequestStatus');
+        assert.ok(statusDiv.classList.contains('active'));
+        assert.equal(statusDiv.textContent, 'Running: 2/4 completed, 2 active');
+
+        // The hub is connected, so the status endpoint isn't polled
+        await dashboard.tick(5000);
+        assert.equal(fetch.calls.filter(call => call.path === '/api/slowrequest/status').length, 1);
+
+        hub.current.emit('ReceiveSlowRequestProgress', { ...SLOW_REQUESTS_RUNNING, isRunning: false, requestsCompleted: 4, requestsInProgress: 0 });
+
+        assert.equal(state.activeSimulations.size, 0);
+        assert.equal(document.getElementById('btnStartSlowRequests').disabled, false);
+        assert.equal(document.getElementById('btnStopSlowRequests').disabled, true);
+        assert.ok(!document.getElementById('latencyOverlay').classList.contains('active'));
+        assert.equal(dashboard.logEntries('slowrequest').at(-1).simulationId, 'slow-1');
+        await dashboard.tick(3000);
+    });
+
+    test('resumes the failed request controls until the end is pushed', async () => {
+        const { document, fetch, hub, state } = dashboard;
+        fetch.routes['GET /api/admin/simulations'] = [
+            { id: 'failed-1', type: 'FailedRequest', startedAt: startedAgo(3), parameters: { targetCount: 10 } }
+        ];
+        fetch.routes['GET /api/failedrequest/status'] = { isRunning: true, requestsSent: 3, requestsCompleted: 2, requestsInProgress: 1, targetCount: 10 };
+
+        await restore();
+
+        assert.equal(document.getElementById('btnStartFailedRequests').disabled, true);
+
+        hub.current.emit('ReceiveFailedRequestProgress', { isRunning: false, requestsSent: 10, requestsCompleted: 10, requestsInProgress: 0, targetCount: 10 });
+
+        assert.equal(document.getElementById('btnStartFailedRequests').disabled, false);
+        assert.equal(state.activeSimulations.size, 0);
+        assert.equal(dashboard.logEntries('failedrequests').at(-1).key, 'log.failed.completed');
+    });
+
+    test('a failed list request is logged and the status endpoints still apply', async () => {
+        const { document, fetch, state } = dashboard;
+        fetch.routes['GET /api/admin/simulations'] = reply(500, { title: 'An error occurred while processing your request.', status: 500 });
+        fetch.routes['GET /api/slowrequest/status'] = SLOW_REQUESTS_RUNNING;
+
+        await restore();
+
+        const [failed] = dashboard.logEntries();
+        assert.equal(failed.key, 'log.restore.failed');
+        assert.equal(failed.severity, 'warning');
+        assert.equal(state.activeSimulations.size, 0);
+        assert.equal(state.slowRequestSimulationId, null);
+        assert.equal(document.getElementById('btnStopSlowRequests').disabled, false);
+
+        fetch.routes['GET /api/slowrequest/status'] = { ...SLOW_REQUESTS_RUNNING, isRunning: false };
+        await dashboard.tick(8000);
+    });
+});
@@ -0,0 +1,268 @@
+/**
+ * Simulation controls and the Active Simulations list (simulations.js).
+ */
+
+import { after, before, beforeEach, describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { loadDashboard } from './harness/dashboard.js';
+import { reply } from './harness/fake-fetch.js';
+
+describe('simulations', () => {
+    let dashboard;
+
+    before(async () => {
+        dashboard = await loadDashboard();
+    });
+
+    after(() => dashboard.close());
+
+    beforeEach(async () => {
+        await dashboard.reset();
+        dashboard.fetch.routes['POST /api/cpu/trigger-high-cpu'] = request => ({
+            simulationId: 'cpu-1',
+            type: 'Cpu',
+            status: 'Started',
+            actualParameters: request.body
+        });
+    });
+
+    function cards() {
+        return Array.from(dashboard.document.querySelectorAll('#simulationsList .simulation-card'),
+            card => ({ type: card.classList[1], text: card.querySelector('.simulation-card-label').textContent }));
+    }
+
+    test('the CPU button posts the form values and lists the simulation', async () => {
+        const { document, fetch, state } = dashboard;
+        document.getElementById('cpuDuration').value = '45';
+        document.getElementById('cpuLevel').value = 'moderate';
+
+        document.getElementById('btnTriggerCpu').click();
+        await dashboard.flush();
+
+        const request = fetch.calls.find(call => call.path === '/api/cpu/trigger-high-cpu');
+        assert.equal(request.method, 'POST');
+        assert.deepEqual(request.body, { durationSeconds: 45, level: 'moderate' });
+        assert.equal(state.activeSimulations.get('cpu-1').type, 'cpu');
+        assert.deepEqual(cards(), [{ type: 'cpu', text: 'CPU Stress (Moderate)' }]);
+        assert.deepEqual(dashboard.logEntries('cpu').map(entry => entry.key), ['log.cpu.triggering', 'log.cpu.started']);
+        assert.equal(dashboard.logEntries('cpu')[1].simulationId, 'cpu-1');
+    });
+
+    test('cards label the parameters the server used and format their values', async () => {
+        const { document, fetch } = dashboard;
+        fetch.routes['POST /api/memory/allocate-memory'] = {
+            simulationId: 'mem-1',
+            type: 'Memory',
+            status: 'Started',
+            actualParameters: { sizeMegabytes: 512, sizeBytes: 536870912, totalAllocatedMegabytes: 1024.25, scenarioCounts: {}, internalFlag: true }
+        };
+
+        document.getElementById('btnAllocateMemory').click();
+        await dashboard.flush();
+
+        const params = Array.from(document.querySelectorAll('#simulationsList .simulation-card-params > *'), node => node.textContent);
+        assert.deepEqual(params, ['Size (MB)', '512', 'Size (bytes)', '536,870,912', 'Total allocated (MB)', '1,024.25']);
+    });
+
+    test('values outside the request limits are logged and not sent', async () => {
+        const { document, fetch, state } = dashboard;
+        document.getElementById('slowRequestDuration').value = '90';
+        document.getElementById('slowRequestMax').value = '2.5';
+
+        document.getElementById('btnStartSlowRequests').click();
+        await dashboard.flush();
+
+        assert.ok(!fetch.calls.some(call => call.path === '/api/slowrequest/start'));
+        assert.equal(state.activeSimulations.size, 0);
+        assert.equal(document.getElementById('btnStartSlowRequests').disabled, false);
+        assert.deepEqual(dashboard.logMessages('slowrequest'),
+            ['Not started, invalid parameters: requestDurationSeconds must be at most 60; maxRequests must be a whole number']);
+    });
+
+    test('SimulationCompleted removes the simulation and closes its chart band', async () => {
+        const { document, hub, state } = dashboard;
+        document.getElementById('btnTriggerCpu').click();
+        await dashboard.flush();
+        hub.current.emit('SimulationStarted', 'Cpu', 'cpu-1');
+
+        await dashboard.tick(30000);
+        hub.current.emit('SimulationCompleted', 'Cpu', 'cpu-1');
+
+        assert.equal(state.activeSimulations.size, 0);
+        assert.deepEqual(cards(), []);
+        assert.equal(document.querySelector('#simulationsList .no-simulations').textContent, 'No active simulations');
+
+        const [annotation] = state.simulationAnnotations;
+        assert.equal(annotation.id, 'cpu-1');
+        assert.equal(annotation.end - annotation.start, 30000);
+        // The API response's label survives the hub's SimulationStarted
+        assert.deepEqual(annotation.label, { key: 'activeSims.cpu', params: { level: { key: 'sim.cpu.high' } } });
+
+        const completed = dashboard.logEntries('cpu').at(-1);
+        assert.equal(completed.key, 'log.sim.completed');
+        assert.equal(completed.simulationId, 'cpu-1');
+        assert.equal(dashboard.logMessages('cpu').at(-1), 'CPU Stress simulation completed');
+    });
+
+    test('simulations started elsewhere are listed from SimulationStarted', () => {
+        const { hub } = dashboard;
+
+        hub.current.emit('SimulationStarted', 'ThreadBlock', 'tb-1');
+        hub.current.emit('simulationStarted', 'Chaos', 'chaos-1');
+
+        assert.deepEqual(cards().map(card => card.type), ['threadblock', 'chaos']);
+        assert.equal(cards()[1].text, 'chaos');
+        // The API response handlers log starts, not the hub message
+        assert.deepEqual(dashboard.logEntries(), []);
+    });
+
+    test('SlowRequest completion hides the latency overlay without logging', () => {
+        const { document, hub, state } = dashboard;
+
+        hub.current.emit('SimulationStarted', 'SlowRequest', 'slow-1');
+        assert.ok(document.getElementById('latencyOverlay').classList.contains('active'));
+
+        hub.current.emit('SimulationCompleted', 'SlowRequest', 'slow-1');
+
+        assert.equal(state.activeSimulations.size, 0);
+        assert.ok(!document.getElementById('latencyOverlay').classList.contains('active'));
+        assert.equal(document.getElementById('latencySuspendedMsg').style.display, 'none');
+        assert.deepEqual(dashboard.logEntries(), []);
+    });
+
+    test('a rejected request logs the validation message and lists nothing', async () => {
+        const { document, fetch, state } = dashboard;
+        fetch.routes['POST /api/cpu/trigger-high-cpu'] = reply(400, {
+            title: 'One or more validation errors occurred.',
+            status: 400,
+            errors: { DurationSeconds: ['Duration must be at least 1 second'] }
+        });
+
+        document.getElementById('btnTriggerCpu').click();
+        await dashboard.flush();
+
+        assert.equal(state.activeSimulations.size, 0);
+        const failed = dashboard.logEntries('cpu').at(-1);
+        assert.equal(failed.key, 'log.cpu.failed');
+        assert.equal(failed.severity, 'error');
+        assert.equal(dashboard.logMessages('cpu').at(-1), 'Failed: Duration must be at least 1 second');
+    });
+
+    test('Stop CPU removes every CPU simulation', async () => {
+        const { document, fetch, hub, state } = dashboard;
+        fetch.routes['POST /api/cpu/stop'] = { message: 'Stopped 2 CPU stress simulation(s)' };
+        hub.current.emit('SimulationStarted', 'Cpu', 'cpu-a');
+        hub.current.emit('SimulationStarted', 'Cpu', 'cpu-b');
+        hub.current.emit('SimulationStarted', 'Memory', 'mem-1');
+
+        document.getElementById('btnStopCpu').click();
+        await dashboard.flush();
+
+        assert.deepEqual([...state.activeSimulations.keys()], ['mem-1']);
+        assert.equal(dashboard.logMessages('cpu').at(-1), 'Stopped 2 CPU stress simulation(s)');
+    });
+
+    function card(id) {
+        return dashboard.document.querySelector(`#simulationsList .simulation-card[data-simulation-id="${id}"]`);
+    }
+
+    test('cards count the elapsed and remaining time and show the actual parameters', async () => {
+        const { document } = dashboard;
+        document.getElementById('cpuDuration').value = '45';
+
+        document.getElementById('btnTriggerCpu').click();
+        await dashboard.flush();
+
+        const cpu = card('cpu-1');
+        assert.equal(cpu.querySelector('.simulation-card-times').textContent, 'Elapsed 0:00 · 0:45 left');
+        assert.deepEqual(Array.from(cpu.querySelectorAll('dt, dd'), el => el.textContent),
+            ['Duration (s)', '45', 'Intensity', 'High']);
+        assert.equal(cpu.querySelector('.simulation-card-id').textContent, 'cpu-1');
+
+        await dashboard.tick(5000);
+        assert.equal(cpu.querySelector('.simulation-card-times').textContent, 'Elapsed 0:05 · 0:40 left');
+
+        await dashboard.tick(45000);
+        assert.equal(cpu.querySelector('.simulation-card-times').textContent, 'Elapsed 0:50 · finishing…');
+    });
+
+    test('thread block cards count only the elapsed time', async () => {
+        const { document, fetch } = dashboard;
+        fetch.routes['POST /api/threadblock/trigger-sync-over-async'] = request => ({
+            simulationId: 'tb-1',
+            type: 'ThreadBlock',
+            status: 'Started',
+            actualParameters: request.body
+        });
+
+        document.getElementById('btnTriggerThreadBlock').click();
+        await dashboard.flush();
+        await dashboard.tick(15000);
+
+        // delayMilliseconds is how long each blocking call waits, not how long the simulation runs
+        assert.equal(card('tb-1').querySelector('.simulation-card-times').textContent, 'Elapsed 0:15');
+    });
+
+    test('clicking the ID copies it', async () => {
+        const { hub, window } = dashboard;
+        hub.current.emit('SimulationStarted', 'ThreadBlock', 'tb-1');
+
+        card('tb-1').querySelector('.simulation-card-id').click();
+        await dashboard.flush();
+
+        assert.equal(window.navigator.clipboard.text, 'tb-1');
+        assert.ok(card('tb-1').querySelector('.simulation-card-id').classList.contains('copied'));
+    });
+
+    test('Stop on a card stops only that simulation', async () => {
+        const { fetch, hub, state } = dashboard;
+        fetch.routes['POST /api/cpu/stop/cpu-a'] = { message: 'Stopped CPU stress simulation cpu-a', cancelledCount: 1 };
+        fetch.routes['POST /api/memory/release-memory/mem-1'] = { releasedBlockCount: 1, message: 'Released memory block mem-1 (10.0 MB).' };
+        hub.current.emit('SimulationStarted', 'Cpu', 'cpu-a');
+        hub.current.emit('SimulationStarted', 'Cpu', 'cpu-b');
+        hub.current.emit('SimulationStarted', 'Memory', 'mem-1');
+
+        card('cpu-a').querySelector('.simulation-card-stop').click();
+        await dashboard.flush();
+        card('mem-1').querySelector('.simulation-card-stop').click();
+        await dashboard.flush();
+
+        assert.deepEqual(fetch.calls.filter(call => call.method === 'POST').map(call => call.path),
+            ['/api/cpu/stop/cpu-a', '/api/memory/release-memory/mem-1']);
+        assert.deepEqual([...state.activeSimulations.keys()], ['cpu-b']);
+        assert.deepEqual(dashboard.logMessages('cpu'), ['Stopping CPU Stress simulation...', 'Stopped CPU stress simulation cpu-a']);
+        assert.equal(dashboard.logEntries('cpu')[1].simulationId, 'cpu-a');
+    });
+
+    test('Release closes the memory chart bands without waiting for the hub', async () => {
+        const { document, fetch, hub, state } = dashboard;
+        fetch.routes['POST /api/memory/release-memory'] = { releasedBlockCount: 2, releasedMegabytes: 20 };
+        hub.current.emit('SimulationStarted', 'Memory', 'mem-1');
+        hub.current.emit('SimulationStarted', 'Memory', 'mem-2');
+        hub.current.emit('SimulationStarted', 'Cpu', 'cpu-1');
+        await dashboard.tick(5000);
+
+        document.getElementById('btnReleaseMemory').click();
+        await dashboard.flush();
+
+        assert.deepEqual([...state.activeSimulations.keys()], ['cpu-1']);
+        const ended = id => state.simulationAnnotations.find(annotation => annotation.id === id).end;
+        assert.equal(ended('mem-1').getTime() - Date.now(), 0);
+        assert.equal(ended('mem-2').getTime() - Date.now(), 0);
+        assert.equal(ended('cpu-1'), null);
+    });
+
+    test('Stop on a simulation that already ended removes its card', async () => {
+        const { fetch, hub, state } = dashboard;
+        fetch.routes['POST /api/threadblock/stop/tb-1'] = reply(404, { error: 'SIMULATION_NOT_FOUND', message: 'No active simulation tb-1 of this type.' });
+        hub.current.emit('SimulationStarted', 'ThreadBlock', 'tb-1');
+
+        card('tb-1').querySelector('.simulation-card-stop').click();
+        await dashboard.flush();
+
+        assert.equal(state.activeSimulations.size, 0);
+        const ended = dashboard.logEntries('threads').at(-1);
+        assert.equal(ended.severity, 'warning');
+        assert.equal(dashboard.logMessages('threads').at(-1), 'Thread Block simulation had already ended');
+    });
+});
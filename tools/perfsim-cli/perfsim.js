@@ -0,0 +1,352 @@
+#!/usr/bin/env node
+/**
+ * Performance Problem Simulator - Command-Line Driver
+ *
+ * Triggers and stops simulations from CI pipelines and lab scripts, and tails
+ * the /hubs/metrics SignalR stream to stdout as JSON lines. Requests are built
+ * and validated with the dashboard's own modules (simulation-requests.js and
+ * simulator-client.js), so the CLI sends exactly what the buttons send.
+ *
+ * Every stdout line is one JSON object:
+ *   { "time": "...", "source": "api", "method": "triggerCpuStress", "data": {...} }
+ *   { "time": "...", "source": "hub", "method": "ReceiveMetrics", "data": {...} }
+ * Diagnostics go to stderr.
+ *
+ * Exit codes:
+ *   0  Success
+ *   1  The server rejected or failed the request (e.g. the simulation did not start),
+ *      or --wait lost the hub connection before the simulation completed
+ *   2  Invalid command line or parameters
+ *   3  --wait timed out before SimulationCompleted
+ */
+
+import { parseArgs } from 'node:util';
+import * as signalR from '@microsoft/signalr';
+import { SimulatorClient } from '../../src/PerfProblemSimulator/wwwroot/js/simulator-client.js';
+import {
+    buildSimulationRequest,
+    SIMULATION_REQUESTS
+} from '../../src/PerfProblemSimulator/wwwroot/js/simulation-requests.js';
+
+const EXIT_OK = 0;
+const EXIT_REQUEST_FAILED = 1;
+const EXIT_USAGE = 2;
+const EXIT_WAIT_TIMEOUT = 3;
+
+// Hub methods the server sends (IMetricsClient), with the payload written as "data"
+const HUB_MESSAGES = {
+    ReceiveMetrics: snapshot => snapshot,
+    ReceiveLatency: measurement => measurement,
+    ReceiveSlowRequestLatency: data => data,
+    ReceiveSlowRequestProgress: status => status,
+    ReceiveFailedRequestProgress: status => status,
+    ReceiveLoadTestStats: stats => stats,
+    ReceiveIdleState: data => data,
+    SimulationStarted: (simulationType, simulationId) => ({ simulationType, simulationId }),
+    SimulationCompleted: (simulationType, simulationId) => ({ simulationType, simulationId })
+};
+
+const USAGE = `Usage: perfsim <command> [options]
+
+Commands:
+  start <simulation> [parameters]  Start a simulation
+  stop <simulation>                Stop a simulation (all of that type)
+  tail                             Write hub messages to stdout until stopped
+  status                           Show the server's simulation statistics
+
+Simulations and parameters (defaults in parentheses; same limits as the dashboard):
+${Object.entries(SIMULATION_REQUESTS).map(([kind, { fields }]) =>
+        `  ${kind.padEnd(14)} ${Object.entries(fields).map(([name, field]) =>
+            `--${toOptionName(name)} ${field.values ? field.values.join('|') : '<n>'} (${field.default})`).join(' ')}`).join('\n')}
+
+Options:
+  --url <url>          Simulator base URL (default: $PERFSIM_URL or http://localhost:5000)
+  --wait               start: wait for SimulationCompleted before exiting
+  --tail               start: also write hub messages while waiting
+  --timeout <seconds>  start --wait: give up after this long (default: none);
+                       tail: stop after this long
+  --methods <list>     Hub methods to write, comma-separated (default: all)
+  -h, --help           Show this help`;
+
+/**
+ * 'durationSeconds' → 'duration-seconds'
+ */
+function toOptionName(field) {
+    return field.replace(/[A-Z]/g, c => `-${c.toLowerCase()}`);
+}
+
+function writeLine(source, method, data) {
+    process.stdout.write(`${JSON.stringify({ time: new Date().toISOString(), source, method, data })}\n`);
+}
+
+class UsageError extends Error {}
+
+/**
+ * Parses the command line.
+ * @param {string[]} argv - Arguments after the script name
+ * @returns {{command: string, kind: string, parameters: Object, options: Object}}
+ * @throws {UsageError}
+ */
+function parseCommandLine(argv) {
+    // Every simulation parameter is accepted here; start checks them per simulation
+    const parameterOptions = {};
+    for (const { fields } of Object.values(SIMULATION_REQUESTS)) {
+        for (const name of Object.keys(fields)) {
+            parameterOptions[toOptionName(name)] = { type: 'string' };
+        }
+    }
+
+    let parsed;
+    try {
+        parsed = parseArgs({
+            args: argv,
+            allowPositionals: true,
+            options: {
+                ...parameterOptions,
+                url: { type: 'string', default: process.env.PERFSIM_URL || 'http://localhost:5000' },
+                wait: { type: 'boolean', default: false },
+                tail: { type: 'boolean', default: false },
+                timeout: { type: 'string' },
+                methods: { type: 'string' },
+                help: { type: 'boolean', short: 'h', default: false }
+            }
+        });
+    } catch (err) {
+        throw new UsageError(err.message);
+    }
+
+    const { values, positionals } = parsed;
+    const [command, kind] = positionals;
+    const timeoutSeconds = values.timeout === undefined ? null : Number(values.timeout);
+    if (timeoutSeconds !== null && !(timeoutSeconds > 0)) {
+        throw new UsageError('--timeout must be a positive number of seconds');
+    }
+
+    const methods = values.methods ? values.methods.split(',').map(m => m.trim()).filter(Boolean) : null;
+    const unknownMethod = methods?.find(method => !(method in HUB_MESSAGES));
+    if (unknownMethod) {
+        throw new UsageError(`Unknown hub method '${unknownMethod}'. Known: ${Object.keys(HUB_MESSAGES).join(', ')}`);
+    }
+
+    // Simulation parameters given on the command line, by request field name
+    const parameters = {};
+    for (const [option, value] of Object.entries(values)) {
+        if (!(option in parameterOptions) || value === undefined) continue;
+        const field = option.replace(/-([a-z])/g, (_, c) => c.toUpperCase());
+        parameters[field] = /^-?\d+(\.\d+)?$/.test(value) ? Number(value) : value;
+    }
+
+    return {
+        command,
+        kind,
+        parameters,
+        options: {
+            url: values.url.replace(/\/+$/, ''),
+            wait: values.wait,
+            tail: values.tail,
+            timeoutSeconds,
+            methods,
+            help: values.help
+        }
+    };
+}
+
+/**
+ * Connects to /hubs/metrics and writes the selected messages to stdout.
+ * @param {Object} options - Parsed options (url, methods)
+ * @param {boolean} write - Write hub messages to stdout
+ * @param {Function} [onMessage] - Called with (method, data) for every message
+ * @returns {Promise<signalR.HubConnection>}
+ */
+async function connectHub(options, write, onMessage) {
+    const connection = new signalR.HubConnectionBuilder()
+        .withUrl(`${options.url}/hubs/metrics`)
+        .withAutomaticReconnect()
+        .configureLogging({
+            // Keep stdout for JSON lines
+            log(level, message) {
+                if (level >= signalR.LogLevel.Warning) process.stderr.write(`perfsim: ${message}\n`);
+            }
+        })
+        .build();
+
+    for (const [method, payload] of Object.entries(HUB_MESSAGES)) {
+        const handler = (...args) => {
+            const data = payload(...args);
+            if (write && (!options.methods || options.methods.includes(method))) {
+                writeLine('hub', method, data);
+            }
+            onMessage?.(method, data);
+        };
+        // SignalR clients may receive camelCase method names
+        connection.on(method, handler);
+        connection.on(method.charAt(0).toLowerCase() + method.slice(1), handler);
+    }
+
+    await connection.start();
+    // Like the dashboard: a connected client is activity, so the server leaves idle mode
+    await connection.invoke('WakeUp');
+    return connection;
+}
+
+/**
+ * Whether the server no longer lists a simulation as active.
+ * @returns {Promise<boolean>}
+ */
+async function hasFinished(client, simulationId) {
+    const active = await client.getActiveSimulations();
+    return !active.some(sim => sim.id === simulationId);
+}
+
+/**
+ * perfsim start <simulation>
+ * @returns {Promise<number>} Exit code
+ */
+async function startCommand(client, kind, parameters, options) {
+    const definition = SIMULATION_REQUESTS[kind];
+    if (!definition) {
+        throw new UsageError(`Unknown simulation '${kind ?? ''}'. Known: ${Object.keys(SIMULATION_REQUESTS).join(', ')}`);
+    }
+    if (options.wait && !definition.completes) {
+        throw new UsageError(`--wait is not supported for ${kind}: it runs until stopped`);
+    }
+
+    const { request, errors } = buildSimulationRequest(kind, parameters);
+    if (errors.length > 0) {
+        throw new UsageError(errors.map(error => error.replace(/^\w+(?= must)/, name => `--${toOptionName(name)}`)).join('\n'));
+    }
+
+    // Connect before starting so a short simulation's SimulationCompleted isn't missed
+    let hubChanged = null;
+    let hubClosed = null;
+    const completedIds = new Set();
+    const connection = options.wait || options.tail
+        ? await connectHub(options, options.tail, (method, data) => {
+            if (method !== 'SimulationCompleted') return;
+            completedIds.add(data.simulationId);
+            hubChanged?.(false);
+        })
+        : null;
+    // SimulationCompleted sent while the client reconnects is lost, so after a
+    // reconnect, or once automatic reconnect gives up, the server is asked instead
+    connection?.onreconnected(() => hubChanged?.(true));
+    connection?.onclose(error => {
+        hubClosed = error ?? new Error('connection closed');
+        hubChanged?.(true);
+    });
+
+    try {
+        let result;
+        try {
+            result = await client[definition.start](request);
+        } catch (err) {
+            process.stderr.write(`perfsim: failed to start ${kind}: ${err.message}\n`);
+            return EXIT_REQUEST_FAILED;
+        }
+        writeLine('api', definition.start, result);
+
+        if (!options.wait) return EXIT_OK;
+
+        const id = result.simulationId;
+        const finished = await new Promise((resolve, reject) => {
+            const lost = error => new Error(`lost the hub connection before ${kind} simulation ${id} completed: ${error.message}`);
+            hubChanged = askServer => {
+                if (completedIds.has(id)) {
+                    resolve(true);
+                } else if (askServer) {
+                    hasFinished(client, id).then(
+                        done => { if (done) resolve(true); else if (hubClosed) reject(lost(hubClosed)); },
+                        err => { if (hubClosed) reject(lost(err)); });
+                }
+            };
+            if (options.timeoutSeconds) setTimeout(() => resolve(false), options.timeoutSeconds * 1000).unref();
+            hubChanged(hubClosed !== null);
+        }).finally(() => { hubChanged = null; });
+        if (!finished) {
+            process.stderr.write(`perfsim: ${kind} simulation ${result.simulationId} did not complete within ${options.timeoutSeconds}s\n`);
+            return EXIT_WAIT_TIMEOUT;
+        }
+        return EXIT_OK;
+    } finally {
+        await connection?.stop();
+    }
+}
+
+/**
+ * perfsim stop <simulation>
+ * @returns {Promise<number>} Exit code
+ */
+async function stopCommand(client, kind) {
+    const definition = SIMULATION_REQUESTS[kind];
+    if (!definition) {
+        throw new UsageError(`Unknown simulation '${kind ?? ''}'. Known: ${Object.keys(SIMULATION_REQUESTS).join(', ')}`);
+    }
+    try {
+        writeLine('api', definition.stop, await client[definition.stop]());
+        return EXIT_OK;
+    } catch (err) {
+        process.stderr.write(`perfsim: failed to stop ${kind}: ${err.message}\n`);
+        return EXIT_REQUEST_FAILED;
+    }
+}
+
+/**
+ * perfsim tail: runs until Ctrl+C, or for --timeout seconds.
+ * @returns {Promise<number>} Exit code
+ */
+async function tailCommand(options) {
+    const connection = await connectHub(options, true);
+    await new Promise(resolve => {
+        process.once('SIGINT', resolve);
+        process.once('SIGTERM', resolve);
+        connection.onclose(resolve);
+        if (options.timeoutSeconds) setTimeout(resolve, options.timeoutSeconds * 1000);
+    });
+    await connection.stop();
+    return EXIT_OK;
+}
+
+/**
+ * perfsim status
+ * @returns {Promise<number>} Exit code
+ */
+async function statusCommand(client) {
+    try {
+        writeLine('api', 'getAdminStats', await client.getAdminStats());
+        return EXIT_OK;
+    } catch (err) {
+        process.stderr.write(`perfsim: failed to read status: ${err.message}\n`);
+        return EXIT_REQUEST_FAILED;
+    }
+}
+
+async function main(argv) {
+    const { command, kind, parameters, options } = parseCommandLine(argv);
+    if (options.help || !command) {
+        process.stdout.write(`${USAGE}\n`);
+        return options.help ? EXIT_OK : EXIT_USAGE;
+    }
+
+    const client = new SimulatorClient({ baseUrl: `${options.url}/api` });
+    switch (command) {
+        case 'start':
+            return startCommand(client, kind, parameters, options);
+        case 'stop':
+            return stopCommand(client, kind);
+        case 'tail':
+            return tailCommand(options);
+        case 'status':
+            return statusCommand(client);
+        default:
+            throw new UsageError(`Unknown command '${command}'`);
+    }
+}
+
+main(process.argv.slice(2)).then(
+    code => { process.exitCode = code; },
+    err => {
+        process.stderr.write(`perfsim: ${err.message}\n`);
+        if (err instanceof UsageError) process.stderr.write('Run perfsim --help for usage.\n');
+        process.exitCode = err instanceof UsageError ? EXIT_USAGE : EXIT_REQUEST_FAILED;
+    }
+);